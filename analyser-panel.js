@@ -0,0 +1,248 @@
+/**
+ * Analyser Panel
+ *
+ * A collapsible dat.gui panel for tuning the analyser while the music plays:
+ * FFT size, smoothing, the decibel range mapped onto 0-255 and the frequency
+ * scale, with presets for common material. A small spectrum and level meter
+ * show the effect of each change; bars drawn in red are clipping at the top
+ * of the decibel range, and a spectrum that never leaves the floor needs a
+ * lower minimum.
+ *
+ * The panel only edits values; the visualizer applies them to the analyser
+ * and saves them for the user.
+ */
+class AnalyserPanel {
+    /**
+     * @param {Object} options
+     * @param {Object} options.settings - The user's analyser settings (see SettingsStore.defaults)
+     * @param {Object} options.defaults - Analyser settings offered as the "Default" preset
+     * @param {boolean} options.open - Whether the panel starts expanded
+     * @param {Function} options.onChange - Called with (settings, finished) as values change;
+     *                                      finished is false while a slider is still being dragged
+     * @param {Function} options.onToggle - Called with whether the panel was expanded or collapsed
+     */
+    constructor({ settings, defaults, open = false, onChange = null, onToggle = null }) {
+        this.values = {
+            fftSize: settings.fftSize,
+            smoothingTimeConstant: settings.smoothingTimeConstant,
+            minDecibels: settings.minDecibels,
+            maxDecibels: settings.maxDecibels,
+            scale: settings.scale,
+            preset: 'custom'
+        };
+        this.presets = { default: { name: 'Default', settings: defaults }, ...AnalyserPanel.PRESETS };
+        this.onChange = onChange;
+        this.onToggle = onToggle;
+        // Level meter's peak hold, 0-1
+        this.peakLevel = 0;
+
+        // H hides the panel with the other controls (see setHidden), not dat.gui's own toggle
+        this.gui = new dat.GUI({ width: AnalyserPanel.WIDTH, hideable: false });
+        this.gui.domElement.id = 'analyser-panel';
+        // A titled folder collapses the panel; the root's close button is hidden in styles.css
+        this.folder = this.gui.addFolder('Audio Analysis');
+        this.addControllers();
+        this.addMonitor();
+        this.values.preset = this.findPreset();
+        this.folder.updateDisplay();
+
+        this.folder.__ul.querySelector('li.title').addEventListener('click', () => {
+            // dat.gui has already toggled the folder by the time this runs
+            this.showMonitor(!this.folder.closed);
+            if (this.onToggle) this.onToggle(!this.folder.closed);
+        });
+        if (open) {
+            this.folder.open();
+        } else {
+            this.folder.close();
+        }
+        this.showMonitor(open);
+    }
+
+    addControllers() {
+        const presetOptions = { Custom: 'custom' };
+        Object.keys(this.presets).forEach(id => {
+            presetOptions[this.presets[id].name] = id;
+        });
+        this.folder.add(this.values, 'preset', presetOptions).name('Preset')
+            .onChange(id => this.applyPreset(id));
+
+        const fftOptions = {};
+        FrequencyMap.FFT_SIZES.forEach(size => {
+            fftOptions[`${size / 2} bins`] = size;
+        });
+        const scaleOptions = {};
+        FrequencyMap.SCALES.forEach(scale => {
+            scaleOptions[FrequencyMap.SCALE_NAMES[scale]] = scale;
+        });
+
+        // dat.gui hands back option values as strings
+        this.folder.add(this.values, 'fftSize', fftOptions).name('FFT size')
+            .onChange(value => {
+                this.values.fftSize = Number(value);
+                this.changed(true);
+            });
+        this.folder.add(this.values, 'smoothingTimeConstant', 0, 0.99, 0.01).name('Smoothing')
+            .onChange(() => this.changed(false))
+            .onFinishChange(() => this.changed(true));
+        this.folder.add(this.values, 'minDecibels', AnalyserPanel.MIN_DECIBELS, AnalyserPanel.MAX_DECIBELS, 1).name('Min dB')
+            .onChange(() => this.keepDecibelGap('minDecibels'))
+            .onFinishChange(() => this.changed(true));
+        this.folder.add(this.values, 'maxDecibels', AnalyserPanel.MIN_DECIBELS, AnalyserPanel.MAX_DECIBELS, 1).name('Max dB')
+            .onChange(() => this.keepDecibelGap('maxDecibels'))
+            .onFinishChange(() => this.changed(true));
+        this.folder.add(this.values, 'scale', scaleOptions).name('Frequency scale')
+            .onChange(() => this.changed(true));
+    }
+
+    /**
+     * Add the spectrum and level meter canvas below the controllers
+     */
+    addMonitor() {
+        this.canvas = document.createElement('canvas');
+        const ratio = window.devicePixelRatio || 1;
+        this.canvas.width = AnalyserPanel.MONITOR_WIDTH * ratio;
+        this.canvas.height = AnalyserPanel.MONITOR_HEIGHT * ratio;
+        this.canvas.style.width = `${AnalyserPanel.MONITOR_WIDTH}px`;
+        this.canvas.style.height = `${AnalyserPanel.MONITOR_HEIGHT}px`;
+        this.context = this.canvas.getContext('2d');
+        this.context.scale(ratio, ratio);
+
+        this.monitor = document.createElement('li');
+        this.monitor.className = 'analyser-monitor';
+        this.monitor.appendChild(this.canvas);
+        this.folder.__ul.appendChild(this.monitor);
+    }
+
+    /**
+     * The monitor isn't a controller, so dat.gui doesn't fold it away by itself
+     */
+    showMonitor(visible) {
+        this.monitor.style.display = visible ? '' : 'none';
+    }
+
+    /**
+     * Move the other decibel limit so the range never closes up
+     * The analyser refuses a minimum at or above its maximum.
+     */
+    keepDecibelGap(changed) {
+        const gap = AnalyserPanel.MIN_DECIBEL_RANGE;
+        if (this.values.maxDecibels - this.values.minDecibels < gap) {
+            if (changed === 'minDecibels') {
+                this.values.maxDecibels = Math.min(AnalyserPanel.MAX_DECIBELS, this.values.minDecibels + gap);
+                this.values.minDecibels = this.values.maxDecibels - gap;
+            } else {
+                this.values.minDecibels = Math.max(AnalyserPanel.MIN_DECIBELS, this.values.maxDecibels - gap);
+                this.values.maxDecibels = this.values.minDecibels + gap;
+            }
+        }
+        this.changed(false);
+    }
+
+    applyPreset(id) {
+        const preset = this.presets[id];
+        if (!preset) return;
+        Object.assign(this.values, preset.settings, { scale: this.values.scale });
+        this.changed(true);
+    }
+
+    /**
+     * Preset whose settings match the current values, or 'custom'
+     */
+    findPreset() {
+        const keys = ['fftSize', 'smoothingTimeConstant', 'minDecibels', 'maxDecibels'];
+        const id = Object.keys(this.presets).find(name =>
+            keys.every(key => this.presets[name].settings[key] === this.values[key]));
+        return id || 'custom';
+    }
+
+    /**
+     * Analyser settings as saved, without the panel's own preset field
+     */
+    getSettings() {
+        const { preset, ...settings } = this.values;
+        return settings;
+    }
+
+    changed(finished) {
+        this.values.preset = this.findPreset();
+        this.folder.updateDisplay();
+        if (this.onChange) this.onChange(this.getSettings(), finished);
+    }
+
+    /**
+     * Hide or show the whole panel, along with the rest of the controls
+     */
+    setHidden(hidden) {
+        if (hidden) {
+            this.gui.hide();
+        } else {
+            this.gui.show();
+        }
+    }
+
+    /**
+     * Draw a frame's spectrum (on the chosen scale) and level, while the panel is open
+     * @param {Object} audio - The frame's audio object (see style-registry.js)
+     */
+    draw(audio) {
+        if (this.folder.closed || this.gui.domElement.style.display === 'none') return;
+        const ctx = this.context;
+        const width = AnalyserPanel.MONITOR_WIDTH;
+        const height = AnalyserPanel.MONITOR_HEIGHT;
+        const meterHeight = 6;
+        const spectrumHeight = height - meterHeight - 4;
+
+        ctx.fillStyle = '#111';
+        ctx.fillRect(0, 0, width, height);
+
+        const values = FrequencyMap.spectrum(audio, AnalyserPanel.MONITOR_BANDS);
+        const barWidth = width / values.length;
+        for (let i = 0; i < values.length; i++) {
+            const value = values[i];
+            // A full-scale band is clipping at maxDecibels
+            ctx.fillStyle = value >= 1 ? '#f44336' : '#00ffc3';
+            const barHeight = Math.max(1, value * spectrumHeight);
+            ctx.fillRect(i * barWidth, spectrumHeight - barHeight, Math.max(1, barWidth - 1), barHeight);
+        }
+
+        // Level meter with a slowly falling peak hold
+        this.peakLevel = Math.max(audio.level, this.peakLevel - AnalyserPanel.PEAK_FALL);
+        const meterTop = height - meterHeight;
+        ctx.fillStyle = '#333';
+        ctx.fillRect(0, meterTop, width, meterHeight);
+        ctx.fillStyle = audio.level > 0.9 ? '#f44336' : '#00ffc3';
+        ctx.fillRect(0, meterTop, audio.level * width, meterHeight);
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(Math.min(width - 2, this.peakLevel * width), meterTop, 2, meterHeight);
+    }
+}
+
+// Analyser settings for common material; the frequency scale is left as it is
+AnalyserPanel.PRESETS = {
+    edm: {
+        // Short frames and little smoothing so kicks hit hard, with headroom for loud masters
+        name: 'Punchy EDM',
+        settings: { fftSize: 1024, smoothingTimeConstant: 0.5, minDecibels: -85, maxDecibels: -15 }
+    },
+    acoustic: {
+        // Long frames to separate close notes, and a low floor for quiet passages
+        name: 'Acoustic',
+        settings: { fftSize: 8192, smoothingTimeConstant: 0.85, minDecibels: -110, maxDecibels: -35 }
+    },
+    speech: {
+        // Quick enough to follow syllables, with a floor that hides room noise
+        name: 'Speech',
+        settings: { fftSize: 2048, smoothingTimeConstant: 0.6, minDecibels: -80, maxDecibels: -25 }
+    }
+};
+AnalyserPanel.WIDTH = 280;
+AnalyserPanel.MIN_DECIBELS = -140;
+AnalyserPanel.MAX_DECIBELS = 0;
+// Smallest gap kept between the minimum and maximum, in dB
+AnalyserPanel.MIN_DECIBEL_RANGE = 10;
+AnalyserPanel.MONITOR_WIDTH = 264;
+AnalyserPanel.MONITOR_HEIGHT = 70;
+AnalyserPanel.MONITOR_BANDS = 64;
+// How far the peak hold falls each frame, 0-1
+AnalyserPanel.PEAK_FALL = 0.005;
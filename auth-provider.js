@@ -0,0 +1,78 @@
+/**
+ * Auth Provider
+ *
+ * The interface every account backend implements, so the login screen and the
+ * visualizer don't care where accounts live. A provider resolves to a session
+ * object on login and throws an AuthError (whose message is safe to show to
+ * the user) when something is refused.
+ *
+ * A session looks like:
+ *   { username, provider, remember, expiresAt }
+ * where expiresAt is the timestamp (in milliseconds) at which the user has to
+ * log in again. Sessions without "remember me" also end when the browser is
+ * closed. Providers may keep their own fields (e.g. tokens) out of sight.
+ */
+class AuthError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AuthError';
+    }
+}
+
+class AuthProvider {
+    /**
+     * Create an account. Does not log in.
+     */
+    async register(username, password) {
+        throw new Error(`${this.constructor.name} does not implement register()`);
+    }
+
+    /**
+     * Check the credentials and start a session
+     * @param {Object} options
+     * @param {boolean} options.remember - Keep the session across browser restarts
+     * @returns {Promise<Object>} The new session
+     */
+    async login(username, password, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement login()`);
+    }
+
+    /**
+     * End the current session
+     */
+    async logout() {
+        throw new Error(`${this.constructor.name} does not implement logout()`);
+    }
+
+    /**
+     * The session still in effect (e.g. after a reload), or null
+     * @returns {Promise<Object|null>}
+     */
+    async currentSession() {
+        throw new Error(`${this.constructor.name} does not implement currentSession()`);
+    }
+
+    /**
+     * Replace the logged-in user's password
+     */
+    async changePassword(currentPassword, newPassword) {
+        throw new Error(`${this.constructor.name} does not implement changePassword()`);
+    }
+
+    /**
+     * Permanently remove the logged-in user's account and end the session
+     */
+    async deleteAccount(password) {
+        throw new Error(`${this.constructor.name} does not implement deleteAccount()`);
+    }
+}
+
+// One message for every login failure, so it can't be used to probe usernames
+AuthProvider.LOGIN_ERROR = 'Invalid username or password.';
+// Account changes already know the username, so they can be specific
+AuthProvider.PASSWORD_ERROR = 'Password is incorrect.';
+
+/**
+ * Storage for a session: localStorage survives browser restarts, sessionStorage doesn't
+ */
+AuthProvider.sessionStorageFor = remember => (remember ? localStorage : sessionStorage);
@@ -5,33 +5,45 @@
   const authSubmit = document.getElementById('auth-submit');
   const authToggle = document.getElementById('auth-toggle');
   const authError = document.getElementById('auth-error');
+  const rememberMe = document.getElementById('remember-me');
+  const rememberMeLabel = document.getElementById('remember-me-label');
   const mainAppContainer = document.getElementById('main-app-container');
 
-  let isLogin = true;
+  // Account panel
+  const accountUsername = document.getElementById('account-username');
+  const idleTimeoutSelect = document.getElementById('idle-timeout');
+  const changePasswordForm = document.getElementById('change-password-form');
+  const deleteAccountForm = document.getElementById('delete-account-form');
+  const accountStatus = document.getElementById('account-status');
 
-  // Simple user storage in localStorage
-  const USERS_KEY = 'audioVisualizerUsers';
-  const CURRENT_USER_KEY = 'audioVisualizerCurrentUser';
+  // Idle auto-logout minutes per username (0 = never)
+  const IDLE_TIMEOUTS_KEY = 'audioVisualizerIdleTimeouts';
+  // Why the last session ended, shown on the login screen after the reload
+  const LOGOUT_MESSAGE_KEY = 'audioVisualizerLogoutMessage';
+  const SESSION_CHECK_INTERVAL = 15 * 1000;
 
-  function getUsers() {
-    const usersJson = localStorage.getItem(USERS_KEY);
-    return usersJson ? JSON.parse(usersJson) : {};
-  }
+  const SESSION_END_MESSAGES = {
+    expired: 'Your session has expired. Please log in again.',
+    idle: 'You were logged out after being inactive.',
+    deleted: 'Your account has been deleted.'
+  };
 
-  function saveUsers(users) {
-    localStorage.setItem(USERS_KEY, JSON.stringify(users));
-  }
+  let isLogin = true;
 
-  function setCurrentUser(username) {
-    localStorage.setItem(CURRENT_USER_KEY, username);
-  }
+  // Accounts live in localStorage unless window.authConfig picks the HTTP provider
+  const provider = createProvider(window.authConfig || {});
 
-  function getCurrentUser() {
-    return localStorage.getItem(CURRENT_USER_KEY);
-  }
+  let session = null;
+  const sessionListeners = [];
+  const sessionEndListeners = [];
+  let sessionTimer = null;
+  let lastActivity = Date.now();
 
-  function clearCurrentUser() {
-    localStorage.removeItem(CURRENT_USER_KEY);
+  function createProvider(config) {
+    if (config.provider === 'http') {
+      return new HttpAuthProvider(config.baseUrl);
+    }
+    return new LocalAuthProvider();
   }
 
   function showError(message) {
@@ -48,10 +60,12 @@
       authTitle.textContent = 'Login';
       authSubmit.textContent = 'Login';
       authToggle.textContent = "Don't have an account? Register";
+      rememberMeLabel.style.display = '';
     } else {
       authTitle.textContent = 'Register';
       authSubmit.textContent = 'Register';
       authToggle.textContent = 'Already have an account? Login';
+      rememberMeLabel.style.display = 'none';
     }
     clearError();
     authForm.reset();
@@ -73,43 +87,130 @@
     return true;
   }
 
-  function handleLogin(username, password) {
-    const users = getUsers();
-    if (!users[username]) {
-      showError('User does not exist.');
-      return false;
+  function showMainApp() {
+    authModal.classList.add('hidden');
+    mainAppContainer.style.display = 'block';
+  }
+
+  // Show the app and hand the session to everything waiting for one
+  function startSession(newSession) {
+    session = newSession;
+    showMainApp();
+    accountUsername.textContent = session.username;
+    idleTimeoutSelect.value = String(getIdleTimeout(session.username));
+    startSessionTimer();
+    sessionListeners.forEach(listener => listener(session));
+  }
+
+  /**
+   * End the session, let listeners save or purge the user's data, then reload
+   * so nothing of the previous user's visualizer survives
+   * @param {string} reason - 'logout', 'expired', 'idle' or 'deleted'
+   */
+  async function endSession(reason) {
+    if (!session) return;
+    const endedSession = session;
+    session = null;
+    clearInterval(sessionTimer);
+
+    await Promise.all(sessionEndListeners.map(async listener => {
+      try {
+        await listener(endedSession, reason);
+      } catch (error) {
+        console.error('Session end handler failed', error);
+      }
+    }));
+
+    // Deleting the account has already ended the provider's session
+    if (reason !== 'deleted') {
+      try {
+        await provider.logout();
+      } catch (error) {
+        console.error('Logout failed', error);
+      }
     }
-    if (users[username] !== password) {
-      showError('Incorrect password.');
-      return false;
+
+    if (SESSION_END_MESSAGES[reason]) {
+      sessionStorage.setItem(LOGOUT_MESSAGE_KEY, SESSION_END_MESSAGES[reason]);
     }
-    setCurrentUser(username);
-    return true;
+    window.location.reload();
   }
 
-  function handleRegister(username, password) {
-    const users = getUsers();
-    if (users[username]) {
-      showError('Username already taken.');
-      return false;
+  function getIdleTimeouts() {
+    const timeoutsJson = localStorage.getItem(IDLE_TIMEOUTS_KEY);
+    return timeoutsJson ? JSON.parse(timeoutsJson) : {};
+  }
+
+  function getIdleTimeout(username) {
+    return getIdleTimeouts()[username] || 0;
+  }
+
+  function setIdleTimeout(username, minutes) {
+    const timeouts = getIdleTimeouts();
+    if (minutes > 0) {
+      timeouts[username] = minutes;
+    } else {
+      delete timeouts[username];
     }
-    users[username] = password;
-    saveUsers(users);
-    setCurrentUser(username);
-    return true;
+    localStorage.setItem(IDLE_TIMEOUTS_KEY, JSON.stringify(timeouts));
   }
 
-  function showMainApp() {
-    authModal.classList.add('hidden');
-    mainAppContainer.style.display = 'block';
+  function startSessionTimer() {
+    clearInterval(sessionTimer);
+    lastActivity = Date.now();
+    sessionTimer = setInterval(checkSession, SESSION_CHECK_INTERVAL);
+  }
+
+  // Log out after the idle period, or once the session has run out
+  async function checkSession() {
+    if (!session) return;
+
+    const idleMinutes = getIdleTimeout(session.username);
+    if (idleMinutes > 0 && Date.now() - lastActivity >= idleMinutes * 60 * 1000) {
+      endSession('idle');
+      return;
+    }
+
+    if (Date.now() >= session.expiresAt) {
+      // The provider may still be able to extend it (e.g. with a refresh token)
+      const current = await provider.currentSession().catch(() => null);
+      if (current && current.username === session.username && current.expiresAt > Date.now()) {
+        session = current;
+      } else {
+        endSession('expired');
+      }
+    }
+  }
+
+  function showAccountStatus(message, isError = false) {
+    accountStatus.textContent = message;
+    accountStatus.classList.toggle('error', isError);
+  }
+
+  function showAccountError(error) {
+    if (error instanceof AuthError) {
+      showAccountStatus(error.message, true);
+    } else {
+      console.error('Account update failed', error);
+      showAccountStatus('Something went wrong. Please try again.', true);
+    }
   }
 
-  function checkLoggedIn() {
-    const currentUser = getCurrentUser();
-    if (currentUser) {
-      showMainApp();
-      // Dispatch event to notify visualizer.js to initialize
-      window.dispatchEvent(new Event('userLoggedIn'));
+  async function checkLoggedIn() {
+    const logoutMessage = sessionStorage.getItem(LOGOUT_MESSAGE_KEY);
+    if (logoutMessage) {
+      sessionStorage.removeItem(LOGOUT_MESSAGE_KEY);
+      showError(logoutMessage);
+    }
+
+    try {
+      const existing = await provider.currentSession();
+      if (existing) {
+        startSession(existing);
+      }
+    } catch (error) {
+      console.error('Could not restore session', error);
+      showError('Could not restore your session. Please log in.');
     }
   }
 
@@ -117,7 +218,7 @@
     switchMode();
   });
 
-  authForm.addEventListener('submit', (e) => {
+  authForm.addEventListener('submit', async (e) => {
     e.preventDefault();
     clearError();
     const username = authForm.username.value.trim();
@@ -127,23 +228,26 @@
       return;
     }
 
-    let success = false;
-    if (isLogin) {
-      success = handleLogin(username, password);
-    } else {
-      success = handleRegister(username, password);
-    }
-
-    if (success) {
+    // Key derivation and server round trips take a moment; don't submit twice
+    authSubmit.disabled = true;
+    try {
       if (isLogin) {
-        showMainApp();
-        // Notify visualizer.js to initialize
-        window.dispatchEvent(new Event('userLoggedIn'));
+        startSession(await provider.login(username, password, { remember: rememberMe.checked }));
       } else {
+        await provider.register(username, password);
         // After successful registration, switch back to login mode
         switchMode();
         showError('Registration successful. Please log in.');
       }
+    } catch (error) {
+      if (error instanceof AuthError) {
+        showError(error.message);
+      } else {
+        console.error('Authentication failed', error);
+        showError('Something went wrong. Please try again.');
+      }
+    } finally {
+      authSubmit.disabled = false;
     }
   });
 
@@ -152,11 +256,96 @@
     checkLoggedIn();
   });
 
-  // Expose logout function globally
-  window.logout = function() {
-    clearCurrentUser();
-    mainAppContainer.style.display = 'none';
-    authModal.classList.remove('hidden');
-    switchMode(); // Reset to login mode
+  // Any input counts as activity for the idle auto-logout
+  ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'].forEach(type => {
+    window.addEventListener(type, () => {
+      lastActivity = Date.now();
+    }, { capture: true, passive: true });
+  });
+
+  idleTimeoutSelect.addEventListener('change', () => {
+    if (!session) return;
+    setIdleTimeout(session.username, Number(idleTimeoutSelect.value));
+    lastActivity = Date.now();
+  });
+
+  changePasswordForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const currentPassword = changePasswordForm.elements['current-password'].value.trim();
+    const newPassword = changePasswordForm.elements['new-password'].value.trim();
+    const confirmPassword = changePasswordForm.elements['confirm-password'].value.trim();
+
+    if (newPassword.length < 6) {
+      showAccountStatus('New password must be at least 6 characters.', true);
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      showAccountStatus('New passwords do not match.', true);
+      return;
+    }
+    if (newPassword === currentPassword) {
+      showAccountStatus('New password must be different from the current one.', true);
+      return;
+    }
+
+    const submit = changePasswordForm.querySelector('button[type="submit"]');
+    submit.disabled = true;
+    try {
+      await provider.changePassword(currentPassword, newPassword);
+      changePasswordForm.reset();
+      showAccountStatus('Password changed.');
+    } catch (error) {
+      showAccountError(error);
+    } finally {
+      submit.disabled = false;
+    }
+  });
+
+  deleteAccountForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const password = deleteAccountForm.elements['delete-password'].value.trim();
+    if (!password) return;
+    if (!confirm('Permanently delete your account, library and settings? This cannot be undone.')) {
+      return;
+    }
+
+    const submit = deleteAccountForm.querySelector('button[type="submit"]');
+    submit.disabled = true;
+    try {
+      await provider.deleteAccount(password);
+    } catch (error) {
+      showAccountError(error);
+      submit.disabled = false;
+      return;
+    }
+    setIdleTimeout(session.username, 0);
+    endSession('deleted');
+  });
+
+  function logout() {
+    return endSession('logout');
+  }
+
+  window.Auth = {
+    provider,
+
+    // The logged-in user's session, or null
+    getSession: () => session,
+
+    // Call listener with every session that starts (immediately if one already has)
+    onSessionStart(listener) {
+      sessionListeners.push(listener);
+      if (session) listener(session);
+    },
+
+    // Call listener(session, reason) when the session ends; the page waits for returned promises
+    onSessionEnd(listener) {
+      sessionEndListeners.push(listener);
+    },
+
+    logout
   };
+
+  // Expose logout function globally
+  window.logout = logout;
 })();
@@ -0,0 +1,483 @@
+/**
+ * Beat Engine
+ *
+ * Finds the beat in the analyser's spectrum for every style. Each frame it
+ * looks for onsets (sudden rises in energy) in the low, mid and high bands,
+ * against a threshold that adapts to how busy each band has been. The onsets
+ * feed a tempo estimate, and a beat clock at that tempo counts beats and bars
+ * and stays locked to the kick drum. The tempo can also be tapped or typed in,
+ * which overrides the estimate until it's set back to automatic.
+ *
+ * update() returns the frame's beat state (see BeatEngine.emptyState) and
+ * fires these events with it:
+ *   beat        On every beat of the beat clock
+ *   downbeat    On the first beat of each bar of four
+ *   bpmchange   When the tempo changes, or is found or lost
+ */
+class BeatEngine {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.sensitivity] - Deviations above its recent average a band must rise to count as an onset
+     */
+    constructor({ sensitivity = BeatEngine.SENSITIVITY } = {}) {
+        this.sensitivity = sensitivity;
+        this.listeners = { beat: [], downbeat: [], bpmchange: [] };
+
+        // Tapped or typed tempo, overriding the estimate
+        this.manualBpm = null;
+        this.taps = [];
+        // Whether taps have fixed which beat starts the bar
+        this.barLocked = false;
+
+        this.reset();
+    }
+
+    /**
+     * Everything a frame's beat state holds, before there's been any audio
+     */
+    static emptyState() {
+        return {
+            bpm: null,              // Beats per minute the beat clock runs at, or null when it isn't running
+            confidence: 0,          // How sure the tempo estimate is, 0-1
+            manual: false,          // Whether the tempo was tapped or typed in
+            phase: 0,               // Progress through the current beat, 0-1
+            barPhase: 0,            // Progress through the current bar, 0-1
+            beat: 0,                // Beats counted so far
+            bar: 0,                 // Bars counted so far
+            beatInBar: 0,           // Position of the current beat in its bar, 0-3
+            isBeat: false,          // A beat falls on this frame
+            isDownbeat: false,      // A bar starts on this frame
+            bpmChanged: false,      // The tempo changed on this frame
+            onsets: { low: false, mid: false, high: false }, // Onsets in each band on this frame
+            pulse: { low: 0, mid: 0, high: 0 }               // Onset strength in each band, 0-1, fading afterwards
+        };
+    }
+
+    /**
+     * Forget the audio heard so far, e.g. before rendering a track from the start
+     * A tapped or typed tempo is kept.
+     */
+    reset() {
+        this.time = 0;
+        this.previousSpectrum = null;
+        this.bands = {};
+        Object.keys(BeatEngine.BAND_WEIGHTS).forEach(name => {
+            this.bands[name] = { flux: 0, mean: 0, deviation: 0, pulse: 0, lastOnset: -Infinity };
+        });
+
+        // Onset strength at a steady rate, for the tempo estimate
+        this.envelope = new Float32Array(Math.round(BeatEngine.ENVELOPE_RATE * BeatEngine.ENVELOPE_SECONDS));
+        this.envelopeCount = 0;
+        this.envelopeTime = 0;
+        this.envelopePeak = 0;
+        this.lastEstimateTime = 0;
+
+        this.estimatedBpm = null;
+        this.confidence = 0;
+        // A different tempo that has to win a few estimates in a row before it's taken
+        this.candidate = null;
+
+        // Beat clock
+        this.nextBeatTime = null;
+        this.beatIndex = -1;
+        this.barCount = 0;
+        // How strongly the kick lands on each beat of the bar, to find beat one
+        this.barAccents = new Float32Array(BeatEngine.BEATS_PER_BAR);
+        this.downbeatOffset = 0;
+        this.reportedBpm = null;
+
+        this.state = BeatEngine.emptyState();
+    }
+
+    /**
+     * Listen for an event
+     * @param {string} type - 'beat', 'downbeat' or 'bpmchange'
+     * @param {Function} listener - Called with the frame's beat state
+     * @returns {Function} Stops listening
+     */
+    on(type, listener) {
+        if (!this.listeners[type]) {
+            throw new Error(`Unknown beat event "${type}"`);
+        }
+        this.listeners[type].push(listener);
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        const listeners = this.listeners[type];
+        if (!listeners) return;
+        const index = listeners.indexOf(listener);
+        if (index !== -1) listeners.splice(index, 1);
+    }
+
+    emit(state) {
+        if (state.bpmChanged) this.listeners.bpmchange.slice().forEach(listener => listener(state));
+        if (state.isBeat) this.listeners.beat.slice().forEach(listener => listener(state));
+        if (state.isDownbeat) this.listeners.downbeat.slice().forEach(listener => listener(state));
+    }
+
+    /**
+     * Take a beat state worked out elsewhere (e.g. by the main window, for the
+     * projector) and fire its events here
+     */
+    follow(state) {
+        this.state = state;
+        this.emit(state);
+        return state;
+    }
+
+    /**
+     * Analyse one frame
+     * @param {Object} audio - The frame's audio object, with its spectrum and sample rate
+     * @param {number} delta - Seconds since the last frame
+     * @returns {Object} The frame's beat state
+     */
+    update(audio, delta) {
+        this.time += delta;
+        const onsets = this.detectOnsets(audio.frequencyData, audio.sampleRate, delta);
+        this.updateEnvelope(delta);
+        if (this.time - this.lastEstimateTime >= BeatEngine.ESTIMATE_INTERVAL) {
+            this.lastEstimateTime = this.time;
+            this.estimateTempo();
+        }
+
+        const state = this.updateClock(onsets);
+        state.onsets = onsets;
+        state.pulse = {};
+        Object.keys(this.bands).forEach(name => { state.pulse[name] = this.bands[name].pulse; });
+        return this.follow(state);
+    }
+
+    /**
+     * Find the bands (FrequencyMap.BANDS) whose energy rose sharply this frame
+     * The rise (spectral flux) is compared with the band's recent average plus
+     * a number of its recent deviations, so quiet passages and busy ones both work.
+     */
+    detectOnsets(frequencyData, sampleRate, delta) {
+        const previous = this.previousSpectrum !== null && this.previousSpectrum.length === frequencyData.length
+            ? this.previousSpectrum
+            : null;
+        const adapt = 1 - Math.exp(-delta / BeatEngine.ADAPT_TIME);
+        const decay = Math.pow(BeatEngine.PULSE_DECAY, delta * 10);
+        const onsets = {};
+
+        let strength = 0;
+        Object.entries(BeatEngine.BAND_WEIGHTS).forEach(([name, weight]) => {
+            const band = this.bands[name];
+            const { from, to } = FrequencyMap.BANDS[name];
+            const range = FrequencyMap.binRange(from, Math.min(to, sampleRate / 2), sampleRate, frequencyData.length);
+            // Bands narrower than a bin still take the bin they're in
+            const first = Math.min(range.first, Math.floor(range.centre));
+            const last = Math.max(range.last, first + 1);
+
+            let flux = 0;
+            if (previous) {
+                for (let i = first; i < last; i++) {
+                    const rise = frequencyData[i] - previous[i];
+                    if (rise > 0) flux += rise / 255;
+                }
+                flux /= Math.max(1, last - first);
+            }
+
+            const threshold = band.mean + this.sensitivity * band.deviation + BeatEngine.MIN_FLUX;
+            const isOnset = previous !== null && flux > threshold &&
+                this.time - band.lastOnset >= BeatEngine.MIN_ONSET_INTERVAL;
+
+            band.flux = flux;
+            band.pulse *= decay;
+            if (isOnset) {
+                band.lastOnset = this.time;
+                // Half strength right at the threshold, full at twice it
+                band.pulse = Math.max(band.pulse, Math.min(1, 0.5 + 0.5 * (flux - threshold) / threshold));
+            }
+
+            // Adapt after testing, so an onset doesn't raise its own threshold
+            const difference = flux - band.mean;
+            band.mean += difference * adapt;
+            band.deviation += (Math.abs(difference) - band.deviation) * adapt;
+
+            onsets[name] = isOnset;
+            strength += flux * weight;
+        });
+
+        if (!previous) this.previousSpectrum = new Uint8Array(frequencyData.length);
+        this.previousSpectrum.set(frequencyData);
+        this.envelopePeak = Math.max(this.envelopePeak, strength);
+        return onsets;
+    }
+
+    /**
+     * Sample the onset strength at ENVELOPE_RATE, whatever the frame rate
+     * Each sample holds the strongest frame since the last one.
+     */
+    updateEnvelope(delta) {
+        const step = 1 / BeatEngine.ENVELOPE_RATE;
+        this.envelopeTime += delta;
+        while (this.envelopeTime >= step) {
+            this.envelope[this.envelopeCount % this.envelope.length] = this.envelopePeak;
+            this.envelopeCount++;
+            this.envelopePeak = 0;
+            this.envelopeTime -= step;
+        }
+    }
+
+    /**
+     * Estimate the tempo from the autocorrelation of the onset strength
+     * Lags are weighted towards PREFERRED_BPM, so a track isn't read at half
+     * or double its tempo when both fit.
+     */
+    estimateTempo() {
+        const rate = BeatEngine.ENVELOPE_RATE;
+        const count = Math.min(this.envelopeCount, this.envelope.length);
+        if (count < rate * BeatEngine.MIN_HISTORY) return;
+
+        // Oldest sample first, without its average
+        const samples = new Float32Array(count);
+        const start = this.envelopeCount - count;
+        let mean = 0;
+        for (let i = 0; i < count; i++) {
+            samples[i] = this.envelope[(start + i) % this.envelope.length];
+            mean += samples[i];
+        }
+        mean /= count;
+        for (let i = 0; i < count; i++) samples[i] -= mean;
+
+        const minLag = Math.floor((60 * rate) / BeatEngine.MAX_BPM);
+        const maxLag = Math.ceil((60 * rate) / BeatEngine.MIN_BPM);
+        const correlation = new Float32Array(maxLag + 2);
+        for (let lag = 0; lag <= maxLag + 1; lag++) {
+            let sum = 0;
+            for (let i = 0; i + lag < count; i++) sum += samples[i] * samples[i + lag];
+            correlation[lag] = sum / (count - lag);
+        }
+        if (correlation[0] <= 1e-9) {
+            this.confidence *= 0.5;
+            return;
+        }
+
+        let bestLag = -1;
+        let bestScore = 0;
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            const bpm = (60 * rate) / lag;
+            const octaves = Math.log2(bpm / BeatEngine.PREFERRED_BPM);
+            const score = correlation[lag] * Math.exp(-0.5 * Math.pow(octaves / BeatEngine.PREFERRED_WIDTH, 2));
+            if (score > bestScore) {
+                bestScore = score;
+                bestLag = lag;
+            }
+        }
+        if (bestLag === -1) {
+            this.confidence *= 0.5;
+            return;
+        }
+
+        // Place the peak between lags by fitting a parabola through its neighbours
+        const a = correlation[bestLag - 1];
+        const b = correlation[bestLag];
+        const c = correlation[bestLag + 1];
+        const curve = a - 2 * b + c;
+        const offset = curve < 0 ? Math.max(-0.5, Math.min(0.5, (0.5 * (a - c)) / curve)) : 0;
+        const bpm = (60 * rate) / (bestLag + offset);
+        const confidence = Math.max(0, Math.min(1, b / correlation[0]));
+
+        this.confidence += (confidence - this.confidence) * 0.5;
+        if (this.estimatedBpm === null || BeatEngine.sameTempo(bpm, this.estimatedBpm)) {
+            this.estimatedBpm = this.estimatedBpm === null ? bpm : this.estimatedBpm + (bpm - this.estimatedBpm) * 0.3;
+            this.candidate = null;
+        } else if (this.candidate && BeatEngine.sameTempo(bpm, this.candidate.bpm)) {
+            this.candidate.count++;
+            if (this.candidate.count >= BeatEngine.SWITCH_ESTIMATES) {
+                this.estimatedBpm = bpm;
+                this.candidate = null;
+            }
+        } else {
+            this.candidate = { bpm, count: 1 };
+        }
+    }
+
+    static sameTempo(a, b) {
+        return Math.abs(a / b - 1) < BeatEngine.TEMPO_TOLERANCE;
+    }
+
+    /**
+     * The tempo the beat clock runs at, or null if it's stopped
+     */
+    getBpm() {
+        if (this.manualBpm !== null) return this.manualBpm;
+        if (this.estimatedBpm === null || this.confidence < BeatEngine.MIN_CONFIDENCE) return null;
+        return this.estimatedBpm;
+    }
+
+    /**
+     * Advance the beat clock, nudging it towards the kicks it hears
+     */
+    updateClock(onsets) {
+        const state = BeatEngine.emptyState();
+        const time = this.time;
+        const bpm = this.getBpm();
+        state.confidence = this.confidence;
+        state.manual = this.manualBpm !== null;
+
+        if (bpm === null) {
+            this.nextBeatTime = null;
+        } else {
+            const period = 60 / bpm;
+            // Start on a kick, or straight away for a typed tempo
+            if (this.nextBeatTime === null && (onsets.low || state.manual)) this.nextBeatTime = time;
+
+            if (this.nextBeatTime !== null) {
+                if (onsets.low) this.followOnset(time, period);
+                // A faster tempo than before shouldn't leave the next beat more than a beat away
+                if (this.nextBeatTime - time > period) this.nextBeatTime = time + period;
+
+                if (time >= this.nextBeatTime) {
+                    this.beatIndex++;
+                    this.nextBeatTime += period;
+                    // Frames can be long enough to miss beats; don't fire them all at once
+                    if (this.nextBeatTime <= time) this.nextBeatTime = time + period;
+                    if (!this.barLocked) this.updateDownbeat();
+                    state.isBeat = true;
+                    state.isDownbeat = this.getBeatInBar() === 0;
+                    if (state.isDownbeat) this.barCount++;
+                    BeatEngine.decayAccents(this.barAccents);
+                }
+
+                state.phase = Math.max(0, Math.min(1, 1 - (this.nextBeatTime - time) / period));
+            }
+        }
+
+        state.bpm = this.nextBeatTime === null ? null : bpm;
+        state.beat = this.beatIndex + 1;
+        state.bar = this.barCount;
+        state.beatInBar = this.beatIndex < 0 ? 0 : this.getBeatInBar();
+        state.barPhase = (state.beatInBar + state.phase) / BeatEngine.BEATS_PER_BAR;
+
+        // Report changes of a noticeable size, and the tempo being found or lost
+        const reported = this.reportedBpm;
+        if ((reported === null) !== (state.bpm === null) ||
+            (reported !== null && Math.abs(reported - state.bpm) >= BeatEngine.BPM_CHANGE)) {
+            this.reportedBpm = state.bpm;
+            state.bpmChanged = true;
+        }
+        return state;
+    }
+
+    /**
+     * Pull the beat clock towards a kick close to one of its beats, and
+     * remember how hard that beat of the bar was hit
+     */
+    followOnset(time, period) {
+        const sinceLast = time - (this.nextBeatTime - period);
+        const untilNext = time - this.nextBeatTime;
+        const error = Math.abs(sinceLast) < Math.abs(untilNext) ? sinceLast : untilNext;
+        if (Math.abs(error) > period * BeatEngine.PHASE_WINDOW) return;
+
+        const correction = this.manualBpm !== null ? BeatEngine.MANUAL_PHASE_CORRECTION : BeatEngine.PHASE_CORRECTION;
+        this.nextBeatTime += error * correction;
+
+        const beat = error === sinceLast ? this.beatIndex : this.beatIndex + 1;
+        if (beat >= 0) this.barAccents[beat % BeatEngine.BEATS_PER_BAR] += this.bands.low.flux;
+    }
+
+    getBeatInBar() {
+        const beats = BeatEngine.BEATS_PER_BAR;
+        return (((this.beatIndex - this.downbeatOffset) % beats) + beats) % beats;
+    }
+
+    /**
+     * Start bars on the beat the kick hits hardest, if it clearly does
+     */
+    updateDownbeat() {
+        let strongest = this.downbeatOffset;
+        this.barAccents.forEach((accent, beat) => {
+            if (accent > this.barAccents[strongest]) strongest = beat;
+        });
+        if (this.barAccents[strongest] > this.barAccents[this.downbeatOffset] * BeatEngine.DOWNBEAT_MARGIN) {
+            this.downbeatOffset = strongest;
+        }
+    }
+
+    static decayAccents(accents) {
+        for (let i = 0; i < accents.length; i++) accents[i] *= BeatEngine.ACCENT_DECAY;
+    }
+
+    /**
+     * Tap along to set the tempo
+     * The first tap after a pause starts a bar; later taps set the tempo from
+     * their average spacing, and every tap puts a beat where it lands.
+     * @returns {number|null} The tapped tempo, once there have been two taps
+     */
+    tap() {
+        const time = this.time;
+        const last = this.taps[this.taps.length - 1];
+        if (last !== undefined && time - last > BeatEngine.TAP_TIMEOUT) this.taps = [];
+        this.taps.push(time);
+        if (this.taps.length > BeatEngine.MAX_TAPS) this.taps.shift();
+
+        if (this.taps.length === 1) {
+            // The next beat is beat one
+            this.downbeatOffset = (this.beatIndex + 1) % BeatEngine.BEATS_PER_BAR;
+            this.barLocked = true;
+        } else {
+            const interval = (time - this.taps[0]) / (this.taps.length - 1);
+            this.manualBpm = BeatEngine.clampBpm(60 / interval);
+        }
+        this.nextBeatTime = time;
+        return this.manualBpm;
+    }
+
+    /**
+     * Fix the tempo, or pass null to go back to estimating it
+     */
+    setManualBpm(bpm) {
+        this.taps = [];
+        if (bpm === null) {
+            this.manualBpm = null;
+            this.barLocked = false;
+            return;
+        }
+        this.manualBpm = BeatEngine.clampBpm(bpm);
+    }
+
+    static clampBpm(bpm) {
+        return Math.max(BeatEngine.MIN_MANUAL_BPM, Math.min(BeatEngine.MAX_MANUAL_BPM, bpm));
+    }
+}
+
+// How much onsets in each of FrequencyMap.BANDS count towards the tempo
+BeatEngine.BAND_WEIGHTS = { low: 1, mid: 1, high: 0.5 };
+BeatEngine.SENSITIVITY = 1.5;
+// Rises smaller than this (as a fraction of full scale per bin) are never onsets
+BeatEngine.MIN_FLUX = 0.01;
+BeatEngine.MIN_ONSET_INTERVAL = 0.1;
+// Seconds the onset thresholds take to adapt
+BeatEngine.ADAPT_TIME = 0.5;
+// Pulse left after a tenth of a second
+BeatEngine.PULSE_DECAY = 0.7;
+
+BeatEngine.ENVELOPE_RATE = 60;
+BeatEngine.ENVELOPE_SECONDS = 8;
+BeatEngine.MIN_HISTORY = 4;
+BeatEngine.ESTIMATE_INTERVAL = 0.5;
+BeatEngine.MIN_BPM = 60;
+BeatEngine.MAX_BPM = 200;
+BeatEngine.PREFERRED_BPM = 120;
+// Width of the preference, in octaves
+BeatEngine.PREFERRED_WIDTH = 1;
+BeatEngine.TEMPO_TOLERANCE = 0.04;
+BeatEngine.SWITCH_ESTIMATES = 3;
+BeatEngine.MIN_CONFIDENCE = 0.2;
+BeatEngine.BPM_CHANGE = 0.5;
+
+BeatEngine.BEATS_PER_BAR = 4;
+// Kicks further than this fraction of a beat from the clock don't move it
+BeatEngine.PHASE_WINDOW = 0.2;
+BeatEngine.PHASE_CORRECTION = 0.2;
+BeatEngine.MANUAL_PHASE_CORRECTION = 0.05;
+BeatEngine.ACCENT_DECAY = 0.98;
+BeatEngine.DOWNBEAT_MARGIN = 1.2;
+
+BeatEngine.TAP_TIMEOUT = 2;
+BeatEngine.MAX_TAPS = 8;
+BeatEngine.MIN_MANUAL_BPM = 30;
+BeatEngine.MAX_MANUAL_BPM = 300;
@@ -0,0 +1,280 @@
+/**
+ * Frame Writers
+ *
+ * Destinations for an offline render. The visualizer draws each frame onto
+ * its canvas at a fixed timestep and hands the canvas to a writer, which
+ * turns the frames into a file (or files) that last exactly as long as the
+ * track. Frame n shows the track at n / fps seconds.
+ */
+class FrameWriter {
+    /**
+     * Get ready to take frames
+     * May ask the user where to save, and rejects with an AbortError if they cancel.
+     * @param {Object} options
+     * @param {number} options.width - Frame size in pixels
+     * @param {number} options.height
+     * @param {number} options.fps - Frames per second
+     * @param {number} options.bitrate - Video bits per second, for writers that encode
+     * @param {AudioBuffer} options.audioBuffer - The track being rendered
+     * @param {string} options.name - Name for the output, without an extension
+     */
+    async open(options) {
+        throw new Error(`${this.constructor.name} does not implement open()`);
+    }
+
+    /**
+     * Take the frame currently drawn on the canvas
+     * Call straight after rendering, before anything else is awaited, so the
+     * canvas still holds the frame.
+     * @param {HTMLCanvasElement} canvas
+     * @param {number} index - Frame number, from 0
+     */
+    async writeFrame(canvas, index) {
+        throw new Error(`${this.constructor.name} does not implement writeFrame()`);
+    }
+
+    /**
+     * Finish the output
+     * @returns {Promise<Blob|null>} A file to download, or null if the output was saved already
+     */
+    async close() {
+        throw new Error(`${this.constructor.name} does not implement close()`);
+    }
+
+    /**
+     * Give up and throw away what was written
+     */
+    async abort() {
+        throw new Error(`${this.constructor.name} does not implement abort()`);
+    }
+}
+
+/**
+ * Writes numbered PNG files (frame-000000.png, ...) into a new folder inside
+ * one the user picks, through the File System Access API.
+ */
+class PngSequenceWriter extends FrameWriter {
+    static isSupported() {
+        return typeof window.showDirectoryPicker === 'function';
+    }
+
+    async open({ name }) {
+        this.parent = await window.showDirectoryPicker({ mode: 'readwrite' });
+        this.name = name;
+        this.directory = await this.parent.getDirectoryHandle(name, { create: true });
+    }
+
+    async writeFrame(canvas, index) {
+        // toBlob() takes its copy of the canvas now, before the first await
+        const blob = await new Promise((resolve, reject) => {
+            canvas.toBlob(result => result ? resolve(result) : reject(new Error('Could not encode the frame as PNG')), 'image/png');
+        });
+        const fileName = `frame-${String(index).padStart(PngSequenceWriter.DIGITS, '0')}.png`;
+        const file = await this.directory.getFileHandle(fileName, { create: true });
+        const writable = await file.createWritable();
+        await writable.write(blob);
+        await writable.close();
+    }
+
+    async close() {
+        return null;
+    }
+
+    async abort() {
+        if (!this.parent) return;
+        try {
+            await this.parent.removeEntry(this.name, { recursive: true });
+        } catch (e) {
+            console.warn('Could not remove the unfinished frames', e);
+        }
+    }
+}
+
+PngSequenceWriter.DIGITS = 6;
+
+/**
+ * Encodes the frames with WebCodecs (VP9, or VP8 where VP9 isn't available)
+ * and the track's audio as Opus, and muxes both into a WebM file.
+ */
+class WebMWriter extends FrameWriter {
+    static isSupported() {
+        return typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+    }
+
+    /**
+     * The first video codec the browser can encode at this size, or null
+     */
+    static async findVideoConfig({ width, height, fps, bitrate }) {
+        for (const { codec, trackCodec } of WebMWriter.VIDEO_CODECS) {
+            const config = { codec, width, height, bitrate, framerate: fps, latencyMode: 'quality' };
+            const { supported } = await VideoEncoder.isConfigSupported(config);
+            if (supported) return { config, trackCodec };
+        }
+        return null;
+    }
+
+    async open({ width, height, fps, bitrate, audioBuffer }) {
+        this.fps = fps;
+        this.duration = audioBuffer.duration;
+        this.error = null;
+
+        const video = await WebMWriter.findVideoConfig({ width, height, fps, bitrate });
+        if (!video) {
+            throw new Error(`This browser can't encode ${width}x${height} video. Try a smaller resolution.`);
+        }
+        this.muxer = new WebMMuxer({ video: { codec: video.trackCodec, width, height } });
+
+        this.videoEncoder = new VideoEncoder({
+            output: chunk => this.addChunk('video', chunk),
+            error: error => { this.error = error; }
+        });
+        this.videoEncoder.configure(video.config);
+
+        // The whole soundtrack is known up front, so it's encoded straight away
+        await this.encodeAudio(audioBuffer);
+    }
+
+    /**
+     * Encode the track as Opus; the video is silent if the browser can't
+     */
+    async encodeAudio(audioBuffer) {
+        const config = {
+            codec: 'opus',
+            sampleRate: WebMWriter.OPUS_SAMPLE_RATE,
+            numberOfChannels: Math.min(audioBuffer.numberOfChannels, 2),
+            bitrate: WebMWriter.AUDIO_BITRATE
+        };
+        if (typeof AudioEncoder === 'undefined' || !(await AudioEncoder.isConfigSupported(config)).supported) {
+            console.warn('Opus encoding is not available; the render will have no sound');
+            return;
+        }
+
+        const buffer = await WebMWriter.resample(audioBuffer, config.sampleRate, config.numberOfChannels);
+        let description = null;
+        const encoder = new AudioEncoder({
+            output: (chunk, metadata) => {
+                if (!description && metadata && metadata.decoderConfig && metadata.decoderConfig.description) {
+                    description = WebMWriter.toBytes(metadata.decoderConfig.description);
+                }
+                this.addChunk('audio', chunk);
+            },
+            error: error => { this.error = error; }
+        });
+        encoder.configure(config);
+
+        // A second of audio at a time
+        const channels = config.numberOfChannels;
+        for (let offset = 0; offset < buffer.length; offset += config.sampleRate) {
+            const frames = Math.min(config.sampleRate, buffer.length - offset);
+            const data = new Float32Array(frames * channels);
+            for (let c = 0; c < channels; c++) {
+                data.set(buffer.getChannelData(c).subarray(offset, offset + frames), c * frames);
+            }
+            const audioData = new AudioData({
+                format: 'f32-planar',
+                sampleRate: config.sampleRate,
+                numberOfFrames: frames,
+                numberOfChannels: channels,
+                timestamp: Math.round((offset / config.sampleRate) * 1e6),
+                data
+            });
+            encoder.encode(audioData);
+            audioData.close();
+        }
+        await encoder.flush();
+        encoder.close();
+        if (this.error) throw this.error;
+
+        const opusHead = description || WebMWriter.opusHead(channels, audioBuffer.sampleRate);
+        // Samples the decoder should drop from the start, stored in the OpusHead
+        const preSkip = new DataView(opusHead.buffer, opusHead.byteOffset).getUint16(10, true);
+        this.muxer.audio = {
+            codec: 'A_OPUS',
+            sampleRate: config.sampleRate,
+            channels,
+            codecPrivate: opusHead,
+            codecDelay: Math.round((preSkip / config.sampleRate) * 1e9)
+        };
+    }
+
+    /**
+     * Resample and up/down-mix to what the encoder takes
+     */
+    static async resample(audioBuffer, sampleRate, channels) {
+        if (audioBuffer.sampleRate === sampleRate && audioBuffer.numberOfChannels === channels) {
+            return audioBuffer;
+        }
+        const context = new OfflineAudioContext(channels, Math.ceil(audioBuffer.duration * sampleRate), sampleRate);
+        const source = context.createBufferSource();
+        source.buffer = audioBuffer;
+        source.connect(context.destination);
+        source.start();
+        return context.startRendering();
+    }
+
+    /**
+     * A minimal OpusHead, for encoders that don't provide one
+     */
+    static opusHead(channels, inputSampleRate) {
+        const head = new Uint8Array(19);
+        const view = new DataView(head.buffer);
+        head.set(new TextEncoder().encode('OpusHead'));
+        head[8] = 1; // Version
+        head[9] = channels;
+        view.setUint16(10, WebMWriter.OPUS_PRE_SKIP, true);
+        view.setUint32(12, inputSampleRate, true);
+        return head;
+    }
+
+    static toBytes(source) {
+        return ArrayBuffer.isView(source)
+            ? new Uint8Array(source.buffer, source.byteOffset, source.byteLength).slice()
+            : new Uint8Array(source.slice(0));
+    }
+
+    addChunk(kind, chunk) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        this.muxer.addChunk(kind, data, chunk.timestamp, chunk.type === 'key');
+    }
+
+    async writeFrame(canvas, index) {
+        if (this.error) throw this.error;
+
+        // The last frame is cut short so the video ends exactly where the track does
+        const end = this.duration * 1e6;
+        const timestamp = Math.round((index / this.fps) * 1e6);
+        const duration = Math.min(Math.round(((index + 1) / this.fps) * 1e6), end) - timestamp;
+        const frame = new VideoFrame(canvas, { timestamp, duration });
+        this.videoEncoder.encode(frame, { keyFrame: index % Math.round(this.fps * WebMWriter.KEYFRAME_INTERVAL) === 0 });
+        frame.close();
+
+        // Don't let frames pile up faster than the encoder takes them
+        while (this.videoEncoder.encodeQueueSize > WebMWriter.MAX_QUEUED_FRAMES) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+    }
+
+    async close() {
+        await this.videoEncoder.flush();
+        this.videoEncoder.close();
+        if (this.error) throw this.error;
+        return this.muxer.finish(this.duration);
+    }
+
+    async abort() {
+        if (this.videoEncoder && this.videoEncoder.state !== 'closed') this.videoEncoder.close();
+        this.muxer = null;
+    }
+}
+
+// WebCodecs codec strings, best first, with their WebM codec ids
+WebMWriter.VIDEO_CODECS = [
+    { codec: 'vp09.00.51.08', trackCodec: 'V_VP9' },
+    { codec: 'vp8', trackCodec: 'V_VP8' }
+];
+WebMWriter.KEYFRAME_INTERVAL = 2;
+WebMWriter.MAX_QUEUED_FRAMES = 8;
+WebMWriter.AUDIO_BITRATE = 192000;
+WebMWriter.OPUS_SAMPLE_RATE = 48000;
+WebMWriter.OPUS_PRE_SKIP = 312;
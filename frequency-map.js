@@ -0,0 +1,229 @@
+/**
+ * Frequency Map
+ *
+ * Turns the analyser's spectrum, whose bins are evenly spaced in Hz, into a
+ * number of bands on the scale the user picked: linear, logarithmic, 1/3
+ * octave or Mel. The log-like scales give bass, mids and treble room in
+ * proportion to how they're heard, where linear bins are mostly treble.
+ *
+ * Band edges are in Hz, so the same bands come out whatever the FFT size or
+ * sample rate, and BANDS defines what "bass", "mids" and "treble" mean for
+ * every style, the beat engine and the audio object's low, mid and high.
+ */
+class FrequencyMap {
+    /**
+     * @param {Object} options
+     * @param {string} options.scale - One of FrequencyMap.SCALES (anything else is log)
+     * @param {number} options.count - Number of values to produce
+     * @param {number} options.sampleRate - Sample rate of the analysed audio
+     * @param {number} options.binCount - Bins in the spectrum (half the FFT size)
+     * @param {number} [options.minFrequency] - Lowest frequency shown, in Hz
+     * @param {number} [options.maxFrequency] - Highest frequency shown, in Hz (capped at half the sample rate)
+     */
+    constructor({ scale, count, sampleRate, binCount,
+                  minFrequency = FrequencyMap.MIN_FREQUENCY, maxFrequency = FrequencyMap.MAX_FREQUENCY }) {
+        this.scale = scale;
+        this.count = count;
+        this.sampleRate = sampleRate;
+        this.binCount = binCount;
+        this.minFrequency = minFrequency;
+        this.maxFrequency = maxFrequency;
+
+        const top = Math.min(maxFrequency, sampleRate / 2);
+        // Edges of each band in Hz: band i runs from edges[i] to edges[i + 1]
+        this.edges = FrequencyMap.getEdges(this.scale, count, minFrequency, top);
+        this.ranges = [];
+        for (let i = 0; i + 1 < this.edges.length; i++) {
+            this.ranges.push(FrequencyMap.binRange(this.edges[i], this.edges[i + 1], sampleRate, binCount));
+        }
+        // 1/3 octave bands are fixed, so outputs share them when there are more outputs than bands
+        this.bandOf = new Uint16Array(count);
+        for (let i = 0; i < count; i++) {
+            this.bandOf[i] = Math.min(this.ranges.length - 1, Math.floor((i * this.ranges.length) / count));
+        }
+        this.bandValues = new Float32Array(this.ranges.length);
+        this.output = new Float32Array(count);
+    }
+
+    /**
+     * Whether this map was built for these options
+     */
+    matches({ scale, count, sampleRate, binCount }) {
+        return this.scale === scale && this.count === count &&
+            this.sampleRate === sampleRate && this.binCount === binCount;
+    }
+
+    /**
+     * The spectrum's level in each band, 0-1, lowest frequency first
+     * Each band shows its loudest bin, as a spectrum analyser does, so a
+     * single tone stands out in a wide treble band.
+     * @param {Uint8Array} frequencyData - Byte spectrum from the analyser
+     * @returns {Float32Array} Reused on the next call, so copy it to keep it
+     */
+    map(frequencyData) {
+        for (let band = 0; band < this.ranges.length; band++) {
+            this.bandValues[band] = FrequencyMap.peak(frequencyData, this.ranges[band]);
+        }
+        for (let i = 0; i < this.count; i++) {
+            this.output[i] = this.bandValues[this.bandOf[i]];
+        }
+        return this.output;
+    }
+
+    /**
+     * Where a frequency falls along the output, from 0 (the lower edge of the
+     * first value) to 1 (the upper edge of the last), e.g. for axis labels
+     * @returns {number|null} null outside the mapped range
+     */
+    positionOf(frequency) {
+        const edges = this.edges;
+        const bands = edges.length - 1;
+        if (frequency < edges[0] || frequency > edges[bands]) return null;
+        let band = 0;
+        while (band < bands - 1 && frequency >= edges[band + 1]) band++;
+        return (band + (frequency - edges[band]) / (edges[band + 1] - edges[band])) / bands;
+    }
+
+    /**
+     * Band edges in Hz for a scale
+     * 1/3 octave bands are the standard ones (centred on 1 kHz · 2^(n/3)) whose
+     * centres fall within the range, however many values are asked for.
+     */
+    static getEdges(scale, count, minFrequency, maxFrequency) {
+        if (scale === 'third-octave') return FrequencyMap.thirdOctaveEdges(minFrequency, maxFrequency);
+
+        const edges = new Float32Array(count + 1);
+        for (let i = 0; i <= count; i++) {
+            const t = i / count;
+            if (scale === 'linear') {
+                edges[i] = minFrequency + (maxFrequency - minFrequency) * t;
+            } else if (scale === 'mel') {
+                const low = FrequencyMap.toMel(minFrequency);
+                edges[i] = FrequencyMap.fromMel(low + (FrequencyMap.toMel(maxFrequency) - low) * t);
+            } else {
+                edges[i] = minFrequency * Math.pow(maxFrequency / minFrequency, t);
+            }
+        }
+        return edges;
+    }
+
+    static thirdOctaveEdges(minFrequency, maxFrequency) {
+        const first = Math.ceil(3 * Math.log2(minFrequency / 1000));
+        const last = Math.floor(3 * Math.log2(maxFrequency / 1000));
+        const edges = [];
+        for (let n = first; n <= last; n++) {
+            const centre = 1000 * Math.pow(2, n / 3);
+            if (edges.length === 0) edges.push(centre * Math.pow(2, -1 / 6));
+            edges.push(centre * Math.pow(2, 1 / 6));
+        }
+        return Float32Array.from(edges);
+    }
+
+    static toMel(frequency) {
+        return 2595 * Math.log10(1 + frequency / 700);
+    }
+
+    static fromMel(mel) {
+        return 700 * (Math.pow(10, mel / 2595) - 1);
+    }
+
+    /**
+     * The bins whose centres lie between two frequencies
+     * A band narrower than a bin has none, and is read between the two
+     * nearest bins at its centre instead.
+     * @returns {Object} { first, last } bin indices (last excluded) and the centre as a fractional bin
+     */
+    static binRange(from, to, sampleRate, binCount) {
+        // Bin k is centred on k · sampleRate / fftSize, with fftSize = 2 · binCount
+        const binWidth = sampleRate / (2 * binCount);
+        return {
+            first: Math.min(binCount, Math.max(0, Math.ceil(from / binWidth))),
+            last: Math.min(binCount, Math.max(0, Math.ceil(to / binWidth))),
+            centre: Math.min(binCount - 1, (from + to) / 2 / binWidth)
+        };
+    }
+
+    /**
+     * Average level of a bin range, 0-1
+     */
+    static average(frequencyData, range) {
+        const { first, last } = range;
+        if (last <= first) return FrequencyMap.interpolate(frequencyData, range.centre);
+        let sum = 0;
+        for (let i = first; i < last; i++) sum += frequencyData[i];
+        return sum / (last - first) / 255;
+    }
+
+    /**
+     * Loudest bin of a bin range, 0-1
+     */
+    static peak(frequencyData, range) {
+        const { first, last } = range;
+        if (last <= first) return FrequencyMap.interpolate(frequencyData, range.centre);
+        let max = 0;
+        for (let i = first; i < last; i++) {
+            if (frequencyData[i] > max) max = frequencyData[i];
+        }
+        return max / 255;
+    }
+
+    /**
+     * Level between two bins at a fractional bin index, 0-1
+     */
+    static interpolate(frequencyData, position) {
+        const index = Math.floor(position);
+        const next = frequencyData[Math.min(index + 1, frequencyData.length - 1)];
+        return (frequencyData[index] + (next - frequencyData[index]) * (position - index)) / 255;
+    }
+
+    /**
+     * Level of one of the named BANDS (or any { from, to } range in Hz), 0-1
+     * @param {Object} audio - The frame's audio object (see style-registry.js)
+     * @param {string|Object} band - 'low', 'mid', 'high' or { from, to }
+     */
+    static level(audio, band) {
+        const { from, to } = typeof band === 'string' ? FrequencyMap.BANDS[band] : band;
+        const binCount = audio.frequencyData.length;
+        const top = Math.min(to, audio.sampleRate / 2);
+        return FrequencyMap.average(audio.frequencyData, FrequencyMap.binRange(from, top, audio.sampleRate, binCount));
+    }
+
+    /**
+     * A frame's spectrum in count values on the user's scale, 0-1
+     * Maps are kept per count and channel, and rebuilt when the scale, sample
+     * rate or FFT size changes.
+     * @param {Object} audio - The frame's audio object (see style-registry.js)
+     * @param {number} count - Number of values, e.g. one per bar
+     * @param {string} [channel] - 'left' or 'right' for one side of audio.stereo, instead of the mix
+     * @returns {Float32Array} Reused on the next call with the same count and channel
+     */
+    static spectrum(audio, count, channel = null) {
+        const frequencyData = channel ? audio.stereo[channel].frequencyData : audio.frequencyData;
+        const options = { scale: audio.scale, count, sampleRate: audio.sampleRate, binCount: frequencyData.length };
+        const key = channel ? `${channel}:${count}` : count;
+        let map = FrequencyMap.cache.get(key);
+        if (!map || !map.matches(options)) {
+            map = new FrequencyMap(options);
+            FrequencyMap.cache.set(key, map);
+        }
+        return map.map(frequencyData);
+    }
+}
+
+FrequencyMap.SCALES = ['linear', 'log', 'third-octave', 'mel'];
+FrequencyMap.SCALE_NAMES = {
+    linear: 'Linear',
+    log: 'Logarithmic',
+    'third-octave': '1/3 Octave',
+    mel: 'Mel'
+};
+FrequencyMap.FFT_SIZES = [256, 512, 1024, 2048, 4096, 8192, 16384, 32768];
+FrequencyMap.MIN_FREQUENCY = 20;
+FrequencyMap.MAX_FREQUENCY = 20000;
+// What bass, mids and treble mean everywhere, in Hz
+FrequencyMap.BANDS = {
+    low: { from: 20, to: 250 },
+    mid: { from: 250, to: 4000 },
+    high: { from: 4000, to: 20000 }
+};
+FrequencyMap.cache = new Map();
@@ -0,0 +1,193 @@
+/**
+ * HTTP Auth Provider
+ *
+ * Keeps accounts on a server (see server/auth-server.js) so a team can share
+ * one self-hosted account store. Logging in returns a short-lived access token
+ * and a longer-lived refresh token; the access token is refreshed shortly
+ * before it expires, and the session ends once the refresh token is refused.
+ * Sessions without "remember me" are kept in sessionStorage and get a shorter
+ * refresh lifetime from the server.
+ */
+class HttpAuthProvider extends AuthProvider {
+    /**
+     * @param {string} baseUrl - Server origin, e.g. 'http://localhost:8787' ('' for same origin)
+     */
+    constructor(baseUrl = '') {
+        super();
+        this.name = 'http';
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.refreshPromise = null;
+    }
+
+    async register(username, password) {
+        await this.request('POST', '/api/register', { username, password });
+    }
+
+    async login(username, password, { remember = false } = {}) {
+        const result = await this.request('POST', '/api/login', { username, password, remember });
+        return this.storeSession(result);
+    }
+
+    /**
+     * Revoke the tokens on the server; the local session is dropped even if that fails
+     */
+    async logout() {
+        const session = this.loadSession();
+        this.clearSession();
+        if (!session) return;
+        try {
+            await this.request('POST', '/api/logout', { refreshToken: session.refreshToken }, session.token);
+        } catch (error) {
+            console.warn('Could not revoke session on the server', error);
+        }
+    }
+
+    async currentSession() {
+        const session = this.loadSession();
+        if (!session) return null;
+        try {
+            return await this.ensureFreshSession(session);
+        } catch (error) {
+            if (error instanceof AuthError) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * The server logs out every other session and issues this one a new token pair
+     */
+    async changePassword(currentPassword, newPassword) {
+        const remember = this.loadSession().remember;
+        const result = await this.authorizedRequest('POST', '/api/password', { currentPassword, newPassword, remember });
+        this.storeSession(result);
+    }
+
+    async deleteAccount(password) {
+        await this.authorizedRequest('DELETE', '/api/account', { password });
+        this.clearSession();
+    }
+
+    /**
+     * Refresh the access token if it is about to expire
+     */
+    async ensureFreshSession(session) {
+        if (session.tokenExpiresAt - Date.now() > HttpAuthProvider.REFRESH_MARGIN_MS) {
+            return this.publicSession(session);
+        }
+        return this.refresh(session);
+    }
+
+    /**
+     * Swap the refresh token for a new token pair
+     * Concurrent callers share one request, since each refresh token is single-use.
+     */
+    refresh(session) {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.request('POST', '/api/refresh', { refreshToken: session.refreshToken })
+                .then(result => this.storeSession(result))
+                .catch(error => {
+                    // A refused refresh token means the session is over
+                    if (error instanceof AuthError) this.clearSession();
+                    throw error;
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+        return this.refreshPromise;
+    }
+
+    /**
+     * Make a request as the logged-in user, refreshing the token once if it was rejected
+     */
+    async authorizedRequest(method, path, body) {
+        const stored = this.loadSession();
+        if (!stored) {
+            throw new AuthError('You are not logged in.');
+        }
+        await this.ensureFreshSession(stored);
+        try {
+            return await this.request(method, path, body, this.loadSession().token);
+        } catch (error) {
+            if (error.status !== 401) throw error;
+            await this.refresh(this.loadSession());
+            return this.request(method, path, body, this.loadSession().token);
+        }
+    }
+
+    /**
+     * Send a JSON request; server-side refusals become AuthErrors carrying the HTTP status
+     */
+    async request(method, path, body, token) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) headers.Authorization = `Bearer ${token}`;
+
+        let response;
+        try {
+            response = await fetch(this.baseUrl + path, {
+                method,
+                headers,
+                body: body ? JSON.stringify(body) : undefined
+            });
+        } catch (error) {
+            throw new Error(`Could not reach the account server: ${error.message}`);
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            if (response.status >= 500) {
+                throw new Error(data.error || `Account server error (${response.status})`);
+            }
+            const error = new AuthError(data.error || 'Request was refused.');
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
+    /**
+     * Save the token pair returned by login or refresh
+     */
+    storeSession({ username, token, refreshToken, remember, expiresIn, refreshExpiresIn }) {
+        const now = Date.now();
+        const session = {
+            username,
+            token,
+            refreshToken,
+            remember,
+            tokenExpiresAt: now + expiresIn * 1000,
+            // The session itself lasts until the refresh token runs out
+            expiresAt: now + refreshExpiresIn * 1000
+        };
+        this.clearSession();
+        AuthProvider.sessionStorageFor(remember).setItem(HttpAuthProvider.SESSION_KEY, JSON.stringify(session));
+        return this.publicSession(session);
+    }
+
+    loadSession() {
+        const sessionJson = sessionStorage.getItem(HttpAuthProvider.SESSION_KEY) ||
+            localStorage.getItem(HttpAuthProvider.SESSION_KEY);
+        return sessionJson ? JSON.parse(sessionJson) : null;
+    }
+
+    clearSession() {
+        localStorage.removeItem(HttpAuthProvider.SESSION_KEY);
+        sessionStorage.removeItem(HttpAuthProvider.SESSION_KEY);
+    }
+
+    /**
+     * The session as handed to the app, without the tokens
+     */
+    publicSession(session) {
+        return {
+            username: session.username,
+            provider: this.name,
+            remember: session.remember,
+            expiresAt: session.expiresAt
+        };
+    }
+}
+
+HttpAuthProvider.SESSION_KEY = 'audioVisualizerHttpSession';
+// Refresh this long before the access token runs out
+HttpAuthProvider.REFRESH_MARGIN_MS = 60 * 1000;
@@ -0,0 +1,282 @@
+/**
+ * Music Library
+ *
+ * Stores uploaded audio files and the last playback session in IndexedDB so
+ * that a user's tracks survive page reloads. Every record is tagged with the
+ * owning username, so each account only ever sees its own library.
+ */
+class MusicLibrary {
+    /**
+     * @param {string} owner - Username that owns the tracks in this library
+     */
+    constructor(owner) {
+        this.owner = owner;
+    }
+
+    /**
+     * Open (and create or upgrade) the shared library database
+     */
+    static open() {
+        if (!MusicLibrary.dbPromise) {
+            MusicLibrary.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(MusicLibrary.DB_NAME, MusicLibrary.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('tracks')) {
+                        const tracks = db.createObjectStore('tracks', { keyPath: 'id' });
+                        tracks.createIndex('owner', 'owner', { unique: false });
+                    }
+                    if (!db.objectStoreNames.contains('sessions')) {
+                        db.createObjectStore('sessions', { keyPath: 'owner' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    MusicLibrary.dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return MusicLibrary.dbPromise;
+    }
+
+    /**
+     * Whether an error was caused by the browser's storage quota
+     */
+    static isQuotaError(error) {
+        return !!error && (error.name === 'QuotaExceededError' ||
+            (error.inner && error.inner.name === 'QuotaExceededError'));
+    }
+
+    /**
+     * Run a request-producing callback inside a transaction and resolve once it commits
+     */
+    async run(storeName, mode, callback) {
+        const db = await MusicLibrary.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const store = transaction.objectStore(storeName);
+            const request = callback(store);
+            let result;
+            if (request) {
+                request.onsuccess = () => { result = request.result; };
+            }
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error || (request && request.error));
+            transaction.onabort = () => reject(transaction.error || new Error('Library transaction aborted'));
+        });
+    }
+
+    /**
+     * Ask the browser to keep the library when storage runs low
+     */
+    async requestPersistence() {
+        if (navigator.storage && navigator.storage.persist) {
+            try {
+                await navigator.storage.persist();
+            } catch (e) {
+                // Persistence is best effort
+            }
+        }
+    }
+
+    /**
+     * Throw a QuotaExceededError up front if the files clearly won't fit
+     */
+    async checkQuota(bytesNeeded) {
+        if (!navigator.storage || !navigator.storage.estimate) return;
+        const { usage = 0, quota = Infinity } = await navigator.storage.estimate();
+        if (usage + bytesNeeded > quota) {
+            const error = new Error('Not enough storage space for these tracks.');
+            error.name = 'QuotaExceededError';
+            throw error;
+        }
+    }
+
+    /**
+     * Store uploaded files in the library
+     * Files already in the library (same name, size and modified date) are reused.
+     * @param {File[]} files - Files from the upload input
+     * @returns {Promise<Object[]>} Track records in the order given
+     */
+    async addFiles(files) {
+        const existing = await this.getTracks();
+        const records = [];
+        const newRecords = [];
+
+        files.forEach(file => {
+            const duplicate = existing.find(track =>
+                track.name === file.name && track.size === file.size && track.lastModified === file.lastModified);
+            if (duplicate) {
+                records.push(duplicate);
+                return;
+            }
+            const record = {
+                id: MusicLibrary.createId(),
+                owner: this.owner,
+                name: file.name,
+                type: file.type,
+                size: file.size,
+                lastModified: file.lastModified,
+                addedAt: Date.now(),
+                duration: null,
+                file: file
+            };
+            records.push(record);
+            newRecords.push(record);
+        });
+
+        // Read embedded tags so the library can show and search them
+        await Promise.all(newRecords.map(async record => {
+            record.metadata = await TrackMetadata.read(record.file);
+            if (record.metadata.duration) record.duration = record.metadata.duration;
+        }));
+
+        if (newRecords.length > 0) {
+            await this.checkQuota(newRecords.reduce((sum, record) => sum + record.size, 0));
+            await this.run('tracks', 'readwrite', store => {
+                newRecords.forEach(record => store.put(record));
+            });
+        }
+        return records;
+    }
+
+    /**
+     * Get this user's tracks, optionally filtered and sorted
+     * @param {Object} options
+     * @param {string} options.query - Case-insensitive text to match against the name and tags
+     * @param {string} options.sort - 'recent', 'name', 'artist', 'size' or 'duration'
+     */
+    async getTracks({ query = '', sort = 'recent' } = {}) {
+        const tracks = await this.run('tracks', 'readonly', store =>
+            store.index('owner').getAll(IDBKeyRange.only(this.owner)));
+
+        const needle = query.trim().toLowerCase();
+        const filtered = needle
+            ? tracks.filter(track => MusicLibrary.searchText(track).includes(needle))
+            : tracks;
+
+        const compareText = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true });
+        const comparators = {
+            recent: (a, b) => b.addedAt - a.addedAt,
+            name: (a, b) => compareText(MusicLibrary.sortTitle(a), MusicLibrary.sortTitle(b)),
+            artist: (a, b) => compareText(MusicLibrary.sortArtist(a), MusicLibrary.sortArtist(b)) ||
+                compareText(MusicLibrary.sortAlbum(a), MusicLibrary.sortAlbum(b)) ||
+                (MusicLibrary.sortTrackNumber(a) - MusicLibrary.sortTrackNumber(b)),
+            size: (a, b) => b.size - a.size,
+            duration: (a, b) => (b.duration || 0) - (a.duration || 0)
+        };
+        return filtered.sort(comparators[sort] || comparators.recent);
+    }
+
+    /**
+     * Text a track is matched against when searching
+     */
+    static searchText(track) {
+        const metadata = track.metadata || {};
+        return [track.name, metadata.title, metadata.artist, metadata.album]
+            .filter(Boolean)
+            .join(' ')
+            .toLowerCase();
+    }
+
+    /**
+     * Sort keys, falling back to the file name when a track has no tags
+     */
+    static sortTitle(track) {
+        return (track.metadata && track.metadata.title) || track.name;
+    }
+
+    static sortArtist(track) {
+        return (track.metadata && track.metadata.artist) || '';
+    }
+
+    static sortAlbum(track) {
+        return (track.metadata && track.metadata.album) || '';
+    }
+
+    static sortTrackNumber(track) {
+        return (track.metadata && track.metadata.trackNumber) || 0;
+    }
+
+    /**
+     * Get tracks by id, skipping any that no longer exist
+     */
+    async getTracksById(ids) {
+        const tracks = await this.getTracks();
+        const byId = new Map(tracks.map(track => [track.id, track]));
+        return ids.map(id => byId.get(id)).filter(Boolean);
+    }
+
+    /**
+     * Merge changes (e.g. a decoded duration) into a stored track
+     */
+    async updateTrack(id, changes) {
+        const track = await this.run('tracks', 'readonly', store => store.get(id));
+        if (!track || track.owner !== this.owner) return null;
+        Object.assign(track, changes);
+        await this.run('tracks', 'readwrite', store => store.put(track));
+        return track;
+    }
+
+    /**
+     * Remove a track from the library
+     */
+    async deleteTrack(id) {
+        const track = await this.run('tracks', 'readonly', store => store.get(id));
+        if (!track || track.owner !== this.owner) return;
+        await this.run('tracks', 'readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Remove every track and the saved session for this user
+     */
+    async deleteAll() {
+        const tracks = await this.getTracks();
+        await this.run('tracks', 'readwrite', store => {
+            tracks.forEach(track => store.delete(track.id));
+        });
+        await this.run('sessions', 'readwrite', store => store.delete(this.owner));
+    }
+
+    /**
+     * Save the current playlist and playback position
+     * @param {Object} session
+     * @param {string[]} session.playlist - Track ids in playlist order
+     * @param {number} session.trackIndex - Index of the current track
+     * @param {number} session.position - Playback position in seconds
+     * @param {boolean} session.shuffle - Whether shuffle is on
+     * @param {string} session.repeatMode - 'off', 'all' or 'one'
+     */
+    async saveSession({ playlist, trackIndex, position, shuffle = false, repeatMode = 'off' }) {
+        await this.run('sessions', 'readwrite', store => store.put({
+            owner: this.owner,
+            playlist,
+            trackIndex,
+            position,
+            shuffle,
+            repeatMode,
+            updatedAt: Date.now()
+        }));
+    }
+
+    /**
+     * Load the last saved session, or null if there is none
+     */
+    async loadSession() {
+        const session = await this.run('sessions', 'readonly', store => store.get(this.owner));
+        return session || null;
+    }
+
+    /**
+     * Generate a unique track id
+     */
+    static createId() {
+        if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+}
+
+MusicLibrary.DB_NAME = 'audioVisualizerLibrary';
+MusicLibrary.DB_VERSION = 1;
+MusicLibrary.dbPromise = null;
@@ -0,0 +1,120 @@
+/**
+ * Live Input
+ *
+ * Captures a live audio stream (microphone/line-in through getUserMedia, or a
+ * browser tab / the system mix through getDisplayMedia) and routes it into the
+ * visualizer's analyser. The stream is never connected to the destination so
+ * that a microphone pointed at the speakers can't feed back.
+ */
+class LiveInput {
+    /**
+     * @param {AudioContext} audioContext - Context that owns the stream source
+     * @param {AudioNode} output - Node the live stream is connected to (the analyser)
+     */
+    constructor(audioContext, output) {
+        this.audioContext = audioContext;
+        this.output = output;
+
+        this.stream = null;
+        this.sourceNode = null;
+        this.kind = null;
+        this.label = '';
+
+        // Called when the stream ends on its own (e.g. the user stops sharing)
+        this.onEnded = null;
+    }
+
+    /**
+     * Whether a live stream is currently connected
+     */
+    get isActive() {
+        return this.stream !== null;
+    }
+
+    /**
+     * List available audio input devices
+     * Labels are only filled in once the user has granted microphone access
+     */
+    async listDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'audioinput')
+            .map((device, index) => ({
+                deviceId: device.deviceId,
+                label: device.label || `Input ${index + 1}`
+            }));
+    }
+
+    /**
+     * Start capturing audio
+     * @param {string} kind - 'mic' for microphone/line-in, 'display' for tab/system audio
+     * @param {string} deviceId - Optional input device for 'mic'
+     */
+    async start(kind, deviceId) {
+        if (!navigator.mediaDevices) {
+            throw new Error('Live audio input is not supported in this browser.');
+        }
+
+        // Analysis wants the raw signal, not one tuned for voice calls
+        const audioConstraints = {
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false
+        };
+
+        let stream;
+        if (kind === 'display') {
+            if (!navigator.mediaDevices.getDisplayMedia) {
+                throw new Error('Tab and system audio capture is not supported in this browser.');
+            }
+            // Most browsers only offer audio capture alongside a video track
+            stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: audioConstraints });
+            stream.getVideoTracks().forEach(track => track.stop());
+            if (stream.getAudioTracks().length === 0) {
+                throw new Error('No audio was shared. Tick "Share audio" when choosing what to capture.');
+            }
+        } else {
+            if (deviceId) {
+                audioConstraints.deviceId = { exact: deviceId };
+            }
+            stream = await navigator.mediaDevices.getUserMedia({ audio: audioConstraints });
+        }
+
+        // Replace any stream that is already running
+        this.stop();
+
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+
+        const audioTrack = stream.getAudioTracks()[0];
+        this.stream = stream;
+        this.kind = kind;
+        this.label = audioTrack.label || (kind === 'display' ? 'Tab Audio' : 'Microphone');
+        this.sourceNode = this.audioContext.createMediaStreamSource(stream);
+        this.sourceNode.connect(this.output);
+
+        audioTrack.addEventListener('ended', () => {
+            if (this.stream !== stream) return;
+            this.stop();
+            if (this.onEnded) this.onEnded();
+        });
+    }
+
+    /**
+     * Disconnect and release the current stream
+     */
+    stop() {
+        if (this.sourceNode) {
+            this.sourceNode.disconnect();
+            this.sourceNode = null;
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        this.kind = null;
+        this.label = '';
+    }
+}
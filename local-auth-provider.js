@@ -0,0 +1,281 @@
+/**
+ * Local Auth Provider
+ *
+ * Keeps accounts in this browser's localStorage. Passwords are stored as
+ * salted PBKDF2-SHA256 hashes; accounts created before hashing still hold the
+ * plain password and are upgraded on their next successful login. Repeated
+ * failed logins lock the username out for progressively longer.
+ */
+class LocalAuthProvider extends AuthProvider {
+    constructor() {
+        super();
+        this.name = 'local';
+    }
+
+    getUsers() {
+        const usersJson = localStorage.getItem(LocalAuthProvider.USERS_KEY);
+        return LocalAuthProvider.toRecordMap(usersJson ? JSON.parse(usersJson) : {});
+    }
+
+    saveUsers(users) {
+        localStorage.setItem(LocalAuthProvider.USERS_KEY, JSON.stringify(users));
+    }
+
+    /**
+     * Create an account with a freshly salted password hash
+     */
+    async register(username, password) {
+        const users = this.getUsers();
+        if (users[username]) {
+            throw new AuthError('Username already taken.');
+        }
+        users[username] = await LocalAuthProvider.createPasswordRecord(password);
+        this.saveUsers(users);
+    }
+
+    /**
+     * Verify the password, applying the lockout, and start a session
+     */
+    async login(username, password, { remember = false } = {}) {
+        await this.verifyCredentials(username, password);
+
+        // Upgrade plaintext or outdated records now that we know the password
+        const users = this.getUsers();
+        const record = users[username];
+        if (typeof record === 'string' || record.iterations < LocalAuthProvider.HASH_ITERATIONS) {
+            users[username] = await LocalAuthProvider.createPasswordRecord(password);
+            this.saveUsers(users);
+        }
+
+        const session = {
+            username,
+            provider: this.name,
+            remember,
+            expiresAt: Date.now() + (remember ? LocalAuthProvider.REMEMBER_MS : LocalAuthProvider.SESSION_MS)
+        };
+        await this.logout();
+        AuthProvider.sessionStorageFor(remember).setItem(LocalAuthProvider.CURRENT_USER_KEY, JSON.stringify(session));
+        return session;
+    }
+
+    async logout() {
+        localStorage.removeItem(LocalAuthProvider.CURRENT_USER_KEY);
+        sessionStorage.removeItem(LocalAuthProvider.CURRENT_USER_KEY);
+    }
+
+    async currentSession() {
+        const session = this.loadSession();
+        if (!session) return null;
+
+        // Expired, or the account was deleted in another tab
+        if (session.expiresAt <= Date.now() || !this.getUsers()[session.username]) {
+            await this.logout();
+            return null;
+        }
+        return session;
+    }
+
+    /**
+     * The stored session, whether or not it has expired
+     */
+    loadSession() {
+        const sessionJson = sessionStorage.getItem(LocalAuthProvider.CURRENT_USER_KEY) ||
+            localStorage.getItem(LocalAuthProvider.CURRENT_USER_KEY);
+        if (!sessionJson) return null;
+        try {
+            return JSON.parse(sessionJson);
+        } catch (e) {
+            // Before sessions expired only the bare username was stored; treat it as remembered
+            const session = {
+                username: sessionJson,
+                provider: this.name,
+                remember: true,
+                expiresAt: Date.now() + LocalAuthProvider.REMEMBER_MS
+            };
+            localStorage.setItem(LocalAuthProvider.CURRENT_USER_KEY, JSON.stringify(session));
+            return session;
+        }
+    }
+
+    async changePassword(currentPassword, newPassword) {
+        const username = this.requireUser();
+        await this.verifyCredentials(username, currentPassword, AuthProvider.PASSWORD_ERROR);
+        const users = this.getUsers();
+        users[username] = await LocalAuthProvider.createPasswordRecord(newPassword);
+        this.saveUsers(users);
+    }
+
+    async deleteAccount(password) {
+        const username = this.requireUser();
+        await this.verifyCredentials(username, password, AuthProvider.PASSWORD_ERROR);
+        const users = this.getUsers();
+        delete users[username];
+        this.saveUsers(users);
+        this.clearFailedLogins(username);
+        await this.logout();
+    }
+
+    /**
+     * Username of the logged-in user, or an AuthError if nobody is
+     */
+    requireUser() {
+        const session = this.loadSession();
+        if (!session || session.expiresAt <= Date.now()) {
+            throw new AuthError('Your session has expired. Please log in again.');
+        }
+        return session.username;
+    }
+
+    /**
+     * Throw an AuthError unless the password matches, counting failures towards a lockout
+     */
+    async verifyCredentials(username, password, failureMessage = AuthProvider.LOGIN_ERROR) {
+        // Locked-out names are refused before checking anything, whether or not they exist
+        const lockedFor = this.getLockoutRemaining(username);
+        if (lockedFor > 0) {
+            throw new AuthError(`Too many failed attempts. Try again in ${LocalAuthProvider.formatLockout(lockedFor)}.`);
+        }
+
+        const record = this.getUsers()[username];
+        let valid;
+        if (record) {
+            valid = await LocalAuthProvider.verifyPassword(record, password);
+        } else {
+            // Do the same work for unknown users so response time doesn't give them away
+            await LocalAuthProvider.createPasswordRecord(password);
+            valid = false;
+        }
+
+        if (!valid) {
+            this.recordFailedLogin(username);
+            throw new AuthError(failureMessage);
+        }
+        this.clearFailedLogins(username);
+    }
+
+    getLoginAttempts() {
+        const attemptsJson = localStorage.getItem(LocalAuthProvider.LOGIN_ATTEMPTS_KEY);
+        return LocalAuthProvider.toRecordMap(attemptsJson ? JSON.parse(attemptsJson) : {});
+    }
+
+    saveLoginAttempts(attempts) {
+        localStorage.setItem(LocalAuthProvider.LOGIN_ATTEMPTS_KEY, JSON.stringify(attempts));
+    }
+
+    /**
+     * Milliseconds until this username may try again (0 if not locked)
+     */
+    getLockoutRemaining(username) {
+        const entry = this.getLoginAttempts()[username];
+        if (!entry || !entry.lockedUntil) return 0;
+        return Math.max(0, entry.lockedUntil - Date.now());
+    }
+
+    /**
+     * Count a failure; from MAX_FAILED_ATTEMPTS on, each one doubles the lockout
+     */
+    recordFailedLogin(username) {
+        const attempts = this.getLoginAttempts();
+        const entry = attempts[username] || { failures: 0, lockedUntil: 0 };
+        entry.failures += 1;
+        if (entry.failures >= LocalAuthProvider.MAX_FAILED_ATTEMPTS) {
+            const doublings = entry.failures - LocalAuthProvider.MAX_FAILED_ATTEMPTS;
+            entry.lockedUntil = Date.now() +
+                Math.min(LocalAuthProvider.BASE_LOCKOUT_MS * 2 ** doublings, LocalAuthProvider.MAX_LOCKOUT_MS);
+        }
+        attempts[username] = entry;
+        this.saveLoginAttempts(attempts);
+    }
+
+    clearFailedLogins(username) {
+        const attempts = this.getLoginAttempts();
+        delete attempts[username];
+        this.saveLoginAttempts(attempts);
+    }
+
+    /**
+     * Copy records keyed by username into an object without a prototype, so
+     * names like "constructor" or "__proto__" are looked up like any other
+     */
+    static toRecordMap(records) {
+        return Object.assign(Object.create(null), records);
+    }
+
+    static formatLockout(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+        const minutes = Math.ceil(seconds / 60);
+        return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+
+    static bytesToBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary);
+    }
+
+    static base64ToBytes(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    static async derivePasswordHash(password, salt, iterations) {
+        const key = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, LocalAuthProvider.HASH_BITS);
+        return LocalAuthProvider.bytesToBase64(new Uint8Array(bits));
+    }
+
+    static async createPasswordRecord(password) {
+        const salt = crypto.getRandomValues(new Uint8Array(LocalAuthProvider.SALT_BYTES));
+        return {
+            algorithm: LocalAuthProvider.HASH_ALGORITHM,
+            iterations: LocalAuthProvider.HASH_ITERATIONS,
+            salt: LocalAuthProvider.bytesToBase64(salt),
+            hash: await LocalAuthProvider.derivePasswordHash(password, salt, LocalAuthProvider.HASH_ITERATIONS)
+        };
+    }
+
+    /**
+     * Compare without returning early, so timing doesn't reveal how much matched
+     */
+    static constantTimeEqual(a, b) {
+        let difference = a.length ^ b.length;
+        for (let i = 0; i < Math.max(a.length, b.length); i++) {
+            difference |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+        }
+        return difference === 0;
+    }
+
+    static async verifyPassword(record, password) {
+        // Accounts created before hashing stored the password itself
+        if (typeof record === 'string') {
+            return LocalAuthProvider.constantTimeEqual(record, password);
+        }
+        const salt = LocalAuthProvider.base64ToBytes(record.salt);
+        const hash = await LocalAuthProvider.derivePasswordHash(password, salt, record.iterations);
+        return LocalAuthProvider.constantTimeEqual(hash, record.hash);
+    }
+}
+
+LocalAuthProvider.USERS_KEY = 'audioVisualizerUsers';
+LocalAuthProvider.CURRENT_USER_KEY = 'audioVisualizerCurrentUser';
+LocalAuthProvider.LOGIN_ATTEMPTS_KEY = 'audioVisualizerLoginAttempts';
+
+// How long a session lasts with and without "remember me"
+LocalAuthProvider.REMEMBER_MS = 30 * 24 * 60 * 60 * 1000;
+LocalAuthProvider.SESSION_MS = 12 * 60 * 60 * 1000;
+
+// Password hashing: salted PBKDF2-SHA256 via WebCrypto
+LocalAuthProvider.HASH_ALGORITHM = 'PBKDF2-SHA256';
+LocalAuthProvider.HASH_ITERATIONS = 210000;
+LocalAuthProvider.SALT_BYTES = 16;
+LocalAuthProvider.HASH_BITS = 256;
+
+// Lockout: after MAX_FAILED_ATTEMPTS, each further failure doubles the wait
+LocalAuthProvider.MAX_FAILED_ATTEMPTS = 5;
+LocalAuthProvider.BASE_LOCKOUT_MS = 30 * 1000;
+LocalAuthProvider.MAX_LOCKOUT_MS = 15 * 60 * 1000;
@@ -0,0 +1,501 @@
+/**
+ * Track Metadata
+ *
+ * Reads embedded tags from audio files: ID3v1/ID3v2 (MP3), Vorbis comments
+ * (Ogg Vorbis/Opus and FLAC) and iTunes-style MP4/M4A atoms. Returns the
+ * title, artist, album, track number, duration (when the container states it)
+ * and embedded cover art. Everything is read with Blob slices, so large files
+ * are never loaded whole just for their tags.
+ */
+(() => {
+    const latin1 = new TextDecoder('iso-8859-1');
+    const utf8 = new TextDecoder('utf-8');
+    const utf16le = new TextDecoder('utf-16le');
+    const utf16be = new TextDecoder('utf-16be');
+
+    // Ogg comment packets (with base64 cover art) rarely exceed this
+    const OGG_HEAD_BYTES = 1024 * 1024;
+    const OGG_TAIL_BYTES = 64 * 1024;
+
+    async function readBytes(blob, start, end) {
+        return new Uint8Array(await blob.slice(start, end).arrayBuffer());
+    }
+
+    function ascii(bytes, start, length) {
+        return latin1.decode(bytes.subarray(start, start + length));
+    }
+
+    function uint32BE(bytes, offset) {
+        return ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+    }
+
+    function uint32LE(bytes, offset) {
+        return bytes[offset] + (bytes[offset + 1] << 8) + (bytes[offset + 2] << 16) + ((bytes[offset + 3] << 24) >>> 0);
+    }
+
+    function syncsafe(bytes, offset) {
+        return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+    }
+
+    function emptyMetadata() {
+        return { title: '', artist: '', album: '', trackNumber: null, duration: null, picture: null };
+    }
+
+    /**
+     * Parse "3" or "3/12" into a track number
+     */
+    function parseTrackNumber(value) {
+        const number = parseInt(String(value).split('/')[0], 10);
+        return Number.isFinite(number) && number > 0 ? number : null;
+    }
+
+    function cleanText(text) {
+        // Multiple values are null-separated in ID3v2.4; show them like "A / B"
+        return text.replace(/\0+$/, '').split('\0').filter(Boolean).join(' / ').trim();
+    }
+
+    // ---- ID3v2 -------------------------------------------------------------
+
+    /**
+     * Undo ID3 unsynchronisation (0xFF 0x00 -> 0xFF)
+     */
+    function removeUnsync(bytes) {
+        const out = new Uint8Array(bytes.length);
+        let length = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            out[length++] = bytes[i];
+            if (bytes[i] === 0xFF && bytes[i + 1] === 0x00) i++;
+        }
+        return out.subarray(0, length);
+    }
+
+    function decodeId3Text(encoding, bytes) {
+        switch (encoding) {
+            case 1: {
+                // UTF-16 with byte order mark
+                if (bytes[0] === 0xFE && bytes[1] === 0xFF) return utf16be.decode(bytes.subarray(2));
+                if (bytes[0] === 0xFF && bytes[1] === 0xFE) return utf16le.decode(bytes.subarray(2));
+                return utf16le.decode(bytes);
+            }
+            case 2: return utf16be.decode(bytes);
+            case 3: return utf8.decode(bytes);
+            default: return latin1.decode(bytes);
+        }
+    }
+
+    /**
+     * Find the end of a null-terminated string (two nulls for UTF-16)
+     */
+    function findTerminator(bytes, start, encoding) {
+        const wide = encoding === 1 || encoding === 2;
+        for (let i = start; i < bytes.length; i += wide ? 2 : 1) {
+            if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) return i;
+        }
+        return bytes.length;
+    }
+
+    function parseId3Picture(frame, isV22) {
+        const encoding = frame[0];
+        let offset = 1;
+        let mime;
+        if (isV22) {
+            // v2.2 stores a three letter image format instead of a MIME type
+            const format = ascii(frame, 1, 3).toUpperCase();
+            mime = format === 'PNG' ? 'image/png' : 'image/jpeg';
+            offset = 4;
+        } else {
+            const mimeEnd = findTerminator(frame, offset, 0);
+            mime = ascii(frame, offset, mimeEnd - offset) || 'image/jpeg';
+            if (!mime.includes('/')) mime = `image/${mime.toLowerCase()}`;
+            offset = mimeEnd + 1;
+        }
+        const pictureType = frame[offset];
+        offset += 1;
+        const descriptionEnd = findTerminator(frame, offset, encoding);
+        offset = descriptionEnd + (encoding === 1 || encoding === 2 ? 2 : 1);
+        return { type: pictureType, mime, data: frame.slice(offset) };
+    }
+
+    async function readId3v2(blob, metadata) {
+        const header = await readBytes(blob, 0, 10);
+        if (ascii(header, 0, 3) !== 'ID3') return false;
+
+        const version = header[3];
+        const flags = header[5];
+        const tagSize = syncsafe(header, 6);
+        let tag = await readBytes(blob, 10, 10 + tagSize);
+
+        // v2.2/v2.3 unsynchronise the whole tag; v2.4 flags it per frame
+        if ((flags & 0x80) && version < 4) tag = removeUnsync(tag);
+
+        let offset = 0;
+        if (flags & 0x40) {
+            // Skip the extended header
+            offset = version === 4 ? syncsafe(tag, 0) : uint32BE(tag, 0) + 4;
+        }
+
+        const isV22 = version === 2;
+        const idLength = isV22 ? 3 : 4;
+        const headerLength = isV22 ? 6 : 10;
+        const textFrames = isV22
+            ? { TT2: 'title', TP1: 'artist', TAL: 'album', TRK: 'track', TLE: 'length' }
+            : { TIT2: 'title', TPE1: 'artist', TALB: 'album', TRCK: 'track', TLEN: 'length', TPE2: 'albumArtist' };
+        const pictureFrame = isV22 ? 'PIC' : 'APIC';
+        const values = {};
+        let picture = null;
+
+        while (offset + headerLength <= tag.length) {
+            const id = ascii(tag, offset, idLength);
+            if (!/^[A-Z0-9]+$/.test(id)) break; // Reached padding
+
+            let size;
+            if (isV22) {
+                size = (tag[offset + 3] << 16) | (tag[offset + 4] << 8) | tag[offset + 5];
+            } else if (version === 4) {
+                size = syncsafe(tag, offset + 4);
+            } else {
+                size = uint32BE(tag, offset + 4);
+            }
+            const frameFlags = isV22 ? 0 : tag[offset + 9];
+            const start = offset + headerLength;
+            offset = start + size;
+            if (size <= 0 || offset > tag.length) break;
+
+            let frame = tag.subarray(start, start + size);
+            if (version === 4) {
+                // Skip the data length indicator and undo per-frame unsynchronisation
+                if (frameFlags & 0x01) frame = frame.subarray(4);
+                if (frameFlags & 0x02) frame = removeUnsync(frame);
+            }
+            // Compressed or encrypted frames can't be read without more machinery
+            if (!isV22 && (version === 4 ? frameFlags & 0x0C : frameFlags & 0xC0)) continue;
+
+            if (textFrames[id]) {
+                values[textFrames[id]] = cleanText(decodeId3Text(frame[0], frame.subarray(1)));
+            } else if (id === pictureFrame) {
+                const candidate = parseId3Picture(frame, isV22);
+                // Prefer the front cover (type 3) when there are several pictures
+                if (!picture || (candidate.type === 3 && picture.type !== 3)) picture = candidate;
+            }
+        }
+
+        metadata.title = values.title || metadata.title;
+        metadata.artist = values.artist || values.albumArtist || metadata.artist;
+        metadata.album = values.album || metadata.album;
+        if (values.track) metadata.trackNumber = parseTrackNumber(values.track);
+        if (values.length && parseInt(values.length, 10) > 0) {
+            metadata.duration = parseInt(values.length, 10) / 1000;
+        }
+        if (picture && picture.data.length > 0) {
+            metadata.picture = new Blob([picture.data], { type: picture.mime });
+        }
+        return true;
+    }
+
+    // ---- ID3v1 -------------------------------------------------------------
+
+    async function readId3v1(blob, metadata) {
+        if (blob.size < 128) return false;
+        const tag = await readBytes(blob, blob.size - 128, blob.size);
+        if (ascii(tag, 0, 3) !== 'TAG') return false;
+
+        const field = (start, length) => cleanText(latin1.decode(tag.subarray(start, start + length)));
+        metadata.title = metadata.title || field(3, 30);
+        metadata.artist = metadata.artist || field(33, 30);
+        metadata.album = metadata.album || field(63, 30);
+        // ID3v1.1 keeps the track number in the last byte of the comment
+        if (!metadata.trackNumber && tag[125] === 0 && tag[126] !== 0) {
+            metadata.trackNumber = tag[126];
+        }
+        return true;
+    }
+
+    // ---- Vorbis comments (FLAC and Ogg) ------------------------------------
+
+    /**
+     * Parse a FLAC PICTURE block (also used base64-encoded in Ogg comments)
+     */
+    function parseFlacPicture(bytes) {
+        let offset = 0;
+        const type = uint32BE(bytes, offset); offset += 4;
+        const mimeLength = uint32BE(bytes, offset); offset += 4;
+        const mime = ascii(bytes, offset, mimeLength) || 'image/jpeg'; offset += mimeLength;
+        const descriptionLength = uint32BE(bytes, offset); offset += 4 + descriptionLength;
+        offset += 16; // Width, height, colour depth and palette size
+        const dataLength = uint32BE(bytes, offset); offset += 4;
+        return { type, mime, data: bytes.slice(offset, offset + dataLength) };
+    }
+
+    function base64ToBytes(text) {
+        const binary = atob(text.replace(/\s/g, ''));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    function parseVorbisComments(bytes, metadata) {
+        let offset = 0;
+        const vendorLength = uint32LE(bytes, offset);
+        offset += 4 + vendorLength;
+        const count = uint32LE(bytes, offset);
+        offset += 4;
+
+        const values = {};
+        let picture = null;
+        for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+            const length = uint32LE(bytes, offset);
+            offset += 4;
+            const comment = utf8.decode(bytes.subarray(offset, offset + length));
+            offset += length;
+
+            const separator = comment.indexOf('=');
+            if (separator === -1) continue;
+            const key = comment.slice(0, separator).toUpperCase();
+            const value = comment.slice(separator + 1);
+
+            if (key === 'METADATA_BLOCK_PICTURE') {
+                try {
+                    const candidate = parseFlacPicture(base64ToBytes(value));
+                    if (!picture || (candidate.type === 3 && picture.type !== 3)) picture = candidate;
+                } catch (e) {
+                    // Ignore malformed pictures
+                }
+            } else if (!values[key]) {
+                values[key] = value.trim();
+            }
+        }
+
+        metadata.title = values.TITLE || metadata.title;
+        metadata.artist = values.ARTIST || values.ALBUMARTIST || metadata.artist;
+        metadata.album = values.ALBUM || metadata.album;
+        if (values.TRACKNUMBER) metadata.trackNumber = parseTrackNumber(values.TRACKNUMBER);
+        if (picture && picture.data.length > 0) {
+            metadata.picture = new Blob([picture.data], { type: picture.mime });
+        }
+    }
+
+    async function readFlac(blob, metadata) {
+        let offset = 4;
+        let isLast = false;
+        while (!isLast && offset + 4 <= blob.size) {
+            const header = await readBytes(blob, offset, offset + 4);
+            isLast = (header[0] & 0x80) !== 0;
+            const type = header[0] & 0x7F;
+            const length = (header[1] << 16) | (header[2] << 8) | header[3];
+            const start = offset + 4;
+            offset = start + length;
+
+            if (type === 0) {
+                // STREAMINFO: 20-bit sample rate and 36-bit total sample count
+                const info = await readBytes(blob, start, start + length);
+                const sampleRate = (info[10] << 12) | (info[11] << 4) | (info[12] >> 4);
+                const totalSamples = (info[13] & 0x0F) * 2 ** 32 + uint32BE(info, 14);
+                if (sampleRate > 0 && totalSamples > 0) metadata.duration = totalSamples / sampleRate;
+            } else if (type === 4) {
+                parseVorbisComments(await readBytes(blob, start, start + length), metadata);
+            } else if (type === 6 && !metadata.picture) {
+                const picture = parseFlacPicture(await readBytes(blob, start, start + length));
+                if (picture.data.length > 0) metadata.picture = new Blob([picture.data], { type: picture.mime });
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Reassemble the first few logical packets from a run of Ogg pages
+     */
+    function readOggPackets(bytes, maxPackets) {
+        const packets = [];
+        let current = [];
+        let offset = 0;
+        while (offset + 27 <= bytes.length && packets.length < maxPackets) {
+            if (ascii(bytes, offset, 4) !== 'OggS') break;
+            const segmentCount = bytes[offset + 26];
+            const table = bytes.subarray(offset + 27, offset + 27 + segmentCount);
+            let dataOffset = offset + 27 + segmentCount;
+            for (let i = 0; i < table.length; i++) {
+                current.push(bytes.subarray(dataOffset, dataOffset + table[i]));
+                dataOffset += table[i];
+                // A lacing value under 255 ends the packet
+                if (table[i] < 255) {
+                    const length = current.reduce((sum, part) => sum + part.length, 0);
+                    const packet = new Uint8Array(length);
+                    let position = 0;
+                    current.forEach(part => { packet.set(part, position); position += part.length; });
+                    packets.push(packet);
+                    current = [];
+                    if (packets.length >= maxPackets) break;
+                }
+            }
+            offset = dataOffset;
+        }
+        return packets;
+    }
+
+    async function readOgg(blob, metadata) {
+        const head = await readBytes(blob, 0, Math.min(blob.size, OGG_HEAD_BYTES));
+        const [identification, comments] = readOggPackets(head, 2);
+        if (!identification) return false;
+
+        let sampleRate = 0;
+        let preSkip = 0;
+        if (ascii(identification, 1, 6) === 'vorbis') {
+            sampleRate = uint32LE(identification, 12);
+            if (comments && ascii(comments, 1, 6) === 'vorbis') {
+                parseVorbisComments(comments.subarray(7), metadata);
+            }
+        } else if (ascii(identification, 0, 8) === 'OpusHead') {
+            // Opus granule positions always count 48 kHz samples
+            sampleRate = 48000;
+            preSkip = identification[10] | (identification[11] << 8);
+            if (comments && ascii(comments, 0, 8) === 'OpusTags') {
+                parseVorbisComments(comments.subarray(8), metadata);
+            }
+        }
+
+        // The last page's granule position is the total sample count
+        if (sampleRate > 0) {
+            const tailStart = Math.max(0, blob.size - OGG_TAIL_BYTES);
+            const tail = await readBytes(blob, tailStart, blob.size);
+            for (let i = tail.length - 27; i >= 0; i--) {
+                if (tail[i] === 0x4F && ascii(tail, i, 4) === 'OggS') {
+                    const granule = uint32LE(tail, i + 6) + uint32LE(tail, i + 10) * 2 ** 32;
+                    if (granule > preSkip) metadata.duration = (granule - preSkip) / sampleRate;
+                    break;
+                }
+            }
+        }
+        return true;
+    }
+
+    // ---- MP4 / M4A atoms ---------------------------------------------------
+
+    /**
+     * List the child atoms in a byte range
+     */
+    function listAtoms(bytes, start, end) {
+        const atoms = [];
+        let offset = start;
+        while (offset + 8 <= end) {
+            let size = uint32BE(bytes, offset);
+            const type = ascii(bytes, offset + 4, 4);
+            let headerSize = 8;
+            if (size === 1) {
+                size = uint32BE(bytes, offset + 8) * 2 ** 32 + uint32BE(bytes, offset + 12);
+                headerSize = 16;
+            } else if (size === 0) {
+                size = end - offset;
+            }
+            if (size < headerSize || offset + size > end) break;
+            atoms.push({ type, start: offset + headerSize, end: offset + size });
+            offset += size;
+        }
+        return atoms;
+    }
+
+    function findAtom(bytes, atoms, path) {
+        let current = atoms;
+        let found = null;
+        for (const type of path) {
+            found = current.find(atom => atom.type === type);
+            if (!found) return null;
+            // 'meta' is a full atom: four bytes of version/flags before its children
+            const childStart = found.type === 'meta' ? found.start + 4 : found.start;
+            current = listAtoms(bytes, childStart, found.end);
+        }
+        return found;
+    }
+
+    async function readMp4(blob, metadata) {
+        // Walk top-level atoms by their headers until 'moov' turns up
+        let offset = 0;
+        let moov = null;
+        while (offset + 8 <= blob.size) {
+            const header = await readBytes(blob, offset, offset + 16);
+            let size = uint32BE(header, 0);
+            const type = ascii(header, 4, 4);
+            if (size === 1) size = uint32BE(header, 8) * 2 ** 32 + uint32BE(header, 12);
+            if (size === 0) size = blob.size - offset;
+            if (size < 8) return false;
+            if (type === 'moov') {
+                moov = await readBytes(blob, offset, offset + size);
+                break;
+            }
+            offset += size;
+        }
+        if (!moov) return false;
+
+        const root = listAtoms(moov, 0, moov.length);
+
+        const mvhd = findAtom(moov, root, ['moov', 'mvhd']);
+        if (mvhd) {
+            const version = moov[mvhd.start];
+            const timescale = uint32BE(moov, mvhd.start + (version === 1 ? 20 : 12));
+            const duration = version === 1
+                ? uint32BE(moov, mvhd.start + 24) * 2 ** 32 + uint32BE(moov, mvhd.start + 28)
+                : uint32BE(moov, mvhd.start + 16);
+            if (timescale > 0 && duration > 0) metadata.duration = duration / timescale;
+        }
+
+        const ilst = findAtom(moov, root, ['moov', 'udta', 'meta', 'ilst']);
+        if (!ilst) return true;
+
+        listAtoms(moov, ilst.start, ilst.end).forEach(item => {
+            const data = listAtoms(moov, item.start, item.end).find(atom => atom.type === 'data');
+            if (!data) return;
+            // Data atoms start with a type indicator and a locale before the payload
+            const dataType = uint32BE(moov, data.start) & 0xFFFFFF;
+            const payload = moov.subarray(data.start + 8, data.end);
+
+            switch (item.type) {
+                case '©nam': metadata.title = utf8.decode(payload).trim(); break;
+                case '©ART': metadata.artist = utf8.decode(payload).trim(); break;
+                case 'aART': metadata.artist = metadata.artist || utf8.decode(payload).trim(); break;
+                case '©alb': metadata.album = utf8.decode(payload).trim(); break;
+                case 'trkn':
+                    if (payload.length >= 4) metadata.trackNumber = ((payload[2] << 8) | payload[3]) || null;
+                    break;
+                case 'covr':
+                    if (!metadata.picture && payload.length > 0) {
+                        metadata.picture = new Blob([payload.slice()], { type: dataType === 14 ? 'image/png' : 'image/jpeg' });
+                    }
+                    break;
+            }
+        });
+        return true;
+    }
+
+    // ---- Entry point -------------------------------------------------------
+
+    /**
+     * Read the embedded metadata of an audio file
+     * Never rejects for unreadable tags; missing fields are left empty.
+     * @param {Blob} blob - The audio file
+     * @returns {Promise<{title: string, artist: string, album: string, trackNumber: ?number, duration: ?number, picture: ?Blob}>}
+     */
+    async function read(blob) {
+        const metadata = emptyMetadata();
+        try {
+            const magic = await readBytes(blob, 0, 12);
+            const signature = ascii(magic, 0, 4);
+            if (ascii(magic, 0, 3) === 'ID3') {
+                await readId3v2(blob, metadata);
+                // Some MP3s carry both tags; v1 fills in whatever v2 left out
+                await readId3v1(blob, metadata);
+            } else if (signature === 'fLaC') {
+                await readFlac(blob, metadata);
+            } else if (signature === 'OggS') {
+                await readOgg(blob, metadata);
+            } else if (ascii(magic, 4, 4) === 'ftyp') {
+                await readMp4(blob, metadata);
+            } else {
+                await readId3v1(blob, metadata);
+            }
+        } catch (error) {
+            console.warn('Could not read track metadata', error);
+        }
+        return metadata;
+    }
+
+    window.TrackMetadata = { read };
+})();
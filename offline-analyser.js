@@ -0,0 +1,147 @@
+/**
+ * Offline Analyser
+ *
+ * Analyses a decoded AudioBuffer the way an AnalyserNode analyses a playing
+ * one, but at any time we ask for rather than whatever is playing right now.
+ * It follows the Web Audio spec's analyser: the last fftSize samples (mixed
+ * down to mono) are Blackman-windowed, transformed, smoothed over time and
+ * scaled from [minDecibels, maxDecibels] to bytes, so the visuals of an
+ * offline render match what the live analyser would have shown.
+ */
+class OfflineAnalyser {
+    /**
+     * @param {AudioBuffer} audioBuffer - Audio to analyse
+     * @param {Object} settings - Same fields as the live analyser settings
+     * @param {number} settings.fftSize - Power of two, 32-32768
+     * @param {number} settings.smoothingTimeConstant - 0-1
+     * @param {number} settings.minDecibels
+     * @param {number} settings.maxDecibels
+     * @param {number|null} [channel] - Analyse one channel (0 = left, 1 = right) instead of the
+     *                                  mix; a mono buffer's only channel stands in for both
+     */
+    constructor(audioBuffer, { fftSize, smoothingTimeConstant, minDecibels, maxDecibels }, channel = null) {
+        this.sampleRate = audioBuffer.sampleRate;
+        this.samples = channel === null
+            ? OfflineAnalyser.downmix(audioBuffer)
+            : audioBuffer.getChannelData(Math.min(channel, audioBuffer.numberOfChannels - 1));
+        this.fftSize = fftSize;
+        this.smoothingTimeConstant = smoothingTimeConstant;
+        this.minDecibels = minDecibels;
+        this.maxDecibels = maxDecibels;
+
+        this.frequencyData = new Uint8Array(fftSize / 2);
+        this.waveformData = new Uint8Array(fftSize);
+        // The same samples as floats, like getFloatTimeDomainData()
+        this.timeDomainData = new Float32Array(fftSize);
+
+        this.window = OfflineAnalyser.blackmanWindow(fftSize);
+        this.real = new Float32Array(fftSize);
+        this.imag = new Float32Array(fftSize);
+        // Smoothed magnitudes carried from one analysis to the next
+        this.smoothed = new Float32Array(fftSize / 2);
+    }
+
+    /**
+     * Average all channels into one, as the analyser's down-mix does
+     */
+    static downmix(audioBuffer) {
+        const mono = new Float32Array(audioBuffer.length);
+        const channels = audioBuffer.numberOfChannels;
+        for (let c = 0; c < channels; c++) {
+            const data = audioBuffer.getChannelData(c);
+            for (let i = 0; i < data.length; i++) {
+                mono[i] += data[i] / channels;
+            }
+        }
+        return mono;
+    }
+
+    static blackmanWindow(size) {
+        const a0 = 0.42, a1 = 0.5, a2 = 0.08;
+        const window = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            const x = (2 * Math.PI * i) / size;
+            window[i] = a0 - a1 * Math.cos(x) + a2 * Math.cos(2 * x);
+        }
+        return window;
+    }
+
+    /**
+     * Analyse the fftSize samples leading up to a time
+     * Fills frequencyData, waveformData and timeDomainData like
+     * getByteFrequencyData(), getByteTimeDomainData() and
+     * getFloatTimeDomainData(). Call it with increasing times; each call is
+     * smoothed against the previous one.
+     * @param {number} time - Position in the buffer in seconds
+     */
+    analyse(time) {
+        const { fftSize, samples, real, imag } = this;
+        const end = Math.round(time * this.sampleRate);
+
+        // Samples before the start of the buffer count as silence
+        for (let i = 0; i < fftSize; i++) {
+            const index = end - fftSize + i;
+            const sample = index >= 0 && index < samples.length ? samples[index] : 0;
+            this.timeDomainData[i] = sample;
+            this.waveformData[i] = Math.min(Math.max(Math.floor(128 * (sample + 1)), 0), 255);
+            real[i] = sample * this.window[i];
+            imag[i] = 0;
+        }
+
+        OfflineAnalyser.fft(real, imag);
+
+        const range = this.maxDecibels - this.minDecibels;
+        const tau = this.smoothingTimeConstant;
+        for (let k = 0; k < this.smoothed.length; k++) {
+            const magnitude = Math.hypot(real[k], imag[k]) / fftSize;
+            const smoothed = tau * this.smoothed[k] + (1 - tau) * magnitude;
+            this.smoothed[k] = Number.isFinite(smoothed) ? smoothed : 0;
+            const decibels = 20 * Math.log10(this.smoothed[k]);
+            const scaled = Math.floor((255 / range) * (decibels - this.minDecibels));
+            this.frequencyData[k] = Math.min(Math.max(scaled, 0), 255);
+        }
+    }
+
+    /**
+     * Forget the smoothing history, e.g. before analysing from the start again
+     */
+    reset() {
+        this.smoothed.fill(0);
+    }
+
+    /**
+     * In-place radix-2 FFT; the length must be a power of two
+     */
+    static fft(real, imag) {
+        const n = real.length;
+
+        // Bit-reversal permutation
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+
+        for (let size = 2; size <= n; size <<= 1) {
+            const half = size >> 1;
+            const step = (-2 * Math.PI) / size;
+            for (let k = 0; k < half; k++) {
+                const cos = Math.cos(step * k);
+                const sin = Math.sin(step * k);
+                for (let start = k; start < n; start += size) {
+                    const match = start + half;
+                    const tr = real[match] * cos - imag[match] * sin;
+                    const ti = real[match] * sin + imag[match] * cos;
+                    real[match] = real[start] - tr;
+                    imag[match] = imag[start] - ti;
+                    real[start] += tr;
+                    imag[start] += ti;
+                }
+            }
+        }
+    }
+}
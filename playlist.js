@@ -0,0 +1,271 @@
+/**
+ * Playlist
+ *
+ * Keeps the ordered list of tracks and decides what plays next. Supports
+ * shuffle (every track once per cycle, no repeats), repeat-one/repeat-all,
+ * a "play next" queue, and a history of what was actually played so that
+ * Previous retraces it instead of guessing from the list order.
+ */
+class Playlist {
+    constructor() {
+        this.tracks = [];
+        this.currentIndex = 0;
+
+        this.shuffle = false;
+        this.repeatMode = 'off'; // 'off', 'all' or 'one'
+        this.queue = [];
+
+        // Tracks in the order they were played; historyIndex is the current one
+        this.history = [];
+        this.historyIndex = -1;
+
+        // Tracks not yet played in the current shuffle cycle, in the order they will play
+        this.shuffleBag = [];
+    }
+
+    /**
+     * The track at the current index, or null when the playlist is empty
+     */
+    get current() {
+        return this.tracks[this.currentIndex] || null;
+    }
+
+    get length() {
+        return this.tracks.length;
+    }
+
+    /**
+     * Replace the whole playlist
+     */
+    setTracks(tracks, currentIndex = 0) {
+        this.tracks = tracks.slice();
+        this.currentIndex = Math.min(Math.max(currentIndex, 0), Math.max(this.tracks.length - 1, 0));
+        this.queue = [];
+        this.history = [];
+        this.historyIndex = -1;
+        this.resetShuffleBag();
+        if (this.current) this.recordPlay(this.current);
+    }
+
+    /**
+     * Append tracks, skipping ones already in the playlist
+     * @returns {Object[]} The tracks that were added
+     */
+    add(tracks) {
+        const added = tracks.filter(track => this.indexOf(track) === -1);
+        this.tracks.push(...added);
+
+        // Slot new tracks into random places among those still to play
+        added.forEach(track => {
+            const position = Math.floor(Math.random() * (this.shuffleBag.length + 1));
+            this.shuffleBag.splice(position, 0, track);
+        });
+        return added;
+    }
+
+    /**
+     * Find a track by library id (or by identity for unsaved tracks)
+     */
+    indexOf(track) {
+        return this.tracks.findIndex(item => item === track || (track.id && item.id === track.id));
+    }
+
+    /**
+     * Remove the track at an index
+     * @returns {boolean} True if the removed track was the current one
+     */
+    remove(index) {
+        if (index < 0 || index >= this.tracks.length) return false;
+        const [removed] = this.tracks.splice(index, 1);
+        const wasCurrent = index === this.currentIndex;
+
+        if (index < this.currentIndex) {
+            this.currentIndex--;
+        } else if (wasCurrent) {
+            this.currentIndex = Math.min(index, Math.max(this.tracks.length - 1, 0));
+        }
+
+        this.queue = this.queue.filter(track => track !== removed);
+        this.shuffleBag = this.shuffleBag.filter(track => track !== removed);
+
+        // Drop it from the history, keeping historyIndex on the same entry
+        this.history = this.history.filter((track, i) => {
+            if (track !== removed) return true;
+            if (i <= this.historyIndex) this.historyIndex--;
+            return false;
+        });
+        return wasCurrent;
+    }
+
+    /**
+     * Move a track from one position to another, keeping the current track selected
+     */
+    move(from, to) {
+        if (from === to || from < 0 || from >= this.tracks.length) return;
+        to = Math.min(Math.max(to, 0), this.tracks.length - 1);
+        const current = this.current;
+        const [track] = this.tracks.splice(from, 1);
+        this.tracks.splice(to, 0, track);
+        this.currentIndex = this.tracks.indexOf(current);
+    }
+
+    /**
+     * Queue a track to play after the current one (adding it to the playlist if needed)
+     */
+    playNext(track) {
+        if (this.indexOf(track) === -1) this.add([track]);
+        const existing = this.tracks[this.indexOf(track)];
+        this.queue = this.queue.filter(item => item !== existing);
+        this.queue.unshift(existing);
+    }
+
+    /**
+     * Position of a track in the "play next" queue, or -1
+     */
+    queuePosition(track) {
+        return this.queue.indexOf(track);
+    }
+
+    /**
+     * Jump straight to a track (e.g. clicked in the list)
+     */
+    select(index) {
+        if (index < 0 || index >= this.tracks.length) return -1;
+        this.currentIndex = index;
+        this.queue = this.queue.filter(track => track !== this.current);
+        this.recordPlay(this.current);
+        return index;
+    }
+
+    /**
+     * Advance to the next track
+     * @param {boolean} ended - True when the current track finished on its own;
+     *   repeat-one only repeats and repeat-off only stops in that case
+     * @returns {number} The new current index, or -1 if playback should stop
+     */
+    next(ended = false) {
+        if (this.tracks.length === 0) return -1;
+
+        if (ended && this.repeatMode === 'one') {
+            return this.currentIndex;
+        }
+
+        // Queued tracks always come first
+        if (this.queue.length > 0) {
+            return this.select(this.tracks.indexOf(this.queue.shift()));
+        }
+
+        // After stepping back, Next retraces the history forwards
+        if (this.historyIndex < this.history.length - 1) {
+            this.historyIndex++;
+            this.currentIndex = this.tracks.indexOf(this.history[this.historyIndex]);
+            return this.currentIndex;
+        }
+
+        const nextIndex = this.followingIndex(ended);
+        if (nextIndex === -1) return -1;
+
+        this.currentIndex = nextIndex;
+        this.recordPlay(this.current);
+        return nextIndex;
+    }
+
+    /**
+     * The track next() would move to, without moving
+     * Used to decode the next track before the current one ends.
+     * @param {boolean} ended - Same meaning as for next()
+     * @returns {Object|null} The upcoming track, or null if playback would stop
+     */
+    peekNext(ended = false) {
+        if (this.tracks.length === 0) return null;
+        if (ended && this.repeatMode === 'one') return this.current;
+        if (this.queue.length > 0) return this.queue[0];
+        if (this.historyIndex < this.history.length - 1) return this.history[this.historyIndex + 1];
+
+        const index = this.followingIndex(ended);
+        return index === -1 ? null : this.tracks[index];
+    }
+
+    /**
+     * Index that follows the current one in list or shuffle order
+     * Refilling an empty shuffle bag here is harmless: peekNext and next
+     * then agree on the same pick.
+     */
+    followingIndex(ended) {
+        if (this.shuffle) {
+            if (this.shuffleBag.length === 0) {
+                if (ended && this.repeatMode === 'off') return -1;
+                this.resetShuffleBag();
+                if (this.shuffleBag.length === 0) return this.currentIndex;
+            }
+            return this.tracks.indexOf(this.shuffleBag[0]);
+        }
+
+        const nextIndex = this.currentIndex + 1;
+        if (nextIndex >= this.tracks.length) {
+            if (ended && this.repeatMode === 'off') return -1;
+            return 0;
+        }
+        return nextIndex;
+    }
+
+    /**
+     * Go back to the previously played track
+     * @returns {number} The new current index
+     */
+    previous() {
+        if (this.tracks.length === 0) return -1;
+
+        if (this.historyIndex > 0) {
+            this.historyIndex--;
+            this.currentIndex = this.tracks.indexOf(this.history[this.historyIndex]);
+            return this.currentIndex;
+        }
+
+        // Nothing played before this one: step back through the list order
+        this.currentIndex = (this.currentIndex - 1 + this.tracks.length) % this.tracks.length;
+        this.history.unshift(this.current);
+        this.historyIndex = 0;
+        this.shuffleBag = this.shuffleBag.filter(track => track !== this.current);
+        return this.currentIndex;
+    }
+
+    /**
+     * Turn shuffle on or off, starting a fresh cycle
+     */
+    setShuffle(enabled) {
+        this.shuffle = enabled;
+        this.resetShuffleBag();
+    }
+
+    /**
+     * Step through repeat modes: off -> all -> one -> off
+     */
+    cycleRepeatMode() {
+        const modes = ['off', 'all', 'one'];
+        this.repeatMode = modes[(modes.indexOf(this.repeatMode) + 1) % modes.length];
+        return this.repeatMode;
+    }
+
+    /**
+     * Fill the shuffle bag with every track except the current one, in random order
+     */
+    resetShuffleBag() {
+        const current = this.current;
+        this.shuffleBag = this.tracks.filter(track => track !== current);
+        for (let i = this.shuffleBag.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [this.shuffleBag[i], this.shuffleBag[j]] = [this.shuffleBag[j], this.shuffleBag[i]];
+        }
+    }
+
+    /**
+     * Add a track to the end of the history and take it out of the shuffle bag
+     */
+    recordPlay(track) {
+        this.history = this.history.slice(0, this.historyIndex + 1);
+        this.history.push(track);
+        this.historyIndex = this.history.length - 1;
+        this.shuffleBag = this.shuffleBag.filter(item => item !== track);
+    }
+}
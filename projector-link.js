@@ -0,0 +1,129 @@
+/**
+ * Projector Link
+ *
+ * Connects the main window to the projector window (projector.html), which
+ * shows nothing but the visualizer, e.g. fullscreen on a projector while the
+ * controls stay on the laptop. Only the main window decodes and analyses
+ * audio: it sends the style, its parameters and the transport state when they
+ * change, and the audio features of every frame, over a BroadcastChannel.
+ *
+ * Messages are { type, ...data }:
+ *   main → projector: state (everything, on request), style, params, transport, frame, close
+ *   projector → main: ready (asks for the state), closed
+ */
+class ProjectorLink {
+    constructor() {
+        this.channel = null;
+        this.window = null;
+        // Whether a projector has said it's listening
+        this.connected = false;
+
+        // Called to get { style, params, transport } when a projector asks for it
+        this.getState = null;
+        // Called when a projector connects or goes away
+        this.onConnectionChange = null;
+    }
+
+    static isSupported() {
+        return typeof BroadcastChannel !== 'undefined';
+    }
+
+    /**
+     * Start listening for projectors; one left open from before reconnects by itself
+     */
+    listen() {
+        if (this.channel) return;
+        this.channel = new BroadcastChannel(ProjectorLink.CHANNEL);
+        this.channel.onmessage = event => this.handleMessage(event.data);
+        // A projector that outlived a reload of this window asks again
+        this.channel.postMessage({ type: 'hello' });
+        window.addEventListener('pagehide', () => this.send('close'));
+    }
+
+    handleMessage(message) {
+        if (message.type === 'ready') {
+            this.setConnected(true);
+            if (this.getState) this.send('state', this.getState());
+        } else if (message.type === 'closed') {
+            this.setConnected(false);
+        }
+    }
+
+    setConnected(connected) {
+        if (this.connected === connected) return;
+        this.connected = connected;
+        if (this.onConnectionChange) this.onConnectionChange(connected);
+    }
+
+    /**
+     * Open the projector window, or bring it forward if it's open already
+     * Where the browser can list screens, it opens on a screen other than this one.
+     * @returns {Promise<boolean>} False if the browser blocked the popup
+     */
+    async open() {
+        this.listen();
+        if (this.window && !this.window.closed) {
+            this.window.focus();
+            return true;
+        }
+        const features = await ProjectorLink.getWindowFeatures();
+        this.window = window.open(ProjectorLink.URL, ProjectorLink.WINDOW_NAME, features);
+        return this.window !== null;
+    }
+
+    /**
+     * Close the projector window
+     */
+    close() {
+        this.send('close');
+        if (this.window && !this.window.closed) this.window.close();
+        this.window = null;
+        this.setConnected(false);
+    }
+
+    /**
+     * Popup features placing the window on another screen if there is one
+     */
+    static async getWindowFeatures() {
+        let screen = window.screen;
+        if (typeof window.getScreenDetails === 'function') {
+            try {
+                const details = await window.getScreenDetails();
+                screen = details.screens.find(other => other !== details.currentScreen) || details.currentScreen;
+            } catch (e) {
+                // Permission refused: open on this screen
+            }
+        }
+        const left = screen.availLeft || 0;
+        const top = screen.availTop || 0;
+        return `popup,left=${left},top=${top},width=${screen.availWidth},height=${screen.availHeight}`;
+    }
+
+    /**
+     * Send a message if a projector is listening
+     */
+    send(type, data = {}) {
+        if (!this.channel || (!this.connected && type !== 'close')) return;
+        this.channel.postMessage({ type, ...data });
+    }
+
+    /**
+     * Send one frame's audio features for the projector to draw
+     * @param {Object} audio - The frame's audio object (see style-registry.js)
+     * @param {number} delta - Seconds since the last frame
+     * @param {number} time - Seconds since the visualizer started
+     * @param {THREE.Camera|null} camera - The shared camera, while orbit controls move it
+     */
+    sendFrame(audio, delta, time, camera = null) {
+        if (!this.connected) return;
+        const frame = { audio, delta, time };
+        if (camera) {
+            frame.camera = { position: camera.position.toArray(), quaternion: camera.quaternion.toArray() };
+        }
+        this.send('frame', frame);
+    }
+}
+
+ProjectorLink.CHANNEL = 'audio-visualizer-projector';
+ProjectorLink.URL = 'projector.html';
+ProjectorLink.WINDOW_NAME = 'audio-visualizer-projector';
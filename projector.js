@@ -0,0 +1,216 @@
+/**
+ * Projector Output
+ *
+ * The projector window's side of ProjectorLink: a full-window canvas that
+ * shows whichever style the main window shows, driven by the audio features
+ * the main window sends every frame. Nothing here plays or analyses audio,
+ * and there are no controls; click (or press F) to go fullscreen.
+ */
+class ProjectorOutput {
+    constructor() {
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+        this.renderer = new THREE.WebGLRenderer({ antialias: true });
+        // Styles may enable orbit controls, but the main window's camera is followed instead
+        this.orbitControls = { enabled: false, target: new THREE.Vector3(), update() {} };
+
+        // Replays the main window's beats, so styles' beat listeners fire here too
+        this.beatEngine = new BeatEngine();
+
+        // { style, ctx, tracked, subscriptions } for the style being shown
+        this.activeStyle = null;
+        this.styleId = null;
+
+        this.init();
+        this.channel = new BroadcastChannel(ProjectorLink.CHANNEL);
+        this.channel.onmessage = event => this.handleMessage(event.data);
+        this.channel.postMessage({ type: 'ready' });
+        window.addEventListener('pagehide', () => this.channel.postMessage({ type: 'closed' }));
+    }
+
+    init() {
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.setPixelRatio(window.devicePixelRatio);
+        this.renderer.outputEncoding = THREE.sRGBEncoding;
+        document.getElementById('canvas-container').appendChild(this.renderer.domElement);
+
+        // Same lights as the main window
+        this.scene.add(new THREE.AmbientLight(0xcccccc, 0.3));
+        this.sunLight = new THREE.DirectionalLight(0xffffff, 1.5);
+        this.sunLight.position.set(-100, 50, 100);
+        this.scene.add(this.sunLight);
+
+        window.addEventListener('resize', () => this.updateRendererSize());
+
+        // Fullscreen needs a click or key press in this window
+        document.addEventListener('click', () => this.toggleFullscreen());
+        document.addEventListener('keydown', event => {
+            if (event.key === 'f' || event.key === 'F') this.toggleFullscreen();
+        });
+        document.addEventListener('fullscreenchange', () => {
+            document.getElementById('projector-hint').hidden = document.fullscreenElement !== null;
+        });
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'hello':
+                // The main window was reloaded and wants to know we're here
+                this.channel.postMessage({ type: 'ready' });
+                break;
+            case 'state':
+                this.showTransport(message.transport);
+                this.showStyle(message.style, message.params);
+                break;
+            case 'style':
+                this.showStyle(message.style, message.params);
+                break;
+            case 'params':
+                // Styles read their parameters when they're created
+                if (message.style === this.styleId) this.showStyle(message.style, message.params);
+                break;
+            case 'transport':
+                this.showTransport(message.transport);
+                break;
+            case 'frame':
+                this.drawFrame(message);
+                break;
+            case 'close':
+                window.close();
+                break;
+        }
+    }
+
+    /**
+     * Put the track name in the title, e.g. for picking the window in screen sharing
+     */
+    showTransport(transport) {
+        document.title = transport && transport.title ? `${transport.title} — Projector` : 'Audio Visualizer — Projector';
+    }
+
+    /**
+     * Replace the scene with a style, set up as in the main window
+     */
+    showStyle(id, params) {
+        this.clearScene();
+        this.styleId = id;
+
+        this.camera.position.set(0, 10, 20);
+        this.camera.lookAt(0, 0, 0);
+        this.scene.background = new THREE.Color(0x000005);
+        this.scene.fog = null;
+
+        const style = VisualizerStyles.get(id);
+        if (!style) {
+            console.warn(`Style "${id}" isn't loaded in the projector`);
+            return;
+        }
+        const tracked = new Set();
+        const subscriptions = [];
+        const ctx = this.createStyleContext(params, tracked, subscriptions);
+        this.activeStyle = { style, ctx, tracked, subscriptions };
+        style.create(ctx);
+        this.renderer.render(this.scene, ctx.camera);
+    }
+
+    /**
+     * The ctx handed to a style's hooks (see style-registry.js)
+     * The controls a style adds have nowhere to go, and its parameters are
+     * saved by the main window.
+     */
+    createStyleContext(params, tracked, subscriptions) {
+        return {
+            scene: this.scene,
+            renderer: this.renderer,
+            camera: this.camera,
+            orbitControls: this.orbitControls,
+            params: JSON.parse(JSON.stringify(params)),
+            state: {},
+            time: 0,
+            width: window.innerWidth,
+            height: window.innerHeight,
+            add: object => {
+                this.scene.add(object);
+                tracked.add(object);
+                return object;
+            },
+            remove: object => {
+                this.scene.remove(object);
+                tracked.delete(object);
+                VisualizerStyles.disposeObject(object);
+            },
+            on: (type, listener) => {
+                subscriptions.push(this.beatEngine.on(type, listener));
+            },
+            saveParams: () => {},
+            addSelect: () => document.createElement('select'),
+            addButton: () => document.createElement('button')
+        };
+    }
+
+    clearScene() {
+        if (!this.activeStyle) return;
+        const { style, ctx, tracked, subscriptions } = this.activeStyle;
+        this.activeStyle = null;
+        subscriptions.forEach(unsubscribe => unsubscribe());
+        if (style.dispose) {
+            try {
+                style.dispose(ctx);
+            } catch (e) {
+                console.warn(`Error disposing style "${style.id}"`, e);
+            }
+        }
+        tracked.forEach(object => {
+            this.scene.remove(object);
+            VisualizerStyles.disposeObject(object);
+        });
+    }
+
+    /**
+     * Update and draw the style with a frame from the main window
+     */
+    drawFrame({ audio, delta, time, camera }) {
+        if (!this.activeStyle) return;
+        const { style, ctx } = this.activeStyle;
+
+        if (camera && ctx.camera === this.camera) {
+            this.camera.position.fromArray(camera.position);
+            this.camera.quaternion.fromArray(camera.quaternion);
+        }
+        this.sunLight.intensity = 1.0 + audio.level * 1.0;
+
+        this.beatEngine.follow(audio.beat);
+        ctx.time = time;
+        style.update(ctx, audio, delta);
+        this.renderer.render(this.scene, ctx.camera);
+    }
+
+    updateRendererSize() {
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        this.renderer.setSize(width, height);
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        if (this.activeStyle) {
+            const { style, ctx } = this.activeStyle;
+            ctx.width = width;
+            ctx.height = height;
+            if (ctx.camera !== this.camera && ctx.camera.isPerspectiveCamera) {
+                ctx.camera.aspect = width / height;
+                ctx.camera.updateProjectionMatrix();
+            }
+            if (style.resize) style.resize(ctx, width, height);
+            this.renderer.render(this.scene, ctx.camera);
+        }
+    }
+
+    toggleFullscreen() {
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
+        } else {
+            document.documentElement.requestFullscreen().catch(error => console.warn('Could not enter fullscreen', error));
+        }
+    }
+}
+
+window.projector = new ProjectorOutput();
@@ -0,0 +1,122 @@
+/**
+ * Visualizer Recorder
+ *
+ * Records the renderer's canvas together with the audio graph to a WebM
+ * file. The picture comes from canvas.captureStream(), so only what is drawn
+ * on the canvas is recorded and the HTML controls on top of it never are.
+ * The sound is tapped from an audio node through a
+ * MediaStreamAudioDestinationNode, and both are encoded by MediaRecorder.
+ */
+class VisualizerRecorder {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to capture
+     * @param {AudioContext} audioContext - Context the audio node belongs to
+     * @param {AudioNode} audioSource - Node whose output becomes the soundtrack
+     */
+    constructor(canvas, audioContext, audioSource) {
+        this.canvas = canvas;
+        this.audioContext = audioContext;
+        this.audioSource = audioSource;
+
+        this.mediaRecorder = null;
+        this.audioDestination = null;
+        this.chunks = [];
+        this.startedAt = 0;
+    }
+
+    /**
+     * Whether this browser can record the canvas at all
+     */
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+            VisualizerRecorder.getMimeType() !== null;
+    }
+
+    /**
+     * The best WebM flavour MediaRecorder supports here, or null
+     */
+    static getMimeType() {
+        return VisualizerRecorder.MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    get isRecording() {
+        return this.mediaRecorder !== null && this.mediaRecorder.state !== 'inactive';
+    }
+
+    /**
+     * Seconds since recording started
+     */
+    get elapsed() {
+        return this.isRecording ? (performance.now() - this.startedAt) / 1000 : 0;
+    }
+
+    /**
+     * Start recording
+     * @param {Object} options
+     * @param {number} options.fps - Frames captured per second
+     * @param {number} options.bitrate - Video bits per second
+     */
+    start({ fps, bitrate }) {
+        if (this.isRecording) return;
+
+        const videoStream = this.canvas.captureStream(fps);
+        this.audioDestination = this.audioContext.createMediaStreamDestination();
+        this.audioSource.connect(this.audioDestination);
+        const stream = new MediaStream([
+            ...videoStream.getVideoTracks(),
+            ...this.audioDestination.stream.getAudioTracks()
+        ]);
+
+        this.chunks = [];
+        try {
+            this.mediaRecorder = new MediaRecorder(stream, {
+                mimeType: VisualizerRecorder.getMimeType(),
+                videoBitsPerSecond: bitrate,
+                audioBitsPerSecond: VisualizerRecorder.AUDIO_BITRATE
+            });
+            this.mediaRecorder.ondataavailable = event => {
+                if (event.data.size > 0) this.chunks.push(event.data);
+            };
+            // Hand data over every second so a long recording isn't held in one piece
+            this.mediaRecorder.start(1000);
+        } catch (error) {
+            // Don't leave the canvas captured or the destination hanging off the graph
+            stream.getTracks().forEach(track => track.stop());
+            this.audioSource.disconnect(this.audioDestination);
+            this.audioDestination = null;
+            this.mediaRecorder = null;
+            throw error;
+        }
+        this.startedAt = performance.now();
+    }
+
+    /**
+     * Stop recording
+     * @returns {Promise<Blob|null>} The finished WebM file, or null if nothing was recording
+     */
+    stop() {
+        if (!this.isRecording) return Promise.resolve(null);
+        const recorder = this.mediaRecorder;
+        return new Promise(resolve => {
+            recorder.onstop = () => {
+                recorder.stream.getTracks().forEach(track => track.stop());
+                this.audioSource.disconnect(this.audioDestination);
+                this.audioDestination = null;
+                this.mediaRecorder = null;
+                const blob = new Blob(this.chunks, { type: recorder.mimeType || 'video/webm' });
+                this.chunks = [];
+                resolve(blob);
+            };
+            recorder.stop();
+        });
+    }
+}
+
+// Preferred first; every browser with MediaRecorder WebM support has the last
+VisualizerRecorder.MIME_TYPES = [
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm'
+];
+VisualizerRecorder.AUDIO_BITRATE = 192000;
@@ -0,0 +1,459 @@
+/**
+ * Auth Server
+ *
+ * A small self-hosted account server for HttpAuthProvider. It uses only
+ * Node's standard library: accounts are kept in a JSON file with salted
+ * PBKDF2 password hashes, and sessions are held in memory as an access token
+ * (short-lived, sent as a Bearer header) plus a single-use refresh token.
+ * Restarting the server therefore logs everyone out.
+ *
+ * It also serves the visualizer itself, so the app and the API share an origin:
+ *
+ *   node server/auth-server.js
+ *
+ * Environment:
+ *   PORT                 Port to listen on (default 8787)
+ *   AUTH_DATA_FILE       Where accounts are stored (default server/data/users.json)
+ *   ACCESS_TOKEN_TTL     Access token lifetime in seconds (default 900)
+ *   REFRESH_TOKEN_TTL    Session lifetime with "remember me", in seconds (default 2592000)
+ *   SESSION_TOKEN_TTL    Session lifetime without "remember me", in seconds (default 43200)
+ *   AUTH_ALLOWED_ORIGIN  CORS origin allowed to call the API (default '*')
+ */
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.AUTH_DATA_FILE || path.join(__dirname, 'data', 'users.json');
+const ACCESS_TOKEN_TTL = Number(process.env.ACCESS_TOKEN_TTL) || 15 * 60;
+const REFRESH_TOKEN_TTL = Number(process.env.REFRESH_TOKEN_TTL) || 30 * 24 * 60 * 60;
+const SESSION_TOKEN_TTL = Number(process.env.SESSION_TOKEN_TTL) || 12 * 60 * 60;
+const ALLOWED_ORIGIN = process.env.AUTH_ALLOWED_ORIGIN || '*';
+const STATIC_ROOT = path.resolve(__dirname, '..');
+
+// Same hash format as LocalAuthProvider, so stored records are interchangeable
+const HASH_ALGORITHM = 'PBKDF2-SHA256';
+const HASH_ITERATIONS = 210000;
+const SALT_BYTES = 16;
+const HASH_BYTES = 32;
+
+// Lockout: after MAX_FAILED_ATTEMPTS, each further failure doubles the wait
+const MAX_FAILED_ATTEMPTS = 5;
+const BASE_LOCKOUT_MS = 30 * 1000;
+const MAX_LOCKOUT_MS = 15 * 60 * 1000;
+
+const MAX_BODY_BYTES = 16 * 1024;
+const LOGIN_ERROR = 'Invalid username or password.';
+const PASSWORD_ERROR = 'Password is incorrect.';
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// token -> { username, expiresAt }; refresh tokens also carry { remember }
+const accessTokens = new Map();
+const refreshTokens = new Map();
+// username -> { failures, lockedUntil, lastFailureAt }
+const loginAttempts = new Map();
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Accounts by username, in an object without a prototype so names like
+ * "constructor" or "__proto__" are looked up like any other
+ */
+function loadUsers() {
+    const users = Object.create(null);
+    try {
+        return Object.assign(users, JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')));
+    } catch (error) {
+        if (error.code === 'ENOENT') return users;
+        throw error;
+    }
+}
+
+/**
+ * Write through a temporary file so a crash can't leave a half-written store
+ */
+function saveUsers(users) {
+    fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+    const tempFile = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(users, null, 2));
+    fs.renameSync(tempFile, DATA_FILE);
+}
+
+async function derivePasswordHash(password, salt, iterations) {
+    const hash = await pbkdf2(password, salt, iterations, HASH_BYTES, 'sha256');
+    return hash.toString('base64');
+}
+
+async function createPasswordRecord(password) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    return {
+        algorithm: HASH_ALGORITHM,
+        iterations: HASH_ITERATIONS,
+        salt: salt.toString('base64'),
+        hash: await derivePasswordHash(password, salt, HASH_ITERATIONS)
+    };
+}
+
+async function verifyPassword(record, password) {
+    const hash = await derivePasswordHash(password, Buffer.from(record.salt, 'base64'), record.iterations);
+    const expected = Buffer.from(record.hash, 'base64');
+    const actual = Buffer.from(hash, 'base64');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function formatLockout(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+function recordFailedLogin(username) {
+    const entry = loginAttempts.get(username) || { failures: 0, lockedUntil: 0 };
+    entry.failures += 1;
+    entry.lastFailureAt = Date.now();
+    if (entry.failures >= MAX_FAILED_ATTEMPTS) {
+        const doublings = entry.failures - MAX_FAILED_ATTEMPTS;
+        entry.lockedUntil = Date.now() + Math.min(BASE_LOCKOUT_MS * 2 ** doublings, MAX_LOCKOUT_MS);
+    }
+    loginAttempts.set(username, entry);
+}
+
+/**
+ * Throw unless the password matches, counting failures towards a lockout
+ */
+async function verifyCredentials(username, password, failureMessage = LOGIN_ERROR) {
+    // Locked-out names are refused before checking anything, whether or not they exist
+    const entry = loginAttempts.get(username);
+    const lockedFor = entry ? entry.lockedUntil - Date.now() : 0;
+    if (lockedFor > 0) {
+        throw new HttpError(429, `Too many failed attempts. Try again in ${formatLockout(lockedFor)}.`);
+    }
+
+    const record = loadUsers()[username];
+    let valid;
+    if (record) {
+        valid = await verifyPassword(record, password);
+    } else {
+        // Do the same work for unknown users so response time doesn't give them away
+        await createPasswordRecord(password);
+        valid = false;
+    }
+
+    if (!valid) {
+        recordFailedLogin(username);
+        // 403 rather than 401, so clients don't take it for an expired token and retry
+        throw new HttpError(403, failureMessage);
+    }
+    loginAttempts.delete(username);
+}
+
+function validateCredentials(username, password) {
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+        throw new HttpError(400, 'Username and password are required.');
+    }
+    if (username.length < 3) {
+        throw new HttpError(400, 'Username must be at least 3 characters.');
+    }
+    if (password.length < 6) {
+        throw new HttpError(400, 'Password must be at least 6 characters.');
+    }
+    if (username.length > 64 || password.length > 256) {
+        throw new HttpError(400, 'Username or password is too long.');
+    }
+}
+
+function createToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Issue a new access/refresh token pair for a user
+ * "Remember me" sessions get the long refresh lifetime, others the short one.
+ */
+function issueTokens(username, remember) {
+    const now = Date.now();
+    const token = createToken();
+    const refreshToken = createToken();
+    const refreshTtl = remember ? REFRESH_TOKEN_TTL : SESSION_TOKEN_TTL;
+    accessTokens.set(token, { username, expiresAt: now + ACCESS_TOKEN_TTL * 1000 });
+    refreshTokens.set(refreshToken, { username, remember, expiresAt: now + refreshTtl * 1000 });
+    return {
+        username,
+        token,
+        refreshToken,
+        remember,
+        expiresIn: ACCESS_TOKEN_TTL,
+        refreshExpiresIn: refreshTtl
+    };
+}
+
+/**
+ * Drop every token belonging to a user (password change, account deletion)
+ */
+function revokeUserTokens(username) {
+    [accessTokens, refreshTokens].forEach(tokens => {
+        tokens.forEach((entry, token) => {
+            if (entry.username === username) tokens.delete(token);
+        });
+    });
+}
+
+/**
+ * Drop expired tokens, and failed logins whose lockout is over and that have
+ * been quiet for as long as the longest lockout, so neither map grows forever
+ */
+function removeExpiredEntries() {
+    const now = Date.now();
+    [accessTokens, refreshTokens].forEach(tokens => {
+        tokens.forEach((entry, token) => {
+            if (entry.expiresAt <= now) tokens.delete(token);
+        });
+    });
+    loginAttempts.forEach((entry, username) => {
+        if (entry.lockedUntil <= now && entry.lastFailureAt + MAX_LOCKOUT_MS <= now) {
+            loginAttempts.delete(username);
+        }
+    });
+}
+
+/**
+ * Username for the request's Bearer token, or a 401
+ */
+function authenticate(req) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    const entry = match && accessTokens.get(match[1]);
+    if (!entry || entry.expiresAt <= Date.now()) {
+        throw new HttpError(401, 'Your session has expired. Please log in again.');
+    }
+    return entry.username;
+}
+
+/**
+ * The request's JSON body, which must be an object ({} if there's none)
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const onData = chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                // Stop reading; the connection is closed once the 413 has been sent (see handleRequest)
+                req.off('data', onData);
+                req.pause();
+                reject(new HttpError(413, 'Request body is too large.'));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', onData);
+        req.on('end', () => {
+            if (chunks.length === 0) {
+                resolve({});
+                return;
+            }
+            let body;
+            try {
+                body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            } catch (error) {
+                reject(new HttpError(400, 'Request body must be JSON.'));
+                return;
+            }
+            if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+                reject(new HttpError(400, 'Request body must be a JSON object.'));
+                return;
+            }
+            resolve(body);
+        });
+        req.on('error', reject);
+    });
+}
+
+const routes = {
+    'POST /api/register': async (req, body) => {
+        const { username, password } = body;
+        validateCredentials(username, password);
+        const users = loadUsers();
+        if (users[username]) {
+            throw new HttpError(409, 'Username already taken.');
+        }
+        users[username] = await createPasswordRecord(password);
+        saveUsers(users);
+        return { username };
+    },
+
+    'POST /api/login': async (req, body) => {
+        const { username, password } = body;
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            throw new HttpError(401, LOGIN_ERROR);
+        }
+        await verifyCredentials(username, password);
+        return issueTokens(username, body.remember === true);
+    },
+
+    // Refresh tokens are single-use: each refresh returns a new pair
+    'POST /api/refresh': async (req, body) => {
+        const entry = refreshTokens.get(body.refreshToken);
+        refreshTokens.delete(body.refreshToken);
+        if (!entry || entry.expiresAt <= Date.now() || !loadUsers()[entry.username]) {
+            throw new HttpError(401, 'Your session has expired. Please log in again.');
+        }
+        return issueTokens(entry.username, entry.remember);
+    },
+
+    'POST /api/logout': async (req, body) => {
+        const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+        if (match) accessTokens.delete(match[1]);
+        refreshTokens.delete(body.refreshToken);
+        return {};
+    },
+
+    // Changing the password logs out every other session
+    'POST /api/password': async (req, body) => {
+        const username = authenticate(req);
+        const { currentPassword, newPassword, remember } = body;
+        validateCredentials(username, newPassword);
+        await verifyCredentials(username, String(currentPassword || ''), PASSWORD_ERROR);
+        const users = loadUsers();
+        users[username] = await createPasswordRecord(newPassword);
+        saveUsers(users);
+        revokeUserTokens(username);
+        return issueTokens(username, remember === true);
+    },
+
+    'DELETE /api/account': async (req, body) => {
+        const username = authenticate(req);
+        await verifyCredentials(username, String(body.password || ''), PASSWORD_ERROR);
+        const users = loadUsers();
+        delete users[username];
+        saveUsers(users);
+        revokeUserTokens(username);
+        loginAttempts.delete(username);
+        return {};
+    }
+};
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * Serve a file from the app directory, never from the server folder or dotfiles
+ */
+function serveStatic(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        sendJson(res, 405, { error: 'Method not allowed.' });
+        return;
+    }
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        // A malformed percent-escape
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('Bad request');
+        return;
+    }
+    const relative = path.normalize(urlPath === '/' ? '/index.html' : urlPath).replace(/^[/\\]+/, '');
+    const filePath = path.join(STATIC_ROOT, relative);
+    const blocked = !filePath.startsWith(STATIC_ROOT + path.sep) ||
+        relative.split(/[/\\]/).some(part => part.startsWith('.') || part === 'server' || part === 'node_modules');
+
+    fs.stat(filePath, (error, stats) => {
+        if (blocked || error || !stats.isFile()) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+            'Content-Length': stats.size
+        });
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+        fs.createReadStream(filePath).pipe(res);
+    });
+}
+
+async function handleRequest(req, res) {
+    try {
+        await routeRequest(req, res);
+    } catch (error) {
+        // Nothing a request does may take the server down with it
+        console.error(error);
+        if (res.headersSent) {
+            res.destroy();
+        } else {
+            sendJson(res, 500, { error: 'Internal server error.' });
+        }
+    }
+}
+
+async function routeRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (!pathname.startsWith('/api/')) {
+        serveStatic(req, res);
+        return;
+    }
+
+    res.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGIN);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Cache-Control', 'no-store');
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const route = routes[`${req.method} ${pathname}`];
+    if (!route) {
+        sendJson(res, 404, { error: 'Not found.' });
+        return;
+    }
+
+    try {
+        const body = await readJsonBody(req);
+        sendJson(res, 200, await route(req, body));
+    } catch (error) {
+        if (error instanceof HttpError) {
+            // The rest of an oversized body is never read, so the connection can't be reused
+            if (error.status === 413) res.setHeader('Connection', 'close');
+            sendJson(res, error.status, { error: error.message });
+        } else {
+            console.error(error);
+            sendJson(res, 500, { error: 'Internal server error.' });
+        }
+    }
+}
+
+setInterval(removeExpiredEntries, 60 * 1000).unref();
+
+http.createServer(handleRequest).listen(PORT, () => {
+    console.log(`Audio visualizer running at http://localhost:${PORT}`);
+    console.log(`Accounts are stored in ${DATA_FILE}`);
+});
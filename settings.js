@@ -0,0 +1,192 @@
+/**
+ * Settings Store
+ *
+ * Keeps each user's visualizer settings (style, analyser, per-style
+ * parameters, crossfade, recording and still image options and control panel
+ * state) in localStorage under a key of their own. Stored settings carry a
+ * schema version; older ones are brought up to date by the migrations below
+ * and then filled in with the current defaults, so new settings can be added
+ * without breaking old data.
+ */
+class SettingsStore {
+    /**
+     * @param {string} owner - Username the settings belong to
+     */
+    constructor(owner) {
+        this.owner = owner;
+        this.values = this.load();
+    }
+
+    /**
+     * Settings for a user who hasn't changed anything yet
+     */
+    static defaults() {
+        return {
+            version: SettingsStore.VERSION,
+            style: 'bars',
+            analyser: {
+                fftSize: 2048,
+                smoothingTimeConstant: 0.8,
+                minDecibels: -100,
+                maxDecibels: -30,
+                // How styles lay out the spectrum: one of FrequencyMap.SCALES
+                scale: 'log'
+            },
+            // Parameters keyed by style name; styles fill in their own defaults
+            styleParams: {},
+            crossfade: 0,
+            recording: {
+                // 'window' records at the window size, otherwise 'WIDTHxHEIGHT'
+                resolution: 'window',
+                fps: 30,
+                bitrate: 8000000,
+                // Offline renders: 'webm' or 'png' (a numbered image sequence)
+                exportFormat: 'webm'
+            },
+            // Rebound keyboard shortcuts: { action: [keys] } (see KeyboardShortcuts.DEFAULTS)
+            shortcuts: {},
+            still: {
+                // 'window' matches the window's pixels, otherwise 'WIDTHxHEIGHT'
+                resolution: '3840x2160',
+                transparent: false,
+                caption: false
+            },
+            panel: {
+                // Pixel offsets of the control panel, or null for the default spot
+                position: null,
+                hidden: false,
+                // Whether the audio analysis panel is expanded
+                analyserOpen: false
+            }
+        };
+    }
+
+    /**
+     * localStorage key for a user's settings
+     */
+    static storageKey(owner) {
+        return `${SettingsStore.KEY_PREFIX}${owner}`;
+    }
+
+    /**
+     * Remove a user's saved settings (e.g. when the account is deleted)
+     */
+    static remove(owner) {
+        localStorage.removeItem(SettingsStore.storageKey(owner));
+    }
+
+    /**
+     * Read, migrate and complete the stored settings
+     */
+    load() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(SettingsStore.storageKey(this.owner)));
+        } catch (e) {
+            console.warn('Ignoring unreadable settings', e);
+        }
+        if (!stored || typeof stored !== 'object') {
+            return SettingsStore.defaults();
+        }
+
+        const migrated = SettingsStore.migrate(stored);
+        const settings = SettingsStore.merge(SettingsStore.defaults(), migrated);
+        settings.version = SettingsStore.VERSION;
+        return settings;
+    }
+
+    /**
+     * Apply every migration between the stored version and the current one
+     */
+    static migrate(stored) {
+        let settings = stored;
+        let version = settings.version || 0;
+        while (version < SettingsStore.VERSION) {
+            const migration = SettingsStore.MIGRATIONS[version];
+            if (migration) settings = migration(settings);
+            version++;
+        }
+        return settings;
+    }
+
+    /**
+     * Deep-merge plain objects; arrays and other values from source replace target's
+     */
+    static merge(target, source) {
+        Object.keys(source).forEach(key => {
+            const value = source[key];
+            if (value && typeof value === 'object' && !Array.isArray(value) &&
+                target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+                SettingsStore.merge(target[key], value);
+            } else {
+                target[key] = value;
+            }
+        });
+        return target;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(SettingsStore.storageKey(this.owner), JSON.stringify(this.values));
+        } catch (e) {
+            console.warn('Could not save settings', e);
+        }
+    }
+
+    /**
+     * Merge changes into the settings and save them
+     */
+    update(changes) {
+        // Copy first so later changes to the caller's objects don't leak in
+        SettingsStore.merge(this.values, JSON.parse(JSON.stringify(changes)));
+        this.save();
+    }
+
+    /**
+     * Replace one setting outright and save, e.g. a map whose removed entries
+     * must not survive a merge
+     */
+    set(key, value) {
+        this.values[key] = JSON.parse(JSON.stringify(value));
+        this.save();
+    }
+
+    /**
+     * Parameters saved for a style, filled in with the given defaults
+     */
+    getStyleParams(style, defaults = {}) {
+        const saved = this.values.styleParams[style] || {};
+        return SettingsStore.merge(JSON.parse(JSON.stringify(defaults)), saved);
+    }
+
+    /**
+     * Save changed parameters for a style
+     */
+    setStyleParams(style, params) {
+        this.update({ styleParams: { [style]: params } });
+    }
+
+    /**
+     * Forget the user's settings and go back to the defaults
+     */
+    reset() {
+        SettingsStore.remove(this.owner);
+        this.values = SettingsStore.defaults();
+    }
+}
+
+SettingsStore.KEY_PREFIX = 'audioVisualizerSettings:';
+SettingsStore.VERSION = 2;
+
+// MIGRATIONS[n] turns version n settings into version n + 1. Settings saved
+// before versioning count as version 0 and have nothing to convert.
+SettingsStore.MIGRATIONS = {
+    // The FFT size was fixed at 256 until it could be picked; 256 bins are too
+    // coarse for a log scale, so settings that never chose one get the new default
+    1: settings => {
+        if (settings.analyser && settings.analyser.fftSize === 256) {
+            settings.analyser.fftSize = 2048;
+        }
+        return settings;
+    }
+};
@@ -0,0 +1,182 @@
+/**
+ * Shader Editor
+ *
+ * A panel for editing a running fragment shader. Edits are applied shortly
+ * after typing stops: whoever opened the editor compiles the new source and
+ * reports any errors, which are shown over the canvas with their line numbers
+ * while the last shader that compiled keeps running.
+ */
+(() => {
+    // Wait this long after the last keystroke before compiling
+    const APPLY_DELAY_MS = 600;
+    const INDENT = '    ';
+
+    let target = null;
+    let applyTimer = null;
+    let elements = null;
+
+    function getElements() {
+        if (elements) return elements;
+        elements = {
+            panel: document.getElementById('shader-editor'),
+            title: document.getElementById('shader-editor-title'),
+            source: document.getElementById('shader-source'),
+            gutter: document.getElementById('shader-gutter'),
+            uniforms: document.getElementById('shader-uniforms'),
+            status: document.getElementById('shader-status'),
+            errors: document.getElementById('shader-errors'),
+            reset: document.getElementById('shader-reset'),
+            close: document.getElementById('shader-close')
+        };
+
+        elements.source.addEventListener('input', () => {
+            updateGutter();
+            scheduleApply();
+        });
+        elements.source.addEventListener('scroll', () => {
+            elements.gutter.scrollTop = elements.source.scrollTop;
+        });
+        elements.source.addEventListener('keydown', insertIndent);
+        elements.reset.addEventListener('click', reset);
+        elements.close.addEventListener('click', close);
+        return elements;
+    }
+
+    /**
+     * Strip the indentation shared by every line, left over from template strings
+     */
+    function dedent(source) {
+        const lines = source.replace(/^\n+/, '').replace(/\s+$/, '').split('\n');
+        const indents = lines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length);
+        const common = indents.length ? Math.min(...indents) : 0;
+        return lines.map(line => line.slice(common).replace(/\s+$/, '')).join('\n') + '\n';
+    }
+
+    /**
+     * Tab indents instead of leaving the text area
+     */
+    function insertIndent(event) {
+        if (event.key !== 'Tab' || event.shiftKey) return;
+        event.preventDefault();
+        const textarea = event.target;
+        textarea.setRangeText(INDENT, textarea.selectionStart, textarea.selectionEnd, 'end');
+        textarea.dispatchEvent(new Event('input'));
+    }
+
+    function updateGutter(errorLines = new Set()) {
+        const { source, gutter } = getElements();
+        const count = source.value.split('\n').length;
+        gutter.innerHTML = '';
+        for (let line = 1; line <= count; line++) {
+            const number = document.createElement('div');
+            number.textContent = line;
+            if (errorLines.has(line)) number.className = 'error';
+            gutter.appendChild(number);
+        }
+        gutter.scrollTop = source.scrollTop;
+    }
+
+    function scheduleApply() {
+        clearTimeout(applyTimer);
+        applyTimer = setTimeout(apply, APPLY_DELAY_MS);
+    }
+
+    /**
+     * Hand the source to the target and show what went wrong, if anything
+     */
+    function apply() {
+        clearTimeout(applyTimer);
+        if (!target) return;
+        showErrors(target.apply(getElements().source.value));
+    }
+
+    /**
+     * @param {Array<{line: number|null, message: string}>} errors
+     */
+    function showErrors(errors) {
+        const { status, errors: overlay } = getElements();
+        overlay.innerHTML = '';
+        overlay.hidden = errors.length === 0;
+        updateGutter(new Set(errors.map(error => error.line)));
+
+        if (errors.length === 0) {
+            status.textContent = 'Compiled';
+            status.classList.remove('error');
+            return;
+        }
+
+        status.textContent = `${errors.length} error${errors.length === 1 ? '' : 's'}, still running the last working shader`;
+        status.classList.add('error');
+        errors.forEach(error => {
+            const item = document.createElement('div');
+            const line = document.createElement('span');
+            line.className = 'shader-error-line';
+            line.textContent = error.line ? `Line ${error.line}` : 'Shader';
+            item.append(line, ` ${error.message}`);
+            overlay.appendChild(item);
+        });
+    }
+
+    function listUniforms(uniforms) {
+        const list = getElements().uniforms;
+        list.innerHTML = '';
+        uniforms.forEach(({ declaration, description }) => {
+            const item = document.createElement('li');
+            const code = document.createElement('code');
+            code.textContent = declaration;
+            item.appendChild(code);
+            if (description) item.append(` ${description}`);
+            item.title = 'Click to copy the declaration';
+            item.addEventListener('click', () => {
+                if (navigator.clipboard) navigator.clipboard.writeText(declaration);
+            });
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Discard the edits and go back to the target's original shader
+     */
+    function reset() {
+        if (!target) return;
+        clearTimeout(applyTimer);
+        getElements().source.value = dedent(target.reset());
+        showErrors([]);
+    }
+
+    /**
+     * Start editing a shader, replacing whatever was open before
+     * @param {Object} options
+     * @param {string} options.title - Shown in the panel heading
+     * @param {string} options.source - Current fragment shader source
+     * @param {Array<{declaration: string, description: string}>} options.uniforms - Uniforms the shader can use
+     * @param {Function} options.apply - apply(source) swaps the source in if it compiles and
+     *   returns its errors as [{line, message}] (empty on success)
+     * @param {Function} options.reset - reset() restores the original shader and returns its source
+     */
+    function open(options) {
+        const { panel, title, source } = getElements();
+        clearTimeout(applyTimer);
+        target = options;
+        title.textContent = options.title;
+        source.value = dedent(options.source);
+        listUniforms(options.uniforms);
+        showErrors([]);
+        getElements().status.textContent = '';
+        panel.hidden = false;
+    }
+
+    function close() {
+        clearTimeout(applyTimer);
+        target = null;
+        if (!elements) return;
+        elements.panel.hidden = true;
+        elements.errors.hidden = true;
+    }
+
+    function isOpen() {
+        return target !== null;
+    }
+
+    window.ShaderEditor = { open, close, isOpen, dedent };
+})();
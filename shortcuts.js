@@ -0,0 +1,237 @@
+/**
+ * Keyboard Shortcuts
+ *
+ * Maps keys to named actions (play/pause, seek, style, ...) and shows them in
+ * a help overlay, where any shortcut can be rebound by clicking it and
+ * pressing the new key. Keys are written the way KeyboardEvent.key names
+ * them, with letters in lower case, "Space" for the space bar and a
+ * "Shift+" prefix for named keys, e.g. "Shift+ArrowRight".
+ *
+ * Shortcuts never fire while typing in a text field (including the shader
+ * editor) or while Ctrl, Alt or Cmd is held, so browser shortcuts and
+ * ordinary typing are left alone.
+ */
+class KeyboardShortcuts {
+    /**
+     * @param {Object} options
+     * @param {Object} options.actions - { name: { label, run() } } in the order the help lists them
+     * @param {Object} options.overrides - { name: [keys] } replacing the defaults for some actions
+     * @param {Function} options.onChange - Called with the new overrides after a rebinding
+     */
+    constructor({ actions, overrides = {}, onChange = null }) {
+        this.actions = actions;
+        this.overrides = { ...overrides };
+        this.onChange = onChange;
+        // Action waiting for its new key in the help overlay
+        this.rebinding = null;
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    /**
+     * Start listening for shortcuts on the document
+     */
+    attach() {
+        document.addEventListener('keydown', this.handleKeydown);
+        document.getElementById('shortcut-help-close').addEventListener('click', () => this.hideHelp());
+        document.getElementById('shortcut-help-reset').addEventListener('click', () => this.resetBindings());
+    }
+
+    /**
+     * Keys bound to an action
+     */
+    getKeys(name) {
+        return this.overrides[name] || KeyboardShortcuts.DEFAULTS[name] || [];
+    }
+
+    /**
+     * Action bound to a key, or null
+     */
+    findAction(key) {
+        return Object.keys(this.actions).find(name => this.getKeys(name).includes(key)) || null;
+    }
+
+    /**
+     * A keydown event's key in shortcut notation, or null if it has Ctrl/Alt/Cmd held
+     */
+    static keyName(event) {
+        if (event.ctrlKey || event.altKey || event.metaKey) return null;
+        if (event.key === ' ') return 'Space';
+        if (event.key.length === 1) return event.key.toLowerCase();
+        return event.shiftKey ? `Shift+${event.key}` : event.key;
+    }
+
+    /**
+     * Whether the user is typing somewhere a key press belongs to
+     */
+    static isTyping(target) {
+        if (!target || !target.tagName) return false;
+        if (target.isContentEditable) return true;
+        if (target.tagName === 'TEXTAREA') return true;
+        // Sliders, checkboxes and buttons don't take text
+        return target.tagName === 'INPUT' && !KeyboardShortcuts.NON_TEXT_INPUTS.includes(target.type);
+    }
+
+    /**
+     * Whether a focused slider or dropdown moves with this key itself
+     * Everything else still reaches the shortcuts, so they keep working after
+     * a style is picked or a slider dragged.
+     */
+    static isControlKey(target, key) {
+        if (!target || !target.tagName) return false;
+        const control = target.tagName === 'SELECT' || (target.tagName === 'INPUT' && target.type === 'range');
+        return control && KeyboardShortcuts.CONTROL_KEYS.includes(key);
+    }
+
+    handleKeydown(event) {
+        if (KeyboardShortcuts.isTyping(event.target)) return;
+        if (KeyboardShortcuts.isControlKey(event.target, event.key)) return;
+        if (event.key === 'Escape' && this.isHelpOpen()) {
+            if (this.rebinding) {
+                this.rebinding = null;
+                this.renderHelp();
+            } else {
+                this.hideHelp();
+            }
+            return;
+        }
+
+        const key = KeyboardShortcuts.keyName(event);
+        // Modifier keys on their own only start a combination
+        if (!key || ['Shift', 'Control', 'Alt', 'Meta'].includes(event.key)) return;
+
+        if (this.rebinding) {
+            event.preventDefault();
+            this.bind(this.rebinding, key);
+            return;
+        }
+
+        const action = this.findAction(key);
+        if (!action) return;
+        // Don't also scroll the page or press the focused button
+        event.preventDefault();
+        this.actions[action].run();
+    }
+
+    /**
+     * Make a key the only shortcut for an action, taking it from any other action
+     */
+    bind(name, key) {
+        Object.keys(this.actions).forEach(other => {
+            if (other !== name && this.getKeys(other).includes(key)) {
+                this.overrides[other] = this.getKeys(other).filter(existing => existing !== key);
+            }
+        });
+        this.overrides[name] = [key];
+        this.rebinding = null;
+        this.renderHelp();
+        if (this.onChange) this.onChange({ ...this.overrides });
+    }
+
+    resetBindings() {
+        this.overrides = {};
+        this.rebinding = null;
+        this.renderHelp();
+        if (this.onChange) this.onChange({});
+    }
+
+    isHelpOpen() {
+        return !document.getElementById('shortcut-help').hidden;
+    }
+
+    toggleHelp() {
+        if (this.isHelpOpen()) {
+            this.hideHelp();
+        } else {
+            this.showHelp();
+        }
+    }
+
+    showHelp() {
+        this.renderHelp();
+        document.getElementById('shortcut-help').hidden = false;
+    }
+
+    hideHelp() {
+        this.rebinding = null;
+        document.getElementById('shortcut-help').hidden = true;
+    }
+
+    /**
+     * List every action with its keys; clicking the keys rebinds them
+     */
+    renderHelp() {
+        const list = document.getElementById('shortcut-list');
+        list.innerHTML = '';
+        Object.keys(this.actions).forEach(name => {
+            const row = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = this.actions[name].label;
+
+            const keys = document.createElement('button');
+            keys.className = 'shortcut-keys';
+            keys.title = 'Click, then press the new key';
+            if (this.rebinding === name) {
+                keys.textContent = 'Press a key…';
+                keys.classList.add('waiting');
+            } else {
+                const bound = this.getKeys(name);
+                bound.forEach(key => {
+                    const kbd = document.createElement('kbd');
+                    kbd.textContent = KeyboardShortcuts.describeKey(key);
+                    keys.appendChild(kbd);
+                });
+                if (bound.length === 0) keys.textContent = 'None';
+            }
+            keys.addEventListener('click', () => {
+                this.rebinding = name;
+                this.renderHelp();
+            });
+
+            row.append(label, keys);
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Readable label for a key, e.g. "Shift+ArrowRight" → "Shift + →"
+     */
+    static describeKey(key) {
+        const parts = key.startsWith('Shift+') ? ['Shift', key.slice('Shift+'.length)] : [key];
+        return parts.map(part => KeyboardShortcuts.KEY_LABELS[part] || part.toUpperCase()).join(' + ');
+    }
+}
+
+KeyboardShortcuts.DEFAULTS = {
+    togglePlay: ['Space'],
+    seekBack: ['ArrowLeft'],
+    seekForward: ['ArrowRight'],
+    previousTrack: ['Shift+ArrowLeft', 'ArrowUp'],
+    nextTrack: ['Shift+ArrowRight', 'ArrowDown'],
+    style1: ['1'],
+    style2: ['2'],
+    style3: ['3'],
+    style4: ['4'],
+    style5: ['5'],
+    tapTempo: ['t'],
+    toggleUI: ['h'],
+    toggleFullscreen: ['f'],
+    toggleHelp: ['?']
+};
+
+KeyboardShortcuts.KEY_LABELS = {
+    Space: 'Space',
+    Shift: 'Shift',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Escape: 'Esc',
+    Enter: 'Enter',
+    Tab: 'Tab',
+    Backspace: 'Backspace'
+};
+
+// Input types that don't take typed text, so shortcuts still work while they have focus
+KeyboardShortcuts.NON_TEXT_INPUTS = ['checkbox', 'radio', 'button', 'submit', 'reset', 'image', 'file', 'range', 'color'];
+// Keys a focused slider or dropdown uses to change its value
+KeyboardShortcuts.CONTROL_KEYS = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'PageUp', 'PageDown'];
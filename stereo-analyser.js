@@ -0,0 +1,114 @@
+/**
+ * Stereo Analyser
+ *
+ * Splits what the main analyser hears into left and right and analyses each
+ * side with an analyser of its own, so styles can see where sounds sit in the
+ * stereo field: the spectrum and waveform of each channel, how alike the two
+ * are (phase correlation) and how wide the image is. Mono sources come out the
+ * same on both sides; anything wider than stereo is folded down to two channels.
+ *
+ * An offline render fills in the same fields from OfflineAnalysers (see
+ * StereoAnalyser.describe), so styles can't tell the difference.
+ */
+class StereoAnalyser {
+    /**
+     * @param {AudioContext} audioContext
+     * @param {AudioNode} source - Node whose output is analysed (the main analyser passes its input through)
+     */
+    constructor(audioContext, source) {
+        // Up-mixes mono to both channels and down-mixes surround to stereo
+        this.input = audioContext.createGain();
+        this.input.channelCount = 2;
+        this.input.channelCountMode = 'explicit';
+        this.input.channelInterpretation = 'speakers';
+
+        this.splitter = audioContext.createChannelSplitter(2);
+        this.left = audioContext.createAnalyser();
+        this.right = audioContext.createAnalyser();
+        source.connect(this.input);
+        this.input.connect(this.splitter);
+        this.splitter.connect(this.left, 0);
+        this.splitter.connect(this.right, 1);
+
+        // { frequencyData, samples } for each side, sized by resize()
+        this.channels = null;
+        this.resize();
+    }
+
+    /**
+     * Both channels' analysers, for applying the user's analyser settings
+     */
+    get analysers() {
+        return [this.left, this.right];
+    }
+
+    /**
+     * Reallocate the data arrays after the FFT size changed
+     */
+    resize() {
+        this.channels = {
+            left: StereoAnalyser.createChannel(this.left.fftSize),
+            right: StereoAnalyser.createChannel(this.right.fftSize)
+        };
+    }
+
+    /**
+     * Read both channels and measure them
+     * @returns {Object} The frame's audio.stereo (see style-registry.js); its arrays are reused
+     */
+    read() {
+        const { left, right } = this.channels;
+        this.left.getByteFrequencyData(left.frequencyData);
+        this.left.getFloatTimeDomainData(left.samples);
+        this.right.getByteFrequencyData(right.frequencyData);
+        this.right.getFloatTimeDomainData(right.samples);
+        return StereoAnalyser.describe(left, right);
+    }
+
+    static createChannel(fftSize) {
+        return {
+            frequencyData: new Uint8Array(fftSize / 2),
+            samples: new Float32Array(fftSize)
+        };
+    }
+
+    /**
+     * audio.stereo for a pair of analysed channels
+     * @param {Object} left - { frequencyData, samples } of the left channel
+     * @param {Object} right - Likewise for the right
+     */
+    static describe(left, right) {
+        return { left, right, ...StereoAnalyser.measure(left.samples, right.samples) };
+    }
+
+    /**
+     * Phase correlation and stereo width of two blocks of samples
+     * Correlation is 1 for mono, 0 for unrelated channels and -1 when one
+     * side is the other inverted. Width is the side signal's share of the
+     * mid and side together: 0 for mono, 0.5 for unrelated channels and 1
+     * for inverted ones. Silence measures 0 for both.
+     * @returns {Object} { correlation, width }
+     */
+    static measure(left, right) {
+        let product = 0, leftPower = 0, rightPower = 0, midPower = 0, sidePower = 0;
+        for (let i = 0; i < left.length; i++) {
+            const l = left[i];
+            const r = right[i];
+            product += l * r;
+            leftPower += l * l;
+            rightPower += r * r;
+            midPower += (l + r) * (l + r);
+            sidePower += (l - r) * (l - r);
+        }
+        const power = Math.sqrt(leftPower * rightPower);
+        const mid = Math.sqrt(midPower);
+        const side = Math.sqrt(sidePower);
+        return {
+            correlation: power > StereoAnalyser.SILENCE ? product / power : 0,
+            width: mid + side > StereoAnalyser.SILENCE ? side / (mid + side) : 0
+        };
+    }
+}
+
+// Below this (summed squared samples) a block counts as silent
+StereoAnalyser.SILENCE = 1e-9;
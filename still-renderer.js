@@ -0,0 +1,158 @@
+/**
+ * Still Renderer
+ *
+ * Renders the current scene to a PNG at any size, independent of the window.
+ * The image is drawn offscreen in tiles small enough for any GPU: the camera
+ * is offset to each tile in turn (as with a camera's setViewOffset() for
+ * multi-monitor setups), the tile is read back and placed on a 2D canvas,
+ * where an optional caption is added on top.
+ */
+class StillRenderer {
+    /**
+     * @param {THREE.WebGLRenderer} renderer - Renderer the scene is normally drawn with
+     */
+    constructor(renderer) {
+        this.renderer = renderer;
+    }
+
+    /**
+     * Largest tile this GPU can draw, capped to keep memory use modest
+     */
+    getTileSize() {
+        const gl = this.renderer.getContext();
+        return Math.min(
+            this.renderer.capabilities.maxTextureSize,
+            gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+            StillRenderer.MAX_TILE_SIZE
+        );
+    }
+
+    /**
+     * Draw a still onto a new canvas
+     * Everything happens before this returns, so the scene can be put back
+     * straight afterwards.
+     * @param {Object} options
+     * @param {THREE.Scene} options.scene
+     * @param {THREE.Camera} options.camera - Perspective or orthographic camera; restored afterwards
+     * @param {number} options.width - Image size in pixels
+     * @param {number} options.height
+     * @param {boolean} options.transparent - Leave the background see-through instead of drawing it
+     * @param {string} [options.caption] - Text to print in the bottom-left corner
+     * @returns {HTMLCanvasElement}
+     */
+    draw({ scene, camera, width, height, transparent = false, caption = '' }) {
+        const renderer = this.renderer;
+        const tileSize = this.getTileSize();
+        const target = this.createTarget(Math.min(width, tileSize), Math.min(height, tileSize));
+
+        const output = document.createElement('canvas');
+        output.width = width;
+        output.height = height;
+        const context = output.getContext('2d');
+
+        // Remember everything that's changed for the still
+        const background = scene.background;
+        const clearColor = renderer.getClearColor(new THREE.Color());
+        const clearAlpha = renderer.getClearAlpha();
+        const aspect = camera.aspect;
+
+        try {
+            if (transparent) {
+                scene.background = null;
+                renderer.setClearColor(0x000000, 0);
+            }
+            if (camera.isPerspectiveCamera) camera.aspect = width / height;
+
+            let pixels = null;
+            for (let y = 0; y < height; y += tileSize) {
+                for (let x = 0; x < width; x += tileSize) {
+                    const tileWidth = Math.min(tileSize, width - x);
+                    const tileHeight = Math.min(tileSize, height - y);
+                    if (target.width !== tileWidth || target.height !== tileHeight) {
+                        target.setSize(tileWidth, tileHeight);
+                    }
+                    camera.setViewOffset(width, height, x, y, tileWidth, tileHeight);
+
+                    renderer.setRenderTarget(target);
+                    renderer.clear();
+                    renderer.render(scene, camera);
+
+                    if (!pixels || pixels.length !== tileWidth * tileHeight * 4) {
+                        pixels = new Uint8Array(tileWidth * tileHeight * 4);
+                    }
+                    renderer.readRenderTargetPixels(target, 0, 0, tileWidth, tileHeight, pixels);
+                    context.putImageData(StillRenderer.flipRows(context, pixels, tileWidth, tileHeight), x, y);
+                }
+            }
+        } finally {
+            renderer.setRenderTarget(null);
+            target.dispose();
+            scene.background = background;
+            renderer.setClearColor(clearColor, clearAlpha);
+            camera.clearViewOffset();
+            if (camera.isPerspectiveCamera) {
+                camera.aspect = aspect;
+                camera.updateProjectionMatrix();
+            }
+        }
+
+        if (caption) StillRenderer.drawCaption(context, caption, width, height);
+        return output;
+    }
+
+    /**
+     * Encode a drawn still as PNG
+     * @returns {Promise<Blob>}
+     */
+    static toPNG(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('The image is too large for this browser')), 'image/png');
+        });
+    }
+
+    /**
+     * Offscreen target matching what the renderer draws on screen
+     * Multisampled on WebGL 2, so edges stay as smooth as the antialiased canvas.
+     */
+    createTarget(width, height) {
+        const options = { format: THREE.RGBAFormat, encoding: this.renderer.outputEncoding };
+        if (this.renderer.capabilities.isWebGL2) {
+            const target = new THREE.WebGLMultisampleRenderTarget(width, height, options);
+            target.samples = StillRenderer.SAMPLES;
+            return target;
+        }
+        return new THREE.WebGLRenderTarget(width, height, options);
+    }
+
+    /**
+     * WebGL reads rows bottom-up; canvases want them top-down
+     */
+    static flipRows(context, pixels, width, height) {
+        const image = context.createImageData(width, height);
+        const rowLength = width * 4;
+        for (let row = 0; row < height; row++) {
+            const source = (height - 1 - row) * rowLength;
+            image.data.set(pixels.subarray(source, source + rowLength), row * rowLength);
+        }
+        return image;
+    }
+
+    /**
+     * Print the caption in the bottom-left corner, sized to the image
+     */
+    static drawCaption(context, caption, width, height) {
+        const fontSize = Math.round(height / 24);
+        const margin = Math.round(fontSize * 1.2);
+        context.save();
+        context.font = `600 ${fontSize}px Poppins, sans-serif`;
+        context.textBaseline = 'bottom';
+        context.fillStyle = '#ffffff';
+        context.shadowColor = 'rgba(0, 0, 0, 0.8)';
+        context.shadowBlur = fontSize / 3;
+        context.fillText(caption, margin, height - margin, width - margin * 2);
+        context.restore();
+    }
+}
+
+StillRenderer.MAX_TILE_SIZE = 4096;
+StillRenderer.SAMPLES = 4;
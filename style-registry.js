@@ -0,0 +1,139 @@
+/**
+ * Visualizer Style Registry
+ *
+ * Every visualizer style registers itself here as a self-contained module, so
+ * adding one never means touching visualizer.js. The style dropdown is built
+ * from the registry, and styles registered later (e.g. from a team's own
+ * script) show up in it straight away.
+ *
+ * A style is an object with metadata and lifecycle hooks:
+ *
+ *   VisualizerStyles.register({
+ *       id: 'my-style',            // unique key, saved in the user's settings
+ *       name: 'My Style',          // label in the dropdown
+ *       description: '...',        // optional tooltip
+ *       order: 100,                // optional dropdown position (lower first)
+ *       defaults: { speed: 1 },    // optional parameters, saved per user
+ *       create(ctx) { ... },                // build the scene
+ *       update(ctx, audio, delta) { ... },  // called every frame
+ *       resize(ctx, width, height) { ... }, // optional
+ *       dispose(ctx) { ... }                // optional; tracked objects are cleaned up anyway
+ *   });
+ *
+ * ctx is created fresh each time the style is shown:
+ *   ctx.scene, ctx.renderer     Shared three.js scene and renderer
+ *   ctx.camera                  Camera to render with; a style may replace it. Large stills
+ *                               are drawn in tiles by offsetting this camera, so draw through it
+ *   ctx.orbitControls           Orbit controls (disabled unless the style enables them)
+ *   ctx.add(object)             Add an object to the scene and dispose it with the style
+ *   ctx.remove(object)          Remove and dispose a tracked object early
+ *   ctx.params                  The style's parameters (defaults merged with saved values)
+ *   ctx.saveParams(changes)     Update and save parameters for the user
+ *   ctx.addSelect({ label, options: [{ value, label }], value, onChange })
+ *                               Add a dropdown to the control panel while the style is shown
+ *   ctx.addButton({ label, onClick })   Likewise for a button
+ *   ctx.on(type, listener)      Listen for the beat engine's 'beat', 'downbeat' or 'bpmchange'
+ *                               events (see beat-engine.js) while the style is shown
+ *   ctx.state                   Empty object for the style's own state
+ *   ctx.time                    Seconds since the visualizer started
+ *   ctx.width, ctx.height       Render size in CSS pixels (the window, recording or still size)
+ *
+ * audio holds the analysis for the current frame:
+ *   audio.frequencyData         Uint8Array of byte frequency magnitudes, in linear bins
+ *                               from 0 Hz to half the sample rate (the FFT size is the user's)
+ *   audio.waveformData          Uint8Array of byte waveform samples (128 is silence)
+ *   audio.samples               Float32Array of the same waveform at full precision, -1 to 1
+ *   audio.sampleRate            Sample rate of the analysed audio
+ *   audio.scale                 The user's frequency scale (one of FrequencyMap.SCALES)
+ *   audio.level                 Average level, 0-1
+ *   audio.low, audio.mid, audio.high   Average level of the bass, mids and treble
+ *                               (FrequencyMap.BANDS), 0-1
+ *   audio.stereo                Each channel and how they relate: { left, right,
+ *                               correlation, width }, where left and right are
+ *                               { frequencyData, samples } (samples are floats, -1 to 1),
+ *                               correlation runs from -1 (inverted) through 0 to 1 (mono)
+ *                               and width from 0 (mono) to 1 (see StereoAnalyser.measure)
+ *   audio.beat                  The beat engine's state: bpm, phase, beatInBar, isBeat,
+ *                               onsets and pulse per band, ... (see BeatEngine.emptyState)
+ *
+ * FrequencyMap.spectrum(audio, count) gives the spectrum as count values on
+ * the user's scale, e.g. one per bar (pass 'left' or 'right' as a third
+ * argument for one channel), and FrequencyMap.level(audio, band)
+ * the level of a band in Hz; prefer them to indexing frequencyData. A
+ * FrequencyMap of your own also tells where a frequency falls along the
+ * output (positionOf), for axis labels.
+ *
+ * The projector window (projector.html) runs the same styles with its own
+ * ctx, fed the main window's audio each frame. There, ctx.addSelect and
+ * ctx.addButton return controls that aren't shown, and only the main window
+ * saves parameters, so keep a style's work to its ctx and audio.
+ */
+(() => {
+    const styles = new Map();
+    const listeners = [];
+
+    function validate(style) {
+        if (!style || typeof style.id !== 'string' || !style.id) {
+            throw new Error('A visualizer style needs a string id.');
+        }
+        if (typeof style.create !== 'function' || typeof style.update !== 'function') {
+            throw new Error(`Visualizer style "${style.id}" needs create() and update() hooks.`);
+        }
+    }
+
+    /**
+     * Add a style (or replace one with the same id)
+     */
+    function register(style) {
+        validate(style);
+        styles.set(style.id, Object.assign({ name: style.id, description: '', order: 100, defaults: {} }, style));
+        listeners.forEach(listener => listener());
+    }
+
+    function unregister(id) {
+        if (styles.delete(id)) {
+            listeners.forEach(listener => listener());
+        }
+    }
+
+    function get(id) {
+        return styles.get(id) || null;
+    }
+
+    function has(id) {
+        return styles.has(id);
+    }
+
+    /**
+     * All styles in dropdown order
+     */
+    function list() {
+        return Array.from(styles.values()).sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Call listener whenever a style is registered or removed
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    /**
+     * Free the GPU resources of an object a style added, and of its children
+     */
+    function disposeObject(root) {
+        root.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.filter(Boolean).forEach(material => {
+                Object.values(material.uniforms || {}).forEach(uniform => {
+                    if (uniform.value && uniform.value.isTexture) uniform.value.dispose();
+                });
+                if (material.map) material.map.dispose();
+                material.dispose();
+            });
+        });
+    }
+
+    window.VisualizerStyles = { register, unregister, get, has, list, onChange, disposeObject };
+})();
@@ -0,0 +1,85 @@
+/**
+ * Bars Style
+ *
+ * A row of vertical bars whose heights and colours follow the frequency
+ * spectrum. The palette moves on at the start of every bar of music. The
+ * mirrored layout shows the left channel on the left and the right channel on
+ * the right, with the bass in the middle.
+ */
+VisualizerStyles.register({
+    id: 'bars',
+    name: 'Bars',
+    description: 'Vertical bars that follow the frequency spectrum',
+    order: 10,
+    defaults: {
+        // 'spectrum' for the mix from left to right, 'mirrored' for left and right channels
+        layout: 'spectrum'
+    },
+
+    /**
+     * Create a set of vertical bars that react to audio frequencies
+     */
+    create(ctx) {
+        const barCount = 64;
+        const barWidth = 0.2;
+        const barHeight = 1;
+        const spacing = 0.3;
+        const totalWidth = (barCount - 1) * (barWidth + spacing);
+        const startX = -totalWidth / 2;
+
+        // Create bars with initial properties
+        ctx.state.bars = [];
+        for (let i = 0; i < barCount; i++) {
+            const geometry = new THREE.BoxGeometry(barWidth, barHeight, 1);
+            const material = new THREE.MeshPhongMaterial({
+                color: 0x00ff00,
+                shininess: 100
+            });
+            const bar = new THREE.Mesh(geometry, material);
+            bar.position.x = startX + i * (barWidth + spacing);
+            bar.position.y = 0;
+            ctx.add(bar);
+            ctx.state.bars.push(bar);
+        }
+
+        ctx.state.hueOffset = 0;
+        ctx.on('downbeat', () => {
+            ctx.state.hueOffset = (ctx.state.hueOffset + 0.15) % 1;
+        });
+
+        ctx.addSelect({
+            label: 'Layout:',
+            options: [
+                { value: 'spectrum', label: 'Spectrum' },
+                { value: 'mirrored', label: 'Mirrored L/R' }
+            ],
+            value: ctx.params.layout,
+            onChange: layout => ctx.saveParams({ layout })
+        });
+    },
+
+    /**
+     * Adjust bar heights and colors based on audio frequencies
+     */
+    update(ctx, audio) {
+        const bars = ctx.state.bars;
+        const mirrored = ctx.params.layout === 'mirrored';
+        const half = bars.length / 2;
+        // One value per bar (per half when mirrored), on the user's frequency scale
+        const values = mirrored ? null : FrequencyMap.spectrum(audio, bars.length);
+        const left = mirrored ? FrequencyMap.spectrum(audio, half, 'left') : null;
+        const right = mirrored ? FrequencyMap.spectrum(audio, half, 'right') : null;
+        // Brighter on a kick
+        const lightness = 0.5 + audio.beat.pulse.low * 0.2;
+        for (let i = 0; i < bars.length; i++) {
+            // Mirrored halves run outwards from the bass in the middle
+            const band = mirrored ? (i < half ? half - 1 - i : i - half) : i;
+            const value = mirrored ? (i < half ? left : right)[band] : values[i];
+            const bar = bars[i];
+            bar.scale.y = 1 + value * 10;
+            const position = mirrored ? band / half : i / bars.length;
+            const hue = (position * 0.3 + 0.5 + ctx.state.hueOffset) % 1;
+            bar.material.color.setHSL(hue, 1, lightness);
+        }
+    }
+});
@@ -0,0 +1,324 @@
+/**
+ * Oscilloscope Style
+ *
+ * Draws the waveform itself, as an oscilloscope would. Each frame starts at a
+ * rising zero crossing, picked to line up with the frame before, so a steady
+ * tone stands still instead of jittering. The trace is a ribbon of any
+ * thickness with an optional glow, and earlier traces linger and fade like
+ * phosphor. In the 3D ribbon layout they recede into the distance instead of
+ * fading in place.
+ */
+VisualizerStyles.register({
+    id: 'oscilloscope',
+    name: 'Oscilloscope',
+    description: 'The waveform, triggered so it holds still, with glow and phosphor trails',
+    order: 70,
+    defaults: {
+        // 'flat' on a 2D screen or 'ribbon' receding in 3D
+        mode: 'flat',
+        // Trace thickness in pixels (for the front trace in 3D)
+        thickness: 3,
+        // Strength of the halo around the trace, 0-1
+        glow: 0.5,
+        // How much of each trace is left after a 60th of a second, 0 (none) to 1
+        persistence: 0.8
+    },
+
+    /**
+     * Create the traces, the cameras for both layouts and the option pickers
+     */
+    create(ctx) {
+        const state = ctx.state;
+        ctx.scene.background = new THREE.Color(0x020805);
+
+        state.flatCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, -10, 10);
+        state.ribbonCamera = ctx.camera;
+        this.resize(ctx, ctx.width, ctx.height);
+
+        // One ribbon per TRACE_RATE-th of a second of history, reused oldest first
+        state.traces = [];
+        for (let i = 0; i < this.MAX_HISTORY; i++) {
+            state.traces.push(ctx.add(this.createTrace()));
+        }
+        state.newest = 0;
+        // Seconds the style has run, and when each trace was started
+        state.clock = 0;
+        state.times = new Array(this.MAX_HISTORY).fill(-Infinity);
+        // Raw samples of the last trace drawn, to line the next one up with
+        state.previous = new Float32Array(this.POINTS);
+        state.hasPrevious = false;
+        // Follows the loudest recent sample so quiet tracks still fill the screen
+        state.peak = this.MIN_PEAK;
+        this.useMode(ctx);
+
+        const select = (label, key, options) => ctx.addSelect({
+            label,
+            options: options.map(([value, text]) => ({ value: String(value), label: text })),
+            value: String(ctx.params[key]),
+            onChange: value => {
+                ctx.saveParams({ [key]: key === 'mode' ? value : Number(value) });
+                if (key === 'mode') this.useMode(ctx);
+            }
+        });
+        select('Layout:', 'mode', [['flat', 'Flat'], ['ribbon', 'Ribbon (3D)']]);
+        select('Thickness:', 'thickness', [[1, 'Hairline'], [3, 'Medium'], [6, 'Thick'], [12, 'Heavy']]);
+        select('Glow:', 'glow', [[0, 'Off'], [0.5, 'Soft'], [1, 'Strong']]);
+        select('Persistence:', 'persistence', [[0, 'Off'], [0.6, 'Short'], [0.8, 'Medium'], [0.92, 'Long']]);
+    },
+
+    /**
+     * A ribbon mesh of POINTS pairs of vertices, either side of the waveform
+     * The across attribute runs from -1 to 1 over the ribbon's width, for the glow.
+     */
+    createTrace() {
+        const positions = new Float32Array(this.POINTS * 2 * 3);
+        const across = new Float32Array(this.POINTS * 2);
+        const indices = [];
+        for (let i = 0; i < this.POINTS; i++) {
+            across[i * 2] = -1;
+            across[i * 2 + 1] = 1;
+            if (i > 0) {
+                const a = (i - 1) * 2;
+                indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+            }
+        }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('across', new THREE.BufferAttribute(across, 1));
+        geometry.setIndex(indices);
+        geometry.setDrawRange(0, 0);
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                color: { value: new THREE.Color(0x33ff99) },
+                opacity: { value: 1 },
+                // Share of the ribbon's half-width taken by the solid core
+                core: { value: 1 },
+                glow: { value: 0 }
+            },
+            vertexShader: `
+                attribute float across;
+                varying float vAcross;
+                void main() {
+                    vAcross = across;
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform vec3 color;
+                uniform float opacity;
+                uniform float core;
+                uniform float glow;
+                varying float vAcross;
+                void main() {
+                    float d = abs(vAcross);
+                    float solid = 1.0 - smoothstep(core * 0.7, core, d);
+                    float halo = glow * pow(1.0 - d, 3.0);
+                    float intensity = max(solid, halo) * opacity;
+                    gl_FragColor = vec4(color * intensity, intensity);
+                }
+            `,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+        const mesh = new THREE.Mesh(geometry, material);
+        // The ribbon is rebuilt every frame, so its bounds are never up to date
+        mesh.frustumCulled = false;
+        return mesh;
+    },
+
+    /**
+     * Switch between the flat screen and the 3D ribbon layout
+     */
+    useMode(ctx) {
+        const state = ctx.state;
+        if (ctx.params.mode === 'ribbon') {
+            ctx.camera = state.ribbonCamera;
+            ctx.camera.position.set(0, 5, 12);
+            ctx.camera.lookAt(0, 0, -8);
+        } else {
+            ctx.camera = state.flatCamera;
+        }
+        state.traces.forEach(trace => trace.position.set(0, 0, 0));
+    },
+
+    /**
+     * Find where to start the trace: a rising zero crossing whose waveform
+     * best matches the previous trace, or the latest samples if there's none
+     * @param {Float32Array} samples - The frame's samples
+     * @param {number} span - Samples the trace covers
+     * @returns {number} Fractional sample index
+     */
+    findTrigger(state, samples, span) {
+        const limit = samples.length - span;
+        // Needs a dip below this before a crossing counts, so noise doesn't retrigger
+        const threshold = state.peak * this.HYSTERESIS;
+        let armed = false;
+        let best = limit;
+        let bestDifference = Infinity;
+        let candidates = 0;
+        for (let i = 1; i <= limit && candidates < this.MAX_CANDIDATES; i++) {
+            if (samples[i - 1] < -threshold) armed = true;
+            if (!armed || samples[i - 1] >= 0 || samples[i] < 0) continue;
+            armed = false;
+            candidates++;
+
+            const start = i - 1 + samples[i - 1] / (samples[i - 1] - samples[i]);
+            if (!state.hasPrevious) return start;
+            const difference = this.compare(state.previous, samples, start, span);
+            if (difference < bestDifference) {
+                bestDifference = difference;
+                best = start;
+            }
+        }
+        return best;
+    },
+
+    /**
+     * Squared difference between the previous trace and the one starting at start, sparsely sampled
+     */
+    compare(previous, samples, start, span) {
+        let difference = 0;
+        for (let i = 0; i < this.POINTS; i += 8) {
+            const value = this.sample(samples, start + (i * span) / this.POINTS);
+            difference += (value - previous[i]) * (value - previous[i]);
+        }
+        return difference;
+    },
+
+    /**
+     * Linearly interpolate samples at a fractional index
+     */
+    sample(samples, position) {
+        const index = Math.floor(position);
+        const next = samples[Math.min(index + 1, samples.length - 1)];
+        return samples[index] + (next - samples[index]) * (position - index);
+    },
+
+    /**
+     * Build the newest trace from this frame's samples and fade or push back the rest
+     */
+    update(ctx, audio, delta) {
+        const state = ctx.state;
+        const samples = audio.samples;
+        const ribbon = ctx.params.mode === 'ribbon';
+
+        let peak = 0;
+        for (let i = 0; i < samples.length; i++) {
+            peak = Math.max(peak, Math.abs(samples[i]));
+        }
+        // Rise at once, fall over a couple of seconds
+        state.peak = Math.max(peak, this.MIN_PEAK, state.peak * Math.exp(-delta / 2));
+
+        // Half the buffer on screen leaves the other half to find a trigger in
+        const span = Math.max(2, Math.min(this.MAX_SPAN, Math.floor(samples.length / 2)));
+        const start = this.findTrigger(state, samples, span);
+        const count = Math.min(this.POINTS, span);
+        for (let i = 0; i < count; i++) {
+            state.previous[i] = this.sample(samples, start + (i * span) / count);
+        }
+        state.hasPrevious = count === this.POINTS;
+
+        // Start a new trace about TRACE_RATE times a second at most, redrawing the
+        // newest in between, so the history reaches as far back at any frame rate.
+        // Half a period leaves room for frame timing jitter at TRACE_RATE itself.
+        state.clock += delta;
+        if (state.clock - state.times[state.newest] >= 0.5 / this.TRACE_RATE) {
+            state.newest = (state.newest + 1) % state.traces.length;
+            state.times[state.newest] = state.clock;
+        }
+        const trace = state.traces[state.newest];
+        this.buildRibbon(ctx, trace, state.previous, count, 0.9 / state.peak);
+
+        // Older traces fade away, and recede into the distance in 3D
+        const persistence = ctx.params.persistence;
+        const glow = ctx.params.glow;
+        state.traces.forEach((line, i) => {
+            // In TRACE_RATE-ths of a second
+            const age = i === state.newest ? 0 : (state.clock - state.times[i]) * this.TRACE_RATE;
+            const opacity = age === 0 ? 1 : Math.pow(persistence, age);
+            line.visible = opacity > this.MIN_OPACITY;
+            line.material.uniforms.opacity.value = opacity;
+            line.material.uniforms.glow.value = glow;
+            line.material.uniforms.core.value = 1 / (1 + glow * this.GLOW_SPREAD);
+            line.position.z = ribbon ? -age * this.RIBBON_SPACING : 0;
+            if (ribbon) {
+                // Cooler further back
+                line.material.uniforms.color.value.setHSL(0.42 + age * 0.012, 1, 0.55);
+            } else {
+                line.material.uniforms.color.value.setHex(0x33ff99);
+            }
+        });
+    },
+
+    /**
+     * Lay a ribbon along the waveform, thickness (plus any glow) wide
+     */
+    buildRibbon(ctx, trace, values, count, gain) {
+        const state = ctx.state;
+        const ribbon = ctx.params.mode === 'ribbon';
+        const halfWidth = ribbon ? this.RIBBON_HALF_WIDTH : state.flatCamera.right * 0.95;
+        const amplitude = ribbon ? this.RIBBON_AMPLITUDE : 0.9;
+        // World units per pixel: the flat screen is 2 units high, and in 3D the front trace is at the origin
+        const camera = state.ribbonCamera;
+        const viewHeight = ribbon
+            ? 2 * camera.position.length() * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2))
+            : 2;
+        const unit = viewHeight / ctx.height;
+        const spread = ctx.params.thickness / 2 * unit * (1 + ctx.params.glow * this.GLOW_SPREAD);
+
+        const positions = trace.geometry.attributes.position.array;
+        const x = i => -halfWidth + (2 * halfWidth * i) / Math.max(1, count - 1);
+        const y = i => values[Math.min(Math.max(i, 0), count - 1)] * gain * amplitude;
+        for (let i = 0; i < count; i++) {
+            // Offset along the normal of the line through the neighbouring points
+            let tx = x(i + 1) - x(i - 1);
+            let ty = y(i + 1) - y(i - 1);
+            const length = Math.hypot(tx, ty) || 1;
+            tx /= length;
+            ty /= length;
+            const v = i * 6;
+            positions[v] = x(i) + ty * spread;
+            positions[v + 1] = y(i) - tx * spread;
+            positions[v + 2] = 0;
+            positions[v + 3] = x(i) - ty * spread;
+            positions[v + 4] = y(i) + tx * spread;
+            positions[v + 5] = 0;
+        }
+        trace.geometry.attributes.position.needsUpdate = true;
+        trace.geometry.setDrawRange(0, (count - 1) * 6);
+    },
+
+    /**
+     * Keep the flat screen filling the window
+     */
+    resize(ctx, width, height) {
+        const camera = ctx.state.flatCamera;
+        const aspect = width / height;
+        camera.left = -aspect;
+        camera.right = aspect;
+        camera.top = 1;
+        camera.bottom = -1;
+        camera.updateProjectionMatrix();
+    },
+
+    // Ribbon vertex pairs per trace, and the most samples they cover
+    POINTS: 512,
+    MAX_SPAN: 1024,
+    MAX_HISTORY: 32,
+    // Traces started a second, and the rate persistence is given for
+    TRACE_RATE: 60,
+    // Rising zero crossings tried per frame when lining up with the last trace
+    MAX_CANDIDATES: 16,
+    // Share of the peak a signal must dip below before the next crossing counts
+    HYSTERESIS: 0.05,
+    MIN_PEAK: 0.02,
+    MIN_OPACITY: 0.02,
+    // How many times the thickness the glow adds to the ribbon's width
+    GLOW_SPREAD: 4,
+    RIBBON_HALF_WIDTH: 10,
+    RIBBON_AMPLITUDE: 3,
+    RIBBON_SPACING: 0.8
+});
@@ -0,0 +1,155 @@
+/**
+ * Points Style
+ *
+ * A sphere of glowing points that swells with the music and jumps on the
+ * beat while the camera circles it.
+ */
+VisualizerStyles.register({
+    id: 'points',
+    name: 'Points',
+    description: 'A pulsing sphere of glowing points',
+    order: 20,
+
+    /**
+     * Create a sphere of points that react to audio with dynamic movement
+     */
+    create(ctx) {
+        const state = ctx.state;
+        // Create a large number of points
+        const pointCount = 15000;
+        const positions = new Float32Array(pointCount * 3);
+        const colors = new Float32Array(pointCount * 3);
+        const sizes = new Float32Array(pointCount);
+
+        // Initialize points with random positions and colors
+        const color = new THREE.Color();
+        for (let i = 0; i < pointCount; i++) {
+            const i3 = i * 3;
+            
+            // Random positions in a sphere
+            const radius = 50;
+            const theta = Math.random() * Math.PI * 2;
+            const phi = Math.acos(2 * Math.random() - 1);
+            
+            positions[i3] = radius * Math.sin(phi) * Math.cos(theta);
+            positions[i3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
+            positions[i3 + 2] = radius * Math.cos(phi);
+            
+            // Random colors
+            color.setHSL(Math.random(), 0.8, 0.5);
+            colors[i3] = color.r;
+            colors[i3 + 1] = color.g;
+            colors[i3 + 2] = color.b;
+            
+            // Random sizes
+            sizes[i] = Math.random() * 2;
+        }
+
+        // Create geometry with point attributes
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+
+        // Create shader material for points
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                time: { value: 0 },
+                audioLevel: { value: 0 },
+                pointTexture: { value: new THREE.TextureLoader().load('https://threejs.org/examples/textures/sprites/disc.png') }
+            },
+            vertexShader: `
+                attribute float size;
+                varying vec3 vColor;
+                uniform float time;
+                uniform float audioLevel;
+                
+                void main() {
+                    vColor = color;
+                    
+                    // Get vertex position
+                    vec3 pos = position;
+                    
+                    // Add some movement based on audio
+                    float movement = sin(time + pos.x * 0.1) * cos(time + pos.y * 0.1) * audioLevel * 2.0;
+                    pos += pos * movement * 0.1;
+                    
+                    vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
+                    gl_PointSize = size * (300.0 / -mvPosition.z) * (1.0 + audioLevel);
+                    gl_Position = projectionMatrix * mvPosition;
+                }
+            `,
+            fragmentShader: `
+                uniform sampler2D pointTexture;
+                varying vec3 vColor;
+                
+                void main() {
+                    vec2 center = vec2(0.5, 0.5);
+                    float dist = length(gl_PointCoord - center);
+                    
+                    // Create soft, glowing points
+                    float alpha = 1.0 - smoothstep(0.4, 0.5, dist);
+                    
+                    gl_FragColor = vec4(vColor, alpha);
+                }
+            `,
+            transparent: true,
+            vertexColors: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        });
+
+        // Create points mesh
+        state.pointsMesh = ctx.add(new THREE.Points(geometry, material));
+
+        // Kick outwards on every beat
+        state.kick = 0;
+        ctx.on('beat', beat => {
+            state.kick = beat.isDownbeat ? 1 : 0.6;
+        });
+
+        // Add lighting
+        const ambientLight = new THREE.AmbientLight(0x404040, 0.5);
+        ctx.add(ambientLight);
+
+        const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
+        directionalLight.position.set(1, 1, 1);
+        ctx.add(directionalLight);
+
+        // Set initial camera position
+        ctx.camera.position.set(0, 0, 100);
+        ctx.camera.lookAt(0, 0, 0);
+    },
+
+    /**
+     * Animate points based on audio and time
+     */
+    update(ctx, audio, delta) {
+        const state = ctx.state;
+
+        // Update shader uniforms
+        state.pointsMesh.material.uniforms.time.value += delta;
+
+        // Update audio level uniform
+        state.pointsMesh.material.uniforms.audioLevel.value = audio.level;
+
+        // Rotate the point cloud
+        state.pointsMesh.rotation.y += delta * 0.2;
+        state.pointsMesh.rotation.x += delta * 0.1;
+
+        // Spring back from the last beat's kick
+        state.kick = Math.max(0, state.kick - delta * 4);
+        state.pointsMesh.scale.setScalar(1 + state.kick * 0.08);
+
+        // Dynamic camera movement
+        const time = ctx.time;
+        const radius = 100 + Math.sin(time * 0.5) * 20;
+        const angle = time * 0.2;
+        
+        ctx.camera.position.x = Math.sin(angle) * radius;
+        ctx.camera.position.z = Math.cos(angle) * radius;
+        ctx.camera.position.y = Math.sin(time * 0.3) * 30;
+        
+        ctx.camera.lookAt(0, 0, 0);
+    }
+});
@@ -0,0 +1,550 @@
+/**
+ * Shader Presets
+ *
+ * Fragment (and optionally vertex) shaders offered by the Shaders style. The
+ * kaleidoscope, ring, wave and colour shift presets come from the Shaders/
+ * playground; "Classic" is the original Shaders style.
+ *
+ * Each preset's bind() maps the smoothed audio bands (level, low, mid, high,
+ * all 0-1, plus the beat engine's state as beat) onto its own uniforms every
+ * frame, and uniformDocs describes them for the shader editor. Every material
+ * also gets the BEAT_UNIFORMS, for shaders that declare them. Presets own
+ * their time uniform, so speed can follow the music without the animation
+ * jumping. Presets without a vertexShader fill the screen and get vUv; the
+ * resolution uniform, if declared, is kept at the canvas size, and
+ * audioTexture/iChannel0 get the audio texture (see
+ * ShaderPresets.AUDIO_TEXTURE_WIDTH).
+ *
+ * Presets marked shadertoy hold Shadertoy code: a mainImage() function using
+ * iTime, iResolution, iChannel0 and friends. The Shaders style wraps it with
+ * SHADERTOY_HEADER and SHADERTOY_FOOTER, so shaders from shadertoy.com can be
+ * pasted in unchanged.
+ */
+window.ShaderPresets = [
+    {
+        id: 'classic',
+        name: 'Classic',
+        uniformDocs: {
+            time: 'Seconds since the preset started',
+            resolution: 'Canvas size in pixels',
+            audioLevel: 'Overall level, 0-1',
+            audioLowFreq: 'Bass level, 0-1',
+            audioHighFreq: 'Treble level, 0-1',
+            audioTexture: 'Spectrum (y = 0.25) and waveform (y = 0.75), Shadertoy layout'
+        },
+        uniforms: () => ({
+            time: { value: 0 },
+            resolution: { value: new THREE.Vector2() },
+            audioLevel: { value: 0.0 },
+            audioLowFreq: { value: 0.0 },
+            audioHighFreq: { value: 0.0 },
+            audioTexture: { value: null }
+        }),
+        fragmentShader: `
+            uniform float time;
+            uniform vec2 resolution;
+            uniform float audioLevel;
+            uniform float audioLowFreq;
+            uniform float audioHighFreq;
+            uniform float beatPulse;
+
+            varying vec2 vUv;
+
+            // Simple noise function
+            float noise(vec2 p) {
+                return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+            }
+
+            vec3 hsv2rgb(vec3 c) {
+                vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
+                vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
+                return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
+            }
+
+            // Function to generate vibrant colors
+            vec3 vibrantColor(float value, float offset) {
+                float hue = fract(value * 0.8 + offset);
+                float sat = 0.9;
+                float val = 0.9;
+                return hsv2rgb(vec3(hue, sat, val));
+            }
+
+            // Function to blend colors
+            vec3 blendColors(vec3 color1, vec3 color2, float factor) {
+                return mix(color1, color2, factor);
+            }
+
+            void main() {
+                // Center coordinates
+                vec2 uv = vUv * 2.0 - 1.0;
+                uv.x *= resolution.x / resolution.y;
+
+                // Audio-reactive parameters
+                float bassPulse = 0.5 + audioLowFreq * 0.7;  // Increased audio reactivity
+                float treblePulse = 0.5 + audioHighFreq * 0.7;
+                float overallPulse = 0.5 + audioLevel * 0.7;
+
+                // Create circular waves from center
+                float dist = length(uv);
+                float angle = atan(uv.y, uv.x);
+
+                // Wave patterns affected by audio - more complex patterns
+                float wave1 = sin(dist * 10.0 - time * 2.0) * 0.5 + 0.5;
+                float wave2 = sin(dist * 15.0 - time * 1.5 + audioLevel * 5.0) * 0.5 + 0.5;
+                float wave3 = sin(angle * 8.0 + time * 0.5) * 0.5 + 0.5;
+                float wave4 = sin(dist * 20.0 - time * 2.5 + audioHighFreq * 10.0) * 0.5 + 0.5;
+                float wave5 = cos(angle * 12.0 - time * 0.7 + audioLowFreq * 2.0) * 0.5 + 0.5;
+
+                // Create multiple patterns for more complex visuals
+                float pattern1 = wave1 * wave2 * wave3;
+                float pattern2 = wave4 * wave5;
+                float pattern3 = sin(dist * 25.0 - time) * cos(angle * 5.0 + time * 0.3);
+
+                // Combine patterns
+                float mainPattern = smoothstep(0.2, 0.8, pattern1);
+                mainPattern *= overallPulse;
+
+                float secondPattern = smoothstep(0.1, 0.9, pattern2);
+                secondPattern *= treblePulse;
+
+                float thirdPattern = smoothstep(0.3, 0.7, pattern3 * 0.5 + 0.5);
+                thirdPattern *= bassPulse;
+
+                // Create multiple colors with different hue offsets for more variety
+                float timeOffset = time * 0.05;
+
+                // Primary color - shifts with bass
+                vec3 color1 = vibrantColor(timeOffset + audioLowFreq * 0.3, 0.0);
+
+                // Secondary color - complementary to primary
+                vec3 color2 = vibrantColor(timeOffset + audioHighFreq * 0.2, 0.33);
+
+                // Tertiary color - shifts differently
+                vec3 color3 = vibrantColor(timeOffset - audioLevel * 0.25, 0.66);
+
+                // Background color with subtle patterns
+                float bgPattern1 = sin(uv.x * 20.0 + time) * sin(uv.y * 20.0 + time * 0.7);
+                float bgPattern2 = cos(uv.x * 15.0 - time * 0.5) * cos(uv.y * 15.0 - time * 0.3);
+
+                bgPattern1 = smoothstep(0.0, 0.8, bgPattern1 * audioLevel);
+                bgPattern2 = smoothstep(0.0, 0.8, bgPattern2 * audioHighFreq);
+
+                // Background gradient
+                vec3 bgColor1 = vibrantColor(timeOffset * 0.7, 0.5);
+                vec3 bgColor2 = vibrantColor(timeOffset * 0.7, 0.8);
+                vec3 bgColor = mix(bgColor1, bgColor2, bgPattern1 * 0.5 + 0.5);
+
+                // Apply a vignette effect
+                float vignette = 1.0 - smoothstep(0.5, 1.5, dist);
+
+                // Mix multiple colors based on patterns
+                vec3 finalColor = blendColors(color1, color2, pattern1);
+                finalColor = blendColors(finalColor, color3, pattern2 * 0.7);
+
+                // Add subtle highlights
+                finalColor += color3 * thirdPattern * 0.3;
+
+                // Mix with background
+                finalColor = mix(bgColor * 0.4, finalColor, mainPattern * vignette);
+
+                // Add glow effect
+                finalColor += (color1 * 0.2 + color2 * 0.1) * secondPattern * (1.0 - dist);
+
+                // Flash on the beat
+                finalColor *= 1.0 + beatPulse * 0.25;
+
+                // Final color with background
+                gl_FragColor = vec4(finalColor, 1.0);
+            }
+        `,
+        bind(uniforms, bands, delta) {
+            uniforms.time.value += delta;
+            uniforms.audioLevel.value = bands.level;
+            uniforms.audioLowFreq.value = bands.low;
+            uniforms.audioHighFreq.value = bands.high;
+        }
+    },
+    {
+        id: 'kaleidoscope',
+        name: 'Kaleidoscope',
+        uniformDocs: {
+            time: 'Animation time, runs faster with the treble',
+            segments: 'Mirror segments, 6-16 with the mids',
+            speed: 'Time multiplier',
+            zoom: 'Pattern scale, 3-11 with the bass',
+            color1: 'Hue follows the bass',
+            color2: 'Hue follows the treble',
+            patternIntensity: 'Pattern against noise, 0.6-1 with the level'
+        },
+        uniforms: () => ({
+            time: { value: 0 },
+            segments: { value: 8.0 },
+            speed: { value: 1.0 },
+            zoom: { value: 5.0 },
+            color1: { value: new THREE.Color(0xff00ff) },
+            color2: { value: new THREE.Color(0x00ffff) },
+            patternIntensity: { value: 0.8 }
+        }),
+        fragmentShader: `
+            uniform float time;
+            uniform float segments;
+            uniform float speed;
+            uniform float zoom;
+            uniform vec3 color1;
+            uniform vec3 color2;
+            uniform float patternIntensity;
+            varying vec2 vUv;
+
+            // Function to create a repeating pattern
+            float pattern(vec2 p) {
+                p = p * zoom;
+                float t = time * speed;
+                
+                // Create base pattern
+                float pattern = sin(p.x * 10.0 + t) * 
+                               sin(p.y * 10.0 + t * 0.5) * 
+                               sin((p.x + p.y) * 5.0 + t * 0.25);
+                
+                // Add some noise
+                float noise = fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+                
+                return pattern * patternIntensity + noise * (1.0 - patternIntensity);
+            }
+
+            void main() {
+                // Center the coordinates
+                vec2 centered = vUv * 2.0 - 1.0;
+                
+                // Calculate angle and radius
+                float angle = atan(centered.y, centered.x);
+                float radius = length(centered);
+                
+                // Create kaleidoscope effect
+                float segmentAngle = 2.0 * 3.14159 / segments;
+                float normalizedAngle = mod(angle, segmentAngle) / segmentAngle;
+                
+                // Create pattern coordinates
+                vec2 patternCoord = vec2(normalizedAngle, radius);
+                
+                // Generate pattern
+                float p = pattern(patternCoord);
+                
+                // Mix colors based on pattern
+                vec3 color = mix(color1, color2, p);
+                
+                // Add radial gradient
+                float radialGradient = 1.0 - radius;
+                color *= radialGradient;
+                
+                // Add some glow
+                float glow = sin(radius * 10.0 - time * speed) * 0.5 + 0.5;
+                color += vec3(0.5, 0.7, 1.0) * glow * 0.2;
+                
+                gl_FragColor = vec4(color, 1.0);
+            }
+        `,
+        bind(uniforms, bands, delta) {
+            // Treble speeds the pattern up; speed stays 1 so time never jumps back
+            uniforms.time.value += delta * (0.5 + bands.high * 3.0);
+            // More mirror segments as the mids build, whole numbers so the seams line up
+            uniforms.segments.value = Math.round(6 + bands.mid * 10);
+            // Bass zooms in on the pattern
+            uniforms.zoom.value = 3.0 + bands.low * 8.0;
+            uniforms.patternIntensity.value = 0.6 + bands.level * 0.4;
+            uniforms.color1.value.setHSL((0.83 + bands.low * 0.3) % 1.0, 1.0, 0.5);
+            uniforms.color2.value.setHSL((0.5 + bands.high * 0.3) % 1.0, 1.0, 0.5);
+        }
+    },
+    {
+        id: 'ring',
+        name: 'Ring',
+        uniformDocs: {
+            time: 'Animation time, runs faster with the level',
+            ringRadius: 'Ring radius, 0.5-0.9 with the bass',
+            ringThickness: 'Ring thickness, 0.1-0.4 with the mids',
+            ringColor: 'Hue follows the level',
+            atmosphereIntensity: 'Glow, 0.3-1.8 with the treble'
+        },
+        uniforms: () => ({
+            time: { value: 0 },
+            ringRadius: { value: 0.6 },
+            ringThickness: { value: 0.15 },
+            ringColor: { value: new THREE.Color(0x3366ff) },
+            atmosphereIntensity: { value: 0.5 }
+        }),
+        vertexShader: `
+            uniform float time;
+            uniform float ringRadius;
+            uniform float ringThickness;
+            varying vec2 vUv;
+            varying vec3 vPosition;
+            varying float vElevation;
+
+            void main() {
+                vUv = uv;
+                vPosition = position;
+                
+                // Calculate distance from center
+                float dist = length(position.xy);
+                
+                // Create ring shape
+                float ring = smoothstep(ringRadius - ringThickness, ringRadius, dist) * 
+                            smoothstep(ringRadius + ringThickness, ringRadius, dist);
+                
+                // Add some terrain variation
+                float elevation = sin(position.x * 2.0 + time) * 0.1 + 
+                                 sin(position.y * 3.0 + time * 0.5) * 0.1;
+                
+                vec3 newPosition = position;
+                newPosition.z += elevation * ring;
+                
+                vElevation = elevation;
+                
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(newPosition, 1.0);
+            }
+        `,
+        fragmentShader: `
+            uniform float time;
+            uniform vec3 ringColor;
+            uniform float atmosphereIntensity;
+            varying vec2 vUv;
+            varying vec3 vPosition;
+            varying float vElevation;
+
+            void main() {
+                // Calculate distance from center
+                float dist = length(vPosition.xy);
+                
+                // Base ring color
+                vec3 color = ringColor;
+                
+                // Add terrain variation
+                float terrain = vElevation * 0.5 + 0.5;
+                color = mix(color * 0.8, color * 1.2, terrain);
+                
+                // Add atmospheric glow
+                float atmosphere = smoothstep(0.0, 0.5, vElevation) * atmosphereIntensity;
+                color += vec3(0.5, 0.7, 1.0) * atmosphere;
+                
+                // Add some noise for detail
+                float noise = fract(sin(dot(vUv, vec2(12.9898, 78.233))) * 43758.5453);
+                color += noise * 0.1;
+                
+                // Add rim lighting
+                float rim = 1.0 - abs(dot(normalize(vPosition), vec3(0.0, 0.0, 1.0)));
+                color += vec3(0.5, 0.7, 1.0) * rim * 0.5;
+                
+                gl_FragColor = vec4(color, 1.0);
+            }
+        `,
+        bind(uniforms, bands, delta) {
+            uniforms.time.value += delta * (1.0 + bands.level * 2.0);
+            // The ring swells with the bass and thickens with the mids
+            uniforms.ringRadius.value = 0.5 + bands.low * 0.4;
+            uniforms.ringThickness.value = 0.1 + bands.mid * 0.3;
+            uniforms.atmosphereIntensity.value = 0.3 + bands.high * 1.5;
+            uniforms.ringColor.value.setHSL((0.62 + bands.level * 0.4) % 1.0, 0.8, 0.35);
+        }
+    },
+    {
+        id: 'wave',
+        name: 'Wave',
+        uniformDocs: {
+            time: 'Animation time, runs faster with the treble',
+            amplitude: 'Wave height, 0.1-0.9 with the bass',
+            frequency: 'Crests across the screen, 3-15 with the mids',
+            colorA: 'Colour of the troughs',
+            colorB: 'Colour of the crests, hue follows the level'
+        },
+        uniforms: () => ({
+            time: { value: 0 },
+            amplitude: { value: 0.2 },
+            frequency: { value: 4.0 },
+            colorA: { value: new THREE.Color(0x0011aa) },
+            colorB: { value: new THREE.Color(0x00ffc3) }
+        }),
+        vertexShader: `
+            uniform float time;
+            uniform float amplitude;
+            uniform float frequency;
+            varying vec2 vUv;
+            varying float vElevation;
+
+            void main() {
+                vUv = uv;
+                
+                // Create wave effect
+                float elevation = sin(position.x * frequency + time) * amplitude;
+                vec3 newPosition = position;
+                newPosition.z += elevation;
+                
+                vElevation = elevation;
+                
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(newPosition, 1.0);
+            }
+        `,
+        fragmentShader: `
+            uniform vec3 colorA;
+            uniform vec3 colorB;
+            varying vec2 vUv;
+            varying float vElevation;
+
+            void main() {
+                // Mix colors based on elevation
+                vec3 color = mix(colorA, colorB, vElevation * 0.5 + 0.5);
+                gl_FragColor = vec4(color, 1.0);
+            }
+        `,
+        bind(uniforms, bands, delta) {
+            uniforms.time.value += delta * (1.0 + bands.high * 4.0);
+            // Bass drives the height of the wave, mids pack the crests closer together
+            uniforms.amplitude.value = 0.1 + bands.low * 0.8;
+            uniforms.frequency.value = 3.0 + bands.mid * 12.0;
+            uniforms.colorB.value.setHSL((0.45 + bands.level * 0.5) % 1.0, 1.0, 0.5);
+        }
+    },
+    {
+        id: 'colorShift',
+        name: 'Colour Shift',
+        uniformDocs: {
+            time: 'Animation time, runs faster with the level',
+            speed: 'Time multiplier',
+            intensity: 'Colour against noise, 0.4-1 with the level'
+        },
+        uniforms: () => ({
+            time: { value: 0 },
+            speed: { value: 1.0 },
+            intensity: { value: 0.9 }
+        }),
+        fragmentShader: `
+            uniform float time;
+            uniform float speed;
+            uniform float intensity;
+            varying vec2 vUv;
+
+            void main() {
+                // Create a dynamic color pattern
+                float r = sin(vUv.x * 10.0 + time * speed) * 0.5 + 0.5;
+                float g = sin(vUv.y * 10.0 + time * speed * 1.2) * 0.5 + 0.5;
+                float b = sin((vUv.x + vUv.y) * 5.0 + time * speed * 0.8) * 0.5 + 0.5;
+                
+                // Add some noise
+                float noise = fract(sin(dot(vUv, vec2(12.9898, 78.233))) * 43758.5453);
+                
+                vec3 color = vec3(r, g, b) * intensity + noise * (1.0 - intensity);
+                gl_FragColor = vec4(color, 1.0);
+            }
+        `,
+        bind(uniforms, bands, delta) {
+            uniforms.time.value += delta * (0.5 + bands.level * 4.0);
+            // Quiet passages dissolve into noise, loud ones come through clean
+            uniforms.intensity.value = 0.4 + bands.level * 0.6;
+        }
+    },
+    {
+        id: 'shadertoy',
+        name: 'Shadertoy',
+        shadertoy: true,
+        uniformDocs: {
+            iResolution: 'Canvas size in device pixels',
+            iTime: 'Seconds since the preset started',
+            iTimeDelta: 'Seconds since the last frame',
+            iFrame: 'Frames drawn since the preset started',
+            iMouse: 'xy: pointer while pressed, zw: where it was pressed (negative once released)',
+            iChannel0: 'Audio: spectrum in row 0 (y = 0.25), waveform in row 1 (y = 0.75)'
+        },
+        uniforms: () => ({
+            iResolution: { value: new THREE.Vector3() },
+            iTime: { value: 0 },
+            iTimeDelta: { value: 0 },
+            iFrame: { value: 0 },
+            iMouse: { value: new THREE.Vector4() },
+            iChannel0: { value: null }
+        }),
+        fragmentShader: `
+            // Paste a Shadertoy shader here. iChannel0 is the audio input:
+            // row 0 (y = 0.25) holds the spectrum, row 1 (y = 0.75) the waveform.
+            void mainImage(out vec4 fragColor, in vec2 fragCoord) {
+                vec2 uv = fragCoord / iResolution.xy;
+
+                // Spectrum as a filled curve, shading from blue to pink
+                float fft = texture(iChannel0, vec2(uv.x, 0.25)).x;
+                vec3 color = smoothstep(0.0, 0.02, fft - uv.y) * mix(vec3(0.1, 0.3, 1.0), vec3(1.0, 0.2, 0.6), uv.y);
+
+                // Waveform as a thin line
+                float wave = texture(iChannel0, vec2(uv.x, 0.75)).x;
+                color += vec3(0.0, 1.0, 0.76) * (1.0 - smoothstep(0.0, 0.01, abs(wave - uv.y)));
+
+                // Slowly drifting background
+                color += 0.05 * (0.5 + 0.5 * sin(iTime + uv.xyx * 3.0 + vec3(0.0, 2.0, 4.0)));
+
+                fragColor = vec4(color, 1.0);
+            }
+        `,
+        bind(uniforms, bands, delta) {
+            // Shadertoy shaders read the audio from iChannel0 themselves
+            uniforms.iTime.value += delta;
+            uniforms.iTimeDelta.value = delta;
+            uniforms.iFrame.value++;
+        }
+    }
+];
+
+/**
+ * Vertex shader for presets that only provide a fragment shader
+ */
+ShaderPresets.DEFAULT_VERTEX_SHADER = `
+    varying vec2 vUv;
+    varying vec3 vPosition;
+    
+    void main() {
+        vUv = uv;
+        vPosition = position;
+        // The Shaders style's camera frames the quad exactly, unless a still is drawn in tiles
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+// Shadertoy's audio texture: 512 spectrum bins (0 to a quarter of the sample
+// rate, as from a 2048-point FFT) above 512 waveform samples
+ShaderPresets.AUDIO_TEXTURE_WIDTH = 512;
+
+/**
+ * Declarations placed before a Shadertoy shader
+ */
+ShaderPresets.SHADERTOY_HEADER = `uniform vec3 iResolution;
+uniform float iTime;
+uniform float iTimeDelta;
+uniform int iFrame;
+uniform vec4 iMouse;
+uniform sampler2D iChannel0;
+#if __VERSION__ < 300
+#define texture texture2D
+#endif
+`;
+
+/**
+ * Entry point calling a Shadertoy shader's mainImage()
+ * iFragCoordOffset places a tile of a still within the whole image.
+ */
+ShaderPresets.SHADERTOY_FOOTER = `
+uniform vec2 iFragCoordOffset;
+
+void main() {
+    vec4 color = vec4(0.0, 0.0, 0.0, 1.0);
+    mainImage(color, gl_FragCoord.xy + iFragCoordOffset);
+    gl_FragColor = vec4(color.rgb, 1.0);
+}
+`;
+
+/**
+ * Uniforms following the beat engine, on every preset's material
+ */
+ShaderPresets.BEAT_UNIFORMS = {
+    beatPulse: 'Jumps to 1 on each beat and fades out',
+    beatPhase: 'Progress through the current beat, 0-1',
+    barPhase: 'Progress through the current bar of four beats, 0-1',
+    bpm: 'Tempo in beats per minute, 0 until one is found'
+};
+
+ShaderPresets.get = id => ShaderPresets.find(preset => preset.id === id) || null;
@@ -0,0 +1,381 @@
+/**
+ * Shaders Style
+ *
+ * A full-screen shader chosen from the presets in shader-presets.js, with
+ * its uniforms driven by the bass, mids, treble and overall level. Switching
+ * presets only swaps the material on the screen quad. Each preset's fragment
+ * shader can be edited live; the user's edits are saved with their settings.
+ * Shaders can also read the spectrum and waveform from an audio texture laid
+ * out like Shadertoy's, and the beat from the beat uniforms; Shadertoy presets
+ * get its uniforms and entry point.
+ */
+VisualizerStyles.register({
+    id: 'shaders',
+    name: 'Shaders',
+    description: 'Full-screen shader patterns driven by the music',
+    order: 50,
+    defaults: {
+        preset: 'classic',
+        // Edited fragment shaders keyed by preset id (null once reset)
+        customShaders: {}
+    },
+
+    /**
+     * Create the screen quad and the preset picker
+     */
+    create(ctx) {
+        const state = ctx.state;
+
+        state.lowFreqSmoothed = 0;
+        state.midFreqSmoothed = 0;
+        state.highFreqSmoothed = 0;
+        state.overallSmoothed = 0;
+        state.beatPulse = 0;
+
+        // Materials are built the first time each preset is shown, then reused
+        state.materials = new Map();
+
+        // Spectrum in row 0 and waveform in row 1, refilled every frame
+        const width = ShaderPresets.AUDIO_TEXTURE_WIDTH;
+        state.audioTexture = new THREE.DataTexture(new Uint8Array(width * 2), width, 2, THREE.LuminanceFormat);
+        state.audioTexture.magFilter = THREE.LinearFilter;
+        state.audioTexture.minFilter = THREE.LinearFilter;
+
+        this.trackMouse(ctx);
+        
+        // Set a dark background
+        ctx.scene.background = new THREE.Color(0x000000);
+        
+        // Subdivided so presets with a vertex shader have vertices to displace
+        const geometry = new THREE.PlaneGeometry(2, 2, 128, 128);
+        state.preset = ShaderPresets.get(ctx.params.preset) || ShaderPresets[0];
+        state.shaderMaterial = this.getMaterial(ctx, state.preset);
+        state.shaderPlane = ctx.add(new THREE.Mesh(geometry, state.shaderMaterial));
+        state.shaderPlane.onBeforeRender = (renderer, scene, camera) => this.applyViewOffset(state.shaderMaterial, camera);
+        
+        // Orthographic camera framing the quad, with room in front and behind for displacement
+        ctx.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 2);
+        ctx.camera.position.z = 1;
+
+        ctx.addSelect({
+            label: 'Shader:',
+            options: ShaderPresets.map(preset => ({ value: preset.id, label: preset.name })),
+            value: state.preset.id,
+            onChange: id => this.usePreset(ctx, id)
+        });
+        ctx.addButton({ label: 'Edit Shader', onClick: () => this.openEditor(ctx) });
+    },
+
+    /**
+     * Show a preset on the quad, remembering the choice
+     */
+    usePreset(ctx, id) {
+        const state = ctx.state;
+        const preset = ShaderPresets.get(id) || ShaderPresets[0];
+        state.preset = preset;
+        state.shaderMaterial = this.getMaterial(ctx, preset);
+        state.shaderPlane.material = state.shaderMaterial;
+        if (ctx.params.preset !== preset.id) {
+            ctx.saveParams({ preset: preset.id });
+        }
+        if (ShaderEditor.isOpen()) this.openEditor(ctx);
+    },
+
+    getMaterial(ctx, preset) {
+        const state = ctx.state;
+        if (!state.materials.has(preset.id)) {
+            const material = new THREE.ShaderMaterial({
+                uniforms: preset.uniforms(),
+                vertexShader: preset.vertexShader || ShaderPresets.DEFAULT_VERTEX_SHADER,
+                fragmentShader: this.buildFragmentShader(preset, this.getFragmentSource(ctx, preset)),
+                side: THREE.DoubleSide
+            });
+            const uniforms = material.uniforms;
+            if (uniforms.audioTexture) uniforms.audioTexture.value = state.audioTexture;
+            if (uniforms.iChannel0) uniforms.iChannel0.value = state.audioTexture;
+            if (preset.shadertoy) uniforms.iFragCoordOffset = { value: new THREE.Vector2() };
+            Object.keys(ShaderPresets.BEAT_UNIFORMS).forEach(name => {
+                if (!uniforms[name]) uniforms[name] = { value: 0 };
+            });
+            this.setResolution(ctx, material, ctx.width, ctx.height);
+            state.materials.set(preset.id, material);
+        }
+        return state.materials.get(preset.id);
+    },
+
+    /**
+     * The preset's fragment shader as the user sees it: their edit, or the original
+     */
+    getFragmentSource(ctx, preset) {
+        return ctx.params.customShaders[preset.id] || preset.fragmentShader;
+    },
+
+    /**
+     * The source to compile, with Shadertoy code wrapped in its uniforms and main()
+     */
+    buildFragmentShader(preset, source) {
+        if (!preset.shadertoy) return source;
+        return ShaderPresets.SHADERTOY_HEADER + source + ShaderPresets.SHADERTOY_FOOTER;
+    },
+
+    setResolution(ctx, material, width, height) {
+        const uniforms = material.uniforms;
+        if (uniforms.resolution) uniforms.resolution.value.set(width, height);
+        if (uniforms.iResolution) {
+            // gl_FragCoord counts device pixels
+            const pixelRatio = ctx.renderer.getPixelRatio();
+            uniforms.iResolution.value.set(width * pixelRatio, height * pixelRatio, 1);
+        }
+    },
+
+    /**
+     * Follow the pointer on the canvas the way Shadertoy's iMouse does:
+     * xy is the position while pressed, zw where it was pressed, negated on release
+     */
+    trackMouse(ctx) {
+        const state = ctx.state;
+        const canvas = ctx.renderer.domElement;
+        state.mouse = new THREE.Vector4();
+
+        const position = event => {
+            const rect = canvas.getBoundingClientRect();
+            const pixelRatio = ctx.renderer.getPixelRatio();
+            return [(event.clientX - rect.left) * pixelRatio, (rect.bottom - event.clientY) * pixelRatio];
+        };
+        state.mouseHandlers = {
+            pointerdown: event => {
+                const [x, y] = position(event);
+                state.mouse.set(x, y, x, y);
+            },
+            pointermove: event => {
+                if (state.mouse.z <= 0) return;
+                const [x, y] = position(event);
+                state.mouse.x = x;
+                state.mouse.y = y;
+            },
+            pointerup: () => {
+                state.mouse.z = -Math.abs(state.mouse.z);
+                state.mouse.w = -Math.abs(state.mouse.w);
+            }
+        };
+        Object.entries(state.mouseHandlers).forEach(([type, handler]) => canvas.addEventListener(type, handler));
+    },
+
+    /**
+     * Fill the audio texture: the spectrum resampled to Shadertoy's 512 bins
+     * and the first 512 waveform samples (stretched if there are fewer)
+     * Shadertoy shaders expect linear bins, so the user's frequency scale isn't used here.
+     */
+    updateAudioTexture(texture, audio) {
+        const data = texture.image.data;
+        const width = ShaderPresets.AUDIO_TEXTURE_WIDTH;
+        const spectrum = audio.frequencyData;
+        const waveform = audio.waveformData;
+
+        // Shadertoy bin i is i / 2048 of the sample rate; ours are 1 / (2 * binCount)
+        const binStep = spectrum.length * 2 / 2048;
+        const sampleStep = Math.min(1, waveform.length / width);
+        for (let i = 0; i < width; i++) {
+            data[i] = this.sample(spectrum, i * binStep);
+            data[width + i] = this.sample(waveform, i * sampleStep);
+        }
+        texture.needsUpdate = true;
+    },
+
+    /**
+     * Linearly interpolate an array at a fractional index (0 past the end)
+     */
+    sample(values, position) {
+        const index = Math.floor(position);
+        if (index >= values.length) return 0;
+        const next = values[Math.min(index + 1, values.length - 1)];
+        return values[index] + (next - values[index]) * (position - index);
+    },
+
+    /**
+     * Edit the current preset's fragment shader in the shader editor
+     */
+    openEditor(ctx) {
+        const preset = ctx.state.preset;
+        const material = this.getMaterial(ctx, preset);
+        ShaderEditor.open({
+            title: preset.name,
+            source: this.getFragmentSource(ctx, preset),
+            uniforms: this.describeUniforms(material, preset),
+            apply: source => this.applyFragmentShader(ctx, preset, source),
+            reset: () => this.resetFragmentShader(ctx, preset)
+        });
+    },
+
+    /**
+     * Swap in a new fragment shader if it compiles
+     * @returns {Array<{line: number|null, message: string}>} Compile errors, empty on success
+     */
+    applyFragmentShader(ctx, preset, source) {
+        const material = this.getMaterial(ctx, preset);
+        const fragmentShader = this.buildFragmentShader(preset, source);
+        const errors = this.checkFragmentShader(ctx, material, fragmentShader, preset);
+        if (errors.length === 0) {
+            material.fragmentShader = fragmentShader;
+            material.needsUpdate = true;
+            ctx.saveParams({ customShaders: { [preset.id]: source } });
+        }
+        return errors;
+    },
+
+    resetFragmentShader(ctx, preset) {
+        const material = this.getMaterial(ctx, preset);
+        material.fragmentShader = this.buildFragmentShader(preset, preset.fragmentShader);
+        material.needsUpdate = true;
+        ctx.saveParams({ customShaders: { [preset.id]: null } });
+        return preset.fragmentShader;
+    },
+
+    /**
+     * Compile the source on a throwaway copy of the material, so a broken
+     * shader never reaches the screen
+     */
+    checkFragmentShader(ctx, material, source, preset) {
+        const candidate = new THREE.ShaderMaterial({
+            uniforms: material.uniforms,
+            vertexShader: material.vertexShader,
+            fragmentShader: source,
+            side: material.side
+        });
+        const scene = new THREE.Scene();
+        scene.add(new THREE.Mesh(ctx.state.shaderPlane.geometry, candidate));
+        ctx.renderer.compile(scene, ctx.camera);
+
+        const program = ctx.renderer.properties.get(candidate).program;
+        const diagnostics = program && program.diagnostics;
+        candidate.dispose();
+        if (!diagnostics || diagnostics.runnable) return [];
+
+        // Log lines count from the top of the full source, which three.js
+        // prefixes with its own #version line and defines (and we with the
+        // Shadertoy declarations)
+        const prefix = diagnostics.fragmentShader.prefix;
+        let offset = prefix.split('\n').length - 1 + (ctx.renderer.capabilities.isWebGL2 ? 1 : 0);
+        if (preset.shadertoy) offset += ShaderPresets.SHADERTOY_HEADER.split('\n').length - 1;
+        const errors = [];
+        diagnostics.fragmentShader.log.split('\n').forEach(text => {
+            const match = text.match(/^ERROR:\s*\d+:(\d+):\s*(.*)$/);
+            if (match) {
+                // Drivers often finish with a "compilation terminated" line that adds nothing
+                if (!/compilation terminated/.test(match[2])) {
+                    errors.push({ line: Number(match[1]) - offset, message: match[2].trim() });
+                }
+            } else if (text.trim()) {
+                errors.push({ line: null, message: text.trim() });
+            }
+        });
+        if (errors.length === 0) {
+            // Compiled but didn't link, e.g. a varying the vertex shader doesn't write
+            errors.push({ line: null, message: diagnostics.programLog || 'The shader failed to link.' });
+        }
+        return errors;
+    },
+
+    /**
+     * Shift Shadertoy's fragCoord to where the tile being drawn sits in the whole image
+     * The camera's view offset is set while a still is rendered in tiles.
+     */
+    applyViewOffset(material, camera) {
+        const offset = material.uniforms.iFragCoordOffset;
+        if (!offset) return;
+        const view = camera.view;
+        if (view && view.enabled) {
+            // gl_FragCoord counts from the bottom left, the view offset from the top left
+            offset.value.set(view.offsetX, view.fullHeight - view.offsetY - view.height);
+        } else {
+            offset.value.set(0, 0);
+        }
+    },
+
+    /**
+     * GLSL declarations for the material's uniforms, with what drives them
+     */
+    describeUniforms(material, preset) {
+        const docs = { ...ShaderPresets.BEAT_UNIFORMS, ...preset.uniformDocs };
+        // Types the values can't tell apart (e.g. int from float) come from the Shadertoy declarations
+        const declared = {};
+        if (preset.shadertoy) {
+            ShaderPresets.SHADERTOY_HEADER.replace(/uniform (\w+) (\w+);/g, (match, type, name) => {
+                declared[name] = type;
+            });
+        }
+        // iFragCoordOffset is the footer's own, already added to fragCoord
+        return Object.keys(material.uniforms).filter(name => name !== 'iFragCoordOffset').map(name => {
+            const value = material.uniforms[name].value;
+            let type = 'float';
+            if (declared[name]) type = declared[name];
+            else if (value && value.isVector2) type = 'vec2';
+            else if (value && (value.isVector3 || value.isColor)) type = 'vec3';
+            else if (value && value.isVector4) type = 'vec4';
+            else if (value && value.isTexture) type = 'sampler2D';
+            return { declaration: `uniform ${type} ${name};`, description: docs[name] || '' };
+        });
+    },
+
+    /**
+     * Smooth the audio bands and let the preset apply them to its uniforms
+     */
+    update(ctx, audio, delta) {
+        const state = ctx.state;
+
+        this.updateAudioTexture(state.audioTexture, audio);
+        if (state.shaderMaterial.uniforms.iMouse) {
+            state.shaderMaterial.uniforms.iMouse.value.copy(state.mouse);
+        }
+
+        const lowFreq = audio.low;
+        const midFreq = audio.mid;
+        const highFreq = audio.high;
+        const overall = audio.level;
+
+        // Smooth the values for more pleasing visuals
+        const smoothingFactor = 0.1;
+        state.lowFreqSmoothed += (lowFreq - state.lowFreqSmoothed) * smoothingFactor;
+        state.midFreqSmoothed += (midFreq - state.midFreqSmoothed) * smoothingFactor;
+        state.highFreqSmoothed += (highFreq - state.highFreqSmoothed) * smoothingFactor;
+        state.overallSmoothed += (overall - state.overallSmoothed) * smoothingFactor;
+        
+        // Beat uniforms, for any shader that declares them
+        const beat = audio.beat;
+        const uniforms = state.shaderMaterial.uniforms;
+        state.beatPulse = beat.isBeat ? 1 : Math.max(0, state.beatPulse - delta * 4);
+        uniforms.beatPulse.value = state.beatPulse;
+        uniforms.beatPhase.value = beat.phase;
+        uniforms.barPhase.value = beat.barPhase;
+        uniforms.bpm.value = beat.bpm || 0;
+
+        // Let the preset map the bands onto its uniforms
+        state.preset.bind(uniforms, {
+            level: state.overallSmoothed,
+            low: state.lowFreqSmoothed,
+            mid: state.midFreqSmoothed,
+            high: state.highFreqSmoothed,
+            beat
+        }, delta);
+    },
+
+    /**
+     * Keep the resolution uniforms in step with the canvas
+     */
+    resize(ctx, width, height) {
+        ctx.state.materials.forEach(material => this.setResolution(ctx, material, width, height));
+    },
+
+    /**
+     * Close the editor, stop following the pointer and free the materials and texture
+     */
+    dispose(ctx) {
+        const state = ctx.state;
+        ShaderEditor.close();
+        Object.entries(state.mouseHandlers).forEach(([type, handler]) => {
+            ctx.renderer.domElement.removeEventListener(type, handler);
+        });
+        state.materials.forEach(material => material.dispose());
+        state.audioTexture.dispose();
+    }
+});
@@ -0,0 +1,331 @@
+/**
+ * Spectrogram Style
+ *
+ * The last few seconds of the spectrum, kept in a texture on the GPU with
+ * ROW_RATE rows a second, whatever the frame rate. The flat layout scrolls it
+ * from right to left with the frequency going up, like an audio editor's
+ * spectrogram; the waterfall layout lifts it into a terrain with the newest
+ * row at the front. Frequencies are laid out on the user's frequency scale
+ * and labelled along the axis, and loudness is coloured with a viridis, magma
+ * or grayscale colormap.
+ *
+ * The history is a ring buffer: each new row overwrites the oldest one and the
+ * shaders read back from the newest, so nothing is moved on the CPU.
+ */
+VisualizerStyles.register({
+    id: 'spectrogram',
+    name: 'Spectrogram',
+    description: 'A scrolling spectrogram, flat or as a 3D waterfall',
+    order: 80,
+    defaults: {
+        // 'scroll' (flat, scrolling left) or 'waterfall' (3D terrain)
+        mode: 'scroll',
+        colormap: 'viridis'
+    },
+
+    /**
+     * Create the history and colormap textures, both layouts' meshes and the axis labels
+     */
+    create(ctx) {
+        const state = ctx.state;
+        ctx.scene.background = new THREE.Color(0x000000);
+
+        // Frequency across, time down; RepeatWrapping lets the shaders read back past row 0
+        state.history = new THREE.DataTexture(
+            new Uint8Array(this.BANDS * this.ROWS), this.BANDS, this.ROWS, THREE.LuminanceFormat);
+        state.history.wrapT = THREE.RepeatWrapping;
+        state.history.magFilter = THREE.LinearFilter;
+        state.history.minFilter = THREE.LinearFilter;
+        state.row = 0;
+        // Rows owed to the history, in fractions of a row
+        state.pendingRows = 0;
+
+        state.colormap = new THREE.DataTexture(new Uint8Array(256 * 4), 256, 1, THREE.RGBAFormat);
+        state.colormap.magFilter = THREE.LinearFilter;
+        this.fillColormap(state.colormap, ctx.params.colormap);
+
+        // Shared by both layouts' materials
+        state.uniforms = {
+            history: { value: state.history },
+            colormap: { value: state.colormap },
+            // Texture row of the newest spectrum, and how far back the oldest one is
+            head: { value: 0.5 / this.ROWS },
+            span: { value: (this.ROWS - 1) / this.ROWS },
+            height: { value: this.TERRAIN_HEIGHT }
+        };
+
+        state.flatCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, -10, 10);
+        state.waterfallCamera = ctx.camera;
+
+        state.flat = ctx.add(new THREE.Mesh(
+            new THREE.PlaneGeometry(1, 1),
+            new THREE.ShaderMaterial({
+                uniforms: state.uniforms,
+                vertexShader: this.FLAT_VERTEX_SHADER,
+                fragmentShader: this.FRAGMENT_SHADER,
+                depthTest: false
+            })
+        ));
+
+        const terrainGeometry = new THREE.PlaneGeometry(
+            this.TERRAIN_WIDTH, this.TERRAIN_DEPTH, this.TERRAIN_SEGMENTS, this.TERRAIN_SEGMENTS);
+        // Lie flat, with the far edge (uv.y = 1) the oldest
+        terrainGeometry.rotateX(-Math.PI / 2);
+        state.terrain = ctx.add(new THREE.Mesh(
+            terrainGeometry,
+            new THREE.ShaderMaterial({
+                uniforms: state.uniforms,
+                vertexShader: this.TERRAIN_VERTEX_SHADER,
+                fragmentShader: this.FRAGMENT_SHADER,
+                side: THREE.DoubleSide
+            })
+        ));
+        // Displaced on the GPU, so its bounds don't know how high it reaches
+        state.terrain.frustumCulled = false;
+
+        state.labels = this.LABEL_FREQUENCIES.map(frequency => {
+            const label = ctx.add(this.createLabel(this.formatFrequency(frequency)));
+            label.userData.frequency = frequency;
+            return label;
+        });
+        // Rebuilt when the scale, sample rate or FFT size changes
+        state.map = null;
+
+        this.useMode(ctx);
+
+        ctx.addSelect({
+            label: 'Layout:',
+            options: [
+                { value: 'scroll', label: 'Scrolling (2D)' },
+                { value: 'waterfall', label: 'Waterfall (3D)' }
+            ],
+            value: ctx.params.mode,
+            onChange: mode => {
+                ctx.saveParams({ mode });
+                this.useMode(ctx);
+            }
+        });
+        ctx.addSelect({
+            label: 'Colormap:',
+            options: Object.keys(this.COLORMAPS).map(id => ({ value: id, label: this.COLORMAPS[id].name })),
+            value: ctx.params.colormap,
+            onChange: colormap => {
+                ctx.saveParams({ colormap });
+                this.fillColormap(state.colormap, colormap);
+            }
+        });
+    },
+
+    /**
+     * A text sprite for the frequency axis
+     */
+    createLabel(text) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 128;
+        canvas.height = 32;
+        const context = canvas.getContext('2d');
+        context.font = '600 20px Poppins, sans-serif';
+        context.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+        const material = new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false });
+        const sprite = new THREE.Sprite(material);
+        sprite.renderOrder = 1;
+        return sprite;
+    },
+
+    formatFrequency(frequency) {
+        return frequency >= 1000 ? `${frequency / 1000} kHz` : `${frequency} Hz`;
+    },
+
+    /**
+     * Interpolate a colormap's stops into a 256-entry lookup texture
+     */
+    fillColormap(texture, id) {
+        const stops = (this.COLORMAPS[id] || this.COLORMAPS.viridis).stops;
+        const data = texture.image.data;
+        const color = new THREE.Color();
+        const next = new THREE.Color();
+        for (let i = 0; i < 256; i++) {
+            const position = (i / 255) * (stops.length - 1);
+            const index = Math.min(Math.floor(position), stops.length - 2);
+            color.setHex(stops[index]).lerp(next.setHex(stops[index + 1]), position - index);
+            data[i * 4] = Math.round(color.r * 255);
+            data[i * 4 + 1] = Math.round(color.g * 255);
+            data[i * 4 + 2] = Math.round(color.b * 255);
+            data[i * 4 + 3] = 255;
+        }
+        texture.needsUpdate = true;
+    },
+
+    /**
+     * Show one layout, with its camera and labels
+     */
+    useMode(ctx) {
+        const state = ctx.state;
+        const waterfall = ctx.params.mode === 'waterfall';
+        state.flat.visible = !waterfall;
+        state.terrain.visible = waterfall;
+        if (waterfall) {
+            ctx.camera = state.waterfallCamera;
+            ctx.camera.position.set(0, 9, 17);
+            ctx.camera.lookAt(0, 0, -3);
+        } else {
+            ctx.camera = state.flatCamera;
+        }
+        this.resize(ctx, ctx.width, ctx.height);
+    },
+
+    /**
+     * Add this frame's spectrum to the history, as many rows as the time since
+     * the last frame is worth (none on some frames at high frame rates)
+     */
+    update(ctx, audio, delta) {
+        const state = ctx.state;
+        const options = {
+            scale: audio.scale,
+            count: this.BANDS,
+            sampleRate: audio.sampleRate,
+            binCount: audio.frequencyData.length
+        };
+        if (!state.map || !state.map.matches(options)) {
+            state.map = new FrequencyMap(options);
+            this.placeLabels(ctx);
+        }
+        state.pendingRows += delta * this.ROW_RATE;
+        const rows = Math.floor(state.pendingRows);
+        state.pendingRows -= rows;
+        if (rows === 0) return;
+
+        const values = state.map.map(audio.frequencyData);
+        const data = state.history.image.data;
+        // After a long pause there's no point writing the same row more than once round
+        for (let row = 0; row < Math.min(rows, this.ROWS); row++) {
+            state.row = (state.row + 1) % this.ROWS;
+            const offset = state.row * this.BANDS;
+            for (let i = 0; i < this.BANDS; i++) {
+                data[offset + i] = values[i] * 255;
+            }
+        }
+        state.history.needsUpdate = true;
+        state.uniforms.head.value = (state.row + 0.5) / this.ROWS;
+    },
+
+    /**
+     * Put each label where its frequency falls on the axis, hiding any out of
+     * range or crowded against the one below (the low end of a linear scale)
+     */
+    placeLabels(ctx) {
+        const state = ctx.state;
+        const waterfall = ctx.params.mode === 'waterfall';
+        const area = state.flatArea;
+        let last = -Infinity;
+        state.labels.forEach(label => {
+            const position = state.map ? state.map.positionOf(label.userData.frequency) : null;
+            label.visible = position !== null && position - last >= this.LABEL_SPACING;
+            if (!label.visible) return;
+            last = position;
+            if (waterfall) {
+                label.position.set(-this.TERRAIN_WIDTH / 2 + position * this.TERRAIN_WIDTH, 0, this.TERRAIN_DEPTH / 2 + 1);
+                label.scale.set(2.4, 0.6, 1);
+            } else {
+                label.position.set(area.left - this.LABEL_MARGIN / 2, area.bottom + position * (area.top - area.bottom), 0);
+                label.scale.set(this.LABEL_MARGIN, this.LABEL_MARGIN / 4, 1);
+            }
+        });
+    },
+
+    /**
+     * Fit the flat spectrogram to the window, leaving room for the labels on the left
+     */
+    resize(ctx, width, height) {
+        const state = ctx.state;
+        const aspect = width / height;
+        const camera = state.flatCamera;
+        camera.left = -aspect;
+        camera.right = aspect;
+        camera.updateProjectionMatrix();
+
+        state.flatArea = { left: -aspect + this.LABEL_MARGIN, right: aspect - 0.03, bottom: -0.95, top: 0.95 };
+        const area = state.flatArea;
+        state.flat.scale.set(area.right - area.left, area.top - area.bottom, 1);
+        state.flat.position.set((area.left + area.right) / 2, (area.bottom + area.top) / 2, 0);
+        this.placeLabels(ctx);
+    },
+
+    // Frequency values per row, rows of history, and rows added a second (about four seconds' worth)
+    BANDS: 256,
+    ROWS: 256,
+    ROW_RATE: 60,
+    TERRAIN_WIDTH: 20,
+    TERRAIN_DEPTH: 24,
+    TERRAIN_HEIGHT: 4,
+    TERRAIN_SEGMENTS: 160,
+    // Width of the label column beside the flat spectrogram
+    LABEL_MARGIN: 0.24,
+    // Least share of the axis between neighbouring labels
+    LABEL_SPACING: 0.06,
+    LABEL_FREQUENCIES: [50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000],
+
+    // Stops evenly spaced from quiet to loud, as in matplotlib
+    COLORMAPS: {
+        viridis: {
+            name: 'Viridis',
+            stops: [0x440154, 0x472d7b, 0x3b528b, 0x2c728e, 0x21918c, 0x28ae80, 0x5ec962, 0xaddc30, 0xfde725]
+        },
+        magma: {
+            name: 'Magma',
+            stops: [0x000004, 0x1c1044, 0x4f127b, 0x812581, 0xb5367a, 0xe55064, 0xfb8761, 0xfec287, 0xfcfdbf]
+        },
+        grayscale: {
+            name: 'Grayscale',
+            stops: [0x000000, 0xffffff]
+        }
+    },
+
+    // uv.x is the frequency and uv.y how long ago, 0 (now) to 1 (the oldest row)
+    FLAT_VERTEX_SHADER: `
+        varying vec2 vUv;
+        varying float vLevel;
+        void main() {
+            // Newest on the right, frequency going up
+            vUv = vec2(uv.y, 1.0 - uv.x);
+            vLevel = -1.0;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+
+    TERRAIN_VERTEX_SHADER: `
+        uniform sampler2D history;
+        uniform float head;
+        uniform float span;
+        uniform float height;
+        varying vec2 vUv;
+        varying float vLevel;
+        void main() {
+            vUv = uv;
+            vLevel = texture2D(history, vec2(uv.x, head - uv.y * span)).r;
+            vec3 lifted = position + vec3(0.0, vLevel * height, 0.0);
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(lifted, 1.0);
+        }
+    `,
+
+    // The flat layout reads the level per pixel; the terrain's comes from its vertices
+    FRAGMENT_SHADER: `
+        uniform sampler2D history;
+        uniform sampler2D colormap;
+        uniform float head;
+        uniform float span;
+        varying vec2 vUv;
+        varying float vLevel;
+        void main() {
+            float level = vLevel >= 0.0 ? vLevel : texture2D(history, vec2(vUv.x, head - vUv.y * span)).r;
+            vec3 color = texture2D(colormap, vec2(level, 0.5)).rgb;
+            // The waterfall fades into the distance
+            float fade = vLevel >= 0.0 ? 1.0 - vUv.y * 0.7 : 1.0;
+            gl_FragColor = vec4(color * fade, 1.0);
+        }
+    `
+});
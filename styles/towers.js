@@ -0,0 +1,316 @@
+/**
+ * Towers Style
+ *
+ * A grid of towers rising with the spectrum, seen from a camera driving
+ * between them at ground level under a starfield. The ground flashes at the
+ * start of every bar of music.
+ */
+VisualizerStyles.register({
+    id: 'towers',
+    name: 'Towers',
+    description: 'Drive through a city of towers rising with the music',
+    order: 30,
+    defaults: {
+        clouds: {
+            height: 10,
+            opacity: 0.8,
+            movementSpeed: 0.1,
+            audioReactivity: 0.2,
+            threshold: 0.4
+        }
+    },
+
+    /**
+     * Create a grid of towers, a ground plane and a starfield
+     */
+    create(ctx) {
+        const state = ctx.state;
+
+        state.towers = [];
+
+        // Set up scene properties
+        ctx.scene.fog = null;
+        ctx.scene.background = new THREE.Color(0x000000); 
+
+        // Configure grid settings
+        const planeSize = 150;
+        const viewDistance = 75;
+        state.towerGridSettings = {
+            gridSize: 20,
+            spacing: planeSize / 20, 
+            towerBaseSize: 2.0, 
+            baseTowerHeight: 0.1,
+            planeSize: planeSize,
+            wrapDistanceZ: viewDistance
+        };
+        const gs = state.towerGridSettings;
+
+        // Create ground plane
+        const planeGeometry = new THREE.PlaneGeometry(gs.planeSize * 2, gs.planeSize * 2);
+        const planeMaterial = new THREE.MeshStandardMaterial({ 
+            color: 0x050508, 
+            metalness: 0.3,
+            roughness: 0.7,
+            emissive: 0x000000,
+            emissiveIntensity: 0
+        });
+        const plane = new THREE.Mesh(planeGeometry, planeMaterial);
+        plane.rotation.x = -Math.PI / 2;
+        plane.position.y = -gs.baseTowerHeight / 2; 
+        state.groundPlane = ctx.add(plane);
+
+        // Create stars
+        this.createStarfield(ctx);
+
+        // Create towers in a grid
+        for (let x = 0; x < gs.gridSize; x++) {
+            for (let z = 0; z < gs.gridSize * 2; z++) {
+                const geometry = new THREE.BoxGeometry(gs.towerBaseSize, gs.baseTowerHeight, gs.towerBaseSize);
+                const material = new THREE.MeshStandardMaterial({ 
+                    color: 0xffffff, 
+                    metalness: 0.1,
+                    roughness: 0.6,
+                    emissive: 0xffffff, 
+                    emissiveIntensity: 0,
+                    transparent: true,
+                    opacity: 0.75
+                });
+                const tower = new THREE.Mesh(geometry, material);
+
+                tower.position.x = (x - gs.gridSize / 2 + 0.5) * gs.spacing;
+                tower.position.y = 0;
+                tower.position.z = (z - gs.gridSize + 0.5) * gs.spacing;
+
+                ctx.add(tower);
+                state.towers.push(tower);
+            }
+        }
+
+        // Set camera to low flying car position
+        ctx.camera.position.set(0, 2, 10);
+        ctx.camera.lookAt(0, 1, 0);
+
+        state.groundFlash = 0;
+        ctx.on('downbeat', () => {
+            state.groundFlash = 1;
+        });
+    },
+
+    /**
+     * Create a starfield for the towers visualizer background
+     */
+    createStarfield(ctx) {
+        const state = ctx.state;
+
+        // Number of stars to create
+        const starCount = 5000;
+        
+        // Create geometry for the stars
+        const starGeometry = new THREE.BufferGeometry();
+        const starPositions = new Float32Array(starCount * 3);
+        const starSizes = new Float32Array(starCount);
+        const starColors = new Float32Array(starCount * 3);
+        
+        // Create stars in a spherical distribution around the scene
+        const radius = 300; // Reduced radius to make stars appear closer
+        
+        for (let i = 0; i < starCount; i++) {
+            // Generate random spherical coordinates
+            const theta = Math.random() * Math.PI * 2; // Azimuthal angle
+            const phi = Math.acos(2 * Math.random() - 1); // Polar angle
+            
+            // Convert to Cartesian coordinates
+            const x = radius * Math.sin(phi) * Math.cos(theta);
+            const y = radius * Math.sin(phi) * Math.sin(theta);
+            const z = radius * Math.cos(phi);
+            
+            // Set positions
+            starPositions[i * 3] = x;
+            starPositions[i * 3 + 1] = y;
+            starPositions[i * 3 + 2] = z;
+            
+            // Increase star sizes for better visibility
+            const sizeFactor = Math.random();
+            starSizes[i] = sizeFactor > 0.98 ? Math.random() * 4 + 3 : Math.random() * 2.5 + 1.0;
+            
+            // Vary star colors slightly (mostly white with hints of blue/yellow)
+            const colorVariation = Math.random();
+            if (colorVariation > 0.8) {
+                // Bluish star (slightly cooler)
+                starColors[i * 3] = 0.8 + Math.random() * 0.2;
+                starColors[i * 3 + 1] = 0.8 + Math.random() * 0.2;
+                starColors[i * 3 + 2] = 1.0;
+            } else if (colorVariation > 0.6) {
+                // Yellowish star (slightly warmer)
+                starColors[i * 3] = 1.0;
+                starColors[i * 3 + 1] = 0.9 + Math.random() * 0.1;
+                starColors[i * 3 + 2] = 0.6 + Math.random() * 0.2;
+            } else {
+                // White/neutral star
+                starColors[i * 3] = 0.9 + Math.random() * 0.1;
+                starColors[i * 3 + 1] = 0.9 + Math.random() * 0.1;
+                starColors[i * 3 + 2] = 0.9 + Math.random() * 0.1;
+            }
+        }
+        
+        // Add attributes to the geometry
+        starGeometry.setAttribute('position', new THREE.BufferAttribute(starPositions, 3));
+        starGeometry.setAttribute('size', new THREE.BufferAttribute(starSizes, 1));
+        starGeometry.setAttribute('color', new THREE.BufferAttribute(starColors, 3));
+        
+        // Create shader material for the stars
+        const starMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                time: { value: 0 }
+            },
+            vertexShader: `
+                attribute float size;
+                attribute vec3 color;
+                varying vec3 vColor;
+                uniform float time;
+                
+                void main() {
+                    vColor = color;
+                    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                    
+                    // Make some stars twinkle by varying their size with time
+                    float twinkle = sin(time * 2.0 + position.x * 10.0) * 0.2 + 0.8;
+                    
+                    gl_PointSize = size * twinkle * (300.0 / -mvPosition.z);
+                    gl_Position = projectionMatrix * mvPosition;
+                }
+            `,
+            fragmentShader: `
+                varying vec3 vColor;
+                
+                void main() {
+                    // Make stars look like small glowing orbs
+                    vec2 center = vec2(0.5, 0.5);
+                    float dist = length(gl_PointCoord - center);
+                    
+                    // Higher alpha value for better visibility
+                    float alpha = smoothstep(0.5, 0.1, dist);
+                    
+                    // Add more brightness to the stars
+                    vec3 brightColor = vColor * 1.5;
+                    
+                    gl_FragColor = vec4(brightColor, alpha);
+                }
+            `,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false,
+            transparent: true,
+            vertexColors: true
+        });
+        
+        // Create the star particle system
+        state.starfield = ctx.add(new THREE.Points(starGeometry, starMaterial));
+    },
+
+    /**
+     * Update the towers visualizer
+     * Animates towers based on audio frequencies and creates a treadmill effect
+     */
+    update(ctx, audio, delta) {
+        const state = ctx.state;
+
+        const lowAvg = audio.low;
+        const highAvg = audio.high;
+        if (!state.towerGridSettings) return;
+
+        const gs = state.towerGridSettings;
+        const baseTowerHeight = gs.baseTowerHeight;
+        const maxScale = 50;
+        const treadmillSpeed = 10.0 * delta;
+
+        // Calculate average audio level for color changes
+        const averageLevel = audio.level;
+        
+        // Update starfield if it exists
+        if (state.starfield) {
+            // Update time uniform for star twinkling effect
+            state.starfield.material.uniforms.time.value += delta * (1.0 + averageLevel * 2.0);
+            
+            // Make stars rotate very slowly for subtle movement
+            state.starfield.rotation.y += delta * 0.01;
+            
+            // Slight pulsation with beat
+            const pulseFactor = 1.0 + (audio.beat.pulse.low * 0.1);
+            state.starfield.scale.set(pulseFactor, pulseFactor, pulseFactor);
+        }
+
+        // Update floor color based on audio data
+        if (state.groundPlane) {
+            // Use complementary colors to the tower colors
+            const floorHue = (0.6 + averageLevel * 0.4 + 0.5) % 1.0;
+            const floorSaturation = 0.7 + lowAvg * 0.3;
+            const floorLightness = 0.2 + highAvg * 0.3;
+            
+            // Update the floor material color
+            state.groundPlane.material.color.setHSL(floorHue, floorSaturation, floorLightness);
+            
+            // Add subtle emissive glow to the floor for more impact
+            state.groundPlane.material.emissive = new THREE.Color();
+            state.groundFlash = Math.max(0, state.groundFlash - delta * 3);
+            state.groundPlane.material.emissive.setHSL(floorHue, 0.9, averageLevel * 0.3 + state.groundFlash * 0.2);
+        }
+
+        // One value per row of towers, on the user's frequency scale
+        const spectrum = FrequencyMap.spectrum(audio, gs.gridSize * 2);
+
+        // Update each tower
+        state.towers.forEach((tower, index) => {
+            // Treadmill effect - move towers forward and wrap around
+            tower.position.z += treadmillSpeed;
+            if (tower.position.z > gs.wrapDistanceZ / 2) {
+                tower.position.z -= gs.gridSize * gs.spacing;
+                tower.scale.y = 1.0;
+            }
+
+            // Audio reactivity - adjust height and color
+            const value = spectrum[index % spectrum.length];
+            const targetScaleY = 1 + value * maxScale;
+            tower.scale.y += (targetScaleY - tower.scale.y) * 0.1;
+            tower.position.y = (baseTowerHeight * tower.scale.y) / 2 - (baseTowerHeight / 2);
+
+            // Color changes based on audio
+            const baseHue = (0.6 + averageLevel * 0.4) % 1.0;
+            const towerHue = (baseHue + value * 0.3) % 1.0;
+            const saturation = 0.8 + value * 0.2;
+            const lightness = 0.6 + value * 0.4;
+            
+            tower.material.color.setHSL(towerHue, saturation, lightness);
+            
+            // Emissive glow effect
+            const emissiveHue = (towerHue + 0.5) % 1.0;
+            tower.material.emissive.setHSL(emissiveHue, 0.8, 0.5);
+            tower.material.emissiveIntensity = value * 2.0;
+        });
+
+        // Ground-level camera movement
+        const time = ctx.time;
+        
+        // Set camera to ground level
+        ctx.camera.position.y = 0.5;
+        
+        // Move camera forward
+        const forwardSpeed = 5.0 * delta;
+        ctx.camera.position.z -= forwardSpeed;
+        
+        // Add side-to-side movement
+        const sideMovement = Math.sin(time * 0.5) * 2.0;
+        ctx.camera.position.x = sideMovement;
+        
+        // Look ahead and slightly upward
+        ctx.camera.lookAt(
+            sideMovement * 0.5,
+            2.0,
+            ctx.camera.position.z - 10
+        );
+        
+        // Reset camera position when it moves too far back
+        if (ctx.camera.position.z < -50) {
+            ctx.camera.position.z = 30;
+        }
+    }
+});
@@ -0,0 +1,197 @@
+/**
+ * Vectorscope Style
+ *
+ * Plots the left channel against the right, sample by sample, the way a
+ * studio goniometer does: mono draws a vertical line, wide stereo a round
+ * cloud, and out-of-phase material a horizontal smear. The Lissajous layout
+ * plots left on x and right on y instead, turning mono into a diagonal.
+ * Earlier frames fade out behind the current one like phosphor, the trace is
+ * green while the channels agree and turns red as they cancel, and a meter
+ * underneath shows the phase correlation from -1 to +1.
+ */
+VisualizerStyles.register({
+    id: 'vectorscope',
+    name: 'Vectorscope',
+    description: 'Left against right, with fading trails and a correlation meter',
+    order: 60,
+    defaults: {
+        // 'goniometer' (mid up, side across) or 'lissajous' (left across, right up)
+        mode: 'goniometer',
+        // Frames of trail behind the current one
+        trails: 12
+    },
+
+    /**
+     * Create the trace lines, the graticule and the correlation meter
+     */
+    create(ctx) {
+        const state = ctx.state;
+        ctx.scene.background = new THREE.Color(0x000000);
+        ctx.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 10);
+        ctx.camera.position.z = 5;
+        this.resize(ctx, ctx.width, ctx.height);
+
+        // One line per frame of trail, reused oldest first
+        state.traces = [];
+        for (let i = 0; i <= this.MAX_TRAILS; i++) {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.POINTS * 3), 3));
+            geometry.setDrawRange(0, 0);
+            const material = new THREE.LineBasicMaterial({
+                color: 0x00ff88,
+                transparent: true,
+                blending: THREE.AdditiveBlending,
+                depthWrite: false
+            });
+            state.traces.push(ctx.add(new THREE.Line(geometry, material)));
+        }
+        state.newest = 0;
+        // Follows the loudest recent sample so quiet tracks still fill the scope
+        state.peak = this.MIN_PEAK;
+        state.color = new THREE.Color();
+
+        ctx.add(this.createGraticule());
+        this.createMeter(ctx);
+
+        ctx.addSelect({
+            label: 'Display:',
+            options: [
+                { value: 'goniometer', label: 'Goniometer (mid/side)' },
+                { value: 'lissajous', label: 'Lissajous (L/R)' }
+            ],
+            value: ctx.params.mode,
+            onChange: mode => ctx.saveParams({ mode })
+        });
+        ctx.addSelect({
+            label: 'Trails:',
+            options: [
+                { value: '0', label: 'Off' },
+                { value: '6', label: 'Short' },
+                { value: '12', label: 'Medium' },
+                { value: String(this.MAX_TRAILS), label: 'Long' }
+            ],
+            value: String(ctx.params.trails),
+            onChange: trails => ctx.saveParams({ trails: Number(trails) })
+        });
+    },
+
+    /**
+     * A unit circle with the left, right, mid and side axes
+     */
+    createGraticule() {
+        const points = [];
+        const segments = 64;
+        for (let i = 0; i < segments; i++) {
+            const a = (i / segments) * Math.PI * 2;
+            const b = ((i + 1) / segments) * Math.PI * 2;
+            points.push(Math.cos(a), Math.sin(a), 0, Math.cos(b), Math.sin(b), 0);
+        }
+        // Vertical, horizontal and both diagonals
+        const d = Math.SQRT1_2;
+        points.push(0, -1, 0, 0, 1, 0, -1, 0, 0, 1, 0, 0, -d, -d, 0, d, d, 0, -d, d, 0, d, -d, 0);
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(points, 3));
+        const material = new THREE.LineBasicMaterial({ color: 0x335544, transparent: true, opacity: 0.6 });
+        return new THREE.LineSegments(geometry, material);
+    },
+
+    /**
+     * A track from -1 to +1 under the scope, with a marker at the correlation
+     */
+    createMeter(ctx) {
+        const state = ctx.state;
+        const track = new THREE.Mesh(
+            new THREE.PlaneGeometry(2, 0.03),
+            new THREE.MeshBasicMaterial({ color: 0x333333 })
+        );
+        track.position.y = this.METER_Y;
+        ctx.add(track);
+
+        state.meter = ctx.add(new THREE.Mesh(
+            new THREE.PlaneGeometry(0.04, 0.12),
+            new THREE.MeshBasicMaterial({ color: 0x00ff88 })
+        ));
+        state.meter.position.y = this.METER_Y;
+        state.correlation = 0;
+    },
+
+    /**
+     * Draw the newest frame into the oldest trace and fade the rest
+     */
+    update(ctx, audio, delta) {
+        const state = ctx.state;
+        const { left, right, correlation } = audio.stereo;
+        const l = left.samples;
+        const r = right.samples;
+
+        // The last WINDOW samples, drawn with at most POINTS vertices
+        const span = Math.min(l.length, this.WINDOW);
+        const count = Math.min(span, this.POINTS);
+        const step = span / count;
+        const start = l.length - span;
+
+        let peak = 0;
+        for (let i = start; i < l.length; i++) {
+            peak = Math.max(peak, Math.abs(l[i]), Math.abs(r[i]));
+        }
+        // Rise at once, fall over a couple of seconds
+        state.peak = Math.max(peak, this.MIN_PEAK, state.peak * Math.exp(-delta / 2));
+        const gain = 0.9 / state.peak;
+
+        state.newest = (state.newest + 1) % state.traces.length;
+        const trace = state.traces[state.newest];
+        const positions = trace.geometry.attributes.position.array;
+        const goniometer = ctx.params.mode !== 'lissajous';
+        for (let i = 0; i < count; i++) {
+            const index = start + Math.floor(i * step);
+            const sampleL = l[index] * gain;
+            const sampleR = r[index] * gain;
+            positions[i * 3] = goniometer ? (sampleR - sampleL) * Math.SQRT1_2 : sampleL;
+            positions[i * 3 + 1] = goniometer ? (sampleL + sampleR) * Math.SQRT1_2 : sampleR;
+            positions[i * 3 + 2] = 0;
+        }
+        trace.geometry.attributes.position.needsUpdate = true;
+        trace.geometry.setDrawRange(0, count);
+
+        // Green while the channels agree, through yellow to red as they cancel
+        state.correlation += (correlation - state.correlation) * Math.min(1, delta * 8);
+        state.color.setHSL(0.33 * (state.correlation + 1) / 2 + 0.02, 1, 0.5);
+        trace.material.color.copy(state.color);
+        state.meter.material.color.copy(state.color);
+        state.meter.position.x = state.correlation;
+
+        // Older traces fade with age and brighten a little on the kick
+        const trails = Math.min(ctx.params.trails, this.MAX_TRAILS);
+        const boost = 1 + audio.beat.pulse.low * 0.3;
+        state.traces.forEach((line, i) => {
+            const age = (state.newest - i + state.traces.length) % state.traces.length;
+            line.visible = age <= trails;
+            line.material.opacity = Math.min(1, Math.pow(1 - age / (trails + 1), 2) * boost);
+        });
+    },
+
+    /**
+     * Keep the unit circle and the meter in view at any aspect ratio
+     */
+    resize(ctx, width, height) {
+        const camera = ctx.camera;
+        const aspect = width / height;
+        // Room for the circle and the meter below it, centred a little low
+        const halfWidth = Math.max(1.25 * aspect, 1.1);
+        const halfHeight = halfWidth / aspect;
+        camera.left = -halfWidth;
+        camera.right = halfWidth;
+        camera.top = halfHeight - 0.1;
+        camera.bottom = -halfHeight - 0.1;
+        camera.updateProjectionMatrix();
+    },
+
+    // Trace vertices per frame, and the samples they're taken from at most
+    POINTS: 1024,
+    WINDOW: 2048,
+    MAX_TRAILS: 24,
+    // Auto gain never boosts quieter than this peak
+    MIN_PEAK: 0.05,
+    METER_Y: -1.15
+});
@@ -0,0 +1,546 @@
+/**
+ * Wave Style
+ *
+ * Bursts of particles fired on bass and treble beats, drifting through a
+ * minimalist exhibition space of floating frames.
+ */
+VisualizerStyles.register({
+    id: 'wave',
+    name: 'Wave',
+    description: 'Particle bursts on the beat in a gallery of frames',
+    order: 40,
+
+    /**
+     * Create the particle system and the exhibition space around it
+     */
+    create(ctx) {
+        const state = ctx.state;
+
+        // Set a dark background
+        ctx.scene.background = new THREE.Color(0x000011);
+        
+        // Initialize particles and systems
+        state.waveParticles = [];
+        state.particleCount = 0;
+        state.maxParticles = 3000;
+        state.emissionRate = 30; // Particles per beat
+        state.particleLifespan = 3.0; // Seconds
+        
+        // Exhibition space elements
+        state.exhibitionFrames = [];
+        state.exhibitionWalls = [];
+        
+        // Create exhibition space
+        this.createExhibitionSpace(ctx);
+        
+        // Create particle geometry
+        const geometry = new THREE.BufferGeometry();
+        
+        // Pre-allocate arrays for particle system
+        const positions = new Float32Array(state.maxParticles * 3);
+        const colors = new Float32Array(state.maxParticles * 3);
+        const sizes = new Float32Array(state.maxParticles);
+        const lifetimes = new Float32Array(state.maxParticles);
+        
+        // Initialize particles (invisible until emitted)
+        for (let i = 0; i < state.maxParticles; i++) {
+            positions[i * 3] = 0;
+            positions[i * 3 + 1] = 0;
+            positions[i * 3 + 2] = 0;
+            sizes[i] = 0;
+            lifetimes[i] = -1;
+        }
+        
+        // Create attributes for particle system
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+        
+        // Store lifetime data for animation
+        state.particleLifetimes = lifetimes;
+        
+        // Create shader material for particles
+        state.waveMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                time: { value: 0 },
+                pointTexture: { value: new THREE.TextureLoader().load('https://threejs.org/examples/textures/sprites/disc.png') }
+            },
+            vertexShader: `
+                attribute float size;
+                varying vec3 vColor;
+                
+                void main() {
+                    vColor = color;
+                    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                    gl_PointSize = size * (100.0 / -mvPosition.z);
+                    gl_Position = projectionMatrix * mvPosition;
+                }
+            `,
+            fragmentShader: `
+                uniform sampler2D pointTexture;
+                varying vec3 vColor;
+                
+                void main() {
+                    // Create soft, glowing particles
+                    vec2 uv = gl_PointCoord;
+                    float dist = length(uv - vec2(0.5));
+                    
+                    // Square-ish particles with soft edges (Watanabe style)
+                    float alpha = smoothstep(0.5, 0.3, dist);
+                    
+                    // Apply texture and color
+                    gl_FragColor = vec4(vColor, alpha);
+                }
+            `,
+            transparent: true,
+            vertexColors: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        });
+        
+        // Create the particle system
+        state.particleSystem = ctx.add(new THREE.Points(geometry, state.waveMaterial));
+        
+        // Add ambient lighting
+        const ambientLight = new THREE.AmbientLight(0x111122, 0.8);
+        ctx.add(ambientLight);
+        
+        // Add directional lighting for exhibition space
+        const directionalLight = new THREE.DirectionalLight(0xffffff, 1.0);
+        directionalLight.position.set(0, 30, 20);
+        ctx.add(directionalLight);
+        
+        // Bass and treble onset strength from the beat engine, 0-1
+        state.bassBeat = 0;
+        state.trebleBeat = 0;
+        state.emitCooldown = 0;
+        
+        // Set camera position for exhibition view
+        ctx.camera.position.set(0, 40, 130);
+        ctx.camera.lookAt(0, 10, 0);
+    },
+
+    /**
+     * Create exhibition space for particles
+     * Inspired by Watanabe's minimalist aesthetics
+     */
+    createExhibitionSpace(ctx) {
+        const state = ctx.state;
+
+        // Create floor
+        const floorGeometry = new THREE.PlaneGeometry(200, 200);
+        const floorMaterial = new THREE.MeshStandardMaterial({
+            color: 0x111122,
+            metalness: 0.2,
+            roughness: 0.8,
+            side: THREE.DoubleSide
+        });
+        state.exhibitionFloor = new THREE.Mesh(floorGeometry, floorMaterial);
+        state.exhibitionFloor.rotation.x = Math.PI / 2;
+        state.exhibitionFloor.position.y = -10;
+        ctx.add(state.exhibitionFloor);
+        
+        // Create walls
+        const wallMaterial = new THREE.MeshStandardMaterial({
+            color: 0x111122,
+            metalness: 0.1,
+            roughness: 0.9,
+            side: THREE.DoubleSide,
+            transparent: true,
+            opacity: 0.4
+        });
+        
+        // Back wall
+        const backWallGeometry = new THREE.PlaneGeometry(200, 50);
+        const backWall = new THREE.Mesh(backWallGeometry, wallMaterial);
+        backWall.position.set(0, 15, -100);
+        ctx.add(backWall);
+        state.exhibitionWalls.push(backWall);
+        
+        // Create frames for particle containment
+        this.createExhibitionFrames(ctx);
+    },
+
+    /**
+     * Create frames inspired by Watanabe's exhibition designs
+     */
+    createExhibitionFrames(ctx) {
+        const state = ctx.state;
+
+        const frameCount = 3;
+        const frameSpacing = 30;
+        
+        for (let i = 0; i < frameCount; i++) {
+            // Create a frame that will affect particle movement
+            const frameGeometry = new THREE.BoxGeometry(80 - i * 15, 40 - i * 7, 2);
+            const frameMaterial = new THREE.MeshStandardMaterial({
+                color: 0xffffff,
+                metalness: 0.8,
+                roughness: 0.2,
+                transparent: true,
+                opacity: 0.1 + (i * 0.05)
+            });
+            
+            const frame = new THREE.Mesh(frameGeometry, frameMaterial);
+            frame.position.z = -50 + (i * frameSpacing);
+            frame.position.y = 15;
+            
+            ctx.add(frame);
+            state.exhibitionFrames.push(frame);
+        }
+    },
+
+    /**
+     * Animate particles based on audio beats and handle exhibition space interactions
+     */
+    update(ctx, audio, delta) {
+        const state = ctx.state;
+
+        // Update time uniform
+        state.waveMaterial.uniforms.time.value += delta;
+        
+        // Bursts follow the onsets the beat engine finds in the bass and treble
+        state.bassBeat = audio.beat.pulse.low;
+        state.trebleBeat = audio.beat.pulse.high;
+        
+        const averageLevel = audio.level;
+        
+        // Update exhibition frames based on audio
+        this.updateExhibitionSpace(ctx, delta, averageLevel);
+        
+        // Get particle system attributes
+        const positions = state.particleSystem.geometry.attributes.position;
+        const colors = state.particleSystem.geometry.attributes.color;
+        const sizes = state.particleSystem.geometry.attributes.size;
+        
+        // Update emission cooldown
+        if (state.emitCooldown > 0) {
+            state.emitCooldown -= delta;
+        }
+        
+        // Emit particles when a bass beat is detected
+        if (state.bassBeat > 0.4 && state.emitCooldown <= 0) {
+            const emissionCount = Math.floor(state.emissionRate * state.bassBeat);
+            
+            this.emitParticles(
+                ctx,
+                emissionCount,
+                state.bassBeat,
+                state.trebleBeat
+            );
+            
+            state.emitCooldown = 0.1;
+        }
+        
+        // Smaller continuous emissions for visual interest
+        if (state.trebleBeat > 0.5 && Math.random() < state.trebleBeat * 0.2) {
+            this.emitParticles(
+                ctx,
+                Math.floor(3 * state.trebleBeat),
+                state.bassBeat * 0.4,
+                state.trebleBeat
+            );
+        }
+        
+        // Emit some particles with overall audio level for continuous visual interest
+        if (Math.random() < averageLevel * 0.1) {
+            this.emitParticles(
+                ctx,
+                Math.floor(2 * averageLevel),
+                averageLevel,
+                averageLevel
+            );
+        }
+        
+        // Update all particles
+        let activeCount = 0;
+        
+        for (let i = 0; i < state.maxParticles; i++) {
+            // Skip inactive particles
+            if (state.particleLifetimes[i] < 0) continue;
+            
+            // Update lifetime
+            state.particleLifetimes[i] -= delta;
+            
+            // If particle died this frame, make it inactive
+            if (state.particleLifetimes[i] < 0) {
+                sizes.array[i] = 0;
+                continue;
+            }
+            
+            // Count active particles
+            activeCount++;
+            
+            // Calculate life factor (1.0 when new, 0.0 when dead)
+            const lifeFactor = state.particleLifetimes[i] / state.particleLifespan;
+            
+            // Update particle position based on velocity
+            if (state.waveParticles[i]) {
+                // Store old position for frame collision detection
+                const oldX = positions.array[i * 3];
+                const oldY = positions.array[i * 3 + 1];
+                const oldZ = positions.array[i * 3 + 2];
+                
+                // Update position
+                positions.array[i * 3] += state.waveParticles[i].velocity.x * delta;
+                positions.array[i * 3 + 1] += state.waveParticles[i].velocity.y * delta;
+                positions.array[i * 3 + 2] += state.waveParticles[i].velocity.z * delta;
+                
+                // Exhibition frame interactions (Watanabe-inspired)
+                // Check if particle hits a frame
+                for (let j = 0; j < state.exhibitionFrames.length; j++) {
+                    const frame = state.exhibitionFrames[j];
+                    const frameBounds = {
+                        minX: frame.position.x - frame.geometry.parameters.width/2,
+                        maxX: frame.position.x + frame.geometry.parameters.width/2,
+                        minY: frame.position.y - frame.geometry.parameters.height/2,
+                        maxY: frame.position.y + frame.geometry.parameters.height/2,
+                        z: frame.position.z
+                    };
+                    
+                    // Detect passing through frame
+                    if (oldZ < frameBounds.z && positions.array[i * 3 + 2] >= frameBounds.z) {
+                        if (positions.array[i * 3] >= frameBounds.minX &&
+                            positions.array[i * 3] <= frameBounds.maxX &&
+                            positions.array[i * 3 + 1] >= frameBounds.minY &&
+                            positions.array[i * 3 + 1] <= frameBounds.maxY) {
+                            
+                            // Frame interaction - change velocity and color (artistic transformation)
+                            state.waveParticles[i].velocity.multiplyScalar(0.8); // Slow down
+                            
+                            // Change color slightly for exhibition effect
+                            const hue = (colors.array[i * 3] + colors.array[i * 3 + 1] + colors.array[i * 3 + 2]) / 3;
+                            const newColor = new THREE.Color().setHSL(
+                                (hue + 0.1 * j) % 1.0, 
+                                0.8, 
+                                0.5 + j * 0.1
+                            );
+                            
+                            colors.array[i * 3] = newColor.r;
+                            colors.array[i * 3 + 1] = newColor.g;
+                            colors.array[i * 3 + 2] = newColor.b;
+                            
+                            // Record interaction
+                            state.waveParticles[i].frameInteractions++;
+                        }
+                    }
+                }
+                
+                // Minimalist motion - less chaotic for Watanabe style
+                state.waveParticles[i].velocity.y -= 0.5 * delta; // Less gravity
+                state.waveParticles[i].velocity.multiplyScalar(0.995); // Subtle air resistance
+                
+                // Size changes based on pattern type and frame interactions
+                let sizeFactor = 1.0;
+                
+                if (state.waveParticles[i].frameInteractions > 0) {
+                    // Particles get slightly larger with each frame they pass through
+                    sizeFactor = 1.0 + (state.waveParticles[i].frameInteractions * 0.1);
+                }
+                
+                // Fade in/out based on life
+                const fadeIn = lifeFactor < 0.9 ? lifeFactor / 0.9 : 1.0;
+                const fadeOut = lifeFactor < 0.2 ? lifeFactor / 0.2 : 1.0;
+                
+                sizes.array[i] = state.waveParticles[i].initialSize * sizeFactor * fadeIn * fadeOut;
+            }
+        }
+        
+        // Update particle count
+        state.particleCount = activeCount;
+        
+        // Mark attributes as needing update
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+        sizes.needsUpdate = true;
+        
+        // Update exhibition camera
+        this.updateExhibitionCamera(ctx, delta, averageLevel);
+    },
+
+    /**
+     * Emit new particles from the center
+     * Called when a beat is detected
+     * Using Watanabe-inspired geometric patterns
+     */
+    emitParticles(ctx, count, bassIntensity, trebleIntensity) {
+        const state = ctx.state;
+
+        // Get particle system attributes
+        const positions = state.particleSystem.geometry.attributes.position;
+        const colors = state.particleSystem.geometry.attributes.color;
+        const sizes = state.particleSystem.geometry.attributes.size;
+        
+        // Calculate base properties with a minimalist aesthetic (Watanabe style)
+        const baseSpeed = 15 + bassIntensity * 25; 
+        const baseBurstSize = Math.floor(count * (1 + bassIntensity));
+        const baseSize = 1.5 + bassIntensity * 2.5; // Smaller, more elegant particles
+        
+        // Number of particles to emit in this burst
+        const particlesToEmit = Math.min(baseBurstSize, state.maxParticles - state.particleCount);
+        
+        // Choose colors based on a more minimalist/art exhibition palette
+        const baseHue = (state.waveMaterial.uniforms.time.value * 0.05) % 1.0;
+        const hueVariation = 0.08 + trebleIntensity * 0.1; // Less variation for cleaner look
+        
+        // Exhibition mode: create geometric patterns
+        const patternType = Math.floor(bassIntensity * 3) % 3; // Different patterns based on intensity
+        
+        for (let i = 0; i < particlesToEmit; i++) {
+            // Find an inactive particle slot
+            let particleIndex = -1;
+            for (let j = 0; j < state.maxParticles; j++) {
+                if (state.particleLifetimes[j] < 0) {
+                    particleIndex = j;
+                    break;
+                }
+            }
+            
+            // If no slots available, skip
+            if (particleIndex === -1) break;
+            
+            // Emission angle based on pattern type
+            let horizontalAngle, vx, vy, vz;
+            
+            switch (patternType) {
+                case 0: // Circular pattern (traditional)
+                    horizontalAngle = Math.random() * Math.PI * 2;
+                    vx = Math.cos(horizontalAngle) * baseSpeed;
+                    vy = (Math.random() - 0.5) * baseSpeed * 0.1; // Flatter
+                    vz = Math.sin(horizontalAngle) * baseSpeed;
+                    break;
+                
+                case 1: // Grid pattern (Watanabe 1000CUBES style)
+                    // Emit in a grid pattern
+                    const gridSize = 5;
+                    const gridIndex = i % (gridSize * gridSize);
+                    const gridX = (gridIndex % gridSize) - gridSize/2;
+                    const gridZ = Math.floor(gridIndex / gridSize) - gridSize/2;
+                    
+                    horizontalAngle = Math.atan2(gridZ, gridX);
+                    vx = Math.cos(horizontalAngle) * baseSpeed;
+                    vy = 0; // Keep flat
+                    vz = Math.sin(horizontalAngle) * baseSpeed;
+                    break;
+                    
+                case 2: // Linear pattern (code9206 style)
+                    // Emit along straight lines
+                    horizontalAngle = Math.floor(i / 3) * (Math.PI / 8);
+                    vx = Math.cos(horizontalAngle) * baseSpeed;
+                    vy = (Math.random() - 0.5) * baseSpeed * 0.05; // Very flat
+                    vz = Math.sin(horizontalAngle) * baseSpeed;
+                    break;
+            }
+            
+            // Set starting position (slightly off center for art installation feel)
+            positions.array[particleIndex * 3] = (Math.random() - 0.5) * 1.5;
+            positions.array[particleIndex * 3 + 1] = (Math.random() - 0.5) * 1.5; 
+            positions.array[particleIndex * 3 + 2] = (Math.random() - 0.5) * 1.5;
+            
+            // Use more refined color palette for art exhibition style
+            let hue, saturation, lightness;
+            
+            if (i % 3 === 0) { // Main color (black/white for some particles)
+                hue = 0;
+                saturation = 0;
+                lightness = bassIntensity > 0.7 ? 1.0 : 0;
+            } else {
+                hue = (baseHue + (Math.random() - 0.5) * hueVariation) % 1.0;
+                saturation = 0.6 + trebleIntensity * 0.4;
+                lightness = 0.5 + bassIntensity * 0.3;
+            }
+            
+            const color = new THREE.Color().setHSL(hue, saturation, lightness);
+            colors.array[particleIndex * 3] = color.r;
+            colors.array[particleIndex * 3 + 1] = color.g;
+            colors.array[particleIndex * 3 + 2] = color.b;
+            
+            // Particle size - more uniform with subtle variations
+            const sizeVariation = Math.random() * 0.3 + 0.85;
+            sizes.array[particleIndex] = baseSize * sizeVariation;
+            
+            // Set particle as active
+            state.particleLifetimes[particleIndex] = state.particleLifespan;
+            
+            // Store particle velocity including exhibition interaction data
+            if (!state.waveParticles[particleIndex]) {
+                state.waveParticles[particleIndex] = {
+                    velocity: new THREE.Vector3(vx, vy, vz),
+                    initialSize: baseSize * sizeVariation,
+                    pattern: patternType,
+                    frameInteractions: 0
+                };
+            } else {
+                state.waveParticles[particleIndex].velocity.set(vx, vy, vz);
+                state.waveParticles[particleIndex].initialSize = baseSize * sizeVariation;
+                state.waveParticles[particleIndex].pattern = patternType;
+                state.waveParticles[particleIndex].frameInteractions = 0;
+            }
+            
+            // Increment active particle count
+            state.particleCount++;
+        }
+        
+        // Mark attributes as needing update
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+        sizes.needsUpdate = true;
+    },
+
+    /**
+     * Update exhibition space elements
+     */
+    updateExhibitionSpace(ctx, delta, audioLevel) {
+        const state = ctx.state;
+
+        // Animate exhibition frames based on audio
+        state.exhibitionFrames.forEach((frame, index) => {
+            // Subtle rotation based on audio
+            frame.rotation.z = Math.sin(state.waveMaterial.uniforms.time.value * 0.2 + index) * 0.05;
+            
+            // Pulse opacity based on audio level
+            const material = frame.material;
+            material.opacity = 0.1 + index * 0.05 + audioLevel * 0.2;
+            
+            // Subtle scale changes
+            const baseBeat = state.bassBeat;
+            const scale = 1.0 + baseBeat * 0.05;
+            frame.scale.set(scale, scale, 1);
+        });
+        
+        // Make floor react to heavy bass
+        if (state.exhibitionFloor && state.bassBeat > 0.7) {
+            // Create ripple effect on floor
+            const material = state.exhibitionFloor.material;
+            material.color.setHSL(
+                state.waveMaterial.uniforms.time.value * 0.1 % 1.0,
+                0.2,
+                0.1 + state.bassBeat * 0.1
+            );
+        }
+    },
+
+    /**
+     * Update camera movement for exhibition style
+     */
+    updateExhibitionCamera(ctx, delta, audioLevel) {
+        const state = ctx.state;
+
+        const time = ctx.time;
+        
+        // Watanabe-style minimal camera movement
+        const targetHeight = 40 + state.bassBeat * 5;
+        const cameraHeight = ctx.camera.position.y + (targetHeight - ctx.camera.position.y) * 0.02;
+        
+        // Slow, deliberate camera movement for exhibition feel
+        const angle = time * 0.05; // Very slow rotation
+        const radius = 130 - audioLevel * 15; // Move slightly closer during loud parts
+        
+        ctx.camera.position.x = Math.sin(angle) * radius;
+        ctx.camera.position.z = Math.cos(angle) * radius;
+        ctx.camera.position.y = cameraHeight;
+        
+        // Camera looks slightly above center for exhibition view
+        ctx.camera.lookAt(0, 10 + audioLevel * 5, 0);
+    }
+});
@@ -0,0 +1,139 @@
+/**
+ * AudioTransport handoff tests, run with `node --test`
+ *
+ * transport.js is a browser script, so it is loaded into a VM context with a
+ * fake AudioContext whose clock and ended events the tests drive by hand.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+class FakeParam {
+    constructor() {
+        this.value = 1;
+    }
+
+    cancelScheduledValues() {}
+
+    setValueCurveAtTime() {}
+}
+
+class FakeNode {
+    connect() {}
+
+    disconnect() {
+        this.disconnected = true;
+    }
+}
+
+class FakeSource extends FakeNode {
+    constructor(context) {
+        super();
+        this.context = context;
+        this.onended = null;
+        this.startAt = null;
+        context.sources.push(this);
+    }
+
+    start(when) {
+        this.startAt = when;
+    }
+
+    stop() {
+        this.stopped = true;
+    }
+
+    // What the browser does when the source plays to its end
+    end() {
+        if (this.onended) this.onended();
+    }
+}
+
+class FakeAudioContext {
+    constructor() {
+        this.currentTime = 0;
+        this.state = 'running';
+        this.sources = [];
+    }
+
+    createGain() {
+        const gain = new FakeNode();
+        gain.gain = new FakeParam();
+        return gain;
+    }
+
+    createBufferSource() {
+        return new FakeSource(this);
+    }
+}
+
+function loadTransport() {
+    const context = vm.createContext({});
+    const file = path.join(__dirname, '..', 'transport.js');
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    return vm.runInContext('AudioTransport', context);
+}
+
+const AudioTransport = loadTransport();
+const buffer = duration => ({ duration });
+
+function createPlayingTransport(crossfade) {
+    const audioContext = new FakeAudioContext();
+    const transport = new AudioTransport(audioContext, new FakeNode());
+    transport.setCrossfade(crossfade);
+    transport.load(buffer(10));
+    transport.play();
+    return { audioContext, transport };
+}
+
+for (const crossfade of [0, 2]) {
+    test(`the next track is still scheduled after a handoff first seen in onended (crossfade ${crossfade}s)`, () => {
+        const { audioContext, transport } = createPlayingTransport(crossfade);
+        let advances = 0;
+        transport.onAdvance = () => advances++;
+        transport.onEnded = () => assert.fail('fell back to onEnded');
+
+        transport.preload(buffer(10));
+        const first = audioContext.sources[0];
+        const second = transport.pending.source;
+
+        // No frame ran checkHandoff (a background tab); the first track just ends
+        audioContext.currentTime = 10;
+        first.end();
+        assert.strictEqual(advances, 1);
+        assert.strictEqual(transport.source, second);
+        assert.strictEqual(transport.fadingSource, null);
+        assert.ok(first.disconnected);
+
+        // The track after that is scheduled as soon as it's preloaded
+        transport.preload(buffer(10));
+        assert.ok(transport.pending, 'next track was not scheduled');
+        assert.strictEqual(transport.pending.startAt, second.startAt + 10 - crossfade);
+
+        audioContext.currentTime = second.startAt + 10;
+        second.end();
+        assert.strictEqual(advances, 2);
+    });
+}
+
+test('a crossfade noticed in time lets the outgoing track fade out first', () => {
+    const { audioContext, transport } = createPlayingTransport(2);
+    transport.preload(buffer(10));
+    const first = audioContext.sources[0];
+
+    audioContext.currentTime = 8.5;
+    transport.checkHandoff();
+    assert.strictEqual(transport.fadingSource, first);
+    assert.ok(!first.disconnected);
+
+    // Nothing is scheduled on the deck that's still fading out
+    transport.preload(buffer(10));
+    assert.strictEqual(transport.pending, null);
+
+    audioContext.currentTime = 10;
+    first.end();
+    assert.strictEqual(transport.fadingSource, null);
+    assert.ok(transport.pending, 'next track was not scheduled once the fade ended');
+});
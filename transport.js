@@ -0,0 +1,356 @@
+/**
+ * Audio Transport
+ *
+ * Plays decoded AudioBuffers through a Web Audio graph and keeps track of the
+ * playback position so that pausing, resuming and seeking all continue from
+ * the right offset. AudioBufferSourceNodes are single-use, so every start
+ * (play, resume, seek) creates a fresh source at the requested offset.
+ *
+ * Two decks, each with its own GainNode, feed the output. While one deck
+ * plays, the next track can be preloaded onto the other and scheduled to
+ * start sample-accurately as the current one ends (gapless), or to overlap it
+ * with an equal-power crossfade.
+ */
+class AudioTransport {
+    /**
+     * @param {AudioContext} audioContext - Context that owns the sources
+     * @param {AudioNode} output - Node both decks are connected to
+     */
+    constructor(audioContext, output) {
+        this.audioContext = audioContext;
+        this.output = output;
+
+        this.decks = [0, 1].map(() => {
+            const gain = audioContext.createGain();
+            gain.connect(output);
+            return { gain, source: null };
+        });
+        this.activeDeck = 0;
+
+        this.buffer = null;
+        this.isPlaying = false;
+
+        // Context time at which offset 0 of the buffer would have played
+        this.startedAt = 0;
+        // Offset (in seconds) to resume from while paused
+        this.pausedAt = 0;
+
+        // Next track, decoded ahead of time, and its scheduled start once playing
+        this.nextBuffer = null;
+        this.pending = null;
+        // Outgoing source still fading out after a crossfade handoff
+        this.fadingSource = null;
+
+        // Overlap between tracks in seconds; 0 plays them back to back
+        this.crossfadeDuration = 0;
+
+        // Called when the current buffer plays through with nothing preloaded
+        this.onEnded = null;
+        // Called when playback hands off to the preloaded buffer
+        this.onAdvance = null;
+    }
+
+    /**
+     * Duration of the loaded buffer in seconds
+     */
+    get duration() {
+        return this.buffer ? this.buffer.duration : 0;
+    }
+
+    /**
+     * The source currently playing on the active deck
+     */
+    get source() {
+        return this.decks[this.activeDeck].source;
+    }
+
+    /**
+     * Replace the loaded buffer and rewind to the start
+     */
+    load(buffer) {
+        this.stop();
+        this.nextBuffer = null;
+        this.buffer = buffer;
+    }
+
+    /**
+     * Decode-ahead the track that should follow the current one
+     * Passing null clears any preloaded track.
+     */
+    preload(buffer) {
+        this.checkHandoff();
+        this.cancelPending();
+        this.nextBuffer = buffer;
+        this.scheduleNext();
+    }
+
+    /**
+     * Set the crossfade length (0-12 seconds) and reschedule the next track
+     */
+    setCrossfade(seconds) {
+        this.crossfadeDuration = Math.min(Math.max(seconds, 0), 12);
+        this.checkHandoff();
+        if (this.pending && this.pending.startAt > this.audioContext.currentTime) {
+            this.cancelPending();
+            this.scheduleNext();
+        }
+    }
+
+    /**
+     * Start or resume playback from the stored offset
+     */
+    play() {
+        if (!this.buffer || this.isPlaying) return;
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+        this.startSource(this.pausedAt);
+        this.scheduleNext();
+    }
+
+    /**
+     * Pause playback, remembering the current offset
+     */
+    pause() {
+        this.checkHandoff();
+        if (!this.isPlaying) return;
+        this.pausedAt = this.getCurrentTime();
+        this.stopSources();
+        this.isPlaying = false;
+    }
+
+    /**
+     * Toggle between playing and paused
+     */
+    togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Stop playback and rewind to the start
+     */
+    stop() {
+        this.stopSources();
+        this.isPlaying = false;
+        this.pausedAt = 0;
+    }
+
+    /**
+     * Jump to an absolute position (seconds), keeping the play/pause state
+     */
+    seek(time) {
+        this.checkHandoff();
+        if (!this.buffer) return;
+        const target = Math.min(Math.max(time, 0), this.duration);
+        if (this.isPlaying) {
+            this.stopSources();
+            this.startSource(target);
+            this.scheduleNext();
+        } else {
+            this.pausedAt = target;
+        }
+    }
+
+    /**
+     * Move the position forwards or backwards by a number of seconds
+     */
+    skip(seconds) {
+        this.seek(this.getCurrentTime() + seconds);
+    }
+
+    /**
+     * Current playback position in seconds
+     */
+    getCurrentTime() {
+        if (!this.isPlaying) return this.pausedAt;
+        const elapsed = this.audioContext.currentTime - this.startedAt;
+        return Math.min(Math.max(elapsed, 0), this.duration);
+    }
+
+    /**
+     * Hand off to the scheduled next track once it has started playing
+     * Called every frame so the UI switches as soon as the new track is audible.
+     */
+    checkHandoff() {
+        if (this.pending && this.audioContext.currentTime >= this.pending.startAt) {
+            this.promotePending();
+        }
+    }
+
+    /**
+     * Create a new source on the active deck and start it at the given offset
+     */
+    startSource(offset) {
+        const deck = this.decks[this.activeDeck];
+        deck.gain.gain.cancelScheduledValues(0);
+        deck.gain.gain.value = 1;
+
+        const source = this.createSource(this.buffer, deck);
+        source.start(0, offset);
+        deck.source = source;
+        this.startedAt = this.audioContext.currentTime - offset;
+        this.isPlaying = true;
+    }
+
+    /**
+     * Create a source for a buffer on a deck, wired to the ended handler
+     */
+    createSource(buffer, deck) {
+        const source = this.audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.connect(deck.gain);
+
+        // Only the source that is still current may end playback; sources
+        // stopped by pause/seek have their handler removed first
+        source.onended = () => {
+            if (this.source !== source) return;
+            if (this.pending) {
+                // Scheduled next track took over (e.g. handoff not yet seen by the UI)
+                this.promotePending(true);
+                return;
+            }
+            deck.source = null;
+            this.isPlaying = false;
+            this.pausedAt = 0;
+            if (this.onEnded) this.onEnded();
+        };
+        return source;
+    }
+
+    /**
+     * Schedule the preloaded buffer to follow the current one on the other deck
+     */
+    scheduleNext() {
+        if (!this.nextBuffer || this.pending || !this.isPlaying) return;
+        // The other deck is still fading out the previous track; try again once it ends
+        if (this.fadingSource) return;
+
+        const now = this.audioContext.currentTime;
+        const endTime = this.startedAt + this.duration;
+        // Never overlap by more than half of either track
+        const fade = Math.min(this.crossfadeDuration, this.duration / 2, this.nextBuffer.duration / 2);
+        const startAt = Math.max(endTime - fade, now);
+
+        const outgoing = this.decks[this.activeDeck];
+        const incomingIndex = 1 - this.activeDeck;
+        const incoming = this.decks[incomingIndex];
+
+        incoming.gain.gain.cancelScheduledValues(0);
+        if (fade > 0) {
+            // Equal-power curves keep the combined loudness steady through the fade
+            const steps = 64;
+            const fadeIn = new Float32Array(steps);
+            const fadeOut = new Float32Array(steps);
+            for (let i = 0; i < steps; i++) {
+                const x = i / (steps - 1);
+                fadeIn[i] = Math.sin(x * Math.PI / 2);
+                fadeOut[i] = Math.cos(x * Math.PI / 2);
+            }
+            incoming.gain.gain.value = 0;
+            incoming.gain.gain.setValueCurveAtTime(fadeIn, startAt, fade);
+            outgoing.gain.gain.cancelScheduledValues(0);
+            outgoing.gain.gain.value = 1;
+            outgoing.gain.gain.setValueCurveAtTime(fadeOut, startAt, fade);
+        } else {
+            incoming.gain.gain.value = 1;
+        }
+
+        const source = this.createSource(this.nextBuffer, incoming);
+        source.start(startAt, 0);
+        incoming.source = source;
+        this.pending = { deck: incomingIndex, source, buffer: this.nextBuffer, startAt };
+    }
+
+    /**
+     * Make the scheduled next track the current one
+     * @param {boolean} outgoingEnded - Called from the outgoing source's own ended event
+     */
+    promotePending(outgoingEnded = false) {
+        const pending = this.pending;
+        this.pending = null;
+        this.stopFadingSource();
+
+        // Let the outgoing track finish its fade, but forget about it afterwards.
+        // When the handoff is noticed late (rAF is throttled in background tabs)
+        // it may have ended already, and an ended source never fires again.
+        const outgoing = this.decks[this.activeDeck];
+        const ended = outgoingEnded || this.audioContext.currentTime >= this.startedAt + this.duration;
+        if (outgoing.source && ended) {
+            this.stopNode(outgoing.source);
+            outgoing.source = null;
+        } else if (outgoing.source) {
+            const fading = outgoing.source;
+            fading.onended = () => {
+                fading.disconnect();
+                if (this.fadingSource !== fading) return;
+                this.fadingSource = null;
+                this.scheduleNext();
+            };
+            this.fadingSource = fading;
+            outgoing.source = null;
+        }
+
+        this.activeDeck = pending.deck;
+        this.buffer = pending.buffer;
+        this.startedAt = pending.startAt;
+        this.nextBuffer = null;
+        this.isPlaying = true;
+        this.scheduleNext();
+
+        if (this.onAdvance) this.onAdvance();
+    }
+
+    /**
+     * Stop the scheduled next track without forgetting the preloaded buffer
+     */
+    cancelPending() {
+        if (!this.pending) return;
+        const deck = this.decks[this.pending.deck];
+        this.stopNode(this.pending.source);
+        deck.source = null;
+        deck.gain.gain.cancelScheduledValues(0);
+        this.pending = null;
+
+        // Undo the fade-out scheduled on the current deck
+        const active = this.decks[this.activeDeck].gain.gain;
+        active.cancelScheduledValues(0);
+        active.value = 1;
+    }
+
+    /**
+     * Stop every source without firing onEnded
+     */
+    stopSources() {
+        this.cancelPending();
+        this.stopFadingSource();
+        const deck = this.decks[this.activeDeck];
+        this.stopNode(deck.source);
+        deck.source = null;
+    }
+
+    /**
+     * Cut off a track that is still fading out
+     */
+    stopFadingSource() {
+        this.stopNode(this.fadingSource);
+        this.fadingSource = null;
+    }
+
+    /**
+     * Stop and disconnect a source node, ignoring ones that already stopped
+     */
+    stopNode(source) {
+        if (!source) return;
+        source.onended = null;
+        try {
+            source.stop();
+        } catch (e) {
+            // Source was never started or has already stopped
+        }
+        source.disconnect();
+    }
+}
@@ -7,83 +7,211 @@
 class Visualizer {
     /**
      * Initialize the visualizer with default settings and properties
+     * @param {Object} session - Session of the logged-in user (see AuthProvider)
      */
-    constructor() {
+    constructor(session) {
+        this.session = session;
+
         // Three.js scene setup
         this.scene = new THREE.Scene();
         this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
         this.renderer = new THREE.WebGLRenderer({ antialias: true });
-        this.originalCamera = null; // Store original camera when using shader visualizer
+        // Fixed {width, height} to render at (e.g. while recording), or null to fill the window
+        this.outputSize = null;
         
         // Audio processing properties
         this.audioContext = null;
         this.analyser = null;
+        // Left and right analysers fed from the main one
+        this.stereoAnalyser = null;
         this.dataArray = new Uint8Array(128);
+        this.waveformArray = new Uint8Array(256);
+        this.sampleArray = new Float32Array(256);
         
-        // Visualizer elements
-        this.bars = [];
-        this.particles = [];
-        this.towers = [];
-        this.groundPlane = null;
-        this.cloudLayers = [];
+        // The style on screen: its registry entry, its ctx and the objects it added
+        this.activeStyle = null;
         
         // State management
-        this.isPlaying = false;
+        this.transport = null;
+        this.liveInput = null;
+        this.inputBus = null;
         this.currentStyle = 'bars';
-        this.audioFiles = [];
-        this.currentTrackIndex = 0;
+        this.sessionEnded = false;
+        this.playlist = new Playlist();
         this.currentTime = 0;
-        this.updateInterval = null;
+        this.loadRequestId = 0;
+        this.isSeeking = false;
+        this.seekPreviewTime = 0;
+        this.skipSeconds = 10;
+
+        // Decoded buffers for the current and upcoming track, keyed by track
+        this.decodedTracks = new Map();
+        this.preloadedTrack = null;
+
+        // Cover art object URLs and in-flight tag reads, keyed by track id
+        this.trackArtUrls = new Map();
+        this.metadataRequests = new Set();
+
+        // Video recording, created with the audio context
+        this.recorder = null;
+        this.recordingTimer = null;
+        this.recordingStopsAtTrackEnd = false;
+        // { cancelled } while a track is being rendered offline
+        this.offlineRender = null;
+
+        // Beats and tempo, shared by every style
+        this.beatEngine = new BeatEngine();
+
+        // Analyser settings panel, once the controls are set up
+        this.analyserPanel = null;
+
+        // Pop-out output window, and the title it shows
+        this.projector = new ProjectorLink();
+        this.mediaTitle = '';
+
+        // Per-user settings and music library
+        this.userSettings = new SettingsStore(session.username);
+        this.library = new MusicLibrary(session.username);
+        this.lastSessionSave = 0;
+        this.sessionSaveInterval = 5000;
         
         // Controls and timing
         this.orbitControls = null;
         this.clock = new THREE.Clock();
-        
-        // Ink visualizer properties
-        this.inkSystem = null;
-        this.inkParticles = [];
-        this.inkVelocities = [];
-        this.inkAges = [];
-        this.paperTexture = null;
-        this.inkTargets = [];
-        
-        // Wave visualizer properties
-        this.waveGeometry1 = null;
-        this.waveGeometry2 = null;
-        this.waveMaterial = null;
-        this.waveMesh1 = null;
-        this.waveMesh2 = null;
-        this.waveSegments = [];
-        this.segmentWidth = 200;
-        this.segmentHeight = 100;
-        this.segmentSegments = 100;
-        this.numSegments = 3;
-        this.segmentSpacing = 150;
-        
-        // Shader visualizer properties
-        this.shaderPlane = null;
-        this.shaderMaterial = null;
-        this.shaderTime = 0;
-        this.audioDataArray = null;
-        this.lowFreqSmoothed = 0;
-        this.midFreqSmoothed = 0;
-        this.highFreqSmoothed = 0;
-        this.overallSmoothed = 0;
-        
-        // Cloud control properties
-        this.cloudSettings = {
-            height: 10,
-            opacity: 0.8,
-            movementSpeed: 0.1,
-            audioReactivity: 0.2,
-            threshold: 0.4
-        };
+        this.elapsedTime = 0;
         
         // Initialize the visualizer
+        this.restoreSettings();
         this.init();
         this.setupControls();
         this.createVisualizer();
         this.animate();
+
+        // Bring back the user's library and last playlist
+        this.library.requestPersistence();
+        this.refreshLibraryList();
+        this.restoreLibrarySession();
+
+        Auth.onSessionEnd((endedSession, reason) => this.handleSessionEnd(reason));
+    }
+
+    /**
+     * Keep the user's place on logout, or purge their data when the account is deleted
+     */
+    async handleSessionEnd(reason) {
+        if (reason === 'deleted') {
+            this.sessionEnded = true;
+            if (this.transport) this.transport.stop();
+            this.userSettings.reset();
+            await this.library.deleteAll();
+            return;
+        }
+        await this.saveLibrarySession();
+        this.sessionEnded = true;
+        if (this.transport) this.transport.pause();
+    }
+
+    /**
+     * Apply the user's saved style, crossfade and control panel state
+     * Runs before the scene and audio are set up, which read the restored values.
+     */
+    restoreSettings() {
+        const settings = this.userSettings.values;
+
+        // Fall back to the default style if the saved one is no longer registered
+        this.currentStyle = VisualizerStyles.has(settings.style) ? settings.style : 'bars';
+        this.populateStyleOptions();
+        VisualizerStyles.onChange(() => this.handleStylesChanged());
+
+        document.getElementById('crossfade').value = settings.crossfade;
+
+        this.setupPanelDragging(settings.panel.position);
+        this.setupUIToggle();
+        this.setUIHidden(settings.panel.hidden);
+    }
+
+    /**
+     * Let the control panel be dragged by its heading, remembering where it was left
+     * @param {Object|null} position - Saved {left, top} in pixels
+     */
+    setupPanelDragging(position) {
+        const dragContainer = document.getElementById('draggable-controls');
+        const dragHandle = document.querySelector('.visualizer-heading');
+        let isDragging = false;
+        let offsetX = 0;
+        let offsetY = 0;
+
+        // Position the control box in the center initially
+        dragContainer.style.position = 'absolute';
+        dragContainer.style.transform = 'none';
+        dragContainer.style.top = '50%';
+        dragContainer.style.left = '50%';
+
+        // Keep a saved position on screen even if the window has shrunk since
+        if (position) {
+            const x = Math.min(Math.max(position.left, 0), Math.max(window.innerWidth - 100, 0));
+            const y = Math.min(Math.max(position.top, 0), Math.max(window.innerHeight - 50, 0));
+            dragContainer.style.left = x + 'px';
+            dragContainer.style.top = y + 'px';
+        }
+
+        // Make only the header draggable
+        dragHandle.addEventListener('mousedown', (e) => {
+            isDragging = true;
+            offsetX = e.clientX - dragContainer.getBoundingClientRect().left;
+            offsetY = e.clientY - dragContainer.getBoundingClientRect().top;
+            dragHandle.style.cursor = 'grabbing';
+        });
+
+        document.addEventListener('mousemove', (e) => {
+            if (!isDragging) return;
+
+            const x = e.clientX - offsetX;
+            const y = e.clientY - offsetY;
+
+            dragContainer.style.left = x + 'px';
+            dragContainer.style.top = y + 'px';
+        });
+
+        document.addEventListener('mouseup', () => {
+            if (!isDragging) return;
+            isDragging = false;
+            dragHandle.style.cursor = 'grab';
+            this.userSettings.update({
+                panel: {
+                    position: {
+                        left: parseFloat(dragContainer.style.left),
+                        top: parseFloat(dragContainer.style.top)
+                    }
+                }
+            });
+        });
+    }
+
+    /**
+     * Wire up the buttons that hide and show the control panel
+     */
+    setupUIToggle() {
+        document.getElementById('hide-ui').addEventListener('click', () => this.saveUIHidden(true));
+        document.getElementById('show-ui').addEventListener('click', () => this.saveUIHidden(false));
+    }
+
+    /**
+     * Hide or show the control panel and remember the choice
+     */
+    saveUIHidden(hidden) {
+        this.setUIHidden(hidden);
+        this.userSettings.update({ panel: { hidden } });
+    }
+
+    /**
+     * Hide the control panel (showing the track name instead) or bring it back
+     */
+    setUIHidden(hidden) {
+        document.getElementById('draggable-controls').style.display = hidden ? 'none' : 'block';
+        document.getElementById('show-ui').style.display = hidden ? 'flex' : 'none';
+        document.getElementById('track-name-display').classList.toggle('visible', hidden);
+        if (this.analyserPanel) this.analyserPanel.setHidden(hidden);
     }
 
     /**
@@ -118,20 +246,53 @@ class Visualizer {
         this.orbitControls.maxPolarAngle = Math.PI / 2;
         this.orbitControls.enabled = false;
 
-        // Set default paper color
-        this.paperColor = new THREE.Color(0xF5E8C8);
-
         // Set up window resize handler
-        window.addEventListener('resize', () => {
-            this.camera.aspect = window.innerWidth / window.innerHeight;
-            this.camera.updateProjectionMatrix();
-            this.renderer.setSize(window.innerWidth, window.innerHeight);
-        });
+        window.addEventListener('resize', () => this.updateRendererSize());
 
         // Create initial visualizer
         this.createVisualizer();
     }
 
+    /**
+     * Size of the rendered image in CSS pixels
+     */
+    getRenderSize() {
+        return this.outputSize || { width: window.innerWidth, height: window.innerHeight };
+    }
+
+    /**
+     * Fit the renderer, cameras and active style to the window, or to the fixed output size
+     */
+    updateRendererSize() {
+        const { width, height } = this.getRenderSize();
+        const canvas = this.renderer.domElement;
+        if (this.outputSize) {
+            // Render exactly the output size; the canvas still fills the window and
+            // CSS letterboxes the picture inside it
+            this.renderer.setPixelRatio(1);
+            this.renderer.setSize(width, height, false);
+            canvas.style.width = '100%';
+            canvas.style.height = '100%';
+        } else {
+            this.renderer.setPixelRatio(window.devicePixelRatio);
+            this.renderer.setSize(width, height);
+        }
+        canvas.classList.toggle('fixed-output', this.outputSize !== null);
+
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        if (this.activeStyle) {
+            const { style, ctx } = this.activeStyle;
+            ctx.width = width;
+            ctx.height = height;
+            if (ctx.camera !== this.camera && ctx.camera.isPerspectiveCamera) {
+                ctx.camera.aspect = width / height;
+                ctx.camera.updateProjectionMatrix();
+            }
+            if (style.resize) style.resize(ctx, width, height);
+        }
+    }
+
     /**
      * Set up event listeners for controls (play/pause, next/prev, file upload)
      */
@@ -140,1781 +301,1927 @@ class Visualizer {
         const playPauseBtn = document.getElementById('play-pause');
         const nextBtn = document.getElementById('next');
         const prevBtn = document.getElementById('prev');
+        const skipBackBtn = document.getElementById('skip-back');
+        const skipForwardBtn = document.getElementById('skip-forward');
         const visualizerStyle = document.getElementById('visualizer-style');
 
         // Initialize audio context on first user interaction
-        const initAudioContext = () => {
-            if (!this.audioContext) {
-                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-                this.analyser = this.audioContext.createAnalyser();
-                this.setupAudio();
-            }
-        };
+        const initAudioContext = () => this.initAudioContext();
 
         // Handle file selection
-        audioInput.addEventListener('change', (event) => {
+        audioInput.addEventListener('change', async (event) => {
             initAudioContext();
-            const files = event.target.files;
-            const fileArray = Array.from(files);
-            
-            // Limit to max 5 tracks
-            if (fileArray.length > 5) {
-                alert('Maximum 5 tracks allowed. Only the first 5 will be loaded.');
-                this.audioFiles = fileArray.slice(0, 5);
+            if (this.liveInput.isActive) this.stopLiveInput();
+            let fileArray = Array.from(event.target.files);
+
+            // Clear the input so picking the same files again still fires a change
+            event.target.value = '';
+
+            if (fileArray.length === 0) return;
+
+            // Append to the playlist; only start playing if nothing was loaded yet
+            const wasEmpty = this.playlist.length === 0;
+            const tracks = await this.addToLibrary(fileArray);
+            const added = this.playlist.add(tracks);
+            if (wasEmpty && added.length > 0) {
+                this.playlist.select(0);
+                this.loadAudioFile(this.playlist.current);
             } else {
-                this.audioFiles = fileArray;
-            }
-            
-            if (this.audioFiles.length > 0) {
-                this.currentTrackIndex = 0;
-                this.loadAudioFile(this.audioFiles[0]);
-                this.updateTrackList();
+                this.preloadNextTrack();
             }
+            this.updateTrackList();
+            this.refreshLibraryList();
+            this.saveLibrarySession();
         });
 
         // Handle play/pause
-        playPauseBtn.addEventListener('click', () => {
-            initAudioContext();
-            const playIcon = document.getElementById('play-icon');
+        playPauseBtn.addEventListener('click', () => this.togglePlayback());
 
-            if (!this.audioContext || !this.audioBuffer) return;
+        // Handle skip back/forward
+        skipBackBtn.addEventListener('click', () => this.skip(-this.skipSeconds));
+        skipForwardBtn.addEventListener('click', () => this.skip(this.skipSeconds));
 
-            if (this.isPlaying) {
-                this.source.stop();
-                this.isPlaying = false;
-                if (playIcon) playIcon.textContent = 'play_arrow';
-                if (this.updateInterval) clearInterval(this.updateInterval);
-            } else {
-                this.source = this.audioContext.createBufferSource(); // Create a NEW source
-                this.source.buffer = this.audioBuffer;
-                this.source.connect(this.analyser);
-                this.analyser.connect(this.audioContext.destination);
+        // Handle click/drag seeking on the progress bar
+        this.setupSeeking();
 
-                this.source.start(0);
-                this.startTime = this.audioContext.currentTime;
-                this.isPlaying = true;
+        // Handle live input source selection
+        this.setupLiveInputControls();
 
-                if (playIcon) playIcon.textContent = 'pause';
+        // Handle library search, sort and delete
+        this.setupLibraryControls();
 
-                this.updateInterval = setInterval(() => this.updateProgress(), 100);
-            }
-        });
+        // Handle shuffle and repeat
+        this.setupPlaylistControls();
+
+        // Handle crossfade length
+        this.setupCrossfadeControl();
+
+        // Handle the audio analysis panel
+        this.setupAnalyserPanel();
+
+        // Handle the tempo display, tap tempo and manual BPM
+        this.setupTempoControls();
+
+        // Handle video recording
+        this.setupRecordingControls();
+
+        // Handle still images
+        this.setupStillControls();
+
+        // Handle the pop-out projector window
+        this.setupProjectorControls();
+
+        // Handle the keyboard and the system's media controls
+        this.setupShortcuts();
+        this.setupMediaSession();
+
+        // Remember where playback got to when the page is closed
+        window.addEventListener('pagehide', () => this.saveLibrarySession());
 
         // Handle next/previous
         nextBtn.addEventListener('click', () => this.playNextTrack());
         prevBtn.addEventListener('click', () => this.playPreviousTrack());
-        visualizerStyle.addEventListener('change', (event) => {
-            this.currentStyle = event.target.value;
-            this.createVisualizer();
-        });
 
         // Handle visualizer style change
-        visualizerStyle.addEventListener('change', (event) => {
-            this.currentStyle = event.target.value;
-            this.createVisualizer();
-        });
+        visualizerStyle.addEventListener('change', (event) => this.selectStyle(event.target.value));
     }
 
     /**
-     * Set up audio analyzer with appropriate settings
+     * Switch to a registered style and remember it
      */
-    setupAudio() {
-        if (!this.analyser) return;
-        this.analyser.fftSize = 256;
-        this.analyser.smoothingTimeConstant = 0.8;
+    selectStyle(id) {
+        if (!VisualizerStyles.has(id) || this.offlineRender) return;
+        this.currentStyle = id;
+        document.getElementById('visualizer-style').value = id;
+        this.createVisualizer();
+        this.userSettings.update({ style: this.currentStyle });
     }
 
     /**
-     * Format time in seconds to MM:SS format
+     * Play or pause the loaded track
+     * Starts the audio context too, since this is often the first interaction.
      */
-    formatTime(seconds) {
-        const minutes = Math.floor(seconds / 60);
-        const remainingSeconds = Math.floor(seconds % 60);
-        return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+    togglePlayback() {
+        this.initAudioContext();
+        if (this.transport.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    play() {
+        this.initAudioContext();
+        if (this.liveInput.isActive || !this.transport.buffer || this.transport.isPlaying) return;
+        this.transport.play();
+        this.updatePlayIcon();
+        this.saveLibrarySession();
+    }
+
+    pause() {
+        if (!this.transport || !this.transport.isPlaying) return;
+        this.transport.pause();
+        this.updatePlayIcon();
+        this.saveLibrarySession();
     }
 
     /**
-     * Update the progress bar and time display
+     * Jump forwards (or backwards, if negative) within the track
      */
-    updateProgress() {
-        if (this.source && this.audioBuffer) {
-            this.currentTime = this.audioContext.currentTime - this.startTime;
-            const progress = (this.currentTime / this.audioBuffer.duration) * 100;
-            document.querySelector('.progress').style.width = `${progress}%`;
-            document.getElementById('current-time').textContent = this.formatTime(this.currentTime);
-            
-            if (this.currentTime >= this.audioBuffer.duration) {
-                this.playNextTrack();
-            }
-        }
+    skip(seconds) {
+        if (!this.transport || !this.transport.buffer) return;
+        this.seekTo(this.transport.getCurrentTime() + seconds);
+    }
+
+    seekTo(time) {
+        if (this.liveInput && this.liveInput.isActive) return;
+        if (!this.transport || !this.transport.buffer) return;
+        this.transport.seek(time);
+        this.updateProgress();
+        this.updateMediaPosition();
+        this.saveLibrarySession();
     }
 
     /**
-     * Load and decode an audio file
+     * Keyboard shortcuts for the transport, styles, panel and fullscreen
+     * The user's rebindings are saved with their settings.
      */
-    loadAudioFile(file) {
-        if (!this.audioContext) return;
-        
-        // Store whether we were playing before loading the new track
-        const wasPlaying = this.isPlaying;
-        
-        // Stop current track if it's playing
-        if (this.isPlaying && this.source) {
-            this.source.stop();
-            this.isPlaying = false;
-        }
-        
-        const reader = new FileReader();
-        reader.onload = (event) => {
-            this.audioContext.decodeAudioData(event.target.result, (buffer) => {
-                this.audioBuffer = buffer;
-                this.source = this.audioContext.createBufferSource();
-                this.source.buffer = this.audioBuffer;
-                this.source.connect(this.analyser);
-                this.analyser.connect(this.audioContext.destination);
-                
-                // Reset UI elements
-                const playIcon = document.getElementById('play-icon');
-                if (playIcon) playIcon.textContent = wasPlaying ? 'pause' : 'play_arrow';
-                document.getElementById('total-time').textContent = this.formatTime(buffer.duration);
-                this.currentTime = 0;
-                document.querySelector('.progress').style.width = '0%';
-                document.getElementById('current-time').textContent = '0:00';
-                
-                // Update track name display
-                this.updateTrackNameDisplay(file.name);
-                
-                // If we were playing before, automatically start the new track
-                if (wasPlaying) {
-                    this.source.start(0);
-                    this.startTime = this.audioContext.currentTime;
-                    this.isPlaying = true;
-                    
-                    // Start the progress update interval
-                    if (this.updateInterval) clearInterval(this.updateInterval);
-                    this.updateInterval = setInterval(() => this.updateProgress(), 100);
+    setupShortcuts() {
+        const actions = {
+            togglePlay: { label: 'Play / pause', run: () => this.togglePlayback() },
+            seekBack: { label: `Back ${this.skipSeconds} seconds`, run: () => this.skip(-this.skipSeconds) },
+            seekForward: { label: `Forward ${this.skipSeconds} seconds`, run: () => this.skip(this.skipSeconds) },
+            previousTrack: { label: 'Previous track', run: () => this.playPreviousTrack() },
+            nextTrack: { label: 'Next track', run: () => this.playNextTrack() }
+        };
+        // Number keys pick styles in dropdown order
+        for (let n = 1; n <= 5; n++) {
+            actions[`style${n}`] = {
+                label: `Style ${n}`,
+                run: () => {
+                    const style = VisualizerStyles.list()[n - 1];
+                    if (style) this.selectStyle(style.id);
                 }
-            });
+            };
+        }
+        Object.assign(actions, {
+            tapTempo: { label: 'Tap tempo', run: () => this.tapTempo() },
+            toggleUI: { label: 'Hide / show controls', run: () => this.saveUIHidden(!this.userSettings.values.panel.hidden) },
+            toggleFullscreen: { label: 'Fullscreen', run: () => this.toggleFullscreen() },
+            toggleHelp: { label: 'Show these shortcuts', run: () => this.shortcuts.toggleHelp() }
+        });
+
+        this.shortcuts = new KeyboardShortcuts({
+            actions,
+            overrides: this.userSettings.values.shortcuts,
+            // Replace rather than merge, so removed rebindings are forgotten
+            onChange: overrides => this.userSettings.set('shortcuts', overrides)
+        });
+        this.shortcuts.attach();
+        document.getElementById('shortcut-help-button').addEventListener('click', () => this.shortcuts.showHelp());
+    }
+
+    toggleFullscreen() {
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
+        } else if (document.documentElement.requestFullscreen) {
+            document.documentElement.requestFullscreen().catch(error => console.warn('Could not enter fullscreen', error));
+        }
+    }
+
+    /**
+     * Let the OS media keys, lock screen and notification controls drive the transport
+     */
+    setupMediaSession() {
+        if (!('mediaSession' in navigator)) return;
+        const handlers = {
+            play: () => this.play(),
+            pause: () => this.pause(),
+            previoustrack: () => this.playPreviousTrack(),
+            nexttrack: () => this.playNextTrack(),
+            seekbackward: details => this.skip(-(details.seekOffset || this.skipSeconds)),
+            seekforward: details => this.skip(details.seekOffset || this.skipSeconds),
+            seekto: details => this.seekTo(details.seekTime)
         };
-        reader.readAsArrayBuffer(file);
+        Object.keys(handlers).forEach(action => {
+            try {
+                navigator.mediaSession.setActionHandler(action, handlers[action]);
+            } catch (e) {
+                // Older browsers don't know every action
+            }
+        });
     }
 
     /**
-     * Update the track name display
+     * Show what's playing in the system's media controls
      */
-    updateTrackNameDisplay(filename) {
-        const trackNameDisplay = document.getElementById('track-name-display');
-        if (trackNameDisplay) {
-            // Clean up the filename - remove extension and replace underscores/hyphens with spaces
-            let displayName = filename.replace(/\.[^/.]+$/, ""); // Remove file extension
-            displayName = displayName.replace(/[_-]/g, " "); // Replace underscores and hyphens with spaces
-            
-            // Capitalize first letter of each word
-            displayName = displayName.split(' ')
-                .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-                .join(' ');
-                
-            trackNameDisplay.textContent = displayName;
-        }
+    updateMediaMetadata(title, artist = '', album = '', artUrl = null) {
+        this.mediaTitle = title;
+        this.sendProjectorTransport();
+        if (!('mediaSession' in navigator) || typeof MediaMetadata === 'undefined') return;
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title,
+            artist,
+            album,
+            artwork: artUrl ? [{ src: artUrl }] : []
+        });
     }
 
     /**
-     * Play the next track in the playlist
+     * Tell the system's media controls whether we're playing and where we are
      */
-    playNextTrack() {
-        if (this.audioFiles.length > 0) {
-            this.currentTrackIndex = (this.currentTrackIndex + 1) % this.audioFiles.length;
-            const nextTrack = this.audioFiles[this.currentTrackIndex];
-            this.loadAudioFile(nextTrack);
-            this.updateTrackList();
-        }
+    updateMediaPosition() {
+        this.sendProjectorTransport();
+        if (!('mediaSession' in navigator)) return;
+        const isLive = this.liveInput && this.liveInput.isActive;
+        const playing = isLive || (this.transport && this.transport.isPlaying);
+        navigator.mediaSession.playbackState = playing ? 'playing' : 'paused';
+        if (isLive || !this.transport || !this.transport.buffer || !navigator.mediaSession.setPositionState) return;
+        navigator.mediaSession.setPositionState({
+            duration: this.transport.duration,
+            playbackRate: 1,
+            position: Math.min(this.transport.getCurrentTime(), this.transport.duration)
+        });
     }
 
     /**
-     * Play the previous track in the playlist
+     * Create the audio context, analyser and sources on first user interaction
      */
-    playPreviousTrack() {
-        if (this.audioFiles.length > 0) {
-            this.currentTrackIndex = (this.currentTrackIndex - 1 + this.audioFiles.length) % this.audioFiles.length;
-            const prevTrack = this.audioFiles[this.currentTrackIndex];
-            this.loadAudioFile(prevTrack);
-            this.updateTrackList();
-        }
+    initAudioContext() {
+        if (this.audioContext) return;
+        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        this.analyser = this.audioContext.createAnalyser();
+        this.stereoAnalyser = new StereoAnalyser(this.audioContext, this.analyser);
+        this.setupAudio();
+
+        // File playback is heard and analysed; live input is only analysed
+        this.transport = new AudioTransport(this.audioContext, this.inputBus);
+        this.transport.onEnded = () => this.handleTrackEnded();
+        this.transport.onAdvance = () => this.handleTrackAdvanced();
+        this.transport.setCrossfade(this.getCrossfadeSetting());
+        this.liveInput = new LiveInput(this.audioContext, this.analyser);
+        this.liveInput.onEnded = () => this.stopLiveInput();
     }
-     
-    formatTime(seconds){
-        const mins = Math.floor(seconds / 60);
-        const secs = Math.floor(seconds % 60);
-        return `${mins}:${secs < 10 ? '0' : ''}${secs}`;
+
+    /**
+     * Set up audio analyzer with appropriate settings
+     */
+    setupAudio() {
+        if (!this.analyser) return;
+        this.applyAnalyserSettings(this.userSettings.values.analyser);
+
+        // File sources feed a bus that goes to both the analyser and the speakers
+        this.inputBus = this.audioContext.createGain();
+        this.inputBus.connect(this.analyser);
+        this.inputBus.connect(this.audioContext.destination);
     }
 
-    updateProgress(){
-        if (this.audioContext && this.audioBuffer && this.isPlaying) {
-            this.currentTime = this.audioContext.currentTime - this.startTime;
-            const progress = (this.currentTime / this.audioBuffer.duration) * 100;
-            document.querySelector('.progress').style.width = `${progress}%`;
-            document.getElementById('current-time').textContent = this.formatTime(this.currentTime);
-            if (this.currentTime >= this.audioBuffer.duration) {
-                this.playNextTrack();
+    /**
+     * Apply FFT size, smoothing and decibel range to the analyser and the per-channel ones
+     * The data arrays are resized to match the new bin count.
+     */
+    applyAnalyserSettings({ fftSize, smoothingTimeConstant, minDecibels, maxDecibels }) {
+        [this.analyser, ...this.stereoAnalyser.analysers].forEach(analyser => {
+            analyser.fftSize = fftSize;
+            analyser.smoothingTimeConstant = smoothingTimeConstant;
+            // Set in an order that never leaves min above max
+            if (minDecibels >= analyser.maxDecibels) {
+                analyser.maxDecibels = maxDecibels;
+                analyser.minDecibels = minDecibels;
+            } else {
+                analyser.minDecibels = minDecibels;
+                analyser.maxDecibels = maxDecibels;
             }
-        }
+        });
+        this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
+        this.waveformArray = new Uint8Array(this.analyser.fftSize);
+        this.sampleArray = new Float32Array(this.analyser.fftSize);
+        this.stereoAnalyser.resize();
     }
-    
 
     /**
-     * Create the current visualizer based on the selected style
+     * Set up the audio source selector and input device picker
      */
-    createVisualizer() {
-        this.clearScene();
-        
-        // Set up basic scene
-        this.camera.position.set(0, 10, 20);
-        this.camera.lookAt(0, 0, 0);
-        this.scene.background = new THREE.Color(0x000005);
-        this.orbitControls.enabled = false;
-        this.orbitControls.target.set(0, 0, 0);
+    setupLiveInputControls() {
+        const sourceSelect = document.getElementById('audio-source');
+        const deviceSelect = document.getElementById('input-device');
+        if (!sourceSelect || !deviceSelect) return;
+
+        const startSelected = async () => {
+            const kind = sourceSelect.value;
+            deviceSelect.parentElement.style.display = kind === 'mic' ? 'flex' : 'none';
+            if (kind === 'file') {
+                this.stopLiveInput();
+                return;
+            }
+            this.initAudioContext();
+            try {
+                await this.startLiveInput(kind, kind === 'mic' ? deviceSelect.value : undefined);
+                if (kind === 'mic') await this.populateInputDevices();
+            } catch (error) {
+                alert(`Could not start live input: ${error.message}`);
+                sourceSelect.value = 'file';
+                deviceSelect.parentElement.style.display = 'none';
+                this.stopLiveInput();
+            }
+        };
 
-        // Create visualizer based on current style
-        switch(this.currentStyle) {
-            case 'bars':
-                this.createBars();
-                break;
-            case 'points':
-                this.createPointsVisualizer();
-                break;
-            case 'towers':
-                this.createTowersVisualizer();
-                // Set camera to low flying car position
-                this.camera.position.set(0, 2, 10);
-                this.camera.lookAt(0, 1, 0);
-                break;
-            case 'wave':
-                this.createWaveVisualizer();
-                this.camera.position.set(0, 0, 30);
-                this.camera.lookAt(0, 0, 0);
-                break;
-            case 'shaders':
-                this.createShadersVisualizer();
-                break;
+        sourceSelect.addEventListener('change', startSelected);
+        deviceSelect.addEventListener('change', startSelected);
+
+        // Keep the device list current when hardware is plugged in or removed
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.populateInputDevices());
         }
+    }
 
-        // Ensure initial render
-        this.renderer.render(this.scene, this.camera);
+    /**
+     * Fill the input device picker, keeping the current selection if possible
+     */
+    async populateInputDevices() {
+        const deviceSelect = document.getElementById('input-device');
+        if (!deviceSelect || !this.liveInput) return;
+
+        const selected = deviceSelect.value;
+        const devices = await this.liveInput.listDevices();
+        deviceSelect.innerHTML = '';
+
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = 'Default Input';
+        deviceSelect.appendChild(defaultOption);
+
+        devices.forEach(device => {
+            if (device.deviceId === 'default' || !device.deviceId) return;
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = device.label;
+            deviceSelect.appendChild(option);
+        });
+        deviceSelect.value = devices.some(device => device.deviceId === selected) ? selected : '';
     }
 
     /**
-     * Clean up the current visualizer before creating a new one
+     * Switch the visualizer to a live input stream
+     * @param {string} kind - 'mic' or 'display'
+     * @param {string} deviceId - Optional input device for 'mic'
      */
-    clearScene() {
-        // Remove all visualizer elements
-        this.bars.forEach(bar => this.scene.remove(bar));
-        this.particles.forEach(particle => this.scene.remove(particle));
-        this.towers.forEach(tower => this.scene.remove(tower));
-        
-        if (this.groundPlane) {
-            this.scene.remove(this.groundPlane);
-            this.groundPlane = null;
-        }
-        
-        // Remove cloud layers
-        this.cloudLayers.forEach(layer => this.scene.remove(layer));
-        this.cloudLayers = [];
-        
-        // Remove starfield
-        if (this.starfield) {
-            this.scene.remove(this.starfield);
-            this.starfield.geometry.dispose();
-            this.starfield.material.dispose();
-            this.starfield = null;
-        }
-
-        // Reset arrays
-        this.bars = [];
-        this.particles = [];
-        this.towers = [];
-
-        // Clean up ink system elements
-        if (this.inkSystem) {
-            this.scene.remove(this.inkSystem);
-            this.inkSystem.geometry.dispose();
-            this.inkSystem.material.dispose(); 
-        }
-        this.inkSystem = null;
-        this.inkParticles = [];
-        this.inkVelocities = [];
-        this.inkAges = [];
-        this.inkTargets = [];
-
-        // Reset background
-        this.scene.background = new THREE.Color(0x000005);
+    async startLiveInput(kind, deviceId) {
+        // Pause file playback so only the live signal is analysed
+        if (this.transport.isPlaying) this.transport.pause();
+        await this.liveInput.start(kind, deviceId);
+        this.updateLiveState();
+    }
 
-        // Clean up wave visualizer elements
-        if (this.waveMesh1) {
-            this.scene.remove(this.waveMesh1);
-            this.waveMesh1.geometry.dispose();
-            this.waveMesh1 = null;
-        }
-        if (this.waveMesh2) {
-            this.scene.remove(this.waveMesh2);
-            this.waveMesh2.geometry.dispose();
-            this.waveMesh2 = null;
-        }
-        if (this.waveMaterial) {
-            this.waveMaterial.dispose();
-            this.waveMaterial = null;
-        }
-        if (this.waveGeometry1) {
-            this.waveGeometry1.dispose();
-            this.waveGeometry1 = null;
-        }
-        if (this.waveGeometry2) {
-            this.waveGeometry2.dispose();
-            this.waveGeometry2 = null;
-        }
+    /**
+     * Leave live mode and go back to file playback
+     */
+    stopLiveInput() {
+        if (!this.liveInput) return;
+        this.liveInput.stop();
 
-        if (this.waveSegments) {
-            this.waveSegments.forEach(segment => {
-                this.scene.remove(segment);
-                segment.geometry.dispose();
-                segment.material.dispose();
-            });
-            this.waveSegments = [];
-        }
-        
-        // Clean up particle system
-        if (this.particleSystem) {
-            this.scene.remove(this.particleSystem);
-            this.particleSystem.geometry.dispose();
-            this.particleSystem.material.dispose();
-            this.particleSystem = null;
-        }
-        
-        // Reset particle data
-        this.waveParticles = [];
-        this.particleLifetimes = null;
-        this.particleCount = 0;
-        
-        // Clean up points visualizer elements
-        if (this.pointsMesh) {
-            this.scene.remove(this.pointsMesh);
-            this.pointsMesh.geometry.dispose();
-            this.pointsMesh.material.dispose();
-            this.pointsMesh = null;
-        }
-        
-        // Clean up shader visualizer elements
-        if (this.shaderPlane) {
-            this.scene.remove(this.shaderPlane);
-            this.shaderPlane.geometry.dispose();
-            this.shaderPlane.material.dispose();
-            this.shaderPlane = null;
+        const sourceSelect = document.getElementById('audio-source');
+        if (sourceSelect) sourceSelect.value = 'file';
+        const deviceSelect = document.getElementById('input-device');
+        if (deviceSelect) deviceSelect.parentElement.style.display = 'none';
+
+        this.updateLiveState();
+    }
+
+    /**
+     * Show or clear the LIVE state in the progress and track UI
+     */
+    updateLiveState() {
+        const isLive = this.liveInput && this.liveInput.isActive;
+        const controlBox = document.getElementById('control-box');
+        if (controlBox) controlBox.classList.toggle('live-mode', isLive);
+
+        if (isLive) {
+            document.querySelector('.progress').style.width = '100%';
+            document.getElementById('current-time').textContent = 'LIVE';
+            document.getElementById('total-time').textContent = this.liveInput.kind === 'display' ? 'Tab Audio' : 'Input';
+            this.setTrackNameText(`LIVE — ${this.liveInput.label}`);
+            this.updateMediaMetadata(this.liveInput.label, 'Live input');
+            this.updatePlayIcon();
+            return;
         }
-        if (this.shaderMaterial) {
-            this.shaderMaterial.dispose();
-            this.shaderMaterial = null;
+
+        // Restore the file transport display
+        const duration = this.transport ? this.transport.duration : 0;
+        document.getElementById('total-time').textContent = this.formatTime(duration);
+        document.getElementById('current-time').textContent = this.formatTime(this.transport ? this.transport.getCurrentTime() : 0);
+        if (this.playlist.current && this.transport && this.transport.buffer) {
+            this.updateTrackNameDisplay(this.playlist.current);
+        } else {
+            document.querySelector('.progress').style.width = '0%';
+            this.setTrackNameText('No track selected');
         }
-        
-        // Restore original camera if we're switching from shaders visualizer
-        if (this.originalCamera && this.currentStyle === 'shaders') {
-            // Dispose current camera if needed
-            if (this.camera.dispose) {
-                this.camera.dispose();
+        this.updateProgress();
+    }
+
+    /**
+     * Set up click and drag seeking on the progress bar
+     */
+    setupSeeking() {
+        const progressContainer = document.querySelector('.progress-container');
+        if (!progressContainer) return;
+
+        // Convert a pointer position into a time within the current track
+        const timeFromEvent = (event) => {
+            const rect = progressContainer.getBoundingClientRect();
+            const fraction = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+            return fraction * this.transport.duration;
+        };
+
+        progressContainer.addEventListener('pointerdown', (event) => {
+            if (!this.transport || !this.transport.buffer) return;
+            if (this.liveInput.isActive) return;
+            this.isSeeking = true;
+            this.seekPreviewTime = timeFromEvent(event);
+            progressContainer.setPointerCapture(event.pointerId);
+            progressContainer.classList.add('seeking');
+            this.updateProgress();
+        });
+
+        progressContainer.addEventListener('pointermove', (event) => {
+            if (!this.isSeeking) return;
+            this.seekPreviewTime = timeFromEvent(event);
+            this.updateProgress();
+        });
+
+        const endSeek = (event) => {
+            if (!this.isSeeking) return;
+            this.isSeeking = false;
+            progressContainer.classList.remove('seeking');
+            if (event.type === 'pointerup') {
+                this.seekTo(timeFromEvent(event));
+            } else {
+                this.updateProgress();
             }
-            
-            // Restore original camera state
-            this.camera = this.originalCamera;
-            this.originalCamera = null;
-        }
-        
-        // Reset shader-related properties
-        this.shaderTime = 0;
-        this.lowFreqSmoothed = 0;
-        this.midFreqSmoothed = 0;
-        this.highFreqSmoothed = 0;
-        this.overallSmoothed = 0;
-
-        // Clean up exhibition elements
-        if (this.exhibitionFloor) {
-            this.scene.remove(this.exhibitionFloor);
-            this.exhibitionFloor.geometry.dispose();
-            this.exhibitionFloor.material.dispose();
-            this.exhibitionFloor = null;
-        }
-
-        if (this.exhibitionWalls) {
-            this.exhibitionWalls.forEach(wall => {
-                this.scene.remove(wall);
-                wall.geometry.dispose();
-                wall.material.dispose();
-            });
-            this.exhibitionWalls = [];
-        }
+        };
+        progressContainer.addEventListener('pointerup', endSeek);
+        progressContainer.addEventListener('pointercancel', endSeek);
+    }
 
-        if (this.exhibitionFrames) {
-            this.exhibitionFrames.forEach(frame => {
-                this.scene.remove(frame);
-                frame.geometry.dispose();
-                frame.material.dispose();
-            });
-            this.exhibitionFrames = [];
+    /**
+     * Update the play/pause icon to match the transport state
+     */
+    updatePlayIcon() {
+        const playIcon = document.getElementById('play-icon');
+        if (playIcon) {
+            playIcon.textContent = this.transport && this.transport.isPlaying ? 'pause' : 'play_arrow';
         }
+        this.updateMediaPosition();
     }
 
     /**
-     * Create the bars visualizer
-     * Creates a set of vertical bars that react to audio frequencies
+     * Format time in seconds to MM:SS format
      */
-    createBars() {
-        const barCount = 64;
-        const barWidth = 0.2;
-        const barHeight = 1;
-        const spacing = 0.3;
-        const totalWidth = (barCount - 1) * (barWidth + spacing);
-        const startX = -totalWidth / 2;
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const remainingSeconds = Math.floor(seconds % 60);
+        return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+    }
 
-        // Create bars with initial properties
-        for (let i = 0; i < barCount; i++) {
-            const geometry = new THREE.BoxGeometry(barWidth, barHeight, 1);
-            const material = new THREE.MeshPhongMaterial({
-                color: 0x00ff00,
-                shininess: 100
-            });
-            const bar = new THREE.Mesh(geometry, material);
-            bar.position.x = startX + i * (barWidth + spacing);
-            bar.position.y = 0;
-            this.scene.add(bar);
-            this.bars.push(bar);
+    /**
+     * Update the progress bar and time display
+     */
+    updateProgress() {
+        if (!this.transport || !this.transport.buffer) return;
+        if (this.liveInput && this.liveInput.isActive) return;
+
+        // Pick up a gapless/crossfade handoff as soon as the next track is audible
+        this.transport.checkHandoff();
+
+        // While dragging, show the position under the pointer instead
+        this.currentTime = this.isSeeking ? this.seekPreviewTime : this.transport.getCurrentTime();
+        const duration = this.transport.duration;
+        const progress = duration > 0 ? (this.currentTime / duration) * 100 : 0;
+        document.querySelector('.progress').style.width = `${progress}%`;
+        document.getElementById('current-time').textContent = this.formatTime(this.currentTime);
+
+        // Periodically store the position so a reload can resume from it
+        if (this.transport.isPlaying && Date.now() - this.lastSessionSave > this.sessionSaveInterval) {
+            this.saveLibrarySession();
         }
     }
 
     /**
-     * Create the points visualizer
-     * Creates a sphere of points that react to audio with dynamic movement
+     * Load and decode a track
+     * The current track keeps playing while the new one decodes, so the
+     * visuals don't drop out between tracks.
+     * @param {Object} track - Library track record (see MusicLibrary)
+     * @param {boolean} autoplay - Start playing once decoded (defaults to the current play state)
+     * @param {number} startAt - Position in seconds to start from
      */
-    createPointsVisualizer() {
-        // Create a large number of points
-        const pointCount = 15000;
-        const positions = new Float32Array(pointCount * 3);
-        const colors = new Float32Array(pointCount * 3);
-        const sizes = new Float32Array(pointCount);
+    loadAudioFile(track, autoplay = this.transport && this.transport.isPlaying, startAt = 0) {
+        if (!this.audioContext) return;
 
-        // Initialize points with random positions and colors
-        const color = new THREE.Color();
-        for (let i = 0; i < pointCount; i++) {
-            const i3 = i * 3;
-            
-            // Random positions in a sphere
-            const radius = 50;
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.acos(2 * Math.random() - 1);
-            
-            positions[i3] = radius * Math.sin(phi) * Math.cos(theta);
-            positions[i3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
-            positions[i3 + 2] = radius * Math.cos(phi);
-            
-            // Random colors
-            color.setHSL(Math.random(), 0.8, 0.5);
-            colors[i3] = color.r;
-            colors[i3 + 1] = color.g;
-            colors[i3 + 2] = color.b;
-            
-            // Random sizes
-            sizes[i] = Math.random() * 2;
-        }
-
-        // Create geometry with point attributes
-        const geometry = new THREE.BufferGeometry();
-        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-        geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
-
-        // Create shader material for points
-        const material = new THREE.ShaderMaterial({
-            uniforms: {
-                time: { value: 0 },
-                audioLevel: { value: 0 },
-                pointTexture: { value: new THREE.TextureLoader().load('https://threejs.org/examples/textures/sprites/disc.png') }
-            },
-            vertexShader: `
-                attribute float size;
-                varying vec3 vColor;
-                uniform float time;
-                uniform float audioLevel;
-                
-                void main() {
-                    vColor = color;
-                    
-                    // Get vertex position
-                    vec3 pos = position;
-                    
-                    // Add some movement based on audio
-                    float movement = sin(time + pos.x * 0.1) * cos(time + pos.y * 0.1) * audioLevel * 2.0;
-                    pos += pos * movement * 0.1;
-                    
-                    vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
-                    gl_PointSize = size * (300.0 / -mvPosition.z) * (1.0 + audioLevel);
-                    gl_Position = projectionMatrix * mvPosition;
-                }
-            `,
-            fragmentShader: `
-                uniform sampler2D pointTexture;
-                varying vec3 vColor;
-                
-                void main() {
-                    vec2 center = vec2(0.5, 0.5);
-                    float dist = length(gl_PointCoord - center);
-                    
-                    // Create soft, glowing points
-                    float alpha = 1.0 - smoothstep(0.4, 0.5, dist);
-                    
-                    gl_FragColor = vec4(vColor, alpha);
-                }
-            `,
-            transparent: true,
-            vertexColors: true,
-            blending: THREE.AdditiveBlending,
-            depthWrite: false
-        });
+        // Ignore decodes that finish after a newer track was requested
+        const requestId = ++this.loadRequestId;
 
-        // Create points mesh
-        this.pointsMesh = new THREE.Points(geometry, material);
-        this.scene.add(this.pointsMesh);
+        this.decodeTrack(track).then((buffer) => {
+            if (requestId !== this.loadRequestId) return;
 
-        // Add lighting
-        const ambientLight = new THREE.AmbientLight(0x404040, 0.5);
-        this.scene.add(ambientLight);
+            this.audioBuffer = buffer;
+            this.transport.load(buffer);
+            if (startAt > 0) this.transport.seek(startAt);
+            this.rememberTrackDuration(track, buffer);
 
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
-        directionalLight.position.set(1, 1, 1);
-        this.scene.add(directionalLight);
+            // Keep showing the LIVE state; the track is ready for when live input stops
+            if (this.liveInput.isActive) return;
 
-        // Set initial camera position
-        this.camera.position.set(0, 0, 100);
-        this.camera.lookAt(0, 0, 0);
+            // Automatically start the new track if requested
+            if (autoplay) {
+                this.transport.play();
+            }
+            this.showCurrentTrack();
+            this.saveLibrarySession();
+
+            // Get the following track ready for a gapless or crossfaded handoff
+            this.preloadNextTrack();
+        }, (error) => {
+            if (requestId !== this.loadRequestId) return;
+            console.error('Could not decode audio', error);
+            alert(`Could not play "${track.name}". The file may be damaged or in an unsupported format.`);
+        });
     }
 
     /**
-     * Create the wave visualizer
-     * Creates a particle system that emits particles from the center in sync with audio beats
-     * Inspired by Hajime Watanabe's exhibition aesthetics
+     * Decode a track, reusing the buffer if it was already decoded ahead of time
+     * @returns {Promise<AudioBuffer>}
      */
-    createWaveVisualizer() {
-        // Set a dark background
-        this.scene.background = new THREE.Color(0x000011);
-        
-        // Initialize particles and systems
-        this.waveParticles = [];
-        this.particleSystem = null;
-        this.particleCount = 0;
-        this.maxParticles = 3000;
-        this.emissionRate = 30; // Particles per beat
-        this.particleLifespan = 3.0; // Seconds
-        
-        // Exhibition space elements
-        this.exhibitionFrames = [];
-        this.exhibitionFloor = null;
-        this.exhibitionWalls = [];
-        
-        // Create exhibition space
-        this.createExhibitionSpace();
-        
-        // Create particle geometry
-        const geometry = new THREE.BufferGeometry();
-        
-        // Pre-allocate arrays for particle system
-        const positions = new Float32Array(this.maxParticles * 3);
-        const colors = new Float32Array(this.maxParticles * 3);
-        const sizes = new Float32Array(this.maxParticles);
-        const lifetimes = new Float32Array(this.maxParticles);
-        
-        // Initialize particles (invisible until emitted)
-        for (let i = 0; i < this.maxParticles; i++) {
-            positions[i * 3] = 0;
-            positions[i * 3 + 1] = 0;
-            positions[i * 3 + 2] = 0;
-            sizes[i] = 0;
-            lifetimes[i] = -1;
+    decodeTrack(track) {
+        if (!this.decodedTracks.has(track)) {
+            const decoding = new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = (event) => {
+                    this.audioContext.decodeAudioData(event.target.result, resolve, reject);
+                };
+                reader.onerror = () => reject(reader.error);
+                reader.readAsArrayBuffer(track.file);
+            });
+            // Forget failed decodes so they can be retried
+            decoding.catch(() => this.decodedTracks.delete(track));
+            this.decodedTracks.set(track, decoding);
         }
-        
-        // Create attributes for particle system
-        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-        geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
-        
-        // Store lifetime data for animation
-        this.particleLifetimes = lifetimes;
-        
-        // Create shader material for particles
-        this.waveMaterial = new THREE.ShaderMaterial({
-            uniforms: {
-                time: { value: 0 },
-                pointTexture: { value: new THREE.TextureLoader().load('https://threejs.org/examples/textures/sprites/disc.png') }
-            },
-            vertexShader: `
-                attribute float size;
-                varying vec3 vColor;
-                
-                void main() {
-                    vColor = color;
-                    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
-                    gl_PointSize = size * (100.0 / -mvPosition.z);
-                    gl_Position = projectionMatrix * mvPosition;
-                }
-            `,
-            fragmentShader: `
-                uniform sampler2D pointTexture;
-                varying vec3 vColor;
-                
-                void main() {
-                    // Create soft, glowing particles
-                    vec2 uv = gl_PointCoord;
-                    float dist = length(uv - vec2(0.5));
-                    
-                    // Square-ish particles with soft edges (Watanabe style)
-                    float alpha = smoothstep(0.5, 0.3, dist);
-                    
-                    // Apply texture and color
-                    gl_FragColor = vec4(vColor, alpha);
-                }
-            `,
-            transparent: true,
-            vertexColors: true,
-            blending: THREE.AdditiveBlending,
-            depthWrite: false
+        this.pruneDecodedTracks(track);
+        return this.decodedTracks.get(track);
+    }
+
+    /**
+     * Drop decoded buffers that are neither playing, preloaded nor being decoded now
+     */
+    pruneDecodedTracks(keep) {
+        const current = this.playlist.current;
+        for (const track of this.decodedTracks.keys()) {
+            if (track !== keep && track !== current && track !== this.preloadedTrack) {
+                this.decodedTracks.delete(track);
+            }
+        }
+    }
+
+    /**
+     * Decode the track that will play after the current one and hand it to the transport
+     */
+    preloadNextTrack() {
+        if (!this.transport || !this.transport.buffer) return;
+
+        const track = this.playlist.peekNext(true);
+        if (!track) {
+            this.preloadedTrack = null;
+            this.transport.preload(null);
+            return;
+        }
+        if (track === this.preloadedTrack && this.transport.nextBuffer) return;
+
+        this.preloadedTrack = track;
+        this.decodeTrack(track).then((buffer) => {
+            // The playlist may have changed while decoding
+            if (this.preloadedTrack !== track) return;
+            this.transport.preload(buffer);
+        }, (error) => {
+            console.warn(`Could not preload "${track.name}"`, error);
         });
-        
-        // Create the particle system
-        this.particleSystem = new THREE.Points(geometry, this.waveMaterial);
-        this.scene.add(this.particleSystem);
-        
-        // Add ambient lighting
-        const ambientLight = new THREE.AmbientLight(0x111122, 0.8);
-        this.scene.add(ambientLight);
-        
-        // Add directional lighting for exhibition space
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 1.0);
-        directionalLight.position.set(0, 30, 20);
-        this.scene.add(directionalLight);
-        
-        // Initialize beat detection variables
-        this.beatDetectionVars = {
-            energyHistory: new Array(30).fill(0),
-            beatThreshold: 1.5,
-            lastBeatTime: 0,
-            beatHoldTime: 0.2,
-            bassEnergy: 0,
-            trebleEnergy: 0,
-            bassBeat: 0,
-            trebleBeat: 0,
-            emitCooldown: 0
+    }
+
+    /**
+     * Store a track's decoded duration so the library can sort by it
+     */
+    rememberTrackDuration(track, buffer) {
+        if (track.id && track.duration == null) {
+            track.duration = buffer.duration;
+            this.library.updateTrack(track.id, { duration: buffer.duration })
+                .catch(error => console.warn('Could not update track duration', error));
+        }
+    }
+
+    /**
+     * Show the current track's name, length and position
+     */
+    showCurrentTrack() {
+        const track = this.playlist.current;
+        if (!track || !this.transport.buffer) return;
+        document.getElementById('total-time').textContent = this.formatTime(this.transport.duration);
+        this.updateTrackNameDisplay(track);
+        this.updateProgress();
+        this.updatePlayIcon();
+    }
+
+    /**
+     * Read the crossfade length from its slider
+     */
+    getCrossfadeSetting() {
+        const slider = document.getElementById('crossfade');
+        return slider ? parseFloat(slider.value) || 0 : 0;
+    }
+
+    /**
+     * Set up the crossfade slider (0 = gapless)
+     */
+    setupCrossfadeControl() {
+        const slider = document.getElementById('crossfade');
+        const valueLabel = document.getElementById('crossfade-value');
+        if (!slider) return;
+
+        const update = () => {
+            const seconds = parseFloat(slider.value) || 0;
+            if (valueLabel) valueLabel.textContent = seconds > 0 ? `${seconds.toFixed(1)}s` : 'Gapless';
+            if (this.transport) this.transport.setCrossfade(seconds);
         };
-        
-        // Set camera position for exhibition view
-        this.camera.position.set(0, 40, 130);
-        this.camera.lookAt(0, 10, 0);
-    }
-    
-    /**
-     * Create exhibition space for particles
-     * Inspired by Watanabe's minimalist aesthetics
-     */
-    createExhibitionSpace() {
-        // Create floor
-        const floorGeometry = new THREE.PlaneGeometry(200, 200);
-        const floorMaterial = new THREE.MeshStandardMaterial({
-            color: 0x111122,
-            metalness: 0.2,
-            roughness: 0.8,
-            side: THREE.DoubleSide
+        slider.addEventListener('input', update);
+        slider.addEventListener('change', () => {
+            this.userSettings.update({ crossfade: parseFloat(slider.value) || 0 });
         });
-        this.exhibitionFloor = new THREE.Mesh(floorGeometry, floorMaterial);
-        this.exhibitionFloor.rotation.x = Math.PI / 2;
-        this.exhibitionFloor.position.y = -10;
-        this.scene.add(this.exhibitionFloor);
-        
-        // Create walls
-        const wallMaterial = new THREE.MeshStandardMaterial({
-            color: 0x111122,
-            metalness: 0.1,
-            roughness: 0.9,
-            side: THREE.DoubleSide,
-            transparent: true,
-            opacity: 0.4
+        update();
+    }
+
+    /**
+     * Set up the audio analysis panel, which edits the analyser settings live
+     * Changes reach the analyser as they're made and are saved once finished.
+     */
+    setupAnalyserPanel() {
+        if (typeof dat === 'undefined') return;
+        const settings = this.userSettings.values;
+        const { scale, ...defaults } = SettingsStore.defaults().analyser;
+
+        this.analyserPanel = new AnalyserPanel({
+            settings: settings.analyser,
+            defaults,
+            open: settings.panel.analyserOpen,
+            onChange: (analyser, finished) => {
+                if (this.analyser) this.applyAnalyserSettings(analyser);
+                if (finished) this.userSettings.update({ analyser });
+            },
+            onToggle: open => this.userSettings.update({ panel: { analyserOpen: open } })
         });
-        
-        // Back wall
-        const backWallGeometry = new THREE.PlaneGeometry(200, 50);
-        const backWall = new THREE.Mesh(backWallGeometry, wallMaterial);
-        backWall.position.set(0, 15, -100);
-        this.scene.add(backWall);
-        this.exhibitionWalls.push(backWall);
-        
-        // Create frames for particle containment
-        this.createExhibitionFrames();
+        this.analyserPanel.setHidden(settings.panel.hidden);
     }
-    
+
     /**
-     * Create frames inspired by Watanabe's exhibition designs
+     * Set up the tempo display and the tap, manual BPM and auto controls
      */
-    createExhibitionFrames() {
-        const frameCount = 3;
-        const frameSpacing = 30;
-        
-        for (let i = 0; i < frameCount; i++) {
-            // Create a frame that will affect particle movement
-            const frameGeometry = new THREE.BoxGeometry(80 - i * 15, 40 - i * 7, 2);
-            const frameMaterial = new THREE.MeshStandardMaterial({
-                color: 0xffffff,
-                metalness: 0.8,
-                roughness: 0.2,
-                transparent: true,
-                opacity: 0.1 + (i * 0.05)
+    setupTempoControls() {
+        const bpmInput = document.getElementById('bpm-input');
+        const indicator = document.getElementById('beat-indicator');
+        if (!bpmInput) return;
+
+        this.beatEngine.on('bpmchange', beat => this.updateTempoDisplay(beat));
+        this.beatEngine.on('beat', beat => {
+            // Flash, in red on the first beat of the bar
+            indicator.classList.add(beat.isDownbeat ? 'downbeat' : 'beat');
+            setTimeout(() => indicator.classList.remove('beat', 'downbeat'), 50);
+        });
+
+        bpmInput.addEventListener('change', () => {
+            const bpm = parseFloat(bpmInput.value);
+            this.beatEngine.setManualBpm(bpm > 0 ? bpm : null);
+            if (bpm > 0) bpmInput.value = this.beatEngine.manualBpm;
+            this.updateTempoDisplay(this.beatEngine.state);
+        });
+        document.getElementById('tap-tempo-button').addEventListener('click', () => this.tapTempo());
+        document.getElementById('bpm-auto-button').addEventListener('click', () => {
+            this.beatEngine.setManualBpm(null);
+            bpmInput.value = '';
+            this.updateTempoDisplay(this.beatEngine.state);
+        });
+    }
+
+    /**
+     * Tap along to the beat; two taps or more set the tempo
+     */
+    tapTempo() {
+        const bpm = this.beatEngine.tap();
+        if (bpm !== null) document.getElementById('bpm-input').value = bpm.toFixed(1);
+    }
+
+    updateTempoDisplay(beat) {
+        const tempoValue = document.getElementById('tempo-value');
+        if (!tempoValue) return;
+        if (this.beatEngine.manualBpm !== null) {
+            tempoValue.textContent = `${this.beatEngine.manualBpm.toFixed(1)} BPM (set)`;
+        } else if (beat.bpm !== null) {
+            tempoValue.textContent = `${beat.bpm.toFixed(1)} BPM (${Math.round(beat.confidence * 100)}% sure)`;
+        } else {
+            tempoValue.textContent = 'Listening…';
+        }
+    }
+
+    /**
+     * Set up the record and offline render buttons and their resolution, frame
+     * rate, bitrate and format options
+     */
+    setupRecordingControls() {
+        const recordBtn = document.getElementById('record-button');
+        const renderBtn = document.getElementById('render-button');
+        const indicator = document.getElementById('recording-indicator');
+        const options = {
+            resolution: document.getElementById('record-resolution'),
+            fps: document.getElementById('record-fps'),
+            bitrate: document.getElementById('record-bitrate'),
+            exportFormat: document.getElementById('export-format')
+        };
+        if (!recordBtn) return;
+
+        const saved = this.userSettings.values.recording;
+        Object.keys(options).forEach(key => {
+            options[key].value = String(saved[key]);
+            if (!options[key].value) options[key].selectedIndex = 0;
+            options[key].addEventListener('change', () => {
+                const value = options[key].value;
+                const numeric = key === 'fps' || key === 'bitrate';
+                this.userSettings.update({ recording: { [key]: numeric ? Number(value) : value } });
             });
-            
-            const frame = new THREE.Mesh(frameGeometry, frameMaterial);
-            frame.position.z = -50 + (i * frameSpacing);
-            frame.position.y = 15;
-            
-            this.scene.add(frame);
-            this.exhibitionFrames.push(frame);
+        });
+
+        // Offline renders need WebCodecs for WebM and the File System Access API for PNGs
+        options.exportFormat.querySelector('option[value="webm"]').disabled = !WebMWriter.isSupported();
+        options.exportFormat.querySelector('option[value="png"]').disabled = !PngSequenceWriter.isSupported();
+        renderBtn.addEventListener('click', () => this.renderTrackOffline());
+        document.getElementById('offline-render-cancel').addEventListener('click', () => {
+            if (this.offlineRender) this.offlineRender.cancelled = true;
+        });
+
+        if (!VisualizerRecorder.isSupported()) {
+            recordBtn.disabled = true;
+            recordBtn.title = 'Recording is not supported in this browser';
+            return;
         }
+
+        recordBtn.addEventListener('click', () => {
+            if (this.recorder && this.recorder.isRecording) {
+                this.stopRecording();
+            } else {
+                this.startRecording();
+            }
+        });
+        // The indicator stays visible with the controls hidden, so it can stop the recording too
+        indicator.addEventListener('click', () => this.stopRecording());
     }
 
     /**
-     * Create the towers visualizer
-     * Creates a grid of towers that react to audio with height and color changes
+     * Start recording the canvas and the audio with the chosen options
+     * File playback is started if needed, and the recording ends with the track.
      */
-    createTowersVisualizer() {
-        this.towers = [];
-        this.cloudLayers = []; 
+    startRecording() {
+        this.initAudioContext();
+        if (!this.recorder) {
+            // The analyser passes its input through, so it carries both files and live input
+            this.recorder = new VisualizerRecorder(this.renderer.domElement, this.audioContext, this.analyser);
+        }
+        if (this.recorder.isRecording || this.offlineRender) return;
 
-        // Set up scene properties
-        this.scene.fog = null;
-        this.scene.background = new THREE.Color(0x000000); 
-
-        // Configure grid settings
-        const planeSize = 150;
-        const viewDistance = 75;
-        this.towerGridSettings = {
-            gridSize: 20,
-            spacing: planeSize / 20, 
-            towerBaseSize: 2.0, 
-            baseTowerHeight: 0.1,
-            planeSize: planeSize,
-            wrapDistanceZ: viewDistance
-        };
-        const gs = this.towerGridSettings;
-
-        // Create ground plane
-        const planeGeometry = new THREE.PlaneGeometry(gs.planeSize * 2, gs.planeSize * 2);
-        const planeMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x050508, 
-            metalness: 0.3,
-            roughness: 0.7,
-            emissive: 0x000000,
-            emissiveIntensity: 0
+        const { resolution, fps, bitrate } = this.userSettings.values.recording;
+        if (resolution !== 'window') {
+            this.outputSize = this.parseResolution(resolution);
+            this.updateRendererSize();
+        }
+
+        try {
+            this.recorder.start({ fps, bitrate });
+        } catch (e) {
+            console.error('Could not start recording', e);
+            this.showLibraryStatus('Recording could not be started in this browser.', true);
+            this.outputSize = null;
+            this.updateRendererSize();
+            return;
+        }
+
+        const playingFile = !this.liveInput.isActive && this.transport.buffer;
+        this.recordingStopsAtTrackEnd = Boolean(playingFile);
+        if (playingFile && !this.transport.isPlaying) {
+            this.transport.play();
+            this.updatePlayIcon();
+        }
+
+        this.updateRecordingDisplay();
+        this.recordingTimer = setInterval(() => this.updateRecordingDisplay(), 250);
+    }
+
+    /**
+     * Finish the recording, put the canvas back to the window size and download the video
+     */
+    async stopRecording() {
+        if (!this.recorder || !this.recorder.isRecording) return;
+        clearInterval(this.recordingTimer);
+        this.recordingStopsAtTrackEnd = false;
+
+        const blob = await this.recorder.stop();
+        this.updateRecordingDisplay();
+        if (this.outputSize) {
+            this.outputSize = null;
+            this.updateRendererSize();
+        }
+        if (blob && blob.size > 0) {
+            this.downloadBlob(blob, this.getExportFileName('webm'));
+        }
+    }
+
+    /**
+     * Show the record button, options and REC indicator for the current state
+     */
+    updateRecordingDisplay() {
+        const recording = this.recorder !== null && this.recorder.isRecording;
+        const recordBtn = document.getElementById('record-button');
+        recordBtn.classList.toggle('recording', recording);
+        recordBtn.querySelector('span').textContent = recording ? 'Stop Recording' : 'Record';
+        ['record-resolution', 'record-fps', 'record-bitrate', 'export-format', 'render-button'].forEach(id => {
+            document.getElementById(id).disabled = recording;
         });
-        const plane = new THREE.Mesh(planeGeometry, planeMaterial);
-        plane.rotation.x = -Math.PI / 2;
-        plane.position.y = -gs.baseTowerHeight / 2; 
-        this.scene.add(plane);
-        this.groundPlane = plane; 
-
-        // Create stars
-        this.createStarfield();
-
-        // Create towers in a grid
-        for (let x = 0; x < gs.gridSize; x++) {
-            for (let z = 0; z < gs.gridSize * 2; z++) {
-                const geometry = new THREE.BoxGeometry(gs.towerBaseSize, gs.baseTowerHeight, gs.towerBaseSize);
-                const material = new THREE.MeshStandardMaterial({ 
-                    color: 0xffffff, 
-                    metalness: 0.1,
-                    roughness: 0.6,
-                    emissive: 0xffffff, 
-                    emissiveIntensity: 0,
-                    transparent: true,
-                    opacity: 0.75
+        document.getElementById('recording-indicator').hidden = !recording;
+        document.getElementById('recording-time').textContent = this.formatTime(recording ? this.recorder.elapsed : 0);
+    }
+
+    /**
+     * "WIDTHxHEIGHT" as { width, height }
+     */
+    parseResolution(resolution) {
+        const [width, height] = resolution.split('x').map(Number);
+        return { width, height };
+    }
+
+    /**
+     * Render the current track frame by frame at a fixed timestep and save it
+     * as a WebM file or a PNG sequence
+     * The audio is analysed offline with the live analyser's settings, so no
+     * frames are dropped however long each one takes, and the style is
+     * rebuilt with a fixed random seed so the same track always renders the same.
+     */
+    async renderTrackOffline() {
+        const buffer = this.transport && this.transport.buffer;
+        const isLive = this.liveInput && this.liveInput.isActive;
+        if (!buffer || isLive) {
+            this.showLibraryStatus('Load a track (and switch off live input) to render it offline.', true);
+            return;
+        }
+        if (this.offlineRender || (this.recorder && this.recorder.isRecording)) return;
+
+        const { resolution, fps, bitrate, exportFormat } = this.userSettings.values.recording;
+        const writer = exportFormat === 'png' ? new PngSequenceWriter() : new WebMWriter();
+        // Video encoders want even dimensions
+        const size = resolution === 'window'
+            ? { width: window.innerWidth & ~1, height: window.innerHeight & ~1 }
+            : this.parseResolution(resolution);
+        const frameCount = Math.ceil(buffer.duration * fps);
+        const name = this.getExportFileName();
+
+        this.offlineRender = { cancelled: false };
+        if (this.transport.isPlaying) {
+            this.transport.pause();
+            this.updatePlayIcon();
+        }
+        this.updateOfflineRenderProgress(0, frameCount, 'Preparing…');
+
+        const restoreRandom = Visualizer.seedRandom(Visualizer.RENDER_SEED);
+        try {
+            await writer.open({ ...size, fps, bitrate, audioBuffer: buffer, name });
+
+            this.outputSize = size;
+            this.updateRendererSize();
+            this.elapsedTime = 0;
+            this.beatEngine.reset();
+            this.createVisualizer();
+
+            const settings = this.userSettings.values.analyser;
+            const analyser = new OfflineAnalyser(buffer, settings);
+            const leftAnalyser = new OfflineAnalyser(buffer, settings, 0);
+            const rightAnalyser = new OfflineAnalyser(buffer, settings, 1);
+            const canvas = this.renderer.domElement;
+            for (let index = 0; index < frameCount && !this.offlineRender.cancelled; index++) {
+                [analyser, leftAnalyser, rightAnalyser].forEach(channel => channel.analyse(index / fps));
+                this.updateVisualizer({
+                    frequencyData: analyser.frequencyData,
+                    waveformData: analyser.waveformData,
+                    samples: analyser.timeDomainData,
+                    stereo: StereoAnalyser.describe(
+                        { frequencyData: leftAnalyser.frequencyData, samples: leftAnalyser.timeDomainData },
+                        { frequencyData: rightAnalyser.frequencyData, samples: rightAnalyser.timeDomainData }
+                    ),
+                    sampleRate: buffer.sampleRate,
+                    delta: 1 / fps
                 });
-                const tower = new THREE.Mesh(geometry, material);
+                await writer.writeFrame(canvas, index);
+                this.updateOfflineRenderProgress(index + 1, frameCount);
+                // Let the page repaint and the cancel button respond
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
 
-                tower.position.x = (x - gs.gridSize / 2 + 0.5) * gs.spacing;
-                tower.position.y = 0;
-                tower.position.z = (z - gs.gridSize + 0.5) * gs.spacing;
+            if (this.offlineRender.cancelled) {
+                await writer.abort();
+            } else {
+                this.updateOfflineRenderProgress(frameCount, frameCount, 'Finishing…');
+                const blob = await writer.close();
+                if (blob) this.downloadBlob(blob, `${name}.webm`);
+                this.showLibraryStatus(`Rendered ${frameCount} frames.`);
+            }
+        } catch (error) {
+            await writer.abort();
+            // Closing the folder picker isn't an error
+            if (error.name !== 'AbortError') {
+                console.error('Offline render failed', error);
+                this.showLibraryStatus(`The render failed: ${error.message}`, true);
+            }
+        } finally {
+            restoreRandom();
+            this.beatEngine.reset();
+            this.offlineRender = null;
+            this.updateOfflineRenderProgress();
+            if (this.outputSize) {
+                this.outputSize = null;
+                this.updateRendererSize();
+            }
+            this.createVisualizer();
+            // Don't count the render as one long frame
+            this.clock.getDelta();
+        }
+    }
+
+    /**
+     * Show how far the offline render has got, or hide the progress panel when called without arguments
+     */
+    updateOfflineRenderProgress(done = 0, total = 0, message = null) {
+        const rendering = total > 0;
+        document.getElementById('offline-render').hidden = !rendering;
+        // Changing style or starting a recording mid-render would spoil the output
+        document.getElementById('visualizer-style').disabled = rendering;
+        document.getElementById('render-button').disabled = rendering;
+        document.getElementById('record-button').disabled = rendering || !VisualizerRecorder.isSupported();
+        if (!rendering) return;
+        document.getElementById('offline-render-bar').style.width = `${(done / total) * 100}%`;
+        document.getElementById('offline-render-status').textContent = message || `Frame ${done} of ${total}`;
+    }
+
+    /**
+     * Set up the still image button and its size, background and caption options
+     */
+    setupStillControls() {
+        const stillBtn = document.getElementById('still-button');
+        const resolutionSelect = document.getElementById('still-resolution');
+        const transparentCheckbox = document.getElementById('still-transparent');
+        const captionCheckbox = document.getElementById('still-caption');
+        if (!stillBtn) return;
+
+        const saved = this.userSettings.values.still;
+        resolutionSelect.value = saved.resolution;
+        if (!resolutionSelect.value) resolutionSelect.selectedIndex = 0;
+        transparentCheckbox.checked = saved.transparent;
+        captionCheckbox.checked = saved.caption;
+
+        resolutionSelect.addEventListener('change', () => {
+            this.userSettings.update({ still: { resolution: resolutionSelect.value } });
+        });
+        transparentCheckbox.addEventListener('change', () => {
+            this.userSettings.update({ still: { transparent: transparentCheckbox.checked } });
+        });
+        captionCheckbox.addEventListener('change', () => {
+            this.userSettings.update({ still: { caption: captionCheckbox.checked } });
+        });
+        stillBtn.addEventListener('click', () => this.saveStill());
+    }
 
-                this.scene.add(tower);
-                this.towers.push(tower);
+    /**
+     * Set up the button opening the projector window, which follows the player
+     */
+    setupProjectorControls() {
+        const projectorBtn = document.getElementById('projector-button');
+        if (!projectorBtn) return;
+        if (!ProjectorLink.isSupported()) {
+            projectorBtn.disabled = true;
+            projectorBtn.title = 'The projector window is not supported in this browser';
+            return;
+        }
+
+        this.projector.getState = () => ({
+            style: this.currentStyle,
+            params: this.activeStyle ? this.activeStyle.ctx.params : {},
+            transport: this.getProjectorTransport()
+        });
+        this.projector.onConnectionChange = connected => {
+            projectorBtn.classList.toggle('connected', connected);
+            projectorBtn.querySelector('span').textContent = connected ? 'Close Projector' : 'Pop Out Output';
+        };
+        // A projector left open before a reload picks up where it was
+        this.projector.listen();
+
+        projectorBtn.addEventListener('click', async () => {
+            if (this.projector.connected) {
+                this.projector.close();
+            } else if (!(await this.projector.open())) {
+                alert('The projector window was blocked. Allow pop-ups for this page and try again.');
             }
+        });
+    }
+
+    /**
+     * What the projector window shows about playback
+     */
+    getProjectorTransport() {
+        const isLive = this.liveInput && this.liveInput.isActive;
+        const hasTrack = !isLive && this.transport && this.transport.buffer;
+        return {
+            playing: Boolean(isLive || (this.transport && this.transport.isPlaying)),
+            title: this.mediaTitle,
+            position: hasTrack ? this.transport.getCurrentTime() : 0,
+            duration: hasTrack ? this.transport.duration : 0
+        };
+    }
+
+    sendProjectorTransport() {
+        this.projector.send('transport', { transport: this.getProjectorTransport() });
+    }
+
+    /**
+     * Render the current frame at the chosen size and download it as a PNG
+     * The style is laid out for the still's size while it's drawn, then put back.
+     */
+    async saveStill() {
+        if (!this.activeStyle || this.offlineRender) return;
+        const { style, ctx } = this.activeStyle;
+        const { resolution, transparent, caption } = this.userSettings.values.still;
+        const pixelRatio = this.renderer.getPixelRatio();
+        const size = resolution === 'window'
+            ? { width: Math.round(window.innerWidth * pixelRatio), height: Math.round(window.innerHeight * pixelRatio) }
+            : this.parseResolution(resolution);
+
+        let canvas;
+        try {
+            // Styles work in CSS pixels; the renderer multiplies them back up
+            ctx.width = size.width / pixelRatio;
+            ctx.height = size.height / pixelRatio;
+            if (style.resize) style.resize(ctx, ctx.width, ctx.height);
+
+            canvas = new StillRenderer(this.renderer).draw({
+                scene: this.scene,
+                camera: ctx.camera,
+                width: size.width,
+                height: size.height,
+                transparent,
+                caption: caption ? this.getCaptionText() : ''
+            });
+        } catch (error) {
+            console.error('Could not render the still', error);
+            this.showLibraryStatus(`The still could not be rendered: ${error.message}`, true);
+            return;
+        } finally {
+            this.updateRendererSize();
         }
 
-        // Set camera position
-        this.camera.position.set(0, 5, 15);
-        this.camera.lookAt(0, 2, 0);
+        try {
+            this.downloadBlob(await StillRenderer.toPNG(canvas), this.getExportFileName('png'));
+        } catch (error) {
+            this.showLibraryStatus(error.message, true);
+        }
     }
 
     /**
-     * Create a starfield for the towers visualizer background
+     * What's playing, for captions: the track's name or the live input's label
      */
-    createStarfield() {
-        // Number of stars to create
-        const starCount = 5000;
-        
-        // Create geometry for the stars
-        const starGeometry = new THREE.BufferGeometry();
-        const starPositions = new Float32Array(starCount * 3);
-        const starSizes = new Float32Array(starCount);
-        const starColors = new Float32Array(starCount * 3);
-        
-        // Create stars in a spherical distribution around the scene
-        const radius = 300; // Reduced radius to make stars appear closer
-        
-        for (let i = 0; i < starCount; i++) {
-            // Generate random spherical coordinates
-            const theta = Math.random() * Math.PI * 2; // Azimuthal angle
-            const phi = Math.acos(2 * Math.random() - 1); // Polar angle
-            
-            // Convert to Cartesian coordinates
-            const x = radius * Math.sin(phi) * Math.cos(theta);
-            const y = radius * Math.sin(phi) * Math.sin(theta);
-            const z = radius * Math.cos(phi);
-            
-            // Set positions
-            starPositions[i * 3] = x;
-            starPositions[i * 3 + 1] = y;
-            starPositions[i * 3 + 2] = z;
-            
-            // Increase star sizes for better visibility
-            const sizeFactor = Math.random();
-            starSizes[i] = sizeFactor > 0.98 ? Math.random() * 4 + 3 : Math.random() * 2.5 + 1.0;
-            
-            // Vary star colors slightly (mostly white with hints of blue/yellow)
-            const colorVariation = Math.random();
-            if (colorVariation > 0.8) {
-                // Bluish star (slightly cooler)
-                starColors[i * 3] = 0.8 + Math.random() * 0.2;
-                starColors[i * 3 + 1] = 0.8 + Math.random() * 0.2;
-                starColors[i * 3 + 2] = 1.0;
-            } else if (colorVariation > 0.6) {
-                // Yellowish star (slightly warmer)
-                starColors[i * 3] = 1.0;
-                starColors[i * 3 + 1] = 0.9 + Math.random() * 0.1;
-                starColors[i * 3 + 2] = 0.6 + Math.random() * 0.2;
+    getCaptionText() {
+        if (this.liveInput && this.liveInput.isActive) return this.liveInput.label;
+        return this.playlist.current ? this.getTrackDisplayName(this.playlist.current) : '';
+    }
+
+    /**
+     * Swap Math.random for a seeded generator (mulberry32), so styles that
+     * scatter things randomly lay them out the same way every time
+     * @returns {Function} Puts the original Math.random back
+     */
+    static seedRandom(seed) {
+        const original = Math.random;
+        let state = seed >>> 0;
+        Math.random = () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        return () => { Math.random = original; };
+    }
+
+    /**
+     * File name for an export: the current track's name and the time, e.g.
+     * "Artist — Title 2024-05-01 18-30-00.webm"
+     * Without an extension it's just the name, e.g. for a folder.
+     */
+    getExportFileName(extension = null) {
+        const track = this.playlist.current;
+        const isLive = this.liveInput && this.liveInput.isActive;
+        const name = track && !isLive ? this.getTrackDisplayName(track) : 'Audio Visualizer';
+        const now = new Date();
+        const pad = value => String(value).padStart(2, '0');
+        const timestamp = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())} ` +
+            `${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`;
+        // Keep the name legal on every file system
+        const fileName = `${name.replace(/[\\/:*?"<>|]+/g, '_')} ${timestamp}`;
+        return extension ? `${fileName}.${extension}` : fileName;
+    }
+
+    /**
+     * Save a blob through a temporary download link
+     */
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Give the download a moment to start before releasing the data
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+
+    /**
+     * Store uploaded files in the user's library
+     * Falls back to unsaved, session-only tracks if storage fails (e.g. quota exceeded)
+     * @param {File[]} files - Files from the upload input
+     * @returns {Promise<Object[]>} Track records
+     */
+    async addToLibrary(files) {
+        try {
+            const tracks = await this.library.addFiles(files);
+            this.showLibraryStatus(`${files.length} track${files.length === 1 ? '' : 's'} saved to your library.`);
+            return tracks;
+        } catch (error) {
+            if (MusicLibrary.isQuotaError(error)) {
+                this.showLibraryStatus('Storage is full. These tracks will play but won\'t be saved; delete some tracks from your library to make room.', true);
             } else {
-                // White/neutral star
-                starColors[i * 3] = 0.9 + Math.random() * 0.1;
-                starColors[i * 3 + 1] = 0.9 + Math.random() * 0.1;
-                starColors[i * 3 + 2] = 0.9 + Math.random() * 0.1;
+                console.error('Could not save tracks to the library', error);
+                this.showLibraryStatus('Could not save these tracks to your library. They will play for this session only.', true);
             }
+            return files.map(file => ({
+                id: null,
+                name: file.name,
+                type: file.type,
+                size: file.size,
+                addedAt: Date.now(),
+                duration: null,
+                file: file
+            }));
         }
-        
-        // Add attributes to the geometry
-        starGeometry.setAttribute('position', new THREE.BufferAttribute(starPositions, 3));
-        starGeometry.setAttribute('size', new THREE.BufferAttribute(starSizes, 1));
-        starGeometry.setAttribute('color', new THREE.BufferAttribute(starColors, 3));
-        
-        // Create shader material for the stars
-        const starMaterial = new THREE.ShaderMaterial({
-            uniforms: {
-                time: { value: 0 }
-            },
-            vertexShader: `
-                attribute float size;
-                attribute vec3 color;
-                varying vec3 vColor;
-                uniform float time;
-                
-                void main() {
-                    vColor = color;
-                    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
-                    
-                    // Make some stars twinkle by varying their size with time
-                    float twinkle = sin(time * 2.0 + position.x * 10.0) * 0.2 + 0.8;
-                    
-                    gl_PointSize = size * twinkle * (300.0 / -mvPosition.z);
-                    gl_Position = projectionMatrix * mvPosition;
-                }
-            `,
-            fragmentShader: `
-                varying vec3 vColor;
-                
-                void main() {
-                    // Make stars look like small glowing orbs
-                    vec2 center = vec2(0.5, 0.5);
-                    float dist = length(gl_PointCoord - center);
-                    
-                    // Higher alpha value for better visibility
-                    float alpha = smoothstep(0.5, 0.1, dist);
-                    
-                    // Add more brightness to the stars
-                    vec3 brightColor = vColor * 1.5;
-                    
-                    gl_FragColor = vec4(brightColor, alpha);
-                }
-            `,
-            blending: THREE.AdditiveBlending,
-            depthWrite: false,
-            transparent: true,
-            vertexColors: true
-        });
-        
-        // Create the star particle system
-        this.starfield = new THREE.Points(starGeometry, starMaterial);
-        this.scene.add(this.starfield);
     }
 
     /**
-     * Update the towers visualizer
-     * Animates towers based on audio frequencies and creates a treadmill effect
+     * Show a short message under the library list
      */
-    updateTowersVisualizer(lowAvg, highAvg, delta) {
-        if (!this.towerGridSettings) return;
+    showLibraryStatus(message, isError = false) {
+        const status = document.getElementById('library-status');
+        if (!status) return;
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+        clearTimeout(this.libraryStatusTimeout);
+        this.libraryStatusTimeout = setTimeout(() => {
+            status.textContent = '';
+        }, isError ? 8000 : 3000);
+    }
 
-        const gs = this.towerGridSettings;
-        const baseTowerHeight = gs.baseTowerHeight;
-        const maxScale = 50;
-        const treadmillSpeed = 10.0 * delta;
+    /**
+     * Set up search and sort for the library list
+     */
+    setupLibraryControls() {
+        const search = document.getElementById('library-search');
+        const sort = document.getElementById('library-sort');
+        if (search) search.addEventListener('input', () => this.refreshLibraryList());
+        if (sort) sort.addEventListener('change', () => this.refreshLibraryList());
+    }
 
-        // Calculate average audio level for color changes
-        let averageLevel = 0;
-        for(let i = 0; i < this.dataArray.length; i++) {
-            averageLevel += this.dataArray[i] / 255.0;
+    /**
+     * Rebuild the library list from storage using the current search and sort
+     */
+    async refreshLibraryList() {
+        const libraryList = document.getElementById('library-list');
+        if (!libraryList) return;
+
+        const search = document.getElementById('library-search');
+        const sort = document.getElementById('library-sort');
+        let tracks;
+        try {
+            tracks = await this.library.getTracks({
+                query: search ? search.value : '',
+                sort: sort ? sort.value : 'recent'
+            });
+        } catch (error) {
+            console.error('Could not read the library', error);
+            this.showLibraryStatus('Your library could not be opened in this browser.', true);
+            return;
         }
-        averageLevel /= this.dataArray.length;
-        
-        // Update starfield if it exists
-        if (this.starfield) {
-            // Update time uniform for star twinkling effect
-            this.starfield.material.uniforms.time.value += delta * (1.0 + averageLevel * 2.0);
-            
-            // Make stars rotate very slowly for subtle movement
-            this.starfield.rotation.y += delta * 0.01;
-            
-            // Slight pulsation with beat
-            const pulseFactor = 1.0 + (lowAvg * 0.1);
-            this.starfield.scale.set(pulseFactor, pulseFactor, pulseFactor);
+
+        libraryList.innerHTML = '';
+        if (tracks.length === 0) {
+            const emptyItem = document.createElement('li');
+            emptyItem.className = 'empty-track-list';
+            emptyItem.textContent = search && search.value ? 'No matching tracks' : 'Your library is empty';
+            libraryList.appendChild(emptyItem);
+            return;
         }
 
-        // Update floor color based on audio data
-        if (this.groundPlane) {
-            // Use complementary colors to the tower colors
-            const floorHue = (0.6 + averageLevel * 0.4 + 0.5) % 1.0;
-            const floorSaturation = 0.7 + lowAvg * 0.3;
-            const floorLightness = 0.2 + highAvg * 0.3;
-            
-            // Update the floor material color
-            this.groundPlane.material.color.setHSL(floorHue, floorSaturation, floorLightness);
-            
-            // Add subtle emissive glow to the floor for more impact
-            this.groundPlane.material.emissive = new THREE.Color();
-            this.groundPlane.material.emissive.setHSL(floorHue, 0.9, averageLevel * 0.3);
-        }
-
-        // Update each tower
-        this.towers.forEach((tower, index) => {
-            // Treadmill effect - move towers forward and wrap around
-            tower.position.z += treadmillSpeed;
-            if (tower.position.z > gs.wrapDistanceZ / 2) {
-                tower.position.z -= gs.gridSize * gs.spacing;
-                tower.scale.y = 1.0;
+        // Tracks stored before tags were read get them filled in lazily
+        tracks.filter(track => track.metadata === undefined).forEach(track => this.ensureTrackMetadata(track));
+
+        const currentTrack = this.playlist.current;
+        tracks.forEach(track => {
+            const item = document.createElement('li');
+            item.className = 'library-item';
+            if (currentTrack && currentTrack.id === track.id) item.classList.add('active');
+
+            item.appendChild(this.createTrackThumbnail(track));
+
+            const name = document.createElement('span');
+            name.className = 'library-item-name';
+            name.textContent = this.getTrackDisplayName(track);
+            name.title = track.name;
+            item.appendChild(name);
+
+            if (track.duration) {
+                const duration = document.createElement('span');
+                duration.className = 'library-item-duration';
+                duration.textContent = this.formatTime(track.duration);
+                item.appendChild(duration);
             }
 
-            // Audio reactivity - adjust height and color
-            const freqIndex = index % this.dataArray.length;
-            const value = this.dataArray[freqIndex] / 255.0;
-            const targetScaleY = 1 + value * maxScale;
-            tower.scale.y += (targetScaleY - tower.scale.y) * 0.1;
-            tower.position.y = (baseTowerHeight * tower.scale.y) / 2 - (baseTowerHeight / 2);
-
-            // Color changes based on audio
-            const baseHue = (0.6 + averageLevel * 0.4) % 1.0;
-            const towerHue = (baseHue + value * 0.3) % 1.0;
-            const saturation = 0.8 + value * 0.2;
-            const lightness = 0.6 + value * 0.4;
-            
-            tower.material.color.setHSL(towerHue, saturation, lightness);
-            
-            // Emissive glow effect
-            const emissiveHue = (towerHue + 0.5) % 1.0;
-            tower.material.emissive.setHSL(emissiveHue, 0.8, 0.5);
-            tower.material.emissiveIntensity = value * 2.0;
+            const queueButton = document.createElement('button');
+            queueButton.className = 'library-item-action';
+            queueButton.title = 'Play next';
+            queueButton.innerHTML = '<i class="material-icons">playlist_play</i>';
+            queueButton.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.queueTrack(track);
+            });
+            item.appendChild(queueButton);
+
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'library-item-action library-item-delete';
+            deleteButton.title = 'Delete from library';
+            deleteButton.innerHTML = '<i class="material-icons">delete</i>';
+            deleteButton.addEventListener('click', (event) => {
+                event.stopPropagation();
+                if (confirm(`Delete "${track.name}" from your library?`)) {
+                    this.deleteLibraryTrack(track);
+                }
+            });
+            item.appendChild(deleteButton);
+
+            // Play the track, adding it to the playlist if needed
+            item.addEventListener('click', () => this.playLibraryTrack(track));
+            libraryList.appendChild(item);
         });
+    }
 
-        // Ground-level camera movement
-        const time = this.clock.getElapsedTime();
-        
-        // Set camera to ground level
-        this.camera.position.y = 0.5;
-        
-        // Move camera forward
-        const forwardSpeed = 5.0 * delta;
-        this.camera.position.z -= forwardSpeed;
-        
-        // Add side-to-side movement
-        const sideMovement = Math.sin(time * 0.5) * 2.0;
-        this.camera.position.x = sideMovement;
-        
-        // Look ahead and slightly upward
-        this.camera.lookAt(
-            sideMovement * 0.5,
-            2.0,
-            this.camera.position.z - 10
-        );
-        
-        // Reset camera position when it moves too far back
-        if (this.camera.position.z < -50) {
-            this.camera.position.z = 30;
+    /**
+     * Play a track from the library
+     */
+    playLibraryTrack(track) {
+        this.initAudioContext();
+        if (this.liveInput.isActive) this.stopLiveInput();
+
+        this.playlist.add([track]);
+        this.playlist.select(this.playlist.indexOf(track));
+        this.loadAudioFile(this.playlist.current, true);
+        this.updateTrackList();
+        this.refreshLibraryList();
+    }
+
+    /**
+     * Queue a track to play after the current one
+     */
+    queueTrack(track) {
+        const wasEmpty = this.playlist.length === 0;
+        this.playlist.playNext(track);
+        if (wasEmpty) {
+            // Nothing was playing, so the queued track simply becomes the current one
+            this.initAudioContext();
+            this.playlist.next();
+            this.loadAudioFile(this.playlist.current);
+        } else {
+            this.preloadNextTrack();
         }
+        this.updateTrackList();
+        this.saveLibrarySession();
     }
 
     /**
-     * Create the shaders visualizer
-     * Uses fragment shaders to create dynamic audio-reactive patterns
+     * Delete a track from the library and the playlist
      */
-    createShadersVisualizer() {
-        // Initialize shader-related properties
-        this.shaderPlane = null;
-        this.shaderMaterial = null;
-        this.shaderTime = 0;
-        
-        // Set a dark background
-        this.scene.background = new THREE.Color(0x000000);
-        
-        // Store the original camera for later restoration
-        this.originalCamera = this.camera.clone();
-        
-        // Create a full-screen quad for the shader
-        const geometry = new THREE.PlaneGeometry(2, 2);
-        
-        // Create shader material with uniforms for audio reactivity
-        this.shaderMaterial = new THREE.ShaderMaterial({
-            uniforms: {
-                time: { value: 0 },
-                resolution: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) },
-                audioLevel: { value: 0.0 },
-                audioLowFreq: { value: 0.0 },
-                audioHighFreq: { value: 0.0 },
-                audioTexture: { value: null }
-            },
-            vertexShader: `
-                varying vec2 vUv;
-                
-                void main() {
-                    vUv = uv;
-                    gl_Position = vec4(position, 1.0);
-                }
-            `,
-            fragmentShader: `
-                uniform float time;
-                uniform vec2 resolution;
-                uniform float audioLevel;
-                uniform float audioLowFreq;
-                uniform float audioHighFreq;
-                
-                varying vec2 vUv;
-                
-                // Simple noise function
-                float noise(vec2 p) {
-                    return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
-                }
-                
-                vec3 hsv2rgb(vec3 c) {
-                    vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
-                    vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
-                    return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
-                }
-                
-                // Function to generate vibrant colors
-                vec3 vibrantColor(float value, float offset) {
-                    float hue = fract(value * 0.8 + offset);
-                    float sat = 0.9;
-                    float val = 0.9;
-                    return hsv2rgb(vec3(hue, sat, val));
-                }
-                
-                // Function to blend colors
-                vec3 blendColors(vec3 color1, vec3 color2, float factor) {
-                    return mix(color1, color2, factor);
-                }
-                
-                void main() {
-                    // Center coordinates
-                    vec2 uv = vUv * 2.0 - 1.0;
-                    uv.x *= resolution.x / resolution.y;
-                    
-                    // Audio-reactive parameters
-                    float bassPulse = 0.5 + audioLowFreq * 0.7;  // Increased audio reactivity
-                    float treblePulse = 0.5 + audioHighFreq * 0.7;
-                    float overallPulse = 0.5 + audioLevel * 0.7;
-                    
-                    // Create circular waves from center
-                    float dist = length(uv);
-                    float angle = atan(uv.y, uv.x);
-                    
-                    // Wave patterns affected by audio - more complex patterns
-                    float wave1 = sin(dist * 10.0 - time * 2.0) * 0.5 + 0.5;
-                    float wave2 = sin(dist * 15.0 - time * 1.5 + audioLevel * 5.0) * 0.5 + 0.5;
-                    float wave3 = sin(angle * 8.0 + time * 0.5) * 0.5 + 0.5;
-                    float wave4 = sin(dist * 20.0 - time * 2.5 + audioHighFreq * 10.0) * 0.5 + 0.5;
-                    float wave5 = cos(angle * 12.0 - time * 0.7 + audioLowFreq * 2.0) * 0.5 + 0.5;
-                    
-                    // Create multiple patterns for more complex visuals
-                    float pattern1 = wave1 * wave2 * wave3;
-                    float pattern2 = wave4 * wave5;
-                    float pattern3 = sin(dist * 25.0 - time) * cos(angle * 5.0 + time * 0.3);
-                    
-                    // Combine patterns
-                    float mainPattern = smoothstep(0.2, 0.8, pattern1);
-                    mainPattern *= overallPulse;
-                    
-                    float secondPattern = smoothstep(0.1, 0.9, pattern2);
-                    secondPattern *= treblePulse;
-                    
-                    float thirdPattern = smoothstep(0.3, 0.7, pattern3 * 0.5 + 0.5);
-                    thirdPattern *= bassPulse;
-                    
-                    // Create multiple colors with different hue offsets for more variety
-                    float timeOffset = time * 0.05;
-                    
-                    // Primary color - shifts with bass
-                    vec3 color1 = vibrantColor(timeOffset + audioLowFreq * 0.3, 0.0);
-                    
-                    // Secondary color - complementary to primary
-                    vec3 color2 = vibrantColor(timeOffset + audioHighFreq * 0.2, 0.33);
-                    
-                    // Tertiary color - shifts differently
-                    vec3 color3 = vibrantColor(timeOffset - audioLevel * 0.25, 0.66);
-                    
-                    // Background color with subtle patterns
-                    float bgPattern1 = sin(uv.x * 20.0 + time) * sin(uv.y * 20.0 + time * 0.7);
-                    float bgPattern2 = cos(uv.x * 15.0 - time * 0.5) * cos(uv.y * 15.0 - time * 0.3);
-                    
-                    bgPattern1 = smoothstep(0.0, 0.8, bgPattern1 * audioLevel);
-                    bgPattern2 = smoothstep(0.0, 0.8, bgPattern2 * audioHighFreq);
-                    
-                    // Background gradient
-                    vec3 bgColor1 = vibrantColor(timeOffset * 0.7, 0.5);
-                    vec3 bgColor2 = vibrantColor(timeOffset * 0.7, 0.8);
-                    vec3 bgColor = mix(bgColor1, bgColor2, bgPattern1 * 0.5 + 0.5);
-                    
-                    // Apply a vignette effect
-                    float vignette = 1.0 - smoothstep(0.5, 1.5, dist);
-                    
-                    // Mix multiple colors based on patterns
-                    vec3 finalColor = blendColors(color1, color2, pattern1);
-                    finalColor = blendColors(finalColor, color3, pattern2 * 0.7);
-                    
-                    // Add subtle highlights
-                    finalColor += color3 * thirdPattern * 0.3;
-                    
-                    // Mix with background
-                    finalColor = mix(bgColor * 0.4, finalColor, mainPattern * vignette);
-                    
-                    // Add glow effect
-                    finalColor += (color1 * 0.2 + color2 * 0.1) * secondPattern * (1.0 - dist);
-                    
-                    // Final color with background
-                    gl_FragColor = vec4(finalColor, 1.0);
-                }
-            `,
-            side: THREE.DoubleSide
-        });
-        
-        // Create the plane mesh
-        this.shaderPlane = new THREE.Mesh(geometry, this.shaderMaterial);
-        this.scene.add(this.shaderPlane);
-        
-        // Setup orthographic camera for full-screen quad
-        this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
-        
-        // Create an array to store audio data for texture
-        this.audioDataArray = new Uint8Array(128);
-        
-        // Handle window resize for shader
-        window.addEventListener('resize', () => {
-            this.shaderMaterial.uniforms.resolution.value.set(window.innerWidth, window.innerHeight);
-        });
+    async deleteLibraryTrack(track) {
+        try {
+            await this.library.deleteTrack(track.id);
+        } catch (error) {
+            console.error('Could not delete track', error);
+            this.showLibraryStatus('Could not delete that track.', true);
+            return;
+        }
+
+        const index = this.playlist.indexOf(track);
+        if (index !== -1) {
+            this.removeFromPlaylist(index);
+        }
+        this.releaseTrackArt(track);
+        this.refreshLibraryList();
     }
-    
+
     /**
-     * Update the shaders visualizer
-     * Updates shader uniforms based on audio data and time
+     * Remove a track from the playlist (it stays in the library)
      */
-    updateShadersVisualizer(delta) {
-        if (!this.shaderMaterial) return;
-        
-        // Update time uniform
-        this.shaderTime += delta;
-        this.shaderMaterial.uniforms.time.value = this.shaderTime;
-        
-        // Get audio data
-        this.analyser.getByteFrequencyData(this.audioDataArray);
-        
-        // Calculate different frequency bands
-        let lowFreq = 0, midFreq = 0, highFreq = 0, overall = 0;
-        const lowBound = 0;
-        const lowMidBound = Math.floor(this.audioDataArray.length * 0.2);
-        const midHighBound = Math.floor(this.audioDataArray.length * 0.6);
-        
-        for (let i = 0; i < this.audioDataArray.length; i++) {
-            const normalized = this.audioDataArray[i] / 255;
-            overall += normalized;
-            
-            if (i < lowMidBound) {
-                lowFreq += normalized;
-            } else if (i < midHighBound) {
-                midFreq += normalized;
+    removeFromPlaylist(index) {
+        const wasCurrent = this.playlist.remove(index);
+        if (wasCurrent) {
+            // The playing track was removed: move on to the one that took its place
+            if (this.playlist.length > 0) {
+                this.playlist.select(this.playlist.currentIndex);
+                this.loadAudioFile(this.playlist.current);
             } else {
-                highFreq += normalized;
+                this.clearCurrentTrack();
             }
+        } else {
+            this.preloadNextTrack();
         }
-        
-        // Normalize values
-        lowFreq /= lowMidBound;
-        midFreq /= (midHighBound - lowMidBound);
-        highFreq /= (this.audioDataArray.length - midHighBound);
-        overall /= this.audioDataArray.length;
-        
-        // Smooth the values for more pleasing visuals
-        this.lowFreqSmoothed = this.lowFreqSmoothed || lowFreq;
-        this.midFreqSmoothed = this.midFreqSmoothed || midFreq;
-        this.highFreqSmoothed = this.highFreqSmoothed || highFreq;
-        this.overallSmoothed = this.overallSmoothed || overall;
-        
-        const smoothingFactor = 0.1;
-        this.lowFreqSmoothed += (lowFreq - this.lowFreqSmoothed) * smoothingFactor;
-        this.midFreqSmoothed += (midFreq - this.midFreqSmoothed) * smoothingFactor;
-        this.highFreqSmoothed += (highFreq - this.highFreqSmoothed) * smoothingFactor;
-        this.overallSmoothed += (overall - this.overallSmoothed) * smoothingFactor;
-        
-        // Update shader uniforms with audio data
-        this.shaderMaterial.uniforms.audioLevel.value = this.overallSmoothed;
-        this.shaderMaterial.uniforms.audioLowFreq.value = this.lowFreqSmoothed;
-        this.shaderMaterial.uniforms.audioHighFreq.value = this.highFreqSmoothed;
+        this.updateTrackList();
+        this.refreshLibraryList();
+        this.saveLibrarySession();
     }
 
     /**
-     * Update the visualizer based on audio data
-     * This is the main update loop that handles all visualizer animations
+     * Stop playback and reset the track UI when nothing is left to play
      */
-    updateVisualizer() {
-        if (!this.analyser) return;
-        
-        // Get audio data
-        this.analyser.getByteFrequencyData(this.dataArray);
-        const time = Date.now() * 0.0001;
-        const delta = this.clock.getDelta();
-        if (!this.clock) this.clock = new THREE.Clock();
-
-        // Calculate audio levels for different frequency ranges
-        let averageLevel = 0;
-        let lowFreqAvg = 0;
-        let highFreqAvg = 0;
-        const lowFreqCutoff = Math.floor(this.dataArray.length / 3);
-        const highFreqStart = Math.floor(this.dataArray.length * 2 / 3);
-        for(let i = 0; i < this.dataArray.length; i++) {
-            const level = this.dataArray[i] / 255.0;
-            averageLevel += level;
-            if (i < lowFreqCutoff) { lowFreqAvg += level; }
-            else if (i >= highFreqStart) { highFreqAvg += level; }
-        }
-        averageLevel /= this.dataArray.length;
-        lowFreqAvg /= lowFreqCutoff;
-        highFreqAvg /= (this.dataArray.length - highFreqStart);
+    clearCurrentTrack() {
+        this.loadRequestId++;
+        if (this.transport) this.transport.load(null);
+        this.audioBuffer = null;
+        this.preloadedTrack = null;
+        this.decodedTracks.clear();
+        this.currentTime = 0;
+        document.querySelector('.progress').style.width = '0%';
+        document.getElementById('current-time').textContent = '0:00';
+        document.getElementById('total-time').textContent = '0:00';
+        this.setTrackNameText('No track selected');
+        this.updatePlayIcon();
+    }
 
-        // Update orbit controls if enabled
-        if (this.orbitControls && this.orbitControls.enabled) {
-            this.orbitControls.update();
+    /**
+     * Restore the last saved playlist and position for this user
+     */
+    async restoreLibrarySession() {
+        let session;
+        let tracks;
+        try {
+            session = await this.library.loadSession();
+            if (!session || session.playlist.length === 0) return;
+            tracks = await this.library.getTracksById(session.playlist);
+        } catch (error) {
+            console.error('Could not restore the last session', error);
+            return;
         }
+        if (tracks.length === 0 || this.playlist.length > 0) return;
+
+        // Only resume the position if the saved track is still in the library
+        const savedId = session.playlist[session.trackIndex];
+        let index = tracks.findIndex(track => track.id === savedId);
+        const position = index === -1 ? 0 : session.position;
+        if (index === -1) index = 0;
+
+        this.initAudioContext();
+        this.playlist.setTracks(tracks, index);
+        this.playlist.setShuffle(!!session.shuffle);
+        this.playlist.repeatMode = session.repeatMode || 'off';
+        this.updatePlaylistModeButtons();
+        this.loadAudioFile(this.playlist.current, false, position);
+        this.updateTrackList();
+        this.refreshLibraryList();
+    }
 
-        // Update sun light intensity based on audio
-        if (this.sunLight) {
-            this.sunLight.intensity = 1.0 + averageLevel * 1.0;
-        }
+    /**
+     * Save the playlist and playback position to the library
+     */
+    saveLibrarySession() {
+        // Nothing more is saved once the user has logged out or deleted their account
+        if (!this.transport || this.sessionEnded) return Promise.resolve();
+        this.lastSessionSave = Date.now();
+
+        // Tracks that couldn't be stored are left out of the saved playlist
+        const saved = this.playlist.tracks.filter(track => track.id);
+        const current = this.playlist.current;
+        const trackIndex = current ? saved.indexOf(current) : -1;
+        return this.library.saveSession({
+            playlist: saved.map(track => track.id),
+            trackIndex: Math.max(trackIndex, 0),
+            position: trackIndex === -1 ? 0 : this.transport.getCurrentTime(),
+            shuffle: this.playlist.shuffle,
+            repeatMode: this.playlist.repeatMode
+        }).catch(error => console.warn('Could not save the session', error));
+    }
 
-        // Update the active visualizer
-        switch(this.currentStyle) {
-            case 'bars':
-                this.updateBars();
-                break;
-            case 'points':
-                this.updatePointsVisualizer(delta);
-                break;
-            case 'wave':
-                this.updateWaveVisualizer(delta);
-                break;
-            case 'towers':
-                this.updateTowersVisualizer(lowFreqAvg, highFreqAvg, delta);
-                break;
-            case 'shaders':
-                this.updateShadersVisualizer(delta);
-                break;
-        }
+    /**
+     * Update the track name display with the track's name and cover art
+     */
+    updateTrackNameDisplay(track) {
+        const artUrl = this.getTrackArtUrl(track);
+        this.setTrackNameText(this.getTrackDisplayName(track), artUrl);
 
-        this.renderer.render(this.scene, this.camera);
+        const metadata = track.metadata || {};
+        this.updateMediaMetadata(metadata.title || this.formatFileName(track.name), metadata.artist, metadata.album, artUrl);
     }
 
     /**
-     * Update the bars visualizer
-     * Adjusts bar heights and colors based on audio frequencies
+     * Set the text (and optional thumbnail) of the track name display
      */
-    updateBars() {
-        for (let i = 0; i < this.bars.length; i++) {
-            const value = this.dataArray[i] / 255;
-            const bar = this.bars[i];
-            bar.scale.y = 1 + value * 10;
-            const hue = (i / this.bars.length) * 0.3 + 0.5;
-            const color = new THREE.Color().setHSL(hue, 1, 0.5);
-            bar.material.color = color;
+    setTrackNameText(text, artUrl = null) {
+        const trackNameDisplay = document.getElementById('track-name-display');
+        if (!trackNameDisplay) return;
+        trackNameDisplay.innerHTML = '';
+        if (artUrl) {
+            const art = document.createElement('img');
+            art.className = 'track-art';
+            art.src = artUrl;
+            art.alt = '';
+            trackNameDisplay.appendChild(art);
         }
+        const name = document.createElement('span');
+        name.textContent = text;
+        trackNameDisplay.appendChild(name);
     }
 
     /**
-     * Update the points visualizer
-     * Animates points based on audio and time
+     * Name to show for a track: "Artist — Title" from its tags, or a tidied file name
      */
-    updatePointsVisualizer(delta) {
-        if (!this.pointsMesh) return;
+    getTrackDisplayName(track) {
+        const metadata = track.metadata;
+        if (metadata && metadata.title) {
+            return metadata.artist ? `${metadata.artist} — ${metadata.title}` : metadata.title;
+        }
+        return this.formatFileName(track.name);
+    }
 
-        // Update shader uniforms
-        this.pointsMesh.material.uniforms.time.value += delta;
+    /**
+     * Turn a file name into a readable title
+     */
+    formatFileName(filename) {
+        // Clean up the filename - remove extension and replace underscores/hyphens with spaces
+        let displayName = filename.replace(/\.[^/.]+$/, ""); // Remove file extension
+        displayName = displayName.replace(/[_-]/g, " "); // Replace underscores and hyphens with spaces
+
+        // Capitalize first letter of each word
+        return displayName.split(' ')
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+    }
 
-        // Calculate average audio level
-        let averageLevel = 0;
-        for(let i = 0; i < this.dataArray.length; i++) {
-            averageLevel += this.dataArray[i] / 255.0;
+    /**
+     * Object URL for a track's embedded cover art, or null if it has none
+     * URLs are cached per track so list re-renders don't leak them.
+     */
+    getTrackArtUrl(track) {
+        const picture = track.metadata && track.metadata.picture;
+        if (!picture) return null;
+        const key = track.id || track;
+        if (!this.trackArtUrls.has(key)) {
+            this.trackArtUrls.set(key, URL.createObjectURL(picture));
         }
-        averageLevel /= this.dataArray.length;
+        return this.trackArtUrls.get(key);
+    }
 
-        // Update audio level uniform
-        this.pointsMesh.material.uniforms.audioLevel.value = averageLevel;
+    /**
+     * Release a track's cover art URL (e.g. after deleting it)
+     */
+    releaseTrackArt(track) {
+        const key = track.id || track;
+        if (this.trackArtUrls.has(key)) {
+            URL.revokeObjectURL(this.trackArtUrls.get(key));
+            this.trackArtUrls.delete(key);
+        }
+    }
 
-        // Rotate the point cloud
-        this.pointsMesh.rotation.y += delta * 0.2;
-        this.pointsMesh.rotation.x += delta * 0.1;
+    /**
+     * Small cover art image for track lists, or a placeholder icon
+     */
+    createTrackThumbnail(track) {
+        const artUrl = this.getTrackArtUrl(track);
+        if (artUrl) {
+            const art = document.createElement('img');
+            art.className = 'track-thumbnail';
+            art.src = artUrl;
+            art.alt = '';
+            return art;
+        }
+        const placeholder = document.createElement('i');
+        placeholder.className = 'material-icons track-thumbnail placeholder';
+        placeholder.textContent = 'music_note';
+        return placeholder;
+    }
 
-        // Dynamic camera movement
-        const time = this.clock.getElapsedTime();
-        const radius = 100 + Math.sin(time * 0.5) * 20;
-        const angle = time * 0.2;
-        
-        this.camera.position.x = Math.sin(angle) * radius;
-        this.camera.position.z = Math.cos(angle) * radius;
-        this.camera.position.y = Math.sin(time * 0.3) * 30;
-        
-        this.camera.lookAt(0, 0, 0);
+    /**
+     * Read a track's embedded tags if they haven't been read yet, and store them
+     */
+    async ensureTrackMetadata(track) {
+        if (track.metadata !== undefined) return;
+        // Each track is only read once per session, even if saving the result fails
+        const key = track.id || track;
+        if (this.metadataRequests.has(key)) return;
+        this.metadataRequests.add(key);
+
+        const metadata = await TrackMetadata.read(track.file);
+
+        // Update every copy of the track we hold (library lists load fresh records)
+        [track, ...this.playlist.tracks.filter(item => track.id && item.id === track.id)].forEach(item => {
+            item.metadata = metadata;
+            if (item.duration == null && metadata.duration) item.duration = metadata.duration;
+        });
+        if (track.id) {
+            const changes = { metadata };
+            if (metadata.duration && track.duration === metadata.duration) changes.duration = metadata.duration;
+            try {
+                await this.library.updateTrack(track.id, changes);
+            } catch (error) {
+                console.warn('Could not save track metadata', error);
+            }
+        }
+
+        this.updateTrackList();
+        this.refreshLibraryList();
+        if (this.playlist.current && (this.playlist.current === track || (track.id && this.playlist.current.id === track.id))) {
+            if (!this.liveInput || !this.liveInput.isActive) this.updateTrackNameDisplay(this.playlist.current);
+        }
     }
 
     /**
-     * Detect beat events in different frequency ranges
+     * Play the next track in the playlist
+     * @param {boolean} autoplay - Start playing once loaded (defaults to the current play state)
      */
-    detectBeats(freqData, deltaTime) {
-        const beat = this.beatDetectionVars;
-        
-        // Calculate energy in bass range (low frequencies)
-        let bassEnergy = 0;
-        const bassRange = Math.floor(freqData.length * 0.2); // First 20% of frequencies
-        for (let i = 0; i < bassRange; i++) {
-            bassEnergy += freqData[i] / 255.0;
+    playNextTrack(autoplay) {
+        if (this.playlist.next() !== -1) {
+            this.loadAudioFile(this.playlist.current, autoplay);
+            this.updateTrackList();
+            this.refreshLibraryList();
         }
-        bassEnergy /= bassRange;
-        
-        // Calculate energy in treble range (high frequencies)
-        let trebleEnergy = 0;
-        const trebleStart = Math.floor(freqData.length * 0.6); // Last 40% of frequencies
-        for (let i = trebleStart; i < freqData.length; i++) {
-            trebleEnergy += freqData[i] / 255.0;
+    }
+
+    /**
+     * Play the previous track in the playlist
+     */
+    playPreviousTrack() {
+        if (this.playlist.previous() !== -1) {
+            this.loadAudioFile(this.playlist.current);
+            this.updateTrackList();
+            this.refreshLibraryList();
         }
-        trebleEnergy /= (freqData.length - trebleStart);
-        
-        // Smooth energy values
-        beat.bassEnergy = beat.bassEnergy * 0.9 + bassEnergy * 0.1;
-        beat.trebleEnergy = beat.trebleEnergy * 0.9 + trebleEnergy * 0.1;
-        
-        // Add current energy to history
-        beat.energyHistory.push(bassEnergy);
-        if (beat.energyHistory.length > 30) {
-            beat.energyHistory.shift();
+    }
+
+    /**
+     * Advance when the current track finishes, honouring the repeat mode
+     */
+    handleTrackEnded() {
+        if (this.recordingStopsAtTrackEnd) this.stopRecording();
+        const index = this.playlist.next(true);
+        if (index === -1) {
+            // End of the playlist with repeat off: stay on the last track, rewound
+            this.updatePlayIcon();
+            this.updateProgress();
+            this.saveLibrarySession();
+            return;
         }
-        
-        // Calculate average energy from history
-        const averageEnergy = beat.energyHistory.reduce((sum, val) => sum + val, 0) / 
-                             beat.energyHistory.length;
-        
-        // Current time for beat timing
-        const currentTime = this.clock.getElapsedTime();
-        
-        // Detect bass beat (if energy is significantly higher than average)
-        if (bassEnergy > averageEnergy * beat.beatThreshold && 
-            currentTime - beat.lastBeatTime > beat.beatHoldTime) {
-            
-            // Trigger new beat
-            beat.lastBeatTime = currentTime;
-            beat.bassBeat = Math.min(bassEnergy * 2.0, 1.0);
-        } else {
-            // Decay beat value
-            beat.bassBeat *= Math.pow(0.7, deltaTime * 10);
+        if (this.playlist.repeatMode === 'one') {
+            this.transport.play();
+            this.updatePlayIcon();
+            return;
         }
-        
-        // Detect treble beat
-        if (trebleEnergy > beat.trebleEnergy * 1.3) {
-            beat.trebleBeat = Math.min(trebleEnergy * 1.5, 1.0);
+        this.loadAudioFile(this.playlist.current, true);
+        this.updateTrackList();
+        this.refreshLibraryList();
+    }
+
+    /**
+     * Follow the transport onto the preloaded track after a gapless or crossfaded handoff
+     */
+    handleTrackAdvanced() {
+        if (this.recordingStopsAtTrackEnd) this.stopRecording();
+        this.playlist.next(true);
+        if (this.playlist.current !== this.preloadedTrack) {
+            // The playlist changed after the handoff was scheduled
+            this.loadAudioFile(this.playlist.current, true);
         } else {
-            // Decay treble beat value faster
-            beat.trebleBeat *= Math.pow(0.5, deltaTime * 15);
+            this.loadRequestId++;
+            this.audioBuffer = this.transport.buffer;
+            this.rememberTrackDuration(this.playlist.current, this.transport.buffer);
+            this.showCurrentTrack();
+            this.preloadNextTrack();
+            this.saveLibrarySession();
         }
+        this.updateTrackList();
+        this.refreshLibraryList();
     }
 
     /**
-     * Emit new particles from the center
-     * Called when a beat is detected
-     * Using Watanabe-inspired geometric patterns
+     * Set up the shuffle and repeat toggles
      */
-    emitParticles(count, bassIntensity, trebleIntensity) {
-        // Get particle system attributes
-        const positions = this.particleSystem.geometry.attributes.position;
-        const colors = this.particleSystem.geometry.attributes.color;
-        const sizes = this.particleSystem.geometry.attributes.size;
-        
-        // Calculate base properties with a minimalist aesthetic (Watanabe style)
-        const baseSpeed = 15 + bassIntensity * 25; 
-        const baseBurstSize = Math.floor(count * (1 + bassIntensity));
-        const baseSize = 1.5 + bassIntensity * 2.5; // Smaller, more elegant particles
-        
-        // Number of particles to emit in this burst
-        const particlesToEmit = Math.min(baseBurstSize, this.maxParticles - this.particleCount);
-        
-        // Choose colors based on a more minimalist/art exhibition palette
-        const baseHue = (this.waveMaterial.uniforms.time.value * 0.05) % 1.0;
-        const hueVariation = 0.08 + trebleIntensity * 0.1; // Less variation for cleaner look
-        
-        // Exhibition mode: create geometric patterns
-        const patternType = Math.floor(bassIntensity * 3) % 3; // Different patterns based on intensity
-        
-        for (let i = 0; i < particlesToEmit; i++) {
-            // Find an inactive particle slot
-            let particleIndex = -1;
-            for (let j = 0; j < this.maxParticles; j++) {
-                if (this.particleLifetimes[j] < 0) {
-                    particleIndex = j;
-                    break;
-                }
-            }
-            
-            // If no slots available, skip
-            if (particleIndex === -1) break;
-            
-            // Emission angle based on pattern type
-            let horizontalAngle, vx, vy, vz;
-            
-            switch (patternType) {
-                case 0: // Circular pattern (traditional)
-                    horizontalAngle = Math.random() * Math.PI * 2;
-                    vx = Math.cos(horizontalAngle) * baseSpeed;
-                    vy = (Math.random() - 0.5) * baseSpeed * 0.1; // Flatter
-                    vz = Math.sin(horizontalAngle) * baseSpeed;
-                    break;
-                
-                case 1: // Grid pattern (Watanabe 1000CUBES style)
-                    // Emit in a grid pattern
-                    const gridSize = 5;
-                    const gridIndex = i % (gridSize * gridSize);
-                    const gridX = (gridIndex % gridSize) - gridSize/2;
-                    const gridZ = Math.floor(gridIndex / gridSize) - gridSize/2;
-                    
-                    horizontalAngle = Math.atan2(gridZ, gridX);
-                    vx = Math.cos(horizontalAngle) * baseSpeed;
-                    vy = 0; // Keep flat
-                    vz = Math.sin(horizontalAngle) * baseSpeed;
-                    break;
-                    
-                case 2: // Linear pattern (code9206 style)
-                    // Emit along straight lines
-                    horizontalAngle = Math.floor(i / 3) * (Math.PI / 8);
-                    vx = Math.cos(horizontalAngle) * baseSpeed;
-                    vy = (Math.random() - 0.5) * baseSpeed * 0.05; // Very flat
-                    vz = Math.sin(horizontalAngle) * baseSpeed;
-                    break;
-            }
-            
-            // Set starting position (slightly off center for art installation feel)
-            positions.array[particleIndex * 3] = (Math.random() - 0.5) * 1.5;
-            positions.array[particleIndex * 3 + 1] = (Math.random() - 0.5) * 1.5; 
-            positions.array[particleIndex * 3 + 2] = (Math.random() - 0.5) * 1.5;
-            
-            // Use more refined color palette for art exhibition style
-            let hue, saturation, lightness;
-            
-            if (i % 3 === 0) { // Main color (black/white for some particles)
-                hue = 0;
-                saturation = 0;
-                lightness = bassIntensity > 0.7 ? 1.0 : 0;
-            } else {
-                hue = (baseHue + (Math.random() - 0.5) * hueVariation) % 1.0;
-                saturation = 0.6 + trebleIntensity * 0.4;
-                lightness = 0.5 + bassIntensity * 0.3;
-            }
-            
-            const color = new THREE.Color().setHSL(hue, saturation, lightness);
-            colors.array[particleIndex * 3] = color.r;
-            colors.array[particleIndex * 3 + 1] = color.g;
-            colors.array[particleIndex * 3 + 2] = color.b;
-            
-            // Particle size - more uniform with subtle variations
-            const sizeVariation = Math.random() * 0.3 + 0.85;
-            sizes.array[particleIndex] = baseSize * sizeVariation;
-            
-            // Set particle as active
-            this.particleLifetimes[particleIndex] = this.particleLifespan;
-            
-            // Store particle velocity including exhibition interaction data
-            if (!this.waveParticles[particleIndex]) {
-                this.waveParticles[particleIndex] = {
-                    velocity: new THREE.Vector3(vx, vy, vz),
-                    initialSize: baseSize * sizeVariation,
-                    pattern: patternType,
-                    frameInteractions: 0
-                };
-            } else {
-                this.waveParticles[particleIndex].velocity.set(vx, vy, vz);
-                this.waveParticles[particleIndex].initialSize = baseSize * sizeVariation;
-                this.waveParticles[particleIndex].pattern = patternType;
-                this.waveParticles[particleIndex].frameInteractions = 0;
-            }
-            
-            // Increment active particle count
-            this.particleCount++;
+    setupPlaylistControls() {
+        const shuffleBtn = document.getElementById('shuffle');
+        const repeatBtn = document.getElementById('repeat');
+
+        if (shuffleBtn) {
+            shuffleBtn.addEventListener('click', () => {
+                this.playlist.setShuffle(!this.playlist.shuffle);
+                this.updatePlaylistModeButtons();
+                this.preloadNextTrack();
+                this.saveLibrarySession();
+            });
+        }
+        if (repeatBtn) {
+            repeatBtn.addEventListener('click', () => {
+                this.playlist.cycleRepeatMode();
+                this.updatePlaylistModeButtons();
+                this.preloadNextTrack();
+                this.saveLibrarySession();
+            });
         }
-        
-        // Mark attributes as needing update
-        positions.needsUpdate = true;
-        colors.needsUpdate = true;
-        sizes.needsUpdate = true;
     }
-    
+
     /**
-     * Update the wave visualizer
-     * Animates particles based on audio beats and handles exhibition space interactions
+     * Reflect the shuffle and repeat modes on their buttons
      */
-    updateWaveVisualizer(delta) {
-        if (!this.particleSystem) return;
-        
-        // Update time uniform
-        this.waveMaterial.uniforms.time.value += delta;
-        
-        // Get frequency data
-        const freqData = this.dataArray;
-        
-        // Detect beats in different frequency ranges
-        this.detectBeats(freqData, delta);
-        
-        // Calculate average audio level
-        let averageLevel = 0;
-        for (let i = 0; i < freqData.length; i++) {
-            averageLevel += freqData[i] / 255.0;
-        }
-        averageLevel /= freqData.length;
-        
-        // Update exhibition frames based on audio
-        this.updateExhibitionSpace(delta, averageLevel);
-        
-        // Get particle system attributes
-        const positions = this.particleSystem.geometry.attributes.position;
-        const colors = this.particleSystem.geometry.attributes.color;
-        const sizes = this.particleSystem.geometry.attributes.size;
-        
-        // Update emission cooldown
-        if (this.beatDetectionVars.emitCooldown > 0) {
-            this.beatDetectionVars.emitCooldown -= delta;
+    updatePlaylistModeButtons() {
+        const shuffleBtn = document.getElementById('shuffle');
+        const repeatBtn = document.getElementById('repeat');
+        if (shuffleBtn) {
+            shuffleBtn.classList.toggle('active', this.playlist.shuffle);
         }
-        
-        // Emit particles when a bass beat is detected
-        if (this.beatDetectionVars.bassBeat > 0.4 && this.beatDetectionVars.emitCooldown <= 0) {
-            const emissionCount = Math.floor(this.emissionRate * this.beatDetectionVars.bassBeat);
-            
-            this.emitParticles(
-                emissionCount, 
-                this.beatDetectionVars.bassBeat,
-                this.beatDetectionVars.trebleBeat
-            );
-            
-            this.beatDetectionVars.emitCooldown = 0.1;
+        if (repeatBtn) {
+            const titles = { off: 'Repeat: Off', all: 'Repeat: All', one: 'Repeat: One' };
+            repeatBtn.classList.toggle('active', this.playlist.repeatMode !== 'off');
+            repeatBtn.title = titles[this.playlist.repeatMode];
+            repeatBtn.querySelector('.material-icons').textContent =
+                this.playlist.repeatMode === 'one' ? 'repeat_one' : 'repeat';
         }
-        
-        // Smaller continuous emissions for visual interest
-        if (this.beatDetectionVars.trebleBeat > 0.5 && Math.random() < this.beatDetectionVars.trebleBeat * 0.2) {
-            this.emitParticles(
-                Math.floor(3 * this.beatDetectionVars.trebleBeat),
-                this.beatDetectionVars.bassBeat * 0.4,
-                this.beatDetectionVars.trebleBeat
-            );
+    }
+
+    /**
+     * Keep the dropdown and the style on screen in step with the registry
+     * The saved style is switched to as soon as its script registers it, and
+     * a style on screen that's replaced is rebuilt, or swapped for the first
+     * listed one if it's removed.
+     */
+    handleStylesChanged() {
+        const saved = this.userSettings.values.style;
+        if (!this.offlineRender && saved !== this.currentStyle && VisualizerStyles.has(saved)) {
+            this.currentStyle = saved;
+        } else if (!VisualizerStyles.has(this.currentStyle)) {
+            const first = VisualizerStyles.list()[0];
+            if (first) this.currentStyle = first.id;
         }
-        
-        // Emit some particles with overall audio level for continuous visual interest
-        if (Math.random() < averageLevel * 0.1) {
-            this.emitParticles(
-                Math.floor(2 * averageLevel),
-                averageLevel,
-                averageLevel
-            );
+        this.populateStyleOptions();
+
+        // Before init() there's no scene yet; an offline render picks the change up when it ends
+        const running = this.activeStyle ? this.activeStyle.style : null;
+        if (this.orbitControls && !this.offlineRender && running !== VisualizerStyles.get(this.currentStyle)) {
+            this.createVisualizer();
         }
+    }
+
+    /**
+     * Fill the style dropdown from the registry, keeping the current choice
+     */
+    populateStyleOptions() {
+        const styleSelect = document.getElementById('visualizer-style');
+        styleSelect.innerHTML = '';
+        VisualizerStyles.list().forEach(style => {
+            const option = document.createElement('option');
+            option.value = style.id;
+            option.textContent = style.name;
+            option.title = style.description;
+            styleSelect.appendChild(option);
+        });
+        styleSelect.value = this.currentStyle;
+    }
+
+    /**
+     * Create the current visualizer based on the selected style
+     */
+    createVisualizer() {
+        this.clearScene();
         
-        // Update all particles
-        let activeCount = 0;
-        
-        for (let i = 0; i < this.maxParticles; i++) {
-            // Skip inactive particles
-            if (this.particleLifetimes[i] < 0) continue;
-            
-            // Update lifetime
-            this.particleLifetimes[i] -= delta;
-            
-            // If particle died this frame, make it inactive
-            if (this.particleLifetimes[i] < 0) {
-                sizes.array[i] = 0;
-                continue;
-            }
-            
-            // Count active particles
-            activeCount++;
-            
-            // Calculate life factor (1.0 when new, 0.0 when dead)
-            const lifeFactor = this.particleLifetimes[i] / this.particleLifespan;
-            
-            // Update particle position based on velocity
-            if (this.waveParticles[i]) {
-                // Store old position for frame collision detection
-                const oldX = positions.array[i * 3];
-                const oldY = positions.array[i * 3 + 1];
-                const oldZ = positions.array[i * 3 + 2];
-                
-                // Update position
-                positions.array[i * 3] += this.waveParticles[i].velocity.x * delta;
-                positions.array[i * 3 + 1] += this.waveParticles[i].velocity.y * delta;
-                positions.array[i * 3 + 2] += this.waveParticles[i].velocity.z * delta;
-                
-                // Exhibition frame interactions (Watanabe-inspired)
-                // Check if particle hits a frame
-                for (let j = 0; j < this.exhibitionFrames.length; j++) {
-                    const frame = this.exhibitionFrames[j];
-                    const frameBounds = {
-                        minX: frame.position.x - frame.geometry.parameters.width/2,
-                        maxX: frame.position.x + frame.geometry.parameters.width/2,
-                        minY: frame.position.y - frame.geometry.parameters.height/2,
-                        maxY: frame.position.y + frame.geometry.parameters.height/2,
-                        z: frame.position.z
-                    };
-                    
-                    // Detect passing through frame
-                    if (oldZ < frameBounds.z && positions.array[i * 3 + 2] >= frameBounds.z) {
-                        if (positions.array[i * 3] >= frameBounds.minX &&
-                            positions.array[i * 3] <= frameBounds.maxX &&
-                            positions.array[i * 3 + 1] >= frameBounds.minY &&
-                            positions.array[i * 3 + 1] <= frameBounds.maxY) {
-                            
-                            // Frame interaction - change velocity and color (artistic transformation)
-                            this.waveParticles[i].velocity.multiplyScalar(0.8); // Slow down
-                            
-                            // Change color slightly for exhibition effect
-                            const hue = (colors.array[i * 3] + colors.array[i * 3 + 1] + colors.array[i * 3 + 2]) / 3;
-                            const newColor = new THREE.Color().setHSL(
-                                (hue + 0.1 * j) % 1.0, 
-                                0.8, 
-                                0.5 + j * 0.1
-                            );
-                            
-                            colors.array[i * 3] = newColor.r;
-                            colors.array[i * 3 + 1] = newColor.g;
-                            colors.array[i * 3 + 2] = newColor.b;
-                            
-                            // Record interaction
-                            this.waveParticles[i].frameInteractions++;
-                        }
-                    }
-                }
-                
-                // Minimalist motion - less chaotic for Watanabe style
-                this.waveParticles[i].velocity.y -= 0.5 * delta; // Less gravity
-                this.waveParticles[i].velocity.multiplyScalar(0.995); // Subtle air resistance
-                
-                // Size changes based on pattern type and frame interactions
-                let sizeFactor = 1.0;
-                
-                if (this.waveParticles[i].frameInteractions > 0) {
-                    // Particles get slightly larger with each frame they pass through
-                    sizeFactor = 1.0 + (this.waveParticles[i].frameInteractions * 0.1);
-                }
-                
-                // Fade in/out based on life
-                const fadeIn = lifeFactor < 0.9 ? lifeFactor / 0.9 : 1.0;
-                const fadeOut = lifeFactor < 0.2 ? lifeFactor / 0.2 : 1.0;
-                
-                sizes.array[i] = this.waveParticles[i].initialSize * sizeFactor * fadeIn * fadeOut;
+        // Set up basic scene
+        this.camera.position.set(0, 10, 20);
+        this.camera.lookAt(0, 0, 0);
+        this.scene.background = new THREE.Color(0x000005);
+        this.scene.fog = null;
+        this.orbitControls.enabled = false;
+        this.orbitControls.target.set(0, 0, 0);
+
+        const style = VisualizerStyles.get(this.currentStyle);
+        if (!style) return;
+
+        const tracked = new Set();
+        const subscriptions = [];
+        const ctx = this.createStyleContext(style, tracked, subscriptions);
+        this.activeStyle = { style, ctx, tracked, subscriptions };
+        style.create(ctx);
+        this.projector.send('style', { style: style.id, params: ctx.params });
+
+        // Ensure initial render
+        this.renderer.render(this.scene, ctx.camera);
+    }
+
+    /**
+     * The ctx handed to a style's hooks (see style-registry.js)
+     * @param {Set} tracked - Collects the objects the style adds, for disposal
+     * @param {Function[]} subscriptions - Collects the style's beat listeners, to remove them with it
+     */
+    createStyleContext(style, tracked, subscriptions) {
+        const ctx = {
+            scene: this.scene,
+            renderer: this.renderer,
+            camera: this.camera,
+            orbitControls: this.orbitControls,
+            params: this.userSettings.getStyleParams(style.id, style.defaults),
+            state: {},
+            time: this.elapsedTime,
+            width: this.getRenderSize().width,
+            height: this.getRenderSize().height,
+            add: object => {
+                this.scene.add(object);
+                tracked.add(object);
+                return object;
+            },
+            remove: object => {
+                this.scene.remove(object);
+                tracked.delete(object);
+                VisualizerStyles.disposeObject(object);
+            },
+            on: (type, listener) => {
+                subscriptions.push(this.beatEngine.on(type, listener));
+            },
+            saveParams: changes => {
+                SettingsStore.merge(ctx.params, JSON.parse(JSON.stringify(changes)));
+                this.userSettings.setStyleParams(style.id, changes);
+                this.projector.send('params', { style: style.id, params: ctx.params });
+            },
+            addSelect: ({ label, options, value, onChange }) => {
+                const select = document.createElement('select');
+                options.forEach(option => {
+                    const element = document.createElement('option');
+                    element.value = option.value;
+                    element.textContent = option.label;
+                    select.appendChild(element);
+                });
+                select.value = value;
+                select.addEventListener('change', () => onChange(select.value));
+                return this.addStyleControl(label, select);
+            },
+            addButton: ({ label, onClick }) => {
+                const button = document.createElement('button');
+                button.className = 'style-option-button';
+                button.textContent = label;
+                button.addEventListener('click', onClick);
+                return this.addStyleControl(null, button);
             }
+        };
+        return ctx;
+    }
+
+    /**
+     * Show a control of the active style's below the style dropdown
+     * @param {string|null} labelText - Label above the control, if any
+     */
+    addStyleControl(labelText, control) {
+        const container = document.getElementById('style-options');
+        const group = document.createElement('div');
+        group.className = 'control-group';
+        control.id = `style-option-${container.children.length}`;
+        if (labelText) {
+            const label = document.createElement('label');
+            label.textContent = labelText;
+            label.htmlFor = control.id;
+            group.appendChild(label);
         }
-        
-        // Update particle count
-        this.particleCount = activeCount;
-        
-        // Mark attributes as needing update
-        positions.needsUpdate = true;
-        colors.needsUpdate = true;
-        sizes.needsUpdate = true;
-        
-        // Update exhibition camera
-        this.updateExhibitionCamera(delta, averageLevel);
+        group.appendChild(control);
+        container.appendChild(group);
+        return control;
     }
-    
+
     /**
-     * Update exhibition space elements
+     * Tear down the current style and everything it added to the scene
      */
-    updateExhibitionSpace(delta, audioLevel) {
-        // Animate exhibition frames based on audio
-        this.exhibitionFrames.forEach((frame, index) => {
-            // Subtle rotation based on audio
-            frame.rotation.z = Math.sin(this.waveMaterial.uniforms.time.value * 0.2 + index) * 0.05;
-            
-            // Pulse opacity based on audio level
-            const material = frame.material;
-            material.opacity = 0.1 + index * 0.05 + audioLevel * 0.2;
-            
-            // Subtle scale changes
-            const baseBeat = this.beatDetectionVars.bassBeat;
-            const scale = 1.0 + baseBeat * 0.05;
-            frame.scale.set(scale, scale, 1);
+    clearScene() {
+        if (!this.activeStyle) return;
+        const { style, ctx, tracked, subscriptions } = this.activeStyle;
+        this.activeStyle = null;
+        document.getElementById('style-options').innerHTML = '';
+        subscriptions.forEach(unsubscribe => unsubscribe());
+
+        if (style.dispose) {
+            try {
+                style.dispose(ctx);
+            } catch (e) {
+                console.warn(`Error disposing style "${style.id}"`, e);
+            }
+        }
+        tracked.forEach(object => {
+            this.scene.remove(object);
+            VisualizerStyles.disposeObject(object);
         });
-        
-        // Make floor react to heavy bass
-        if (this.exhibitionFloor && this.beatDetectionVars.bassBeat > 0.7) {
-            // Create ripple effect on floor
-            const material = this.exhibitionFloor.material;
-            material.color.setHSL(
-                this.waveMaterial.uniforms.time.value * 0.1 % 1.0,
-                0.2,
-                0.1 + this.beatDetectionVars.bassBeat * 0.1
-            );
+    }
+
+    /**
+     * Overall level and the average level of the bass, mids and treble
+     * (FrequencyMap.BANDS), all 0-1
+     */
+    getAudioFeatures(frequencyData, waveformData, sampleRate) {
+        let level = 0;
+        for (let i = 0; i < frequencyData.length; i++) {
+            level += frequencyData[i] / 255.0;
         }
+        const audio = {
+            frequencyData,
+            waveformData,
+            sampleRate,
+            scale: this.userSettings.values.analyser.scale,
+            level: level / frequencyData.length
+        };
+        audio.low = FrequencyMap.level(audio, 'low');
+        audio.mid = FrequencyMap.level(audio, 'mid');
+        audio.high = FrequencyMap.level(audio, 'high');
+        return audio;
     }
-    
+
     /**
-     * Update camera movement for exhibition style
+     * Update the visualizer based on audio data
+     * This is the main update loop that hands each frame to the active style.
+     * Live frames read the analyser and the clock; an offline render passes
+     * its own analysis and a fixed timestep instead.
+     * @param {Object} [input] - { frequencyData, waveformData, samples, stereo, sampleRate, delta }
      */
-    updateExhibitionCamera(delta, audioLevel) {
-        const time = this.clock.getElapsedTime();
-        
-        // Watanabe-style minimal camera movement
-        const targetHeight = 40 + this.beatDetectionVars.bassBeat * 5;
-        const cameraHeight = this.camera.position.y + (targetHeight - this.camera.position.y) * 0.02;
-        
-        // Slow, deliberate camera movement for exhibition feel
-        const angle = time * 0.05; // Very slow rotation
-        const radius = 130 - audioLevel * 15; // Move slightly closer during loud parts
-        
-        this.camera.position.x = Math.sin(angle) * radius;
-        this.camera.position.z = Math.cos(angle) * radius;
-        this.camera.position.y = cameraHeight;
-        
-        // Camera looks slightly above center for exhibition view
-        this.camera.lookAt(0, 10 + audioLevel * 5, 0);
+    updateVisualizer(input = null) {
+        if (!this.activeStyle) return;
+        const { style, ctx } = this.activeStyle;
+
+        if (!input) {
+            // Until there is audio the scene just holds still
+            if (!this.analyser) {
+                this.renderer.render(this.scene, ctx.camera);
+                return;
+            }
+
+            // Get audio data
+            this.analyser.getByteFrequencyData(this.dataArray);
+            this.analyser.getByteTimeDomainData(this.waveformArray);
+            this.analyser.getFloatTimeDomainData(this.sampleArray);
+            input = {
+                frequencyData: this.dataArray,
+                waveformData: this.waveformArray,
+                samples: this.sampleArray,
+                stereo: this.stereoAnalyser.read(),
+                sampleRate: this.audioContext.sampleRate,
+                delta: this.clock.getDelta()
+            };
+        }
+
+        const { delta } = input;
+        this.elapsedTime += delta;
+        const audio = this.getAudioFeatures(input.frequencyData, input.waveformData, input.sampleRate);
+        audio.samples = input.samples;
+        audio.stereo = input.stereo;
+        audio.beat = this.beatEngine.update(audio, delta);
+
+        // Update orbit controls if enabled
+        if (this.orbitControls.enabled) {
+            this.orbitControls.update();
+        }
+
+        // Update sun light intensity based on audio
+        if (this.sunLight) {
+            this.sunLight.intensity = 1.0 + audio.level * 1.0;
+        }
+
+        // Update the active visualizer
+        ctx.time = this.elapsedTime;
+        style.update(ctx, audio, delta);
+
+        this.renderer.render(this.scene, ctx.camera);
+
+        // The projector and analysis panel follow live frames; an offline render isn't in real time
+        if (!this.offlineRender) {
+            if (this.analyserPanel) this.analyserPanel.draw(audio);
+            this.projector.sendFrame(audio, delta, this.elapsedTime, this.orbitControls.enabled ? this.camera : null);
+        }
     }
 
     /**
@@ -1923,17 +2230,12 @@ class Visualizer {
      */
     animate() {
         requestAnimationFrame(() => this.animate());
-        
-        // Update orbit controls if enabled
-        if (this.orbitControls && this.orbitControls.enabled) {
-            this.orbitControls.update();
-        }
 
-        // Update visualizer
-        this.updateVisualizer();
+        // Update and render the visualizer, unless an offline render is drawing the frames
+        if (!this.offlineRender) this.updateVisualizer();
 
-        // Render scene
-        this.renderer.render(this.scene, this.camera);
+        // Keep the elapsed time in step with the transport
+        this.updateProgress();
     }
 
     /**
@@ -1946,7 +2248,7 @@ class Visualizer {
         // Clear the list
         trackList.innerHTML = '';
         
-        if (this.audioFiles.length === 0) {
+        if (this.playlist.length === 0) {
             // Show empty state
             const emptyItem = document.createElement('li');
             emptyItem.className = 'empty-track-list';
@@ -1956,40 +2258,103 @@ class Visualizer {
         }
         
         // Add each track to the list
-        this.audioFiles.forEach((file, index) => {
+        this.playlist.tracks.forEach((file, index) => {
             const trackItem = document.createElement('li');
+            trackItem.className = 'playlist-item';
+            trackItem.draggable = true;
             
-            // Format the display name nicely
-            let displayName = file.name.replace(/\.[^/.]+$/, ""); // Remove file extension
-            displayName = displayName.replace(/[_-]/g, " "); // Replace underscores and hyphens with spaces
-            
-            // Capitalize first letter of each word
-            displayName = displayName.split(' ')
-                .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-                .join(' ');
-            
-            trackItem.textContent = `${index + 1}. ${displayName}`;
+            // Show tags when available, otherwise a tidied file name
+            const displayName = this.getTrackDisplayName(file);
+            if (file.metadata === undefined) this.ensureTrackMetadata(file);
+
+            trackItem.appendChild(this.createTrackThumbnail(file));
+
+            const name = document.createElement('span');
+            name.className = 'playlist-item-name';
+            name.textContent = `${index + 1}. ${displayName}`;
+            name.title = file.name;
+            trackItem.appendChild(name);
+
+            // Show where queued tracks sit in the "play next" queue
+            const queuePosition = this.playlist.queuePosition(file);
+            if (queuePosition !== -1) {
+                const badge = document.createElement('span');
+                badge.className = 'queue-badge';
+                badge.textContent = queuePosition === 0 ? 'Next' : `Queued ${queuePosition + 1}`;
+                trackItem.appendChild(badge);
+            }
             
             // Mark the current track
-            if (index === this.currentTrackIndex) {
-                trackItem.className = 'active';
+            if (index === this.playlist.currentIndex) {
+                trackItem.classList.add('active');
             }
+
+            const queueButton = document.createElement('button');
+            queueButton.className = 'library-item-action';
+            queueButton.title = 'Play next';
+            queueButton.innerHTML = '<i class="material-icons">playlist_play</i>';
+            queueButton.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.queueTrack(file);
+            });
+            trackItem.appendChild(queueButton);
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'library-item-action library-item-delete';
+            removeButton.title = 'Remove from playlist';
+            removeButton.innerHTML = '<i class="material-icons">close</i>';
+            removeButton.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.removeFromPlaylist(index);
+            });
+            trackItem.appendChild(removeButton);
             
             // Add click handler to play the track
             trackItem.addEventListener('click', () => {
-                if (index !== this.currentTrackIndex) {
-                    this.currentTrackIndex = index;
-                    this.loadAudioFile(this.audioFiles[index]);
+                if (index !== this.playlist.currentIndex) {
+                    this.playlist.select(index);
+                    this.loadAudioFile(this.playlist.current);
                     this.updateTrackList();
+                    this.refreshLibraryList();
                 }
             });
+
+            // Drag to reorder
+            trackItem.addEventListener('dragstart', (event) => {
+                event.dataTransfer.effectAllowed = 'move';
+                event.dataTransfer.setData('text/plain', String(index));
+                trackItem.classList.add('dragging');
+            });
+            trackItem.addEventListener('dragend', () => {
+                trackItem.classList.remove('dragging');
+            });
+            trackItem.addEventListener('dragover', (event) => {
+                event.preventDefault();
+                event.dataTransfer.dropEffect = 'move';
+                trackItem.classList.add('drag-over');
+            });
+            trackItem.addEventListener('dragleave', () => {
+                trackItem.classList.remove('drag-over');
+            });
+            trackItem.addEventListener('drop', (event) => {
+                event.preventDefault();
+                const from = parseInt(event.dataTransfer.getData('text/plain'), 10);
+                if (Number.isNaN(from)) return;
+                this.playlist.move(from, index);
+                this.preloadNextTrack();
+                this.updateTrackList();
+                this.saveLibrarySession();
+            });
             
             trackList.appendChild(trackItem);
         });
     }
 }
 
-// Initialize the visualizer only after user login
-window.addEventListener('userLoggedIn', () => {
-    window.visualizer = new Visualizer();
+// Seed for the random numbers styles use during an offline render
+Visualizer.RENDER_SEED = 20240501;
+
+// Initialize the visualizer only once a user session has started
+Auth.onSessionStart(session => {
+    window.visualizer = new Visualizer(session);
 });
@@ -0,0 +1,198 @@
+/**
+ * WebM Muxer
+ *
+ * Packs already-encoded video (VP8/VP9) and audio (Opus) chunks, such as
+ * those from WebCodecs, into a WebM file. It's just enough Matroska for
+ * players and editors to open the result: one segment with the track
+ * headers, the exact duration and the blocks grouped into clusters that
+ * start at video keyframes. Everything is kept in memory until finish().
+ */
+class WebMMuxer {
+    /**
+     * @param {Object} options
+     * @param {Object} options.video - { codec: 'V_VP8' | 'V_VP9', width, height }
+     * @param {Object} [options.audio] - { codec: 'A_OPUS', sampleRate, channels, codecPrivate, codecDelay }
+     *   where codecPrivate is the OpusHead and codecDelay its pre-skip in nanoseconds
+     */
+    constructor({ video, audio = null }) {
+        this.video = video;
+        this.audio = audio;
+        this.blocks = [];
+    }
+
+    /**
+     * Add an encoded chunk; chunks may arrive in any order
+     * @param {'video'|'audio'} kind
+     * @param {Uint8Array} data - Encoded frame
+     * @param {number} timestamp - Presentation time in microseconds
+     * @param {boolean} keyFrame
+     */
+    addChunk(kind, data, timestamp, keyFrame) {
+        this.blocks.push({ track: kind === 'video' ? 1 : 2, data, timestamp, keyFrame });
+    }
+
+    /**
+     * Build the file
+     * @param {number} duration - Length in seconds, written to the header as is
+     * @returns {Blob}
+     */
+    finish(duration) {
+        const { element, uint, float, string } = WebMMuxer;
+
+        const header = element(0x1A45DFA3, [
+            element(0x4286, uint(1)),       // EBMLVersion
+            element(0x42F7, uint(1)),       // EBMLReadVersion
+            element(0x42F2, uint(4)),       // EBMLMaxIDLength
+            element(0x42F3, uint(8)),       // EBMLMaxSizeLength
+            element(0x4282, string('webm')), // DocType
+            element(0x4287, uint(4)),       // DocTypeVersion
+            element(0x4285, uint(2))        // DocTypeReadVersion
+        ]);
+
+        const info = element(0x1549A966, [
+            element(0x2AD7B1, uint(WebMMuxer.TIMECODE_SCALE)),
+            element(0x4D80, string('Audio Visualizer')), // MuxingApp
+            element(0x5741, string('Audio Visualizer')), // WritingApp
+            element(0x4489, float(duration * 1000))      // Duration, in timecode units
+        ]);
+
+        const tracks = [element(0xAE, [
+            element(0xD7, uint(1)),                  // TrackNumber
+            element(0x73C5, uint(1)),                // TrackUID
+            element(0x83, uint(1)),                  // TrackType: video
+            element(0x86, string(this.video.codec)), // CodecID
+            element(0xE0, [
+                element(0xB0, uint(this.video.width)),
+                element(0xBA, uint(this.video.height))
+            ])
+        ])];
+        if (this.audio) {
+            const entry = [
+                element(0xD7, uint(2)),
+                element(0x73C5, uint(2)),
+                element(0x83, uint(2)),              // TrackType: audio
+                element(0x86, string(this.audio.codec)),
+                element(0x56AA, uint(this.audio.codecDelay || 0)),
+                element(0x56BB, uint(WebMMuxer.OPUS_SEEK_PRE_ROLL)),
+                element(0xE1, [
+                    element(0xB5, float(this.audio.sampleRate)),
+                    element(0x9F, uint(this.audio.channels))
+                ])
+            ];
+            if (this.audio.codecPrivate) entry.push(element(0x63A2, this.audio.codecPrivate));
+            tracks.push(element(0xAE, entry));
+        }
+
+        const segment = element(0x18538067, [info, element(0x1654AE6B, tracks), ...this.buildClusters()]);
+        return new Blob([...WebMMuxer.flatten(header), ...WebMMuxer.flatten(segment)], { type: 'video/webm' });
+    }
+
+    /**
+     * Sort the blocks and group them into clusters
+     * A cluster starts at each video keyframe, and whenever a block's time
+     * would no longer fit in the 16-bit offset from its cluster's start.
+     */
+    buildClusters() {
+        const { element, uint } = WebMMuxer;
+        // Video first on ties, so a keyframe opens its cluster
+        const blocks = this.blocks.slice().sort((a, b) => a.timestamp - b.timestamp || a.track - b.track);
+
+        const clusters = [];
+        let current = null;
+        blocks.forEach(block => {
+            const time = Math.round(block.timestamp / 1000);
+            const startsCluster = block.track === 1 && block.keyFrame;
+            if (!current || startsCluster || time - current.time > 32767) {
+                current = { time, children: [element(0xE7, uint(time))] };
+                clusters.push(current);
+            }
+
+            const head = new Uint8Array(4);
+            head[0] = 0x80 | block.track;
+            new DataView(head.buffer).setInt16(1, time - current.time);
+            head[3] = block.keyFrame ? 0x80 : 0;
+            current.children.push(element(0xA3, [head, block.data]));
+        });
+        return clusters.map(cluster => element(0x1F43B675, cluster.children));
+    }
+
+    /**
+     * An element as { id, size, body }, where body is bytes or child elements
+     */
+    static element(id, body) {
+        const size = body instanceof Uint8Array
+            ? body.length
+            : body.reduce((total, child) => total + WebMMuxer.byteLength(child), 0);
+        return { id, size, body };
+    }
+
+    static byteLength(part) {
+        if (part instanceof Uint8Array) return part.length;
+        return WebMMuxer.idBytes(part.id).length + WebMMuxer.sizeBytes(part.size).length + part.size;
+    }
+
+    /**
+     * An element tree as a flat list of byte arrays, ready for a Blob
+     */
+    static flatten(part, parts = []) {
+        if (part instanceof Uint8Array) {
+            parts.push(part);
+            return parts;
+        }
+        parts.push(WebMMuxer.idBytes(part.id), WebMMuxer.sizeBytes(part.size));
+        if (part.body instanceof Uint8Array) {
+            parts.push(part.body);
+        } else {
+            part.body.forEach(child => WebMMuxer.flatten(child, parts));
+        }
+        return parts;
+    }
+
+    static idBytes(id) {
+        const bytes = [];
+        for (let value = id; value > 0; value = Math.floor(value / 256)) {
+            bytes.unshift(value % 256);
+        }
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * EBML variable-length size: the position of the first set bit gives the length
+     */
+    static sizeBytes(size) {
+        let length = 1;
+        while (size >= Math.pow(2, 7 * length) - 1) length++;
+        const bytes = new Uint8Array(length);
+        let value = size;
+        for (let i = length - 1; i >= 0; i--) {
+            bytes[i] = value % 256;
+            value = Math.floor(value / 256);
+        }
+        bytes[0] |= 1 << (8 - length);
+        return bytes;
+    }
+
+    static uint(value) {
+        const bytes = [];
+        do {
+            bytes.unshift(value % 256);
+            value = Math.floor(value / 256);
+        } while (value > 0);
+        return new Uint8Array(bytes);
+    }
+
+    static float(value) {
+        const bytes = new Uint8Array(8);
+        new DataView(bytes.buffer).setFloat64(0, value);
+        return bytes;
+    }
+
+    static string(text) {
+        return new TextEncoder().encode(text);
+    }
+}
+
+// Block times are in milliseconds
+WebMMuxer.TIMECODE_SCALE = 1000000;
+// Nanoseconds of audio to decode before a seek target, as recommended for Opus
+WebMMuxer.OPUS_SEEK_PRE_ROLL = 80000000;